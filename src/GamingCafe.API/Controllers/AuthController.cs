@@ -29,6 +29,9 @@ public class AuthController : ControllerBase
         if (string.IsNullOrEmpty(request.Email) || string.IsNullOrEmpty(request.Password))
             return BadRequest("Email and password are required");
 
+        request.IpAddress = ClientIpAddress();
+        request.DeviceInfo ??= ClientUserAgent();
+
         var result = await _authService.AuthenticateAsync(request);
         if (result == null)
             return Unauthorized("Invalid credentials");
@@ -42,6 +45,9 @@ public class AuthController : ControllerBase
         if (string.IsNullOrEmpty(request.AccessToken) || string.IsNullOrEmpty(request.RefreshToken))
             return BadRequest("Access token and refresh token are required");
 
+        request.IpAddress = ClientIpAddress();
+        request.DeviceInfo ??= ClientUserAgent();
+
         var result = await _authService.RefreshTokenAsync(request);
         if (result == null)
             return Unauthorized("Invalid or expired tokens");
@@ -105,10 +111,11 @@ public class AuthController : ControllerBase
             FirstName = request.FirstName,
             LastName = request.LastName,
             PhoneNumber = request.PhoneNumber,
-            // DateOfBirth is not collected via public registration endpoint.
-            // Leave DateOfBirth as default (DateTime.MinValue) or populate later via admin profile update.
+            // Left at default when not supplied; it can be filled in later via the admin profile update
+            DateOfBirth = request.DateOfBirth == default ? default : DateTime.SpecifyKind(request.DateOfBirth.Date, DateTimeKind.Utc),
         };
 
+        // RegisterAsync queues the welcome and verification emails
         var result = await _authService.RegisterAsync(user, request.Password);
         if (result == null)
             return BadRequest("User already exists with this email or username");
@@ -140,7 +147,9 @@ public class AuthController : ControllerBase
             LastName = user.LastName,
             Role = user.Role.ToString(),
             WalletBalance = wallet?.Balance ?? 0m,
-            LoyaltyPoints = user.LoyaltyPoints
+            LoyaltyPoints = user.LoyaltyPoints,
+            IsEmailVerified = user.IsEmailVerified,
+            HasPin = user.PinHash != null
         });
     }
 
@@ -156,6 +165,181 @@ public class AuthController : ControllerBase
         return Ok(new { message = "Logged out successfully" });
     }
 
+    [HttpPost("logout-all")]
+    [Authorize]
+    public async Task<IActionResult> LogoutAll()
+    {
+        var userIdClaim = User.FindFirst(System.Security.Claims.ClaimTypes.NameIdentifier);
+        if (userIdClaim == null || !int.TryParse(userIdClaim.Value, out int userId))
+            return Unauthorized();
+
+        var revoked = await _authService.RevokeAllRefreshTokensAsync(userId);
+        return Ok(new { message = "Signed out on all devices", revoked });
+    }
+
+    [HttpPost("verify-password")]
+    [Authorize]
+    public async Task<IActionResult> VerifyPassword([FromBody] VerifyPasswordRequest request)
+    {
+        var userIdClaim = User.FindFirst(System.Security.Claims.ClaimTypes.NameIdentifier);
+        if (userIdClaim == null || !int.TryParse(userIdClaim.Value, out int userId))
+            return Unauthorized();
+
+        if (string.IsNullOrEmpty(request.Password))
+            return BadRequest("Password is required");
+
+        var result = await _authService.VerifyPasswordAsync(userId, request.Password);
+        switch (result.Status)
+        {
+            case PasswordVerifyStatus.Succeeded:
+                return Ok(new { message = "Password verified" });
+            case PasswordVerifyStatus.LockedOut:
+                var retryAfter = (int)Math.Ceiling(((result.LockedUntil ?? DateTime.UtcNow) - DateTime.UtcNow).TotalSeconds);
+                Response.Headers["Retry-After"] = Math.Max(retryAfter, 1).ToString();
+                return StatusCode(StatusCodes.Status429TooManyRequests, new
+                {
+                    code = "unlock_locked",
+                    message = "Too many incorrect passwords. Sign in again.",
+                    lockedUntil = result.LockedUntil
+                });
+            default:
+                return BadRequest(new
+                {
+                    code = "password_invalid",
+                    message = "Invalid password",
+                    remainingAttempts = result.RemainingAttempts
+                });
+        }
+    }
+
+    [HttpPut("pin")]
+    [Authorize]
+    public async Task<IActionResult> SetPin([FromBody] SetPinRequest request)
+    {
+        var userIdClaim = User.FindFirst(System.Security.Claims.ClaimTypes.NameIdentifier);
+        if (userIdClaim == null || !int.TryParse(userIdClaim.Value, out int userId))
+            return Unauthorized();
+
+        if (!await _authService.SetPinAsync(userId, request.CurrentPassword, request.Pin))
+            return BadRequest("Current password is incorrect");
+
+        return Ok(new { message = "PIN saved" });
+    }
+
+    [HttpDelete("pin")]
+    [Authorize]
+    public async Task<IActionResult> RemovePin()
+    {
+        var userIdClaim = User.FindFirst(System.Security.Claims.ClaimTypes.NameIdentifier);
+        if (userIdClaim == null || !int.TryParse(userIdClaim.Value, out int userId))
+            return Unauthorized();
+
+        await _authService.RemovePinAsync(userId);
+        return Ok(new { message = "PIN removed" });
+    }
+
+    // Called with the token of the session being resumed on a shared terminal
+    [HttpPost("verify-pin")]
+    [Authorize]
+    public async Task<IActionResult> VerifyPin([FromBody] VerifyPinRequest request)
+    {
+        var userIdClaim = User.FindFirst(System.Security.Claims.ClaimTypes.NameIdentifier);
+        if (userIdClaim == null || !int.TryParse(userIdClaim.Value, out int userId))
+            return Unauthorized();
+
+        var result = await _authService.VerifyPinAsync(userId, request.Pin ?? string.Empty);
+        switch (result.Status)
+        {
+            case PinVerifyStatus.Succeeded:
+                return Ok(new { message = "PIN verified" });
+            case PinVerifyStatus.InvalidPin:
+                return BadRequest(new
+                {
+                    code = "pin_invalid",
+                    message = "Incorrect PIN",
+                    remainingAttempts = result.RemainingAttempts
+                });
+            case PinVerifyStatus.LockedOut:
+                var retryAfter = (int)Math.Ceiling(((result.LockedUntil ?? DateTime.UtcNow) - DateTime.UtcNow).TotalSeconds);
+                Response.Headers["Retry-After"] = Math.Max(retryAfter, 1).ToString();
+                return StatusCode(StatusCodes.Status429TooManyRequests, new
+                {
+                    code = "pin_locked",
+                    message = "Too many incorrect PINs. Sign in with your password instead.",
+                    lockedUntil = result.LockedUntil
+                });
+            default:
+                return BadRequest(new { code = "pin_not_set", message = "No PIN is set for this account" });
+        }
+    }
+
+    // Quick switching: parks the caller's session on the server. The browser drops its tokens and
+    // keeps only the returned id; POST /auth/resume with the PIN gets the operator back in.
+    [HttpPost("park")]
+    [Authorize]
+    public async Task<IActionResult> Park([FromBody] ParkSessionRequest request)
+    {
+        var userIdClaim = User.FindFirst(System.Security.Claims.ClaimTypes.NameIdentifier);
+        if (userIdClaim == null || !int.TryParse(userIdClaim.Value, out int userId))
+            return Unauthorized();
+
+        var result = await _authService.ParkSessionAsync(userId, request.RefreshToken);
+        if (result == null)
+            return Unauthorized("Invalid or expired refresh token");
+
+        return Ok(result);
+    }
+
+    [HttpPost("resume")]
+    [AllowAnonymous]
+    public async Task<IActionResult> Resume([FromBody] ResumeSessionRequest request)
+    {
+        request.DeviceInfo ??= ClientUserAgent();
+
+        var result = await _authService.ResumeParkedSessionAsync(request, ClientIpAddress());
+        switch (result.Status)
+        {
+            case ResumeSessionStatus.Succeeded:
+                return Ok(result.Response);
+            case ResumeSessionStatus.InvalidPin:
+                return BadRequest(new
+                {
+                    code = "pin_invalid",
+                    message = "Incorrect PIN",
+                    remainingAttempts = result.RemainingAttempts
+                });
+            case ResumeSessionStatus.LockedOut:
+                var retryAfter = (int)Math.Ceiling(((result.LockedUntil ?? DateTime.UtcNow) - DateTime.UtcNow).TotalSeconds);
+                Response.Headers["Retry-After"] = Math.Max(retryAfter, 1).ToString();
+                return StatusCode(StatusCodes.Status429TooManyRequests, new
+                {
+                    code = "pin_locked",
+                    message = "Too many incorrect PINs. Sign in with your password instead.",
+                    lockedUntil = result.LockedUntil
+                });
+            case ResumeSessionStatus.NotSet:
+                return BadRequest(new { code = "pin_not_set", message = "No PIN is set for this account" });
+            default:
+                return Unauthorized(new { code = "parked_session_ended", message = "That session has ended" });
+        }
+    }
+
+    // Called by the operator right after signing in with their password, so the caller must be the
+    // one whose session was parked
+    [HttpDelete("parked/{id:guid}")]
+    [Authorize]
+    public async Task<IActionResult> DiscardParked(Guid id)
+    {
+        var userIdClaim = User.FindFirst(System.Security.Claims.ClaimTypes.NameIdentifier);
+        if (userIdClaim == null || !int.TryParse(userIdClaim.Value, out int userId))
+            return Unauthorized();
+
+        if (!await _authService.DiscardParkedSessionAsync(id, userId))
+            return NotFound();
+
+        return NoContent();
+    }
+
     [HttpPost("send-verification-email")]
     public async Task<IActionResult> SendVerificationEmail([FromBody] EmailVerificationRequest request)
     {
@@ -210,12 +394,19 @@ public class AuthController : ControllerBase
     }
 
     [HttpPost("verify-2fa")]
-    [Authorize]
+    [AllowAnonymous]
     public async Task<IActionResult> VerifyTwoFactor([FromBody] TwoFactorVerifyRequest request)
     {
         if (!ModelState.IsValid)
             return BadRequest(ModelState);
 
+        // Second step of a 2FA login: the transient token from /login stands in for the session
+        if (!string.IsNullOrEmpty(request.TwoFactorToken))
+            return await CompleteTwoFactorLogin(request);
+
+        if (User.Identity?.IsAuthenticated != true)
+            return Unauthorized();
+
         var userIdClaim = User.FindFirst(System.Security.Claims.ClaimTypes.NameIdentifier);
         if (userIdClaim == null || !int.TryParse(userIdClaim.Value, out int userId))
             return Unauthorized();
@@ -245,6 +436,48 @@ public class AuthController : ControllerBase
         }
     }
 
+    // Recorded on each refresh token so admins can tell a user's sessions apart
+    private string? ClientIpAddress() => HttpContext.Connection.RemoteIpAddress?.ToString();
+
+    private string? ClientUserAgent()
+    {
+        var userAgent = Request.Headers.UserAgent.ToString();
+        return string.IsNullOrEmpty(userAgent) ? null : userAgent;
+    }
+
+    private async Task<IActionResult> CompleteTwoFactorLogin(TwoFactorVerifyRequest request)
+    {
+        request.DeviceInfo ??= ClientUserAgent();
+        var result = await _authService.CompleteTwoFactorLoginAsync(request, ClientIpAddress());
+        switch (result.Status)
+        {
+            case TwoFactorLoginStatus.Succeeded:
+                return Ok(result.Response);
+            case TwoFactorLoginStatus.InvalidCode:
+                return BadRequest(new
+                {
+                    code = "two_factor_invalid",
+                    message = "Invalid two-factor code",
+                    remainingAttempts = result.RemainingAttempts
+                });
+            case TwoFactorLoginStatus.LockedOut:
+                var retryAfter = (int)Math.Ceiling(((result.LockedUntil ?? DateTime.UtcNow) - DateTime.UtcNow).TotalSeconds);
+                Response.Headers["Retry-After"] = Math.Max(retryAfter, 1).ToString();
+                return StatusCode(StatusCodes.Status429TooManyRequests, new
+                {
+                    code = "two_factor_locked",
+                    message = "Too many incorrect codes. Two-factor sign-in is temporarily locked.",
+                    lockedUntil = result.LockedUntil
+                });
+            default:
+                return Unauthorized(new
+                {
+                    code = "two_factor_expired",
+                    message = "The sign-in attempt has expired. Enter your password again."
+                });
+        }
+    }
+
     [HttpPost("confirm-2fa-setup")]
     [Authorize]
     public async Task<IActionResult> ConfirmTwoFactorSetup([FromBody] TwoFactorConfirmSetupRequest request)
@@ -354,6 +587,11 @@ public class LogoutRequest
     public string RefreshToken { get; set; } = string.Empty;
 }
 
+public class VerifyPasswordRequest
+{
+    public string Password { get; set; } = string.Empty;
+}
+
 public class TwoFactorConfirmSetupRequest
 {
     public string Code { get; set; } = string.Empty;
@@ -1,6 +1,10 @@
 using Microsoft.AspNetCore.Authorization;
 using Microsoft.AspNetCore.Mvc;
+using Microsoft.AspNetCore.SignalR;
+using Microsoft.Extensions.Options;
 using Asp.Versioning;
+using GamingCafe.API.Hubs;
+using GamingCafe.Core.Configuration;
 using GamingCafe.Core.Models;
 using GamingCafe.Core.Interfaces;
 using GamingCafe.Data.Repositories;
@@ -16,11 +20,15 @@ public class GameSessionsController : ControllerBase
 {
     private readonly IUnitOfWork _unitOfWork;
     private readonly ILogger<GameSessionsController> _logger;
+    private readonly IHubContext<GameCafeHub> _hubContext;
+    private readonly SessionSettings _sessionSettings;
 
-    public GameSessionsController(IUnitOfWork unitOfWork, ILogger<GameSessionsController> logger)
+    public GameSessionsController(IUnitOfWork unitOfWork, ILogger<GameSessionsController> logger, IHubContext<GameCafeHub> hubContext, IOptions<SessionSettings> sessionSettings)
     {
         _unitOfWork = unitOfWork;
         _logger = logger;
+        _hubContext = hubContext;
+        _sessionSettings = sessionSettings.Value;
     }
 
     /// <summary>
@@ -107,6 +115,8 @@ public class GameSessionsController : ControllerBase
                     StationId = s.StationId,
                     StartTime = s.StartTime,
                     EndTime = s.EndTime,
+                    PlannedEndTime = s.PlannedEndTime,
+                    PausedAt = s.PausedAt,
                     Duration = s.Duration ?? TimeSpan.Zero,
                     Status = s.Status.ToString(),
                     TotalCost = s.TotalCost,
@@ -159,6 +169,8 @@ public class GameSessionsController : ControllerBase
                 StationId = session.StationId,
                 StartTime = session.StartTime,
                 EndTime = session.EndTime,
+                PlannedEndTime = session.PlannedEndTime,
+                PausedAt = session.PausedAt,
                 Duration = session.Duration ?? TimeSpan.Zero,
                 Status = session.Status.ToString(),
                 TotalCost = session.TotalCost,
@@ -202,6 +214,9 @@ public class GameSessionsController : ControllerBase
             if (!station.IsActive)
                 return BadRequest("Game station is not active");
 
+            if (station.IsUnderMaintenance)
+                return BadRequest("Game station is under maintenance");
+
             if (!station.IsAvailable)
                 return BadRequest("Game station is currently occupied");
 
@@ -220,11 +235,18 @@ public class GameSessionsController : ControllerBase
             if (activeStationSession != null)
                 return BadRequest("Station already has an active session");
 
+            // Without a duration the session is open-ended and billed when it is ended
+            TimeSpan? booked = request.DurationMinutes.HasValue ? TimeSpan.FromMinutes(request.DurationMinutes.Value) : null;
+            if (booked.HasValue && (booked < _sessionSettings.MinDuration || booked > _sessionSettings.MaxDuration))
+                return BadRequest($"Duration must be between {_sessionSettings.MinDuration.TotalMinutes:0} and {_sessionSettings.MaxDuration.TotalMinutes:0} minutes");
+
+            var startTime = DateTime.UtcNow;
             var session = new GameSession
             {
                 UserId = request.UserId,
                 StationId = request.StationId,
-                StartTime = DateTime.UtcNow,
+                StartTime = startTime,
+                PlannedEndTime = startTime + booked,
                 Status = SessionStatus.Active,
                 Notes = request.Notes ?? string.Empty,
                 HourlyRate = station.HourlyRate,
@@ -254,6 +276,8 @@ public class GameSessionsController : ControllerBase
                 StationId = session.StationId,
                 StartTime = session.StartTime,
                 EndTime = session.EndTime,
+                PlannedEndTime = session.PlannedEndTime,
+                PausedAt = session.PausedAt,
                 Duration = session.Duration ?? TimeSpan.Zero,
                 Status = session.Status.ToString(),
                 TotalCost = session.TotalCost,
@@ -265,7 +289,8 @@ public class GameSessionsController : ControllerBase
 
             _logger.LogInformation("Started new game session: {SessionId} for user {UserId} at station {StationId}", 
                 session.SessionId, request.UserId, request.StationId);
-            
+
+            await _hubContext.Clients.All.SendAsync("SessionUpdated", session.SessionId, sessionDto.Status);
             return CreatedAtAction(nameof(GetGameSession), new { id = session.SessionId }, sessionDto);
         }
         catch (Exception ex)
@@ -338,6 +363,8 @@ public class GameSessionsController : ControllerBase
                 StationId = session.StationId,
                 StartTime = session.StartTime,
                 EndTime = session.EndTime,
+                PlannedEndTime = session.PlannedEndTime,
+                PausedAt = session.PausedAt,
                 Duration = session.Duration ?? TimeSpan.Zero,
                 Status = session.Status.ToString(),
                 TotalCost = session.TotalCost,
@@ -350,6 +377,7 @@ public class GameSessionsController : ControllerBase
             _logger.LogInformation("Ended game session {SessionId}, Duration: {Duration}, Cost: {TotalCost}", 
                 id, duration, totalCost);
 
+            await _hubContext.Clients.All.SendAsync("SessionUpdated", id, sessionDto.Status);
             return Ok(sessionDto);
         }
         catch (Exception ex)
@@ -376,6 +404,7 @@ public class GameSessionsController : ControllerBase
                 return BadRequest("Can only pause active sessions");
 
             session.Status = SessionStatus.Paused;
+            session.PausedAt = DateTime.UtcNow;
 
             if (!string.IsNullOrEmpty(request?.Reason))
             {
@@ -394,6 +423,8 @@ public class GameSessionsController : ControllerBase
                 StationId = session.StationId,
                 StartTime = session.StartTime,
                 EndTime = session.EndTime,
+                PlannedEndTime = session.PlannedEndTime,
+                PausedAt = session.PausedAt,
                 Duration = session.Duration ?? TimeSpan.Zero,
                 Status = session.Status.ToString(),
                 TotalCost = session.TotalCost,
@@ -404,6 +435,7 @@ public class GameSessionsController : ControllerBase
             };
 
             _logger.LogInformation("Paused game session {SessionId}", id);
+            await _hubContext.Clients.All.SendAsync("SessionUpdated", id, sessionDto.Status);
             return Ok(sessionDto);
         }
         catch (Exception ex)
@@ -429,7 +461,17 @@ public class GameSessionsController : ControllerBase
             if (session.Status != SessionStatus.Paused)
                 return BadRequest("Can only resume paused sessions");
 
+            // Time spent paused does not count against the booked time
+            if (session.PausedAt.HasValue)
+            {
+                var paused = DateTime.UtcNow - session.PausedAt.Value;
+                session.TotalPausedTime += paused;
+                if (session.PlannedEndTime.HasValue)
+                    session.PlannedEndTime += paused;
+            }
+
             session.Status = SessionStatus.Active;
+            session.PausedAt = null;
             session.Notes = string.IsNullOrEmpty(session.Notes) 
                 ? "Resumed" 
                 : $"{session.Notes}; Resumed";
@@ -444,6 +486,8 @@ public class GameSessionsController : ControllerBase
                 StationId = session.StationId,
                 StartTime = session.StartTime,
                 EndTime = session.EndTime,
+                PlannedEndTime = session.PlannedEndTime,
+                PausedAt = session.PausedAt,
                 Duration = session.Duration ?? TimeSpan.Zero,
                 Status = session.Status.ToString(),
                 TotalCost = session.TotalCost,
@@ -454,6 +498,7 @@ public class GameSessionsController : ControllerBase
             };
 
             _logger.LogInformation("Resumed game session {SessionId}", id);
+            await _hubContext.Clients.All.SendAsync("SessionUpdated", id, sessionDto.Status);
             return Ok(sessionDto);
         }
         catch (Exception ex)
@@ -463,6 +508,88 @@ public class GameSessionsController : ControllerBase
         }
     }
 
+    /// <summary>
+    /// Add time to a session that has a booked duration
+    /// </summary>
+    [HttpPost("{id}/extend")]
+    [Authorize(Roles = "Admin,Manager,Staff")]
+    public async Task<ActionResult<GameSessionDto>> ExtendGameSession(int id, [FromBody] ExtendGameSessionRequest? request = null)
+    {
+        try
+        {
+            var session = await _unitOfWork.Repository<GameSession>().GetByIdAsync(id);
+            if (session == null)
+                return NotFound();
+
+            if (session.Status != SessionStatus.Active && session.Status != SessionStatus.Paused)
+                return BadRequest("Can only extend active or paused sessions");
+
+            if (!session.PlannedEndTime.HasValue)
+                return BadRequest("Session has no time limit to extend");
+
+            var extension = request?.Minutes is int minutes
+                ? TimeSpan.FromMinutes(minutes)
+                : _sessionSettings.ExtensionIncrement;
+            // Time that ran out before the extension is not given back: it counts from now, or from
+            // when the clock stopped for a paused session
+            var clockNow = session.PausedAt ?? DateTime.UtcNow;
+            var plannedEndTime = (session.PlannedEndTime.Value > clockNow ? session.PlannedEndTime.Value : clockNow) + extension;
+            // Booked play time; resuming pushes PlannedEndTime back by the pause, so paused time is taken off
+            if (plannedEndTime - session.StartTime - session.TotalPausedTime > _sessionSettings.MaxDuration)
+                return BadRequest($"Sessions cannot be booked for more than {_sessionSettings.MaxDuration.TotalHours:0.#} hours");
+
+            session.PlannedEndTime = plannedEndTime;
+            _unitOfWork.Repository<GameSession>().Update(session);
+            await _unitOfWork.SaveChangesAsync();
+
+            var user = await _unitOfWork.Repository<User>().GetByIdAsync(session.UserId);
+            var station = await _unitOfWork.Repository<GameStation>().GetByIdAsync(session.StationId);
+            var sessionDto = new GameSessionDto
+            {
+                SessionId = session.SessionId,
+                UserId = session.UserId,
+                StationId = session.StationId,
+                StartTime = session.StartTime,
+                EndTime = session.EndTime,
+                PlannedEndTime = session.PlannedEndTime,
+                PausedAt = session.PausedAt,
+                Duration = session.Duration ?? DateTime.UtcNow - session.StartTime,
+                Status = session.Status.ToString(),
+                TotalCost = session.TotalCost,
+                Notes = session.Notes,
+                CreatedAt = session.CreatedAt,
+                Username = user?.Username ?? "Unknown",
+                StationName = station?.StationName ?? "Unknown"
+            };
+
+            _logger.LogInformation("Extended game session {SessionId} by {Extension} to {PlannedEndTime}", id, extension, plannedEndTime);
+            await _hubContext.Clients.All.SendAsync("SessionUpdated", id, sessionDto.Status);
+            return Ok(sessionDto);
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error extending game session with ID {SessionId}", id);
+            return StatusCode(500, "An error occurred while extending the game session");
+        }
+    }
+
+    /// <summary>
+    /// Session time limits, so clients can offer durations and warn before time runs out
+    /// </summary>
+    [HttpGet("settings")]
+    [Authorize(Roles = "Admin,Manager,Staff")]
+    public ActionResult<SessionTimeSettingsDto> GetSessionSettings()
+    {
+        return Ok(new SessionTimeSettingsDto
+        {
+            DefaultDurationMinutes = (int)_sessionSettings.DefaultDuration.TotalMinutes,
+            MinDurationMinutes = (int)_sessionSettings.MinDuration.TotalMinutes,
+            MaxDurationMinutes = (int)_sessionSettings.MaxDuration.TotalMinutes,
+            ExtensionIncrementMinutes = (int)_sessionSettings.ExtensionIncrement.TotalMinutes,
+            WarningThresholdMinutes = (int)_sessionSettings.WarningThreshold.TotalMinutes
+        });
+    }
+
     /// <summary>
     /// Get active sessions
     /// </summary>
@@ -489,7 +616,10 @@ public class GameSessionsController : ControllerBase
                     StationId = s.StationId,
                     StartTime = s.StartTime,
                     EndTime = s.EndTime,
-                    Duration = s.Duration ?? TimeSpan.Zero,
+                    PlannedEndTime = s.PlannedEndTime,
+                    PausedAt = s.PausedAt,
+                    // Still running, so the duration is the time played so far
+                    Duration = s.Duration ?? DateTime.UtcNow - s.StartTime,
                     Status = s.Status.ToString(),
                     TotalCost = s.TotalCost,
                     Notes = s.Notes,
@@ -552,6 +682,8 @@ public class GameSessionsController : ControllerBase
                     StationId = s.StationId,
                     StartTime = s.StartTime,
                     EndTime = s.EndTime,
+                    PlannedEndTime = s.PlannedEndTime,
+                    PausedAt = s.PausedAt,
                     Duration = s.Duration ?? TimeSpan.Zero,
                     Status = s.Status.ToString(),
                     TotalCost = s.TotalCost,
@@ -589,6 +721,8 @@ public class GameSessionDto
     public int StationId { get; set; }
     public DateTime StartTime { get; set; }
     public DateTime? EndTime { get; set; }
+    public DateTime? PlannedEndTime { get; set; }
+    public DateTime? PausedAt { get; set; }
     public TimeSpan Duration { get; set; }
     public string Status { get; set; } = string.Empty;
     public decimal TotalCost { get; set; }
@@ -622,6 +756,26 @@ public class StartGameSessionRequest
 
     [StringLength(500)]
     public string? Notes { get; set; }
+
+    // Prepaid time; leave out for an open-ended session
+    [Range(1, 24 * 60)]
+    public int? DurationMinutes { get; set; }
+}
+
+public class ExtendGameSessionRequest
+{
+    // Defaults to the configured extension increment
+    [Range(1, 12 * 60)]
+    public int? Minutes { get; set; }
+}
+
+public class SessionTimeSettingsDto
+{
+    public int DefaultDurationMinutes { get; set; }
+    public int MinDurationMinutes { get; set; }
+    public int MaxDurationMinutes { get; set; }
+    public int ExtensionIncrementMinutes { get; set; }
+    public int WarningThresholdMinutes { get; set; }
 }
 
 public class EndGameSessionRequest
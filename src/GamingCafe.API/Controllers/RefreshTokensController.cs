@@ -69,7 +69,7 @@ namespace GamingCafe.API.Controllers
 
                 // Audit log: admin revoked a token
                 var actorId = int.TryParse(User.FindFirst(System.Security.Claims.ClaimTypes.NameIdentifier)?.Value, out var aid) ? aid : (int?)null;
-                await _auditService.LogActionAsync("AdminRevokeRefreshToken", actorId, System.Text.Json.JsonSerializer.Serialize(new { TokenId = token.TokenId, UserId = userId, DeviceInfo = token.DeviceInfo, Ip = token.IpAddress }));
+                await _auditService.LogActionAsync("AdminRevokeRefreshToken", actorId, System.Text.Json.JsonSerializer.Serialize(new { TokenId = token.TokenId, UserId = userId, DeviceInfo = token.DeviceInfo, Ip = token.IpAddress, req.Note }));
 
                 return Ok(new { message = "Token revoked" });
             }
@@ -83,7 +83,7 @@ namespace GamingCafe.API.Controllers
                 await _db.SaveChangesAsync();
 
                 var actorId = int.TryParse(User.FindFirst(System.Security.Claims.ClaimTypes.NameIdentifier)?.Value, out var aid) ? aid : (int?)null;
-                await _auditService.LogActionAsync("AdminRevokeAllRefreshTokens", actorId, System.Text.Json.JsonSerializer.Serialize(new { UserId = userId, Count = tokens.Count }));
+                await _auditService.LogActionAsync("AdminRevokeAllRefreshTokens", actorId, System.Text.Json.JsonSerializer.Serialize(new { UserId = userId, Count = tokens.Count, req.Note }));
 
                 return Ok(new { message = $"Revoked {tokens.Count} tokens" });
             }
@@ -95,6 +95,9 @@ namespace GamingCafe.API.Controllers
         {
             public string? TokenId { get; set; }
             public bool RevokeAll { get; set; }
+            // Why the tokens were revoked (left the business, reported stolen login), kept in the audit log
+            [System.ComponentModel.DataAnnotations.MaxLength(500)]
+            public string? Note { get; set; }
         }
     }
 }
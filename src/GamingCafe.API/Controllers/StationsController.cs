@@ -1,3 +1,4 @@
+using System.ComponentModel.DataAnnotations;
 using Microsoft.AspNetCore.Authorization;
 using Microsoft.AspNetCore.Mvc;
 using Microsoft.AspNetCore.SignalR;
@@ -83,7 +84,8 @@ public class StationsController : ControllerBase
             Memory = request.Memory ?? "",
             Storage = request.Storage ?? "",
             IpAddress = request.IpAddress ?? "",
-            MacAddress = request.MacAddress ?? ""
+            MacAddress = request.MacAddress ?? "",
+            Location = request.Location ?? ""
         };
 
     var createdStation = await _stationService.CreateStationAsync(station);
@@ -115,7 +117,9 @@ public class StationsController : ControllerBase
             Memory = request.Memory ?? "",
             Storage = request.Storage ?? "",
             IpAddress = request.IpAddress ?? "",
-            MacAddress = request.MacAddress ?? ""
+            MacAddress = request.MacAddress ?? "",
+            Location = request.Location ?? "",
+            IsUnderMaintenance = request.IsUnderMaintenance
         };
 
         var updatedStation = await _stationService.UpdateStationAsync(id, station);
@@ -131,6 +135,42 @@ public class StationsController : ControllerBase
     return Ok(dto);
     }
 
+    // Saves where stations stand on the floor map. Stations left out of the request keep their place.
+    [HttpPut("layout")]
+    [Authorize(Roles = "Admin,Manager")]
+    public async Task<IActionResult> UpdateFloorLayout([FromBody] StationLayoutRequest request)
+    {
+        if (!ModelState.IsValid)
+            return BadRequest(ModelState);
+
+        if (request.Positions.Select(p => p.StationId).Distinct().Count() != request.Positions.Count)
+            return BadRequest("Each station can only be placed once");
+
+        var positions = request.Positions.ToDictionary(p => p.StationId, p => p.X.HasValue && p.Y.HasValue ? (p.X, p.Y) : ((int?)null, (int?)null));
+        var stations = (await _stationService.GetAllStationsAsync()).ToList();
+        var missing = positions.Keys.Except(stations.Select(s => s.StationId)).ToList();
+        if (missing.Count > 0)
+            return NotFound($"Station {missing[0]} not found");
+
+        var taken = stations
+            .Select(s => positions.TryGetValue(s.StationId, out var cell) ? cell : (s.FloorX, s.FloorY))
+            .Where(cell => cell.Item1.HasValue && cell.Item2.HasValue)
+            .GroupBy(cell => cell)
+            .FirstOrDefault(g => g.Count() > 1);
+        if (taken != null)
+            return BadRequest($"Two stations cannot share the cell at {taken.Key.Item1},{taken.Key.Item2}");
+
+        var updated = await _stationService.UpdateFloorLayoutAsync(positions);
+        var dto = updated.Select(MapToDto).ToList();
+
+        await _cacheService.RemoveAsync("stations:all");
+        foreach (var station in updated)
+            await _cacheService.RemoveAsync($"station:snapshot:{station.StationId}");
+
+        await _hubContext.Clients.All.SendAsync("StationLayoutUpdated", dto);
+        return Ok(dto);
+    }
+
     [HttpDelete("{id}")]
     [Authorize(Roles = "Admin")]
     public async Task<IActionResult> DeleteStation(int id)
@@ -215,6 +255,11 @@ public class StationsController : ControllerBase
             Storage = station.Storage,
             IpAddress = station.IpAddress,
             MacAddress = station.MacAddress,
+            Location = station.Location,
+            Notes = station.Notes,
+            IsUnderMaintenance = station.IsUnderMaintenance,
+            FloorX = station.FloorX,
+            FloorY = station.FloorY,
             CurrentUserId = station.CurrentUserId,
             CurrentUsername = station.CurrentUser?.Username,
             SessionStartTime = station.SessionStartTime
@@ -237,6 +282,11 @@ public class StationDto
     public string Storage { get; set; } = string.Empty;
     public string IpAddress { get; set; } = string.Empty;
     public string MacAddress { get; set; } = string.Empty;
+    public string Location { get; set; } = string.Empty;
+    public string Notes { get; set; } = string.Empty;
+    public bool IsUnderMaintenance { get; set; }
+    public int? FloorX { get; set; }
+    public int? FloorY { get; set; }
     public int? CurrentUserId { get; set; }
     public string? CurrentUsername { get; set; }
     public DateTime? SessionStartTime { get; set; }
@@ -254,11 +304,29 @@ public class StationCreateRequest
     public string? Storage { get; set; }
     public string? IpAddress { get; set; }
     public string? MacAddress { get; set; }
+    public string? Location { get; set; }
 }
 
 public class StationUpdateRequest : StationCreateRequest
 {
     public bool IsAvailable { get; set; }
+    public bool IsUnderMaintenance { get; set; }
+}
+
+public class StationLayoutRequest
+{
+    [Required]
+    public List<StationPosition> Positions { get; set; } = new();
+}
+
+// X and Y are grid cells from the top-left; leave both null to take the station off the map
+public class StationPosition
+{
+    public int StationId { get; set; }
+    [Range(0, 49)]
+    public int? X { get; set; }
+    [Range(0, 49)]
+    public int? Y { get; set; }
 }
 
 public class StartSessionRequest
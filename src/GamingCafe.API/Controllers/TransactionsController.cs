@@ -1,6 +1,8 @@
 using Microsoft.AspNetCore.Authorization;
 using Microsoft.AspNetCore.Mvc;
+using Microsoft.AspNetCore.SignalR;
 using Asp.Versioning;
+using GamingCafe.API.Hubs;
 using GamingCafe.Core.Models;
 using GamingCafe.Core.Interfaces;
 using GamingCafe.Data.Repositories;
@@ -19,12 +21,14 @@ public class TransactionsController : ControllerBase
     private readonly IUnitOfWork _unitOfWork;
     private readonly ILogger<TransactionsController> _logger;
     private readonly GamingCafe.Application.UseCases.Wallet.WalletService _walletService;
+    private readonly IHubContext<GameCafeHub> _hubContext;
 
-        public TransactionsController(IUnitOfWork unitOfWork, ILogger<TransactionsController> logger, GamingCafe.Application.UseCases.Wallet.WalletService walletService)
+        public TransactionsController(IUnitOfWork unitOfWork, ILogger<TransactionsController> logger, GamingCafe.Application.UseCases.Wallet.WalletService walletService, IHubContext<GameCafeHub> hubContext)
     {
         _unitOfWork = unitOfWork;
         _logger = logger;
             _walletService = walletService;
+        _hubContext = hubContext;
     }
 
     /// <summary>
@@ -274,7 +278,8 @@ public class TransactionsController : ControllerBase
 
             _logger.LogInformation("Created new transaction: {TransactionId} for user {UserId}", 
                 transaction.TransactionId, request.UserId);
-            
+
+            await _hubContext.Clients.All.SendAsync("PaymentUpdated", transaction.TransactionId, transactionDto.Status);
             return CreatedAtAction(nameof(GetTransaction), new { id = transaction.TransactionId }, transactionDto);
         }
         catch (Exception ex)
@@ -340,6 +345,7 @@ public class TransactionsController : ControllerBase
             _logger.LogInformation("Updated transaction {TransactionId} status from {OldStatus} to {NewStatus}", 
                 id, oldStatus, request.Status);
 
+            await _hubContext.Clients.All.SendAsync("PaymentUpdated", id, transactionDto.Status);
             return Ok(transactionDto);
         }
         catch (Exception ex)
@@ -433,6 +439,7 @@ public class TransactionsController : ControllerBase
             _logger.LogInformation("Processed refund of {RefundAmount} for transaction {TransactionId}", 
                 request.RefundAmount, id);
 
+            await _hubContext.Clients.All.SendAsync("PaymentUpdated", refundTransaction.TransactionId, refundDto.Status);
             return Ok(refundDto);
         }
         catch (Exception ex)
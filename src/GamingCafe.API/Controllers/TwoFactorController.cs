@@ -32,8 +32,15 @@ public class TwoFactorController : ControllerBase
         var userId = GetUserIdFromClaims();
         if (userId == null) return Unauthorized();
 
-        var result = await _twoFactorService.SetupTwoFactorAsync(userId.Value, request.Password);
-        return Ok(result);
+        try
+        {
+            var result = await _twoFactorService.SetupTwoFactorAsync(userId.Value, request.Password);
+            return Ok(result);
+        }
+        catch (UnauthorizedAccessException)
+        {
+            return BadRequest("Invalid password");
+        }
     }
 
     [HttpPost("verify")]
@@ -60,8 +67,15 @@ public class TwoFactorController : ControllerBase
         var userId = GetUserIdFromClaims();
         if (userId == null) return Unauthorized();
 
-        var ok = await _twoFactorService.DisableTwoFactorAsync(userId.Value, request.Password);
-        return Ok(new { success = ok });
+        try
+        {
+            var ok = await _twoFactorService.DisableTwoFactorAsync(userId.Value, request.Password);
+            return Ok(new { success = ok });
+        }
+        catch (UnauthorizedAccessException)
+        {
+            return BadRequest("Invalid password");
+        }
     }
 
     [HttpPost("regen-codes")]
@@ -44,6 +44,11 @@ public class UsersController : ControllerBase
             {
                 users = users.Where(u => u.IsActive == parameters.IsActive.Value);
             }
+
+            if (parameters.IsEmailVerified.HasValue)
+            {
+                users = users.Where(u => u.IsEmailVerified == parameters.IsEmailVerified.Value);
+            }
             
             if (!string.IsNullOrEmpty(parameters.SearchTerm))
             {
@@ -83,6 +88,7 @@ public class UsersController : ControllerBase
                     IsActive = u.IsActive,
                     WalletBalance = 0m, // will populate below from Wallet table
                     LoyaltyPoints = u.LoyaltyPoints,
+                    IsEmailVerified = u.IsEmailVerified,
                     MembershipExpiryDate = u.MembershipExpiryDate,
                     LastLoginAt = u.LastLoginAt,
                     CreatedAt = u.CreatedAt
@@ -140,6 +146,7 @@ public class UsersController : ControllerBase
                 IsActive = user.IsActive,
                 WalletBalance = wallet?.Balance ?? 0m,
                 LoyaltyPoints = user.LoyaltyPoints,
+                IsEmailVerified = user.IsEmailVerified,
                 MembershipExpiryDate = user.MembershipExpiryDate,
                 LastLoginAt = user.LastLoginAt,
                 CreatedAt = user.CreatedAt
@@ -224,6 +231,7 @@ public class UsersController : ControllerBase
                 IsActive = user.IsActive,
                 WalletBalance = wallet?.Balance ?? 0m,
                 LoyaltyPoints = user.LoyaltyPoints,
+                IsEmailVerified = user.IsEmailVerified,
                 MembershipExpiryDate = user.MembershipExpiryDate,
                 LastLoginAt = user.LastLoginAt,
                 CreatedAt = user.CreatedAt
@@ -315,6 +323,7 @@ public class UsersController : ControllerBase
                 IsActive = user.IsActive,
                 WalletBalance = wallet.Balance,
                 LoyaltyPoints = user.LoyaltyPoints,
+                IsEmailVerified = user.IsEmailVerified,
                 MembershipExpiryDate = user.MembershipExpiryDate,
                 LastLoginAt = user.LastLoginAt,
                 CreatedAt = user.CreatedAt
@@ -549,6 +558,7 @@ public class UserDto
     public bool IsActive { get; set; }
     public decimal WalletBalance { get; set; }
     public int LoyaltyPoints { get; set; }
+    public bool IsEmailVerified { get; set; }
     public DateTime? MembershipExpiryDate { get; set; }
     public DateTime? LastLoginAt { get; set; }
     public DateTime CreatedAt { get; set; }
@@ -629,6 +639,7 @@ public class UserQueryParameters
     public string? SearchTerm { get; set; }
     public string? Role { get; set; }
     public bool? IsActive { get; set; }
+    public bool? IsEmailVerified { get; set; }
     public string? SortBy { get; set; } = "Username";
     public string SortDirection { get; set; } = "asc";
 }
@@ -1,7 +1,9 @@
+using Microsoft.AspNetCore.Authorization;
 using Microsoft.AspNetCore.SignalR;
 
 namespace GamingCafe.API.Hubs;
 
+[Authorize]
 public class GameCafeHub : Hub
 {
     public async Task JoinGroup(string groupName)
@@ -10,7 +10,7 @@ namespace GamingCafe.API.Middleware
     public class CorrelationMiddleware
     {
         private readonly RequestDelegate _next;
-        private const string HeaderName = "X-Correlation-ID";
+        public const string HeaderName = "X-Correlation-ID";
 
         public CorrelationMiddleware(RequestDelegate next)
         {
@@ -20,7 +20,8 @@ namespace GamingCafe.API.Middleware
         public async Task InvokeAsync(HttpContext context)
         {
             var correlationId = context.Request.Headers[HeaderName].ToString();
-            if (string.IsNullOrEmpty(correlationId))
+            // Client-supplied ids end up in logs and response headers; only accept short, plain tokens
+            if (string.IsNullOrEmpty(correlationId) || !IsValidCorrelationId(correlationId))
             {
                 correlationId = System.Guid.NewGuid().ToString();
             }
@@ -49,5 +50,15 @@ namespace GamingCafe.API.Middleware
                 await _next(context);
             }
         }
+
+        private static bool IsValidCorrelationId(string value)
+        {
+            if (value.Length > 64) return false;
+            foreach (var c in value)
+            {
+                if (!char.IsAsciiLetterOrDigit(c) && c != '-' && c != '_' && c != '.') return false;
+            }
+            return true;
+        }
     }
 }
@@ -11,6 +11,7 @@ namespace GamingCafe.API.Middleware
     public class IdempotencyMiddleware
     {
         private readonly RequestDelegate _next;
+        public const string ReplayedHeader = "Idempotent-Replayed";
 
         public IdempotencyMiddleware(RequestDelegate next)
         {
@@ -43,8 +44,9 @@ namespace GamingCafe.API.Middleware
             var existing = await db.IdempotencyKeys.FindAsync(key);
             if (existing != null && existing.ProcessedAt != null)
             {
-                // Replay stored response
+                // Replay stored response and flag it so clients can tell the operation was not repeated
                 context.Response.StatusCode = existing.ResponseStatus ?? 200;
+                context.Response.Headers[ReplayedHeader] = "true";
                 if (!string.IsNullOrEmpty(existing.ResponseBody))
                 {
                     context.Response.ContentType = "application/json";
@@ -53,20 +55,52 @@ namespace GamingCafe.API.Middleware
                 return;
             }
 
+            // A reserved but unprocessed key means the first request is still running (a double-click
+            // or a client retry that overtook it); refuse rather than execute the operation twice
+            if (existing != null)
+            {
+                await WriteInProgressAsync(context);
+                return;
+            }
+
             // Reserve the key to prevent concurrent processing
-            if (existing == null)
+            existing = new GamingCafe.Core.Models.IdempotencyKey { Key = key, Endpoint = context.Request.Path, ProcessedAt = null };
+            db.IdempotencyKeys.Add(existing);
+            try
             {
-                existing = new GamingCafe.Core.Models.IdempotencyKey { Key = key, Endpoint = context.Request.Path, ProcessedAt = null };
-                db.IdempotencyKeys.Add(existing);
                 await db.SaveChangesAsync();
             }
+            catch (Microsoft.EntityFrameworkCore.DbUpdateException)
+            {
+                // Lost the race to reserve the same key
+                await WriteInProgressAsync(context);
+                return;
+            }
 
             // Capture response
             var originalBody = context.Response.Body;
             using var memStream = new MemoryStream();
             context.Response.Body = memStream;
 
-            await _next(context);
+            try
+            {
+                await _next(context);
+            }
+            catch
+            {
+                // Release the reservation so the client can retry with the same key after a failure
+                context.Response.Body = originalBody;
+                try
+                {
+                    db.IdempotencyKeys.Remove(existing);
+                    await db.SaveChangesAsync();
+                }
+                catch
+                {
+                    // Best-effort cleanup
+                }
+                throw;
+            }
 
             // Read response body
             memStream.Seek(0, SeekOrigin.Begin);
@@ -75,6 +109,23 @@ namespace GamingCafe.API.Middleware
             await memStream.CopyToAsync(originalBody);
             context.Response.Body = originalBody;
 
+            // Only a final outcome is kept for replay. The middleware runs before authentication, so a
+            // 401 from an expired token (or a 403, a 429 or a server error) must not be replayed to the
+            // retry that follows the token refresh; release the key so that retry runs the request.
+            if (!IsFinalOutcome(context.Response.StatusCode))
+            {
+                try
+                {
+                    db.IdempotencyKeys.Remove(existing);
+                    await db.SaveChangesAsync();
+                }
+                catch
+                {
+                    // Best-effort cleanup
+                }
+                return;
+            }
+
             // Persist response snapshot and processed timestamp
             try
             {
@@ -88,5 +139,22 @@ namespace GamingCafe.API.Middleware
                 // Non-fatal: idempotency best-effort
             }
         }
+
+        private static bool IsFinalOutcome(int status)
+        {
+            return status < 500
+                && status != StatusCodes.Status401Unauthorized
+                && status != StatusCodes.Status403Forbidden
+                && status != StatusCodes.Status408RequestTimeout
+                && status != StatusCodes.Status429TooManyRequests;
+        }
+
+        private static Task WriteInProgressAsync(HttpContext context)
+        {
+            context.Response.StatusCode = StatusCodes.Status409Conflict;
+            context.Response.ContentType = "application/json";
+            // The code tells clients to keep the key: the first request may still succeed
+            return context.Response.WriteAsync("{\"code\":\"idempotency_in_progress\",\"message\":\"A request with this Idempotency-Key is already being processed\"}");
+        }
     }
 }
@@ -210,6 +210,10 @@ else
     dataProtectionBuilder.PersistKeysToFileSystem(new System.IO.DirectoryInfo(keysDir));
 }
 
+// Session time limits (GamingCafe:Session); the defaults in SessionSettings apply when unset
+builder.Services.Configure<GamingCafe.Core.Configuration.SessionSettings>(
+    builder.Configuration.GetSection($"{GamingCafe.Core.Configuration.GamingCafeSettings.SectionName}:Session"));
+
 // Bind rate limiting options from config
 builder.Services.Configure<RateLimitingOptions>(builder.Configuration.GetSection("RateLimiting"));
 var rlOptions = new RateLimitingOptions();
@@ -250,6 +254,19 @@ builder.Services.AddAuthentication(JwtBearerDefaults.AuthenticationScheme)
             ValidAudience = builder.Configuration["Jwt:Audience"],
             IssuerSigningKey = new SymmetricSecurityKey(Encoding.UTF8.GetBytes(jwtKey))
         };
+
+        // Browsers cannot set headers on WebSocket and SSE requests, so the SignalR client
+        // sends the access token in the query string for the hub endpoint
+        options.Events = new JwtBearerEvents
+        {
+            OnMessageReceived = context =>
+            {
+                var accessToken = context.Request.Query["access_token"];
+                if (!string.IsNullOrEmpty(accessToken) && context.HttpContext.Request.Path.StartsWithSegments("/gamecafehub"))
+                    context.Token = accessToken;
+                return Task.CompletedTask;
+            }
+        };
     });
 
 // Add Authorization and register named policies for policy-based authorization
@@ -318,7 +335,11 @@ builder.Services.AddCors(options =>
         policy.WithOrigins("http://localhost:3000", "http://localhost:5000", "http://localhost:7000")
               .AllowAnyHeader()
               .AllowAnyMethod()
-              .AllowCredentials();
+              .AllowCredentials()
+              .WithExposedHeaders(
+                  "Retry-After",
+                  GamingCafe.API.Middleware.IdempotencyMiddleware.ReplayedHeader,
+                  GamingCafe.API.Middleware.CorrelationMiddleware.HeaderName);
     });
 });
 
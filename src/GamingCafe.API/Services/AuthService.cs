@@ -17,6 +17,7 @@ namespace GamingCafe.API.Services;
 public interface IAuthService
 {
     Task<LoginResponse?> AuthenticateAsync(LoginRequest request);
+    Task<TwoFactorLoginResult> CompleteTwoFactorLoginAsync(TwoFactorVerifyRequest request, string? ipAddress = null);
     Task<RefreshTokenResponse?> RefreshTokenAsync(RefreshTokenRequest request);
     Task<User?> RegisterAsync(User user, string password);
     Task<bool> InitiatePasswordResetAsync(string email);
@@ -24,8 +25,16 @@ public interface IAuthService
     Task<bool> InitiateEmailVerificationAsync(string email);
     Task<bool> VerifyEmailAsync(EmailVerificationConfirmRequest request);
     Task<User?> GetUserByIdAsync(int userId);
+    Task<PasswordVerifyResult> VerifyPasswordAsync(int userId, string password);
+    Task<bool> SetPinAsync(int userId, string currentPassword, string pin);
+    Task RemovePinAsync(int userId);
+    Task<PinVerifyResult> VerifyPinAsync(int userId, string pin);
+    Task<ParkSessionResponse?> ParkSessionAsync(int userId, string refreshToken);
+    Task<ResumeSessionResult> ResumeParkedSessionAsync(ResumeSessionRequest request, string? ipAddress = null);
+    Task<bool> DiscardParkedSessionAsync(Guid parkedSessionId, int userId);
     Task<User?> GetUserByUsernameAsync(string username);
     Task<bool> RevokeRefreshTokenAsync(string refreshToken);
+    Task<int> RevokeAllRefreshTokensAsync(int userId);
     
     // Legacy method for backward compatibility
     Task<string?> AuthenticateAsync(string username, string password);
@@ -40,6 +49,8 @@ public class AuthService : IAuthService
     private readonly Microsoft.Extensions.Caching.Memory.IMemoryCache _cache;
     private readonly Microsoft.Extensions.Caching.Distributed.IDistributedCache? _distributedCache;
     private readonly TimeSpan _twoFactorTtl;
+    private readonly int _maxTwoFactorAttempts;
+    private readonly TimeSpan _twoFactorLockout;
 
     public AuthService(GamingCafeContext context, IConfiguration configuration, IServiceProvider serviceProvider, Microsoft.Extensions.Caching.Memory.IMemoryCache cache, Microsoft.Extensions.Caching.Distributed.IDistributedCache? distributedCache = null, IBackgroundTaskQueue? taskQueue = null)
     {
@@ -52,6 +63,9 @@ public class AuthService : IAuthService
         // TTL for transient 2FA tokens; config key: Auth:TwoFactor:TransientTtlMinutes
         var ttlMinutes = _configuration.GetValue<int?>("Auth:TwoFactor:TransientTtlMinutes") ?? 5;
         _twoFactorTtl = TimeSpan.FromMinutes(ttlMinutes);
+        // Wrong codes allowed before 2FA sign-in is locked; config keys: Auth:TwoFactor:MaxAttempts, Auth:TwoFactor:LockoutMinutes
+        _maxTwoFactorAttempts = _configuration.GetValue<int?>("Auth:TwoFactor:MaxAttempts") ?? 5;
+        _twoFactorLockout = TimeSpan.FromMinutes(_configuration.GetValue<int?>("Auth:TwoFactor:LockoutMinutes") ?? 15);
     }
 
     private async Task SetTwoFactorTokenAsync(string token, int userId, TimeSpan ttl)
@@ -111,6 +125,76 @@ public class AuthService : IAuthService
         _cache.Remove(key);
     }
 
+    private async Task SetCachedTicksAsync(string key, long value, TimeSpan ttl)
+    {
+        if (_distributedCache != null)
+        {
+            var options = new Microsoft.Extensions.Caching.Distributed.DistributedCacheEntryOptions
+            {
+                AbsoluteExpirationRelativeToNow = ttl
+            };
+            await _distributedCache.SetAsync(key, BitConverter.GetBytes(value), options);
+            return;
+        }
+
+        _cache.Set(key, value, ttl);
+    }
+
+    private async Task<long?> GetCachedTicksAsync(string key)
+    {
+        if (_distributedCache != null)
+        {
+            try
+            {
+                var bytes = await _distributedCache.GetAsync(key);
+                if (bytes == null || bytes.Length < sizeof(long)) return null;
+                return BitConverter.ToInt64(bytes, 0);
+            }
+            catch
+            {
+                return null;
+            }
+        }
+
+        return _cache.TryGetValue(key, out var obj) && obj is long value ? value : null;
+    }
+
+    private async Task RemoveCachedAsync(string key)
+    {
+        if (_distributedCache != null)
+        {
+            await _distributedCache.RemoveAsync(key);
+            return;
+        }
+
+        _cache.Remove(key);
+    }
+
+    // Failed codes are counted per user, not per challenge, so starting the login over does not reset them
+    private async Task<DateTime?> GetTwoFactorLockoutAsync(int userId)
+    {
+        var ticks = await GetCachedTicksAsync($"auth:2fa:lock:{userId}");
+        if (ticks == null) return null;
+        var until = new DateTime(ticks.Value, DateTimeKind.Utc);
+        return until > DateTime.UtcNow ? until : null;
+    }
+
+    private async Task<int> RecordTwoFactorFailureAsync(int userId)
+    {
+        var key = $"auth:2fa:failures:{userId}";
+        var failures = (int)((await GetCachedTicksAsync(key)) ?? 0) + 1;
+        await SetCachedTicksAsync(key, failures, _twoFactorLockout);
+        return failures;
+    }
+
+    private async Task<DateTime> LockTwoFactorAsync(int userId)
+    {
+        var until = DateTime.UtcNow.Add(_twoFactorLockout);
+        await SetCachedTicksAsync($"auth:2fa:lock:{userId}", until.Ticks, _twoFactorLockout);
+        await RemoveCachedAsync($"auth:2fa:failures:{userId}");
+        return until;
+    }
+
     public async Task<LoginResponse?> AuthenticateAsync(LoginRequest request)
     {
         var user = await _context.Users
@@ -134,6 +218,7 @@ public class AuthService : IAuthService
                 {
                     RequiresTwoFactor = true,
                     TwoFactorToken = twoFactorToken,
+                    TwoFactorExpiresAt = DateTime.UtcNow.Add(_twoFactorTtl),
                     User = new UserDto
                         {
                             UserId = user.UserId,
@@ -158,6 +243,9 @@ public class AuthService : IAuthService
                 return null;
             }
 
+            if (await GetTwoFactorLockoutAsync(user.UserId) != null)
+                return null;
+
             // Verify 2FA code or recovery code
             bool isValidTwoFactor = false;
             if (!string.IsNullOrEmpty(request.TwoFactorCode))
@@ -172,10 +260,72 @@ public class AuthService : IAuthService
             }
 
             if (!isValidTwoFactor)
+            {
+                if (await RecordTwoFactorFailureAsync(user.UserId) >= _maxTwoFactorAttempts)
+                    await LockTwoFactorAsync(user.UserId);
                 return null;
+            }
 
             // Remove transient token after successful verification
             await RemoveTwoFactorTokenAsync(request.TwoFactorToken!);
+            await RemoveCachedAsync($"auth:2fa:failures:{user.UserId}");
+        }
+
+        return await IssueLoginResponseAsync(user, request.IpAddress, request.DeviceInfo);
+    }
+
+    public async Task<TwoFactorLoginResult> CompleteTwoFactorLoginAsync(TwoFactorVerifyRequest request, string? ipAddress = null)
+    {
+        var userId = string.IsNullOrEmpty(request.TwoFactorToken) ? null : await TryGetTwoFactorUserIdAsync(request.TwoFactorToken);
+        if (userId == null)
+            return new TwoFactorLoginResult { Status = TwoFactorLoginStatus.Expired };
+
+        var lockedUntil = await GetTwoFactorLockoutAsync(userId.Value);
+        if (lockedUntil != null)
+            return new TwoFactorLoginResult { Status = TwoFactorLoginStatus.LockedOut, LockedUntil = lockedUntil };
+
+        var user = await _context.Users.FirstOrDefaultAsync(u => u.UserId == userId.Value && u.IsActive);
+        if (user == null || !user.IsTwoFactorEnabled)
+        {
+            await RemoveTwoFactorTokenAsync(request.TwoFactorToken!);
+            return new TwoFactorLoginResult { Status = TwoFactorLoginStatus.Expired };
+        }
+
+        var twoFactorService = _serviceProvider.GetRequiredService<ITwoFactorService>();
+        var isValid = false;
+        if (!string.IsNullOrEmpty(request.RecoveryCode))
+            isValid = await twoFactorService.VerifyRecoveryCodeAsync(user.UserId, request.RecoveryCode);
+        else if (!string.IsNullOrEmpty(request.Code))
+            isValid = await twoFactorService.VerifyTwoFactorAsync(user.UserId, request.Code);
+
+        if (!isValid)
+        {
+            var failures = await RecordTwoFactorFailureAsync(user.UserId);
+            if (failures < _maxTwoFactorAttempts)
+                return new TwoFactorLoginResult { Status = TwoFactorLoginStatus.InvalidCode, RemainingAttempts = _maxTwoFactorAttempts - failures };
+
+            // Locked out: this challenge is spent, the user has to start over once the lock expires
+            await RemoveTwoFactorTokenAsync(request.TwoFactorToken!);
+            return new TwoFactorLoginResult { Status = TwoFactorLoginStatus.LockedOut, LockedUntil = await LockTwoFactorAsync(user.UserId) };
+        }
+
+        await RemoveTwoFactorTokenAsync(request.TwoFactorToken!);
+        await RemoveCachedAsync($"auth:2fa:failures:{user.UserId}");
+
+        return new TwoFactorLoginResult
+        {
+            Status = TwoFactorLoginStatus.Succeeded,
+            Response = await IssueLoginResponseAsync(user, ipAddress, request.DeviceInfo)
+        };
+    }
+
+    private async Task<LoginResponse> IssueLoginResponseAsync(User user, string? ipAddress, string? deviceInfo, bool passwordVerified = true)
+    {
+        // A full sign-in proves the password, so an earlier lock-screen lockout no longer applies
+        if (passwordVerified)
+        {
+            await RemoveCachedAsync($"auth:unlock:failures:{user.UserId}");
+            await RemoveCachedAsync($"auth:unlock:lock:{user.UserId}");
         }
 
         var accessToken = GenerateJwtToken(user);
@@ -189,8 +339,8 @@ public class AuthService : IAuthService
             UserId = user.UserId,
             TokenHash = refreshTokenHash,
             ExpiresAt = DateTime.UtcNow.AddDays(7),
-            IpAddress = request.IpAddress ?? null,
-            DeviceInfo = request.DeviceInfo ?? null
+            IpAddress = ipAddress,
+            DeviceInfo = deviceInfo
         };
 
         _context.RefreshTokens.Add(refreshTokenEntity);
@@ -218,7 +368,8 @@ public class AuthService : IAuthService
                 Role = user.Role,
                 WalletBalance = (await _context.Wallets.FirstOrDefaultAsync(w => w.UserId == user.UserId))?.Balance ?? 0m,
                 LoyaltyPoints = user.LoyaltyPoints,
-                IsTwoFactorEnabled = user.IsTwoFactorEnabled
+                IsTwoFactorEnabled = user.IsTwoFactorEnabled,
+                HasPin = user.PinHash != null
             }
         };
     }
@@ -433,6 +584,17 @@ public class AuthService : IAuthService
         return true;
     }
 
+    // "Sign out everywhere": no device can refresh its access token after this
+    public async Task<int> RevokeAllRefreshTokensAsync(int userId)
+    {
+        var tokens = await _context.RefreshTokens.Where(t => t.UserId == userId && t.RevokedAt == null).ToListAsync();
+        foreach (var token in tokens)
+            token.RevokedAt = DateTime.UtcNow;
+
+        await _context.SaveChangesAsync();
+        return tokens.Count;
+    }
+
     // Legacy method for backward compatibility
     public async Task<string?> AuthenticateAsync(string username, string password)
     {
@@ -516,6 +678,171 @@ public class AuthService : IAuthService
             .FirstOrDefaultAsync(u => u.UserId == userId && u.IsActive);
     }
 
+    // Re-checks the signed-in user's password without issuing tokens (unlocking an idle screen).
+    // Anyone at an unattended terminal can type here, so wrong guesses lock it out like the PIN.
+    public async Task<PasswordVerifyResult> VerifyPasswordAsync(int userId, string password)
+    {
+        var user = await GetUserByIdAsync(userId);
+        var check = await CheckWithLockoutAsync("unlock", userId, () => user != null && BCrypt.Net.BCrypt.Verify(password, user.PasswordHash));
+        return new PasswordVerifyResult
+        {
+            Status = check.LockedUntil != null ? PasswordVerifyStatus.LockedOut : check.Passed ? PasswordVerifyStatus.Succeeded : PasswordVerifyStatus.InvalidPassword,
+            RemainingAttempts = check.RemainingAttempts,
+            LockedUntil = check.LockedUntil
+        };
+    }
+
+    // Quick-switch PIN for handing a shared terminal between staff who are already signed in
+    // on it. Setting one needs the account password; it never replaces the password sign-in.
+    public async Task<bool> SetPinAsync(int userId, string currentPassword, string pin)
+    {
+        var user = await GetUserByIdAsync(userId);
+        if (user == null || !BCrypt.Net.BCrypt.Verify(currentPassword, user.PasswordHash))
+            return false;
+
+        user.PinHash = BCrypt.Net.BCrypt.HashPassword(pin);
+        await _context.SaveChangesAsync();
+        await RemoveCachedAsync($"auth:pin:failures:{userId}");
+        await RemoveCachedAsync($"auth:pin:lock:{userId}");
+        return true;
+    }
+
+    public async Task RemovePinAsync(int userId)
+    {
+        var user = await GetUserByIdAsync(userId);
+        if (user == null || user.PinHash == null) return;
+
+        user.PinHash = null;
+        await _context.SaveChangesAsync();
+    }
+
+    // A short PIN is easy to guess, so wrong ones lock it out with the 2FA attempt and lockout settings
+    public async Task<PinVerifyResult> VerifyPinAsync(int userId, string pin)
+    {
+        var user = await GetUserByIdAsync(userId);
+        if (user?.PinHash == null)
+            return new PinVerifyResult { Status = PinVerifyStatus.NotSet };
+
+        var check = await CheckWithLockoutAsync("pin", userId, () => BCrypt.Net.BCrypt.Verify(pin, user.PinHash));
+        return new PinVerifyResult
+        {
+            Status = check.LockedUntil != null ? PinVerifyStatus.LockedOut : check.Passed ? PinVerifyStatus.Succeeded : PinVerifyStatus.InvalidPin,
+            RemainingAttempts = check.RemainingAttempts,
+            LockedUntil = check.LockedUntil
+        };
+    }
+
+    // The operator stepping away hands in their refresh token. It is revoked and replaced by one
+    // whose raw value is never sent anywhere, so nothing in the browser can use the parked session;
+    // only ResumeParkedSessionAsync, with the PIN, turns it back into tokens. The cache entry marks
+    // the replacement as parked, so no other refresh token can be resumed by id.
+    public async Task<ParkSessionResponse?> ParkSessionAsync(int userId, string refreshToken)
+    {
+        var hash = ComputeHash(refreshToken);
+        var token = await _context.RefreshTokens.FirstOrDefaultAsync(t => t.TokenHash == hash && t.UserId == userId);
+        if (token == null || !token.IsActive)
+            return null;
+
+        var parked = new GamingCafe.Core.Models.RefreshToken
+        {
+            UserId = userId,
+            TokenHash = ComputeHash(GenerateRefreshToken()),
+            ExpiresAt = token.ExpiresAt,
+            IpAddress = token.IpAddress,
+            DeviceInfo = token.DeviceInfo
+        };
+        token.RevokedAt = DateTime.UtcNow;
+        token.ReplacedByTokenId = parked.TokenId;
+        _context.RefreshTokens.Add(parked);
+        await _context.SaveChangesAsync();
+
+        await SetCachedTicksAsync($"auth:parked:{parked.TokenId}", userId, parked.ExpiresAt - DateTime.UtcNow);
+        return new ParkSessionResponse { ParkedSessionId = parked.TokenId, ExpiresAt = parked.ExpiresAt };
+    }
+
+    // Wrong PINs count towards the same lockout as VerifyPinAsync. A parked session that was
+    // revoked meanwhile (sign out everywhere, an admin) or has expired is over.
+    public async Task<ResumeSessionResult> ResumeParkedSessionAsync(ResumeSessionRequest request, string? ipAddress = null)
+    {
+        var key = $"auth:parked:{request.ParkedSessionId}";
+        var parkedUserId = await GetCachedTicksAsync(key);
+        if (parkedUserId == null)
+            return new ResumeSessionResult { Status = ResumeSessionStatus.Ended };
+
+        var userId = (int)parkedUserId.Value;
+        var parked = await _context.RefreshTokens.FirstOrDefaultAsync(t => t.TokenId == request.ParkedSessionId && t.UserId == userId);
+        var user = await GetUserByIdAsync(userId);
+        if (parked == null || !parked.IsActive || user == null)
+        {
+            await RemoveCachedAsync(key);
+            return new ResumeSessionResult { Status = ResumeSessionStatus.Ended };
+        }
+
+        var pin = await VerifyPinAsync(userId, request.Pin);
+        switch (pin.Status)
+        {
+            case PinVerifyStatus.NotSet:
+                return new ResumeSessionResult { Status = ResumeSessionStatus.NotSet };
+            case PinVerifyStatus.InvalidPin:
+                return new ResumeSessionResult { Status = ResumeSessionStatus.InvalidPin, RemainingAttempts = pin.RemainingAttempts };
+            case PinVerifyStatus.LockedOut:
+                return new ResumeSessionResult { Status = ResumeSessionStatus.LockedOut, LockedUntil = pin.LockedUntil };
+        }
+
+        // Saved together with the new refresh token
+        parked.RevokedAt = DateTime.UtcNow;
+        await RemoveCachedAsync(key);
+        var response = await IssueLoginResponseAsync(user, ipAddress, request.DeviceInfo ?? parked.DeviceInfo, passwordVerified: false);
+        return new ResumeSessionResult { Status = ResumeSessionStatus.Succeeded, Response = response };
+    }
+
+    // A parked operator who signs in with their password instead leaves nothing behind. Only that
+    // operator can discard it: the id alone, which every browser on the terminal has, is not enough.
+    public async Task<bool> DiscardParkedSessionAsync(Guid parkedSessionId, int userId)
+    {
+        var key = $"auth:parked:{parkedSessionId}";
+        if (await GetCachedTicksAsync(key) != userId)
+            return false;
+
+        var parked = await _context.RefreshTokens.FirstOrDefaultAsync(t => t.TokenId == parkedSessionId && t.UserId == userId);
+        if (parked != null && parked.RevokedAt == null)
+        {
+            parked.RevokedAt = DateTime.UtcNow;
+            await _context.SaveChangesAsync();
+        }
+        await RemoveCachedAsync(key);
+        return true;
+    }
+
+    // Counts wrong guesses per user under auth:{scope}:failures and, at the 2FA attempt limit, locks
+    // the check for the 2FA lockout period. LockedUntil is set whenever the check is locked.
+    private async Task<(bool Passed, int RemainingAttempts, DateTime? LockedUntil)> CheckWithLockoutAsync(string scope, int userId, Func<bool> verify)
+    {
+        var lockKey = $"auth:{scope}:lock:{userId}";
+        var lockTicks = await GetCachedTicksAsync(lockKey);
+        if (lockTicks != null && new DateTime(lockTicks.Value, DateTimeKind.Utc) > DateTime.UtcNow)
+            return (false, 0, new DateTime(lockTicks.Value, DateTimeKind.Utc));
+
+        var failuresKey = $"auth:{scope}:failures:{userId}";
+        if (verify())
+        {
+            await RemoveCachedAsync(failuresKey);
+            return (true, _maxTwoFactorAttempts, null);
+        }
+
+        var failures = (int)((await GetCachedTicksAsync(failuresKey)) ?? 0) + 1;
+        if (failures < _maxTwoFactorAttempts)
+        {
+            await SetCachedTicksAsync(failuresKey, failures, _twoFactorLockout);
+            return (false, _maxTwoFactorAttempts - failures, null);
+        }
+
+        var until = DateTime.UtcNow.Add(_twoFactorLockout);
+        await SetCachedTicksAsync(lockKey, until.Ticks, _twoFactorLockout);
+        await RemoveCachedAsync(failuresKey);
+        return (false, 0, until);
+    }
+
     public async Task<User?> GetUserByUsernameAsync(string username)
     {
         return await _context.Users
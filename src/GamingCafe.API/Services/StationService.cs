@@ -15,6 +15,7 @@ public interface IStationService
     Task<bool> EndSessionAsync(int stationId);
     Task<bool> ToggleAvailabilityAsync(int stationId);
     Task<IEnumerable<GameStation>> GetAvailableStationsAsync();
+    Task<IReadOnlyList<GameStation>> UpdateFloorLayoutAsync(IReadOnlyDictionary<int, (int? X, int? Y)> positions);
 }
 
 public class StationService : IStationService
@@ -93,6 +94,8 @@ public class StationService : IStationService
         existingStation.Storage = station.Storage;
         existingStation.IpAddress = station.IpAddress;
         existingStation.MacAddress = station.MacAddress;
+        existingStation.Location = station.Location;
+        existingStation.IsUnderMaintenance = station.IsUnderMaintenance;
 
         await _context.SaveChangesAsync();
         return existingStation;
@@ -169,10 +172,29 @@ public class StationService : IStationService
     public async Task<IEnumerable<GameStation>> GetAvailableStationsAsync()
     {
         return await _context.GameStations
-            .Where(s => s.IsActive && s.IsAvailable && !s.CurrentUserId.HasValue)
+            .Where(s => s.IsActive && s.IsAvailable && !s.IsUnderMaintenance && !s.CurrentUserId.HasValue)
             .ToListAsync();
     }
 
+    // Moves stations on the floor map; a null cell takes a station off the map. The caller
+    // checks that the stations exist and that no two end up on the same cell.
+    public async Task<IReadOnlyList<GameStation>> UpdateFloorLayoutAsync(IReadOnlyDictionary<int, (int? X, int? Y)> positions)
+    {
+        var ids = positions.Keys.ToList();
+        var stations = await _context.GameStations
+            .Include(s => s.CurrentUser)
+            .Where(s => s.IsActive && ids.Contains(s.StationId))
+            .ToListAsync();
+
+        foreach (var station in stations)
+        {
+            (station.FloorX, station.FloorY) = positions[station.StationId];
+        }
+
+        await _context.SaveChangesAsync();
+        return stations;
+    }
+
     private decimal CalculateSessionCost(DateTime startTime, DateTime endTime, decimal hourlyRate)
     {
         var duration = endTime.Subtract(startTime);
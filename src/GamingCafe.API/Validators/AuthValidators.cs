@@ -151,5 +151,20 @@ public class RegisterRequestValidator : AbstractValidator<GamingCafe.Core.DTOs.R
             .MaximumLength(100).WithMessage("Password must not exceed 100 characters")
             .Matches(@"^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)(?=.*[@$!%*?&])[A-Za-z\d@$!%*?&]")
             .WithMessage("Password must contain at least one uppercase letter, one lowercase letter, one digit, and one special character");
+
+        // The profile fields stay optional for existing callers; the registration page requires them
+        // itself. When supplied they get the same limits as CreateUserRequestValidator.
+        RuleFor(x => x.FirstName).MaximumLength(100);
+        RuleFor(x => x.LastName).MaximumLength(100);
+        RuleFor(x => x.PhoneNumber).MinimumLength(7).MaximumLength(20).When(x => !string.IsNullOrEmpty(x.PhoneNumber));
+
+        RuleFor(x => x.DateOfBirth)
+            .LessThan(_ => DateTime.UtcNow.Date).WithMessage("Date of birth must be in the past")
+            .GreaterThan(new DateTime(1900, 1, 1)).WithMessage("Date of birth is not valid")
+            .When(x => x.DateOfBirth != default);
+
+        RuleFor(x => x.AcceptTerms)
+            .Equal(true).WithMessage("You must accept the terms and conditions")
+            .When(x => x.AcceptTerms.HasValue);
     }
 }
@@ -28,6 +28,8 @@ public class LoginResponse
     public UserDto User { get; set; } = new();
     public bool RequiresTwoFactor { get; set; }
     public string? TwoFactorToken { get; set; }
+    // When the TwoFactorToken stops being accepted by verify-2fa
+    public DateTime? TwoFactorExpiresAt { get; set; }
 }
 
 public class RefreshTokenRequest
@@ -77,6 +79,8 @@ public class TwoFactorSetupRequest
 public class TwoFactorSetupResponse
 {
     public string SecretKey { get; set; } = string.Empty;
+    // otpauth:// URI for authenticator apps; clients can render it as a QR code themselves
+    public string ProvisioningUri { get; set; } = string.Empty;
     public string QrCodeDataUrl { get; set; } = string.Empty;
     public List<string> RecoveryCodes { get; set; } = new();
 }
@@ -85,6 +89,107 @@ public class TwoFactorVerifyRequest
 {
     public string Code { get; set; } = string.Empty;
     public string? RecoveryCode { get; set; }
+    // Set when completing a login: the transient token returned by /auth/login
+    public string? TwoFactorToken { get; set; }
+    public string? DeviceInfo { get; set; }
+}
+
+public enum TwoFactorLoginStatus
+{
+    Succeeded,
+    Expired,
+    InvalidCode,
+    LockedOut
+}
+
+public class TwoFactorLoginResult
+{
+    public TwoFactorLoginStatus Status { get; set; }
+    public LoginResponse? Response { get; set; }
+    public int RemainingAttempts { get; set; }
+    public DateTime? LockedUntil { get; set; }
+}
+
+public enum PinVerifyStatus
+{
+    Succeeded,
+    NotSet,
+    InvalidPin,
+    LockedOut
+}
+
+public class PinVerifyResult
+{
+    public PinVerifyStatus Status { get; set; }
+    public int RemainingAttempts { get; set; }
+    public DateTime? LockedUntil { get; set; }
+}
+
+public enum PasswordVerifyStatus
+{
+    Succeeded,
+    InvalidPassword,
+    LockedOut
+}
+
+public class PasswordVerifyResult
+{
+    public PasswordVerifyStatus Status { get; set; }
+    public int RemainingAttempts { get; set; }
+    public DateTime? LockedUntil { get; set; }
+}
+
+// Quick switching on a shared terminal: the session handed in is parked on the server and the
+// browser keeps only ParkedSessionId, which the operator's PIN turns back into tokens
+public class ParkSessionRequest
+{
+    [Required]
+    public string RefreshToken { get; set; } = string.Empty;
+}
+
+public class ParkSessionResponse
+{
+    public Guid ParkedSessionId { get; set; }
+    public DateTime ExpiresAt { get; set; }
+}
+
+public class ResumeSessionRequest
+{
+    public Guid ParkedSessionId { get; set; }
+    public string Pin { get; set; } = string.Empty;
+    public string? DeviceInfo { get; set; }
+}
+
+public enum ResumeSessionStatus
+{
+    Succeeded,
+    Ended,
+    NotSet,
+    InvalidPin,
+    LockedOut
+}
+
+public class ResumeSessionResult
+{
+    public ResumeSessionStatus Status { get; set; }
+    public LoginResponse? Response { get; set; }
+    public int RemainingAttempts { get; set; }
+    public DateTime? LockedUntil { get; set; }
+}
+
+public class SetPinRequest
+{
+    [Required]
+    public string CurrentPassword { get; set; } = string.Empty;
+
+    [Required]
+    [RegularExpression(@"^\d{4,6}$", ErrorMessage = "PIN must be 4 to 6 digits")]
+    public string Pin { get; set; } = string.Empty;
+}
+
+public class VerifyPinRequest
+{
+    public string Pin { get; set; } = string.Empty;
 }
 
 public class TwoFactorDisableRequest
@@ -114,4 +219,5 @@ public class UserDto
     public int LoyaltyPoints { get; set; }
     public bool IsEmailVerified { get; set; }
     public bool IsTwoFactorEnabled { get; set; }
+    public bool HasPin { get; set; }
 }
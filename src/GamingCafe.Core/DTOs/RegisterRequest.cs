@@ -9,4 +9,6 @@ public class RegisterRequest
     public string LastName { get; set; } = string.Empty;
     public string PhoneNumber { get; set; } = string.Empty;
     public DateTime DateOfBirth { get; set; }
+    // Sent by the registration page; null for callers that predate it
+    public bool? AcceptTerms { get; set; }
 }
\ No newline at end of file
@@ -13,6 +13,13 @@ public class GameSession
     public DateTime? EndTime { get; set; }
     public TimeSpan? Duration => EndTime?.Subtract(StartTime);
 
+    // When the prepaid time runs out; null for open-ended sessions. Time spent paused is
+    // added back on resume.
+    public DateTime? PlannedEndTime { get; set; }
+    public DateTime? PausedAt { get; set; }
+    // Paused time of the pauses already resumed, which PlannedEndTime has been pushed back by
+    public TimeSpan TotalPausedTime { get; set; }
+
     public decimal HourlyRate { get; set; }
     public decimal TotalCost { get; set; }
     public bool IsPaid { get; set; } = false;
@@ -43,6 +43,12 @@ public class GameStation
     [StringLength(500)]
     public string Notes { get; set; } = string.Empty;
     public DateTime? LastMaintenance { get; set; }
+    // Taken out of service: no sessions can be started on it until it is cleared
+    public bool IsUnderMaintenance { get; set; }
+
+    // Cell on the admin floor map; null until the station has been placed
+    public int? FloorX { get; set; }
+    public int? FloorY { get; set; }
 
     // Current session info
     public int? CurrentUserId { get; set; }
@@ -47,6 +47,9 @@ public class User
     public string? TwoFactorSecretKey { get; set; }
     public string? TwoFactorRecoveryCode { get; set; }
 
+    // Quick-switch PIN for shared front-desk terminals (BCrypt hash); null when not set
+    public string? PinHash { get; set; }
+
     // Wallet and Loyalty
     [Obsolete("Use the Wallet entity (Wallets table) as the canonical source of truth for balances. This property is kept for backward compatibility.")]
     public decimal WalletBalance { get; set; } = 0;
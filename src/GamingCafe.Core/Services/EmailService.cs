@@ -21,6 +21,7 @@ public class EmailService : IEmailService
 {
     private readonly ILogger<EmailService> _logger;
     private readonly SmtpConfiguration _smtpConfig;
+    private readonly string _appBaseUrl;
     private readonly SemaphoreSlim _rateLimitSemaphore;
     private readonly IBackgroundTaskQueue? _taskQueue;
     private readonly Dictionary<string, EmailTemplate> _templates;
@@ -32,6 +33,8 @@ public class EmailService : IEmailService
     {
         _logger = logger;
         _smtpConfig = LoadSmtpConfiguration(configuration);
+        // Reset and verification links open the admin app's pages, not the API
+        _appBaseUrl = (configuration["Email:AppBaseUrl"] ?? "http://localhost:3000").TrimEnd('/');
         _rateLimitSemaphore = new SemaphoreSlim(_smtpConfig.MaxConnections, _smtpConfig.MaxConnections);
         _templates = LoadDefaultTemplates();
         _emailHistory = new List<EmailResult>();
@@ -468,7 +471,8 @@ public class EmailService : IEmailService
                 Variables = new Dictionary<string, object>
                 {
                     ["resetToken"] = resetToken,
-                    ["resetUrl"] = $"https://localhost:5001/reset-password?token={resetToken}",
+                    // The reset endpoint needs the address as well as the token
+                    ["resetUrl"] = $"{_appBaseUrl}/reset-password?token={Uri.EscapeDataString(resetToken)}&email={Uri.EscapeDataString(to)}",
                     ["expiryTime"] = DateTime.UtcNow.AddHours(24).ToString("yyyy-MM-dd HH:mm UTC")
                 }
             };
@@ -497,7 +501,7 @@ public class EmailService : IEmailService
                     <body>
                         <h2>Welcome to Gaming Café, {userName}!</h2>
                         <p>Please verify your email address by clicking the link below:</p>
-                        <a href='https://localhost:5001/verify-email?token={verificationToken}' style='background-color: #007bff; color: white; padding: 10px 20px; text-decoration: none; border-radius: 5px;'>Verify Email</a>
+                        <a href='{_appBaseUrl}/verify-email?token={Uri.EscapeDataString(verificationToken)}&email={Uri.EscapeDataString(to)}' style='background-color: #007bff; color: white; padding: 10px 20px; text-decoration: none; border-radius: 5px;'>Verify Email</a>
                         <p>If you didn't create an account, please ignore this email.</p>
                         <p>Best regards,<br>Gaming Café Team</p>
                     </body>
@@ -0,0 +1,31 @@
+using Microsoft.EntityFrameworkCore.Infrastructure;
+using Microsoft.EntityFrameworkCore.Migrations;
+
+#nullable disable
+
+namespace GamingCafe.Data.Migrations
+{
+    /// <inheritdoc />
+    [DbContext(typeof(GamingCafeContext))]
+    [Migration("20251019090000_AddUserPinHash")]
+    public partial class AddUserPinHash : Migration
+    {
+        /// <inheritdoc />
+        protected override void Up(MigrationBuilder migrationBuilder)
+        {
+            migrationBuilder.AddColumn<string>(
+                name: "PinHash",
+                table: "Users",
+                type: "text",
+                nullable: true);
+        }
+
+        /// <inheritdoc />
+        protected override void Down(MigrationBuilder migrationBuilder)
+        {
+            migrationBuilder.DropColumn(
+                name: "PinHash",
+                table: "Users");
+        }
+    }
+}
@@ -0,0 +1,42 @@
+using System;
+using Microsoft.EntityFrameworkCore.Infrastructure;
+using Microsoft.EntityFrameworkCore.Migrations;
+
+#nullable disable
+
+namespace GamingCafe.Data.Migrations
+{
+    /// <inheritdoc />
+    [DbContext(typeof(GamingCafeContext))]
+    [Migration("20251019120000_AddSessionPlannedEndTime")]
+    public partial class AddSessionPlannedEndTime : Migration
+    {
+        /// <inheritdoc />
+        protected override void Up(MigrationBuilder migrationBuilder)
+        {
+            migrationBuilder.AddColumn<DateTime>(
+                name: "PlannedEndTime",
+                table: "GameSessions",
+                type: "timestamp with time zone",
+                nullable: true);
+
+            migrationBuilder.AddColumn<DateTime>(
+                name: "PausedAt",
+                table: "GameSessions",
+                type: "timestamp with time zone",
+                nullable: true);
+        }
+
+        /// <inheritdoc />
+        protected override void Down(MigrationBuilder migrationBuilder)
+        {
+            migrationBuilder.DropColumn(
+                name: "PlannedEndTime",
+                table: "GameSessions");
+
+            migrationBuilder.DropColumn(
+                name: "PausedAt",
+                table: "GameSessions");
+        }
+    }
+}
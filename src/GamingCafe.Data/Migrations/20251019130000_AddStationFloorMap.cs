@@ -0,0 +1,52 @@
+using Microsoft.EntityFrameworkCore.Infrastructure;
+using Microsoft.EntityFrameworkCore.Migrations;
+
+#nullable disable
+
+namespace GamingCafe.Data.Migrations
+{
+    /// <inheritdoc />
+    [DbContext(typeof(GamingCafeContext))]
+    [Migration("20251019130000_AddStationFloorMap")]
+    public partial class AddStationFloorMap : Migration
+    {
+        /// <inheritdoc />
+        protected override void Up(MigrationBuilder migrationBuilder)
+        {
+            migrationBuilder.AddColumn<int>(
+                name: "FloorX",
+                table: "GameStations",
+                type: "integer",
+                nullable: true);
+
+            migrationBuilder.AddColumn<int>(
+                name: "FloorY",
+                table: "GameStations",
+                type: "integer",
+                nullable: true);
+
+            migrationBuilder.AddColumn<bool>(
+                name: "IsUnderMaintenance",
+                table: "GameStations",
+                type: "boolean",
+                nullable: false,
+                defaultValue: false);
+        }
+
+        /// <inheritdoc />
+        protected override void Down(MigrationBuilder migrationBuilder)
+        {
+            migrationBuilder.DropColumn(
+                name: "FloorX",
+                table: "GameStations");
+
+            migrationBuilder.DropColumn(
+                name: "FloorY",
+                table: "GameStations");
+
+            migrationBuilder.DropColumn(
+                name: "IsUnderMaintenance",
+                table: "GameStations");
+        }
+    }
+}
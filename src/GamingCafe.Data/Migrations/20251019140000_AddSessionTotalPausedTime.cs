@@ -0,0 +1,33 @@
+using System;
+using Microsoft.EntityFrameworkCore.Infrastructure;
+using Microsoft.EntityFrameworkCore.Migrations;
+
+#nullable disable
+
+namespace GamingCafe.Data.Migrations
+{
+    /// <inheritdoc />
+    [DbContext(typeof(GamingCafeContext))]
+    [Migration("20251019140000_AddSessionTotalPausedTime")]
+    public partial class AddSessionTotalPausedTime : Migration
+    {
+        /// <inheritdoc />
+        protected override void Up(MigrationBuilder migrationBuilder)
+        {
+            migrationBuilder.AddColumn<TimeSpan>(
+                name: "TotalPausedTime",
+                table: "GameSessions",
+                type: "interval",
+                nullable: false,
+                defaultValue: new TimeSpan(0, 0, 0, 0, 0));
+        }
+
+        /// <inheritdoc />
+        protected override void Down(MigrationBuilder migrationBuilder)
+        {
+            migrationBuilder.DropColumn(
+                name: "TotalPausedTime",
+                table: "GameSessions");
+        }
+    }
+}
@@ -415,6 +415,15 @@ namespace GamingCafe.Data.Migrations
                         .HasMaxLength(500)
                         .HasColumnType("character varying(500)");
 
+                    b.Property<DateTime?>("PausedAt")
+                        .HasColumnType("timestamp with time zone");
+
+                    b.Property<DateTime?>("PlannedEndTime")
+                        .HasColumnType("timestamp with time zone");
+
+                    b.Property<TimeSpan>("TotalPausedTime")
+                        .HasColumnType("interval");
+
                     b.Property<DateTime>("StartTime")
                         .HasColumnType("timestamp with time zone");
 
@@ -458,6 +467,12 @@ namespace GamingCafe.Data.Migrations
                         .HasMaxLength(500)
                         .HasColumnType("character varying(500)");
 
+                    b.Property<int?>("FloorX")
+                        .HasColumnType("integer");
+
+                    b.Property<int?>("FloorY")
+                        .HasColumnType("integer");
+
                     b.Property<string>("GraphicsCard")
                         .IsRequired()
                         .HasMaxLength(100)
@@ -477,6 +492,9 @@ namespace GamingCafe.Data.Migrations
                     b.Property<bool>("IsAvailable")
                         .HasColumnType("boolean");
 
+                    b.Property<bool>("IsUnderMaintenance")
+                        .HasColumnType("boolean");
+
                     b.Property<DateTime?>("LastMaintenance")
                         .HasColumnType("timestamp with time zone");
 
@@ -1120,6 +1138,9 @@ namespace GamingCafe.Data.Migrations
                         .HasMaxLength(20)
                         .HasColumnType("character varying(20)");
 
+                    b.Property<string>("PinHash")
+                        .HasColumnType("text");
+
                     b.Property<int>("Role")
                         .HasColumnType("integer");
 
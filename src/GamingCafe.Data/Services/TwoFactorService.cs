@@ -39,8 +39,10 @@ public class TwoFactorService : ITwoFactorService
                 throw new ArgumentException("User not found");
             }
 
-            // Verify password (this should use your password verification logic)
-            // For now, we'll assume password verification is handled elsewhere
+            if (!BCrypt.Net.BCrypt.Verify(password, user.PasswordHash))
+            {
+                throw new UnauthorizedAccessException("Invalid password");
+            }
 
             // Generate secret key
             var secretKey = GenerateSecretKey();
@@ -69,6 +71,7 @@ public class TwoFactorService : ITwoFactorService
             return new TwoFactorSetupResponse
             {
                 SecretKey = secretKey,
+                ProvisioningUri = BuildProvisioningUri(user.Email, secretKey),
                 QrCodeDataUrl = qrCodeDataUrl,
                 RecoveryCodes = recoveryCodes
             };
@@ -199,8 +202,10 @@ public class TwoFactorService : ITwoFactorService
                 return false;
             }
 
-            // Verify password (this should use your password verification logic)
-            // For now, we'll assume password verification is handled elsewhere
+            if (!BCrypt.Net.BCrypt.Verify(password, user.PasswordHash))
+            {
+                throw new UnauthorizedAccessException("Invalid password");
+            }
 
             user.TwoFactorSecretKey = null;
             user.TwoFactorRecoveryCode = null;
@@ -209,6 +214,10 @@ public class TwoFactorService : ITwoFactorService
             await _context.SaveChangesAsync();
             return true;
         }
+        catch (UnauthorizedAccessException)
+        {
+            throw;
+        }
         catch (Exception ex)
         {
             _logger.LogError(ex, "Error disabling two-factor authentication for user {UserId}", userId);
@@ -303,9 +312,14 @@ public class TwoFactorService : ITwoFactorService
         return Base32Encoding.ToString(key);
     }
 
-    private string GenerateQrCode(string email, string secretKey, string issuer = "Gaming Cafe")
+    private static string BuildProvisioningUri(string email, string secretKey, string issuer = "Gaming Cafe")
+    {
+        return $"otpauth://totp/{Uri.EscapeDataString(issuer)}:{Uri.EscapeDataString(email)}?secret={secretKey}&issuer={Uri.EscapeDataString(issuer)}";
+    }
+
+    private string GenerateQrCode(string email, string secretKey)
     {
-        var totpUri = $"otpauth://totp/{Uri.EscapeDataString(issuer)}:{Uri.EscapeDataString(email)}?secret={secretKey}&issuer={Uri.EscapeDataString(issuer)}";
+        var totpUri = BuildProvisioningUri(email, secretKey);
         
         using var qrGenerator = new QRCodeGenerator();
         using var qrCodeData = qrGenerator.CreateQrCode(totpUri, QRCodeGenerator.ECCLevel.Q);
@@ -2,12 +2,19 @@ import './App.css';
 import { BrowserRouter, Routes, Route } from 'react-router-dom';
 import { AuthProvider } from './auth/AuthContext';
 import ToastProvider from './components/ToastProvider';
+import SessionGuard from './components/SessionGuard';
+import LiveUpdates from './components/LiveUpdates';
 import Login from './pages/Login';
+import Register from './pages/Register';
+import ForgotPassword from './pages/ForgotPassword';
+import ResetPassword from './pages/ResetPassword';
+import VerifyEmail from './pages/VerifyEmail';
 import Dashboard from './pages/Dashboard';
 import ProtectedRoute from './components/ProtectedRoute';
 import DashboardLayout from './components/DashboardLayout';
 import Stations from './pages/Stations';
 import StationsList from './pages/StationsList';
+import FloorMap from './pages/FloorMap';
 import Reservations from './pages/Reservations';
 import Inventory from './pages/Inventory';
 import POS from './pages/POS';
@@ -19,6 +26,8 @@ import Profile from './pages/Profile';
 import Products from './pages/Products';
 import Transactions from './pages/Transactions';
 import Loyalty from './pages/Loyalty';
+import Forbidden from './pages/Forbidden';
+import { isFeatureEnabled } from './config';
 
 function App() {
   return (
@@ -28,6 +37,10 @@ function App() {
           <ToastProvider>
             <Routes>
             <Route path="/login" element={<Login />} />
+            <Route path="/register" element={<Register />} />
+            <Route path="/forgot-password" element={<ForgotPassword />} />
+            <Route path="/reset-password" element={<ResetPassword />} />
+            <Route path="/verify-email" element={<VerifyEmail />} />
             <Route path="/" element={
               <ProtectedRoute>
                 <DashboardLayout>
@@ -49,62 +62,73 @@ function App() {
                   </DashboardLayout>
                 </ProtectedRoute>
               } />
-            <Route path="/reservations" element={
+            <Route path="/floor-map" element={
               <ProtectedRoute>
                 <DashboardLayout>
-                  <Reservations />
+                  <FloorMap />
                 </DashboardLayout>
               </ProtectedRoute>
             } />
-            <Route path="/inventory" element={
+            <Route path="/reservations" element={
               <ProtectedRoute>
                 <DashboardLayout>
-                  <Inventory />
+                  <Reservations />
                 </DashboardLayout>
               </ProtectedRoute>
             } />
-            <Route path="/pos" element={
+            <Route path="/inventory" element={
               <ProtectedRoute>
                 <DashboardLayout>
-                  <POS />
+                  <Inventory />
                 </DashboardLayout>
               </ProtectedRoute>
             } />
+            {isFeatureEnabled('pos') && (
+              <Route path="/pos" element={
+                <ProtectedRoute>
+                  <DashboardLayout>
+                    <POS />
+                  </DashboardLayout>
+                </ProtectedRoute>
+              } />
+            )}
             <Route path="/users" element={
-              <ProtectedRoute>
+              <ProtectedRoute permission="users:view">
                 <DashboardLayout>
                   <Users />
                 </DashboardLayout>
               </ProtectedRoute>
             } />
             <Route path="/wallet" element={
-              <ProtectedRoute>
+              <ProtectedRoute permission="wallet:view">
                 <DashboardLayout>
                   <Wallet />
                 </DashboardLayout>
               </ProtectedRoute>
             } />
             <Route path="/profile" element={
-              <ProtectedRoute>
+              <ProtectedRoute permission={null}>
                 <DashboardLayout>
                   <Profile />
                 </DashboardLayout>
               </ProtectedRoute>
             } />
             <Route path="/payments" element={
-              <ProtectedRoute>
+              <ProtectedRoute permission="view:financials">
                 <DashboardLayout>
                   <Payments />
                 </DashboardLayout>
               </ProtectedRoute>
             } />
-            <Route path="/reports" element={
-              <ProtectedRoute>
-                <DashboardLayout>
-                  <Reports />
-                </DashboardLayout>
-              </ProtectedRoute>
-            } />
+            {isFeatureEnabled('reports') && (
+              <Route path="/reports" element={
+                <ProtectedRoute permission="reports:view">
+                  <DashboardLayout>
+                    <Reports />
+                  </DashboardLayout>
+                </ProtectedRoute>
+              } />
+            )}
             <Route path="/products" element={
               <ProtectedRoute>
                 <DashboardLayout>
@@ -126,7 +150,16 @@ function App() {
                 </DashboardLayout>
               </ProtectedRoute>
             } />
+            <Route path="/forbidden" element={
+              <ProtectedRoute permission={null}>
+                <DashboardLayout>
+                  <Forbidden />
+                </DashboardLayout>
+              </ProtectedRoute>
+            } />
             </Routes>
+            <SessionGuard />
+            <LiveUpdates />
           </ToastProvider>
         </AuthProvider>
       </BrowserRouter>
@@ -1,73 +1,526 @@
 // Minimal API client for the GamingCafe API with auth support
+import { getConfig } from './config';
+
+const REFRESH_PATH = '/auth/refresh-token';
+
+const DEFAULT_TIMEOUT = 15000;
+const MAX_RETRIES = 3;
+const RETRY_BASE_DELAY = 400;
+const RETRY_MAX_DELAY = 8000;
+const MAX_RETRY_AFTER = 30000;
+const RETRY_ALWAYS_STATUS = [429, 503];
+
+const CORRELATION_HEADER = 'X-Correlation-ID';
+const MAX_RECENT_FAILURES = 25;
+
+// Callers pass resource paths ('/users/5'); origin and version come from the runtime config
+function apiUrl(path) {
+  if (/^https?:\/\//i.test(path)) return path;
+  const { apiOrigin, apiVersion } = getConfig();
+  return `${apiOrigin}/api/v${apiVersion}${path.startsWith('/') ? path : `/${path}`}`;
+}
+
+// Requests go through window.fetch unless demo mode or a test swaps in the mock API (src/mock)
+const defaultTransport = (url, init) => fetch(url, init);
+let transport = defaultTransport;
+
+function setTransport(fn) {
+  transport = fn || defaultTransport;
+}
+
+const SESSION_KEY = 'gc_user';
+
+// "Remember me" keeps the session in localStorage; without it the session lives in
+// sessionStorage and ends with the tab. Whichever store holds the key is the live one.
+function sessionStore() {
+  try { return sessionStorage.getItem(SESSION_KEY) !== null ? sessionStorage : localStorage; } catch { return localStorage; }
+}
+
+function readSession() {
+  try { return JSON.parse(sessionStore().getItem(SESSION_KEY)); } catch { return null; }
+}
+
+function writeSession(patch) {
+  try {
+    const u = readSession() || {};
+    sessionStore().setItem(SESSION_KEY, JSON.stringify({ ...u, ...patch }));
+  } catch { }
+}
+
+function saveSession(session) {
+  try { sessionStore().setItem(SESSION_KEY, JSON.stringify(session)); } catch { }
+}
+
+function clearSession() {
+  try {
+    localStorage.removeItem(SESSION_KEY);
+    sessionStorage.removeItem(SESSION_KEY);
+  } catch { }
+}
+
+function isSessionRemembered() {
+  return sessionStore() === localStorage;
+}
+
+// Starts a session in the store "Remember me" chose, dropping any other
+function beginSession(session, { remember = true } = {}) {
+  clearSession();
+  try { (remember ? localStorage : sessionStorage).setItem(SESSION_KEY, JSON.stringify(session)); } catch { }
+}
+
+const OPERATORS_KEY = 'gc_operators';
+
+// Other staff signed in on a shared terminal, parked while someone else uses it (quick
+// switching). The API holds the parked sessions; this list only has who they belong to and
+// the parkedSessionId that, with the PIN, resumes one. Always in sessionStorage, so the list
+// is gone when the browser is closed. Entries stored before parking moved to the API carried
+// tokens and no id, and are dropped.
+function getHeldSessions() {
+  try {
+    const held = JSON.parse(sessionStorage.getItem(OPERATORS_KEY)) || [];
+    return held.filter(o => o.parkedSessionId && !o.token && !o.refreshToken);
+  } catch {
+    return [];
+  }
+}
+
+function saveHeldSessions(sessions) {
+  try {
+    if (sessions.length) sessionStorage.setItem(OPERATORS_KEY, JSON.stringify(sessions));
+    else sessionStorage.removeItem(OPERATORS_KEY);
+  } catch { }
+}
 
 function getToken() {
-  try { const u = JSON.parse(localStorage.getItem('gc_user')); return u?.token || null; } catch { return null; }
+  return readSession()?.token || null;
+}
+
+function getRefreshToken() {
+  return readSession()?.refreshToken || null;
 }
 
 function setToken(token) {
+  writeSession({ token });
+}
+
+function setTokens({ accessToken, refreshToken, expiresAt } = {}) {
+  writeSession({ token: accessToken, refreshToken, expiresAt });
+}
+
+// Auth listeners let AuthContext mirror token rotation and react to a dead session
+// without api.js having to know about React state.
+const authListeners = new Set();
+
+function onAuthChange(fn) {
+  authListeners.add(fn);
+  return () => authListeners.delete(fn);
+}
+
+function emitAuth(type, detail) {
+  authListeners.forEach(fn => { try { fn(type, detail); } catch { } });
+}
+
+// Only one refresh call is ever in flight; every request that hits a 401 while it
+// runs waits on the same promise and replays once it settles.
+let refreshPromise = null;
+
+function refreshAccessToken() {
+  if (!refreshPromise) {
+    refreshPromise = doRefresh().finally(() => { refreshPromise = null; });
+  }
+  return refreshPromise;
+}
+
+async function doRefresh() {
+  const accessToken = getToken();
+  const refreshToken = getRefreshToken();
+  if (!refreshToken) return null;
   try {
-    const u = JSON.parse(localStorage.getItem('gc_user')) || {};
-    u.token = token;
-    localStorage.setItem('gc_user', JSON.stringify(u));
-  } catch { }
+    const res = await transport(apiUrl(REFRESH_PATH), {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ accessToken, refreshToken }),
+      credentials: 'same-origin'
+    });
+    if (!res.ok) return null;
+    const data = await res.json();
+    if (!data?.accessToken) return null;
+    const tokens = { accessToken: data.accessToken, refreshToken: data.refreshToken || refreshToken, expiresAt: data.expiresAt };
+    setTokens(tokens);
+    emitAuth('refreshed', tokens);
+    return tokens.accessToken;
+  } catch {
+    return null;
+  }
 }
 
-async function request(path, { method = 'GET', body = null, useCredentials = false } = {}) {
-  const headers = { 'Content-Type': 'application/json' };
-  const token = getToken();
+// When the API last answered a request successfully, and when one last went unanswered
+// (network error, timeout) or hit a server error. The Topbar health indicator reads these
+// so a dead API shows up without waiting for its next health check.
+const traffic = { lastSuccessAt: null, lastFailureAt: null };
+const trafficListeners = new Set();
+
+function noteTraffic(field) {
+  traffic[field] = Date.now();
+  trafficListeners.forEach(fn => { try { fn(traffic); } catch { } });
+}
+
+function getTraffic() {
+  return { ...traffic };
+}
+
+function onTraffic(fn) {
+  trafficListeners.add(fn);
+  return () => trafficListeners.delete(fn);
+}
+
+function send(path, { method, body, useCredentials, signal, timeout, idempotencyKey, correlationId }, token) {
+  const headers = { 'Content-Type': 'application/json', [CORRELATION_HEADER]: correlationId };
   if (token) headers['Authorization'] = `Bearer ${token}`;
+  if (idempotencyKey) headers['Idempotency-Key'] = idempotencyKey;
 
-  const res = await fetch(path, {
+  // Each attempt gets its own controller so a timeout aborts only this attempt, while
+  // the caller's signal (unmount, filter change) aborts whichever attempt is running.
+  const controller = new AbortController();
+  const onAbort = () => controller.abort();
+  if (signal?.aborted) controller.abort();
+  else signal?.addEventListener('abort', onAbort);
+  let timedOut = false;
+  const timer = timeout > 0 ? setTimeout(() => { timedOut = true; controller.abort(); }, timeout) : null;
+
+  return transport(apiUrl(path), {
     method,
     headers,
     body: body ? JSON.stringify(body) : undefined,
-    credentials: useCredentials ? 'include' : 'same-origin'
+    credentials: useCredentials ? 'include' : 'same-origin',
+    signal: controller.signal
+  })
+    .then(async res => {
+      if (res.ok) noteTraffic('lastSuccessAt');
+      else if (res.status >= 500) noteTraffic('lastFailureAt');
+      const text = await res.text();
+      let data = null;
+      try { data = text && JSON.parse(text); } catch { data = text; }
+      return { res, data };
+    })
+    .catch(e => {
+      if (!signal?.aborted) noteTraffic('lastFailureAt');
+      if (!timedOut) throw e;
+      const err = new Error(`Request timed out after ${Math.round(timeout / 1000)}s`);
+      err.name = 'TimeoutError';
+      err.status = 0;
+      throw err;
+    })
+    .finally(() => {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', onAbort);
+    });
+}
+
+async function attempt(path, opts, skipAuthRefresh) {
+  const token = getToken();
+  let result = await send(path, opts, token);
+
+  if (result.res.status === 401 && token && !skipAuthRefresh) {
+    // Another request may already have rotated the token while this one was in flight
+    const current = getToken();
+    const fresh = current && current !== token ? current : await refreshAccessToken();
+    if (fresh) {
+      result = await send(path, opts, fresh);
+    } else {
+      emitAuth('expired');
+    }
+  }
+  return result;
+}
+
+// Typed errors so callers can branch with instanceof instead of poking at status codes.
+// Every error the client throws for an HTTP response is an ApiError carrying `status`,
+// the parsed body in `data` and, for validation failures, a `{ field: [messages] }` map in
+// `errors` keyed by the camelCase request property (what the forms name their inputs).
+export class ApiError extends Error {
+  constructor(message, { status, data, errors, correlationId } = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.data = data;
+    if (errors) this.errors = errors;
+    if (correlationId) this.correlationId = correlationId;
+  }
+}
+
+export class ValidationError extends ApiError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'ValidationError';
+    this.errors = this.errors || {};
+  }
+}
+
+export class AuthError extends ApiError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'AuthError';
+  }
+}
+
+// 403: signed in, but the account's role does not allow the action
+export class ForbiddenError extends AuthError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'ForbiddenError';
+  }
+}
+
+export class NotFoundError extends ApiError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'NotFoundError';
+  }
+}
+
+export class ConflictError extends ApiError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'ConflictError';
+  }
+}
+
+export class RateLimitError extends ApiError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'RateLimitError';
+  }
+}
+
+// ModelState keys come back as the server property path: "Email", "$.amount" for a JSON
+// binding failure, "Items[0].Quantity" for nested rules. Forms use camelCase names.
+function fieldName(key) {
+  const path = String(key).replace(/^\$\.?/, '');
+  if (!path) return '_global';
+  return path.split('.').map(seg => seg.charAt(0).toLowerCase() + seg.slice(1)).join('.');
+}
+
+function fieldErrors(data) {
+  if (!data || typeof data !== 'object') return null;
+  // RFC 7807 ValidationProblemDetails (and legacy ModelState dumps): { errors: { Field: [..] } }
+  const map = !Array.isArray(data.errors) && typeof data.errors === 'object' ? data.errors : data.modelState;
+  if (map && typeof map === 'object') {
+    const out = {};
+    Object.entries(map).forEach(([key, messages]) => {
+      const name = fieldName(key);
+      out[name] = [...(out[name] || []), ...(Array.isArray(messages) ? messages : [messages])];
+    });
+    return out;
+  }
+  // GlobalExceptionHandlingMiddleware puts ValidationException messages in `details`
+  const list = Array.isArray(data.errors) ? data.errors : Array.isArray(data.details) ? data.details : data.errorsDescription;
+  return Array.isArray(list) && list.length ? { _global: list } : null;
+}
+
+function errorMessage(res, data) {
+  if (typeof data === 'string' && data) return data;
+  if (data?.message || data?.detail || data?.title) return data.message || data.detail || data.title;
+  // ASP.NET answers a failed [Authorize(Roles = ...)] with an empty 403
+  if (res.status === 403) return 'You do not have permission to do this';
+  return res.statusText || 'Request failed';
+}
+
+function toError(res, data) {
+  const errors = fieldErrors(data);
+  const details = { status: res.status, data, errors };
+  const message = errorMessage(res, data);
+  switch (res.status) {
+    case 400:
+    case 422:
+      return errors ? new ValidationError(message, details) : new ApiError(message, details);
+    case 401:
+      return new AuthError(message, details);
+    case 403:
+      return new ForbiddenError(message, details);
+    case 404:
+      return new NotFoundError(message, details);
+    case 409:
+      return new ConflictError(message, details);
+    case 429:
+      return new RateLimitError(message, details);
+    default:
+      return new ApiError(message, details);
+  }
+}
+
+// 429 and 503 mean the server turned the request away before doing any work, so they are
+// safe to retry for every verb. Other failures are only retried for GETs.
+function isRetryable(method, status) {
+  if (RETRY_ALWAYS_STATUS.includes(status)) return true;
+  return method === 'GET' && (status === 408 || status >= 500);
+}
+
+// Retry-After is either a number of seconds or an HTTP date
+function retryAfterMs(res) {
+  const value = res.headers?.get?.('Retry-After');
+  if (!value) return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+function backoffMs(attemptNo) {
+  const exp = Math.min(RETRY_MAX_DELAY, RETRY_BASE_DELAY * 2 ** attemptNo);
+  return exp / 2 + Math.random() * (exp / 2);
+}
+
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(abortError());
+    const timer = setTimeout(() => { signal?.removeEventListener('abort', onAbort); resolve(); }, ms);
+    function onAbort() { clearTimeout(timer); reject(abortError()); }
+    signal?.addEventListener('abort', onAbort, { once: true });
   });
+}
+
+function abortError() {
+  const err = new Error('Request aborted');
+  err.name = 'AbortError';
+  return err;
+}
+
+function isAbortError(err) {
+  return err?.name === 'AbortError';
+}
+
+// No HTTP status: the request never got an answer (offline, DNS, timeout), so the
+// server may or may not have applied it
+function isNetworkError(err) {
+  return Boolean(err) && !isAbortError(err) && !err.status;
+}
+
+function newId() {
+  if (typeof crypto !== 'undefined' && crypto.randomUUID) return crypto.randomUUID();
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}-${Math.random().toString(36).slice(2)}`;
+}
+
+function newIdempotencyKey() {
+  return newId();
+}
+
+// Ring buffer of the most recent failed requests, newest last, so staff can quote the
+// reference codes from Profile > Diagnostics when reporting a problem.
+const recentFailures = [];
+
+function recordFailure(entry) {
+  recentFailures.push({ at: new Date().toISOString(), ...entry });
+  if (recentFailures.length > MAX_RECENT_FAILURES) recentFailures.shift();
+}
+
+function getRecentFailures() {
+  return recentFailures.slice().reverse();
+}
+
+function clearRecentFailures() {
+  recentFailures.length = 0;
+}
 
-  const text = await res.text();
-  let data = null;
-  try { data = text && JSON.parse(text); } catch { data = text; }
-  if (!res.ok) {
-    // Normalize validation errors from ASP.NET ModelState or custom shapes into a consistent `errors` map
-    const err = new Error(data?.message || res.statusText || 'Request failed');
-    err.status = res.status;
-    err.data = data;
-    // If data contains modelState style errors, normalize to { field: [messages] }
-    if (data) {
-      if (data.errors && typeof data.errors === 'object') {
-        err.errors = data.errors; // already shaped
-      } else if (data.modelState && typeof data.modelState === 'object') {
-        err.errors = data.modelState;
-      } else if (data?.errorsDescription && Array.isArray(data.errorsDescription)) {
-        // Some endpoints return an array of error strings
-        err.errors = { _global: data.errorsDescription };
-      } else if (data?.errors && Array.isArray(data.errors)) {
-        err.errors = { _global: data.errors };
-      } else {
-        // fallback: check for validation problem details
-        if (data?.title && data?.errors) err.errors = data.errors;
-      }
+// Responses the server replayed from its idempotency store instead of executing again
+const replayed = new WeakSet();
+
+function isReplayed(result) {
+  return result !== null && typeof result === 'object' && replayed.has(result);
+}
+
+async function request(path, options = {}) {
+  const method = options.method || 'GET';
+  // One correlation ID per logical request, shared by its retries and the replay after a
+  // token refresh, so every server log line for it can be found with a single search.
+  const correlationId = newId();
+  try {
+    return await execute(path, { ...options, method, correlationId });
+  } catch (err) {
+    // Background checks (health polling) would crowd real failures out of the diagnostics list
+    if (!isAbortError(err) && !options.background) {
+      err.correlationId = err.correlationId || correlationId;
+      recordFailure({ method, path, status: err.status ?? 0, message: err.message, correlationId: err.correlationId });
     }
     throw err;
   }
-  return data;
 }
 
-async function post(path, body) {
-  return request(path, { method: 'POST', body });
+async function execute(path, {
+  method = 'GET',
+  body = null,
+  useCredentials = false,
+  skipAuthRefresh = false,
+  signal,
+  timeout = DEFAULT_TIMEOUT,
+  retries = MAX_RETRIES,
+  idempotencyKey,
+  correlationId
+}) {
+  const opts = { method, body, useCredentials, signal, timeout, idempotencyKey, correlationId };
+
+  for (let attemptNo = 0; ; attemptNo++) {
+    let result;
+    try {
+      result = await attempt(path, opts, skipAuthRefresh);
+    } catch (err) {
+      // Network failures and timeouts: GETs and keyed writes (the server dedups those) are
+      // replayed with the same key, never after the caller aborted
+      if (signal?.aborted) throw abortError();
+      if ((method !== 'GET' && !idempotencyKey) || attemptNo >= retries) throw err;
+      await sleep(backoffMs(attemptNo), signal);
+      continue;
+    }
+
+    const { res, data } = result;
+    if (res.ok) {
+      if (res.headers?.get?.('Idempotent-Replayed') === 'true' && data && typeof data === 'object') replayed.add(data);
+      return data;
+    }
+
+    const wait = retryAfterMs(res);
+    // A server asking us to back off for longer than we are willing to hold a spinner gets its error surfaced
+    if (attemptNo < retries && isRetryable(method, res.status) && (wait === null || wait <= MAX_RETRY_AFTER)) {
+      await sleep(wait ?? backoffMs(attemptNo), signal);
+      continue;
+    }
+
+    const err = toError(res, data);
+    // The server echoes our ID (header, or the ProblemDetails body when CORS hides the header),
+    // unless a proxy in between assigned its own
+    err.correlationId = res.headers?.get?.(CORRELATION_HEADER) || data?.correlationId || correlationId;
+    if (wait !== null) err.retryAfter = wait;
+    throw err;
+  }
+}
+
+async function post(path, body, options) {
+  return request(path, { ...options, method: 'POST', body });
+}
+
+async function get(path, options) {
+  return request(path, { ...options, method: 'GET' });
 }
 
-async function get(path) {
-  return request(path, { method: 'GET' });
+async function del(path, options) {
+  return request(path, { ...options, method: 'DELETE' });
 }
 
-async function del(path) {
-  return request(path, { method: 'DELETE' });
+async function put(path, body, options) {
+  return request(path, { ...options, method: 'PUT', body });
 }
 
-async function put(path, body) {
-  return request(path, { method: 'PUT', body });
+async function patch(path, body, options) {
+  return request(path, { ...options, method: 'PATCH', body });
 }
 
-const api = { post, get, put, del, getToken, setToken };
+const api = {
+  post, get, put, patch, del,
+  isAbortError, isNetworkError, newIdempotencyKey, isReplayed,
+  getRecentFailures, clearRecentFailures, getTraffic, onTraffic,
+  getToken, setToken, getRefreshToken, setTokens, onAuthChange, refreshSession: refreshAccessToken,
+  getSession: readSession, saveSession, clearSession, beginSession, isSessionRemembered,
+  getHeldSessions, saveHeldSessions,
+  setTransport
+};
 export default api;
@@ -0,0 +1,172 @@
+import api, { ApiError, AuthError, ConflictError, NotFoundError, ValidationError } from './api';
+import { setConfig } from './config';
+
+function response(status, body, headers = {}) {
+  return {
+    ok: status >= 200 && status < 300,
+    status,
+    statusText: String(status),
+    headers: { get: name => headers[name] ?? null },
+    text: async () => (body === undefined ? '' : JSON.stringify(body)),
+    json: async () => body
+  };
+}
+
+beforeEach(() => {
+  localStorage.setItem('gc_user', JSON.stringify({ email: 'staff@cafe.local', token: 'old', refreshToken: 'r1' }));
+  global.fetch = jest.fn();
+});
+
+afterEach(() => {
+  localStorage.clear();
+  delete global.fetch;
+});
+
+test('concurrent 401s share one refresh and replay with the new token', async () => {
+  global.fetch.mockImplementation(async (path, init) => {
+    if (path.endsWith('/auth/refresh-token')) return response(200, { accessToken: 'new', refreshToken: 'r2' });
+    return init.headers.Authorization === 'Bearer new' ? response(200, { path }) : response(401);
+  });
+
+  const [a, b] = await Promise.all([api.get('/stations'), api.get('/users')]);
+
+  expect(a).toEqual({ path: '/api/v1.0/stations' });
+  expect(b).toEqual({ path: '/api/v1.0/users' });
+  expect(global.fetch.mock.calls.filter(([p]) => p.endsWith('/auth/refresh-token'))).toHaveLength(1);
+  expect(api.getToken()).toBe('new');
+  expect(api.getRefreshToken()).toBe('r2');
+});
+
+test('a failed refresh reports the session as expired', async () => {
+  global.fetch.mockResolvedValue(response(401));
+  const listener = jest.fn();
+  const unsubscribe = api.onAuthChange(listener);
+
+  await expect(api.get('/stations')).rejects.toMatchObject({ status: 401 });
+  expect(listener).toHaveBeenCalledWith('expired', undefined);
+  unsubscribe();
+});
+
+test('429 is retried once the server allows it, even for POST', async () => {
+  global.fetch
+    .mockResolvedValueOnce(response(429, { message: 'slow down' }, { 'Retry-After': '0' }))
+    .mockResolvedValueOnce(response(200, { ok: true }));
+
+  await expect(api.post('/wallet/1/deposit', { amount: 5 })).resolves.toEqual({ ok: true });
+  expect(global.fetch).toHaveBeenCalledTimes(2);
+});
+
+test('a Retry-After longer than the client will wait surfaces the error', async () => {
+  global.fetch.mockResolvedValue(response(429, { message: 'slow down' }, { 'Retry-After': '60' }));
+
+  await expect(api.get('/transactions')).rejects.toMatchObject({ status: 429, retryAfter: 60000 });
+  expect(global.fetch).toHaveBeenCalledTimes(1);
+});
+
+test('a 500 is not retried for POST', async () => {
+  global.fetch.mockResolvedValue(response(500, { message: 'boom' }));
+
+  await expect(api.post('/transactions', {})).rejects.toMatchObject({ status: 500, message: 'boom' });
+  expect(global.fetch).toHaveBeenCalledTimes(1);
+});
+
+test('aborting the caller signal rejects with an AbortError and stops retrying', async () => {
+  global.fetch.mockImplementation((path, init) => new Promise((resolve, reject) => {
+    init.signal.addEventListener('abort', () => reject(new DOMException('aborted', 'AbortError')));
+  }));
+  const controller = new AbortController();
+
+  const pending = api.get('/transactions', { signal: controller.signal });
+  controller.abort();
+
+  const err = await pending.catch(e => e);
+  expect(api.isAbortError(err)).toBe(true);
+  expect(global.fetch).toHaveBeenCalledTimes(1);
+});
+
+test('a keyed POST reuses its Idempotency-Key across a network retry and flags replays', async () => {
+  global.fetch
+    .mockRejectedValueOnce(new TypeError('Failed to fetch'))
+    .mockResolvedValueOnce(response(200, { balance: 25 }, { 'Idempotent-Replayed': 'true' }));
+
+  const res = await api.post('/wallet/1/deposit', { amount: 5 }, { idempotencyKey: 'op-1' });
+
+  expect(global.fetch.mock.calls.map(([, init]) => init.headers['Idempotency-Key'])).toEqual(['op-1', 'op-1']);
+  expect(api.isReplayed(res)).toBe(true);
+});
+
+test('an unkeyed POST is not retried after a network failure', async () => {
+  global.fetch.mockRejectedValue(new TypeError('Failed to fetch'));
+
+  await expect(api.post('/wallet/1/deposit', { amount: 5 })).rejects.toThrow('Failed to fetch');
+  expect(global.fetch).toHaveBeenCalledTimes(1);
+});
+
+test('failed requests carry the echoed correlation ID and land in the recent failures buffer', async () => {
+  api.clearRecentFailures();
+  global.fetch.mockResolvedValue(response(500, { message: 'refund failed' }, { 'X-Correlation-ID': 'srv-123' }));
+
+  const err = await api.post('/transactions/7/refund', { amount: 5 }).catch(e => e);
+
+  expect(global.fetch.mock.calls[0][1].headers['X-Correlation-ID']).toEqual(expect.any(String));
+  expect(err.correlationId).toBe('srv-123');
+  expect(api.getRecentFailures()[0]).toMatchObject({
+    method: 'POST', path: '/transactions/7/refund', status: 500, message: 'refund failed', correlationId: 'srv-123'
+  });
+});
+
+test('ProblemDetails validation errors become a ValidationError keyed by form field', async () => {
+  global.fetch.mockResolvedValue(response(400, {
+    title: 'One or more validation errors occurred.',
+    status: 400,
+    errors: { StationName: ['Station name is required'], '$.hourlyRate': ['Invalid number'], '': ['Body is malformed'] }
+  }));
+
+  const err = await api.post('/stations', {}).catch(e => e);
+
+  expect(err).toBeInstanceOf(ValidationError);
+  expect(err.errors).toEqual({ stationName: ['Station name is required'], hourlyRate: ['Invalid number'], _global: ['Body is malformed'] });
+});
+
+test('status codes map onto typed errors', async () => {
+  global.fetch
+    .mockResolvedValueOnce(response(404, 'User not found'))
+    .mockResolvedValueOnce(response(409, 'Email already exists'))
+    .mockResolvedValueOnce(response(403));
+
+  const notFound = await api.get('/users/9').catch(e => e);
+  const conflict = await api.post('/users', {}).catch(e => e);
+  const forbidden = await api.get('/reports').catch(e => e);
+
+  expect(notFound).toBeInstanceOf(NotFoundError);
+  expect(notFound.message).toBe('User not found');
+  expect(conflict).toBeInstanceOf(ConflictError);
+  expect(forbidden).toBeInstanceOf(AuthError);
+  expect(forbidden).toBeInstanceOf(ApiError);
+});
+
+test('URLs are built from the runtime API origin and version', async () => {
+  setConfig({ apiOrigin: 'https://staging.example.com/', apiVersion: 'v2.0' });
+  global.fetch.mockResolvedValue(response(200, []));
+
+  try {
+    await api.get('/stations?page=1');
+    expect(global.fetch.mock.calls[0][0]).toBe('https://staging.example.com/api/v2.0/stations?page=1');
+  } finally {
+    setConfig({});
+  }
+});
+
+test('a session started without "Remember me" lives in sessionStorage', async () => {
+  api.beginSession({ email: 'staff@cafe.local', token: 't1', refreshToken: 'r1' }, { remember: false });
+  global.fetch.mockImplementation(async path => (
+    path.endsWith('/auth/refresh-token') ? response(200, { accessToken: 't2', refreshToken: 'r2' }) : response(200, {})
+  ));
+
+  await api.refreshSession();
+
+  expect(localStorage.getItem('gc_user')).toBeNull();
+  expect(JSON.parse(sessionStorage.getItem('gc_user'))).toMatchObject({ email: 'staff@cafe.local', token: 't2' });
+  api.clearSession();
+  expect(sessionStorage.getItem('gc_user')).toBeNull();
+});
@@ -1,43 +1,212 @@
-import React, { createContext, useContext, useState, useEffect } from 'react';
+import React, { createContext, useContext, useState, useEffect, useRef } from 'react';
 import api from '../api';
+import { openAuthChannel } from './authChannel';
+import { clearResources } from '../utils/resources';
 
 const AuthContext = createContext(null);
 
+// What other tabs are told about the session: who is signed in, whether the screen is locked
+// and when the access token expires (so a rotation is announced), never the tokens themselves
+function shareable(user) {
+  if (!user) return null;
+  const { token, refreshToken, ...profile } = user;
+  return profile;
+}
+
+// Another tab's session as this tab can use it: the tokens come from this tab's own storage.
+// A remembered session is in localStorage, which every tab shares; one that ends with its tab
+// stays there, and other tabs keep whatever session they have themselves.
+function fromOwnStorage(profile) {
+  if (!profile) return null;
+  const own = api.getSession();
+  if (!own?.token) return null;
+  if (own.email !== profile.email) return own;
+  return { ...profile, token: own.token, refreshToken: own.refreshToken, expiresAt: own.expiresAt };
+}
+
 export function useAuth() {
   return useContext(AuthContext);
 }
 
 export function AuthProvider({ children }) {
-  const [user, setUser] = useState(() => {
-    try { return JSON.parse(localStorage.getItem('gc_user')); } catch { return null; }
-  });
+  const [user, setUser] = useState(() => api.getSession());
+  // Other staff signed in on this terminal, waiting for their PIN (see switchOperator)
+  const [operators, setOperators] = useState(() => api.getHeldSessions());
+  // "Remember me" from the password step, kept until a 2FA sign-in finishes
+  const remember = useRef(true);
+  const channel = useRef(null);
+  // The session state every tab already agrees on; only changes made here are broadcast
+  const synced = useRef(JSON.stringify({ user: shareable(user), operators }));
 
+  // Other tabs announce every change to their session: a sign-in, a rotated token, a lock,
+  // an operator switch or a sign-out (null)
   useEffect(() => {
-    if (user) localStorage.setItem('gc_user', JSON.stringify(user));
-    else localStorage.removeItem('gc_user');
-  }, [user]);
+    const ch = openAuthChannel(message => {
+      const next = fromOwnStorage(message?.user ?? null);
+      const held = message?.operators ?? [];
+      synced.current = JSON.stringify({ user: shareable(next), operators: held });
+      setUser(next);
+      setOperators(held);
+    });
+    channel.current = ch;
+    return () => {
+      ch.close();
+      channel.current = null;
+    };
+  }, []);
+
+  useEffect(() => {
+    if (user) api.saveSession(user);
+    else api.clearSession();
+    api.saveHeldSessions(operators);
+    const state = JSON.stringify({ user: shareable(user), operators });
+    if (state === synced.current) return;
+    synced.current = state;
+    channel.current?.post({ user: shareable(user), operators });
+  }, [user, operators]);
+
+  // Keep React state in step with token rotation done inside api.js, and drop the
+  // session entirely when a refresh fails so no screen is left half-authenticated.
+  useEffect(() => api.onAuthChange((type, detail) => {
+    if (type === 'refreshed') {
+      setUser(prev => prev ? { ...prev, token: detail.accessToken, refreshToken: detail.refreshToken, expiresAt: detail.expiresAt } : prev);
+    } else if (type === 'expired') {
+      setUser(null);
+    }
+  }), []);
 
-  async function login(email, password) {
+  // `resumed` is the parked session the tokens came from, already used up on the API
+  function startSession(data, { resumed = null } = {}) {
+    const u = { ...data.user, token: data.accessToken, refreshToken: data.refreshToken, expiresAt: data.expiresAt };
+    api.beginSession(u, { remember: remember.current });
+    clearResources();
+    setUser(u);
+    // A sign-in replaces any session the same person had parked here
+    setOperators(prev => prev.filter(o => o.email !== u.email));
+    operators
+      .filter(o => o.email === u.email && o.parkedSessionId !== resumed)
+      .forEach(o => api.del(`/auth/parked/${o.parkedSessionId}`, { retries: 0 }).catch(() => { }));
+    return data;
+  }
+
+  async function login(email, password, options = {}) {
+    remember.current = options.remember ?? true;
     const payload = { email, password };
-    const data = await api.post('/api/v1.0/auth/login', payload);
-    // API expected to return { accessToken, user }
-    if (data?.accessToken) {
-      const u = { ...data.user, token: data.accessToken };
-      setUser(u);
-      // ensure api helper has token
-      api.setToken(data.accessToken);
-      return data;
+    const data = await api.post('/auth/login', payload, { skipAuthRefresh: true });
+    // Accounts with 2FA get a short-lived challenge instead of tokens; completeTwoFactor finishes the sign-in
+    if (data?.requiresTwoFactor && data.twoFactorToken) {
+      return { requiresTwoFactor: true, twoFactorToken: data.twoFactorToken, expiresAt: data.twoFactorExpiresAt, user: data.user };
     }
+    // API expected to return { accessToken, refreshToken, expiresAt, user }
+    if (data?.accessToken) return startSession(data);
     throw new Error('Invalid login response');
   }
 
-  function logout() {
+  // Not retried: a lockout answers 429 and every attempt counts against the user
+  async function completeTwoFactor(twoFactorToken, { code, recoveryCode } = {}) {
+    const payload = recoveryCode ? { twoFactorToken, recoveryCode } : { twoFactorToken, code };
+    const data = await api.post('/auth/verify-2fa', payload, { skipAuthRefresh: true, retries: 0 });
+    if (data?.accessToken) return startSession(data);
+    throw new Error('Invalid verification response');
+  }
+
+  // Trades the refresh token for a new access token; false when the session is over
+  async function extendSession() {
+    const token = await api.refreshSession();
+    if (!token) setUser(null);
+    return Boolean(token);
+  }
+
+  // The lock survives a reload, so refreshing the page is not a way past it
+  function lock() {
+    setUser(prev => prev ? { ...prev, locked: true } : prev);
+  }
+
+  // Unlocks with the account password, or with the quick-switch PIN when `pin` is set. Once
+  // the password check locks out, the session ends: whoever is guessing at the screen is sent
+  // back to the sign-in page instead of waiting out the lockout.
+  async function unlock(secret, { pin = false } = {}) {
+    if (pin) await api.post('/auth/verify-pin', { pin: secret }, { retries: 0 });
+    else {
+      try {
+        await api.post('/auth/verify-password', { password: secret }, { retries: 0 });
+      } catch (err) {
+        if (err?.data?.code === 'unlock_locked') await logout();
+        throw err;
+      }
+    }
+    setUser(prev => prev ? { ...prev, locked: false } : prev);
+  }
+
+  // For profile changes that also live on the session (hasPin)
+  function updateUser(patch) {
+    setUser(prev => prev ? { ...prev, ...patch } : prev);
+  }
+
+  // Quick switching on a shared terminal: the operator at the screen steps away without
+  // signing out. Their session is parked on the API and listed on the sign-in screen, where
+  // they (or anyone else parked there) get back in with a PIN, and a new person signs in as
+  // usual. The browser keeps only the parked session's id and who it belongs to, never tokens,
+  // and requests always carry the token of whoever is at the screen, so the API attributes
+  // every change to them. When the session can't be parked the operator is signed out instead:
+  // the screen is handed over either way.
+  async function switchOperator() {
+    if (!user) return;
+    const { locked, token, refreshToken, expiresAt, ...profile } = user;
+    const remembered = api.isSessionRemembered();
+    let parked = null;
+    try {
+      parked = await api.post('/auth/park', { refreshToken }, { retries: 0 });
+    } catch { }
+    if (!parked?.parkedSessionId) {
+      await logout();
+      return;
+    }
+    setOperators(prev => [
+      ...prev.filter(o => o.email !== user.email),
+      { ...profile, parkedSessionId: parked.parkedSessionId, parkedUntil: parked.expiresAt, remember: remembered }
+    ]);
+    setUser(null);
+    api.clearSession();
+    clearResources();
+  }
+
+  // The API checks the PIN and trades the parked session for new tokens; a 401 means that
+  // session is over (expired, or signed out everywhere meanwhile)
+  async function resumeOperator(email, pin) {
+    const held = operators.find(o => o.email === email);
+    if (!held) throw new Error('That operator is no longer signed in here');
+    let data;
+    try {
+      data = await api.post('/auth/resume', { parkedSessionId: held.parkedSessionId, pin }, { skipAuthRefresh: true, retries: 0 });
+    } catch (err) {
+      if (err?.status === 401) setOperators(prev => prev.filter(o => o.email !== email));
+      throw err;
+    }
+    if (!data?.accessToken) throw new Error('Invalid resume response');
+    remember.current = held.remember ?? true;
+    startSession(data, { resumed: held.parkedSessionId });
+  }
+
+  // Revokes the refresh token on the server (all of the account's with `everywhere`), then
+  // drops the session here and in every other tab. The local sign-out happens even when the
+  // server can't be reached; the result says whether the revoke went through.
+  async function logout({ everywhere = false } = {}) {
+    const refreshToken = api.getRefreshToken();
+    let revoked = false;
+    if (refreshToken) {
+      try {
+        await api.post(everywhere ? '/auth/logout-all' : '/auth/logout', { refreshToken }, { retries: 0, timeout: 5000 });
+        revoked = true;
+      } catch { }
+    }
     setUser(null);
-    api.setToken(null);
+    api.clearSession();
+    return revoked;
   }
 
   return (
-    <AuthContext.Provider value={{ user, login, logout }}>
+    <AuthContext.Provider value={{ user, operators, login, completeTwoFactor, extendSession, lock, unlock, updateUser, switchOperator, resumeOperator, logout }}>
       {children}
     </AuthContext.Provider>
   );
@@ -0,0 +1,51 @@
+import { act, renderHook } from '@testing-library/react';
+import api from '../api';
+import { createMockApi } from '../mock/mockApi';
+import { DEMO_PASSWORD } from '../mock/seed';
+import { openAuthChannel } from './authChannel';
+import { AuthProvider, useAuth } from './AuthContext';
+
+jest.mock('./authChannel', () => ({ openAuthChannel: jest.fn() }));
+
+let posted;
+let deliver;
+
+beforeEach(() => {
+  posted = [];
+  openAuthChannel.mockImplementation(onMessage => {
+    deliver = onMessage;
+    return { post: message => posted.push(message), close: () => { } };
+  });
+  api.setTransport(createMockApi().fetch);
+});
+
+afterEach(() => {
+  api.setTransport(null);
+  api.clearSession();
+});
+
+test('other tabs hear about a sign-in but never get its tokens', async () => {
+  const { result } = renderHook(() => useAuth(), { wrapper: AuthProvider });
+
+  await act(() => result.current.login('staff@demo.local', DEMO_PASSWORD, { remember: false }));
+
+  expect(result.current.user.token).toBeTruthy();
+  expect(posted).toEqual([expect.objectContaining({ user: expect.objectContaining({ email: 'staff@demo.local' }) })]);
+  expect(JSON.stringify(posted)).not.toMatch(/mock-(access|refresh)-/);
+});
+
+test('a tab takes the tokens for a session another tab announces from its own storage', async () => {
+  const session = await api.post('/auth/login', { email: 'staff@demo.local', password: DEMO_PASSWORD }, { skipAuthRefresh: true });
+  const profile = { ...session.user, expiresAt: session.expiresAt };
+  const { result } = renderHook(() => useAuth(), { wrapper: AuthProvider });
+
+  // Signed in without "Remember me" in the other tab: nothing here to use
+  act(() => deliver({ user: profile, operators: [] }));
+  expect(result.current.user).toBeNull();
+
+  // A remembered session is in the localStorage every tab shares
+  api.beginSession({ ...session.user, token: session.accessToken, refreshToken: session.refreshToken, expiresAt: session.expiresAt });
+  act(() => deliver({ user: { ...profile, locked: true }, operators: [] }));
+  expect(result.current.user).toMatchObject({ email: 'staff@demo.local', locked: true, token: session.accessToken });
+  expect(posted).toEqual([]);
+});
@@ -0,0 +1,33 @@
+// Carries sign-in, token rotation, lock and sign-out between tabs of the same origin.
+// BroadcastChannel where the browser has it; otherwise a localStorage key written and
+// removed at once, which fires a storage event in every other tab. Messages must not carry
+// tokens: the fallback puts them in localStorage, if only for a moment.
+const CHANNEL = 'gc_auth';
+
+export function openAuthChannel(onMessage) {
+  if (typeof BroadcastChannel !== 'undefined') {
+    const channel = new BroadcastChannel(CHANNEL);
+    channel.onmessage = e => onMessage(e.data);
+    return {
+      post: message => channel.postMessage(message),
+      close: () => channel.close()
+    };
+  }
+
+  function onStorage(e) {
+    if (e.key !== CHANNEL || !e.newValue) return;
+    try { onMessage(JSON.parse(e.newValue).message); } catch { }
+  }
+  window.addEventListener('storage', onStorage);
+  return {
+    post: message => {
+      try {
+        localStorage.setItem(CHANNEL, JSON.stringify({ message, at: Date.now() }));
+        localStorage.removeItem(CHANNEL);
+      } catch { }
+    },
+    close: () => window.removeEventListener('storage', onStorage)
+  };
+}
+
+export default openAuthChannel;
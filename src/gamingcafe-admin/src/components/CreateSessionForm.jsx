@@ -0,0 +1,136 @@
+import React, { useEffect, useState } from 'react';
+import api from '../api';
+import { useToast } from './ToastProvider';
+import { useIdempotencyKey } from '../utils/idempotency';
+import { isQueued, submitOrQueue } from '../utils/offlineQueue';
+import { usePagedResource, withQuery } from '../utils/resources';
+import { durationOptions, formatMinutes, useSessionSettings } from '../utils/sessionTime';
+
+// Starts a session, optionally on a station chosen beforehand (the floor map's tiles)
+export default function CreateSessionForm({ stationId: presetStationId, onStarted }) {
+  const [stationId, setStationId] = useState(presetStationId ? String(presetStationId) : '');
+  const [userId, setUserId] = useState('');
+  // Minutes as a string, 'open' for no limit; null until chosen, which means the default
+  const [duration, setDuration] = useState(null);
+  const settings = useSessionSettings();
+  const durationValue = duration ?? String(settings.defaultDurationMinutes);
+  const toast = useToast();
+  // The form lives only as long as the modal, so one key covers this session start
+  const startKey = useIdempotencyKey();
+  const [starting, setStarting] = useState(false);
+
+  // Prefer available stations, fall back to the full list when none are reported free
+  const availableStations = usePagedResource('/stations/available');
+  const allStations = usePagedResource(
+    !availableStations.loading && availableStations.items.length === 0 ? '/stations' : null
+  );
+  const stations = availableStations.items.length ? availableStations.items : allStations.items;
+  const usersQuery = usePagedResource(withQuery('/users', { pageSize: 50 }));
+  const users = usersQuery.items;
+  const loadingChoices = availableStations.loading || allStations.loading || usersQuery.loading;
+
+  useEffect(() => {
+    if (usersQuery.error) toast.pushError(usersQuery.error, 'Failed to load stations or users');
+  }, [usersQuery.error, toast]);
+
+  async function start() {
+    if (starting) return;
+    try {
+      if (!stationId || !userId) {
+        toast.push('Select station and user', 'error');
+        return;
+      }
+      setStarting(true);
+      const station = stations.find(s => String(s?.stationId ?? s?.id) === stationId);
+      const user = users.find(u => String(u?.userId ?? u?.id) === userId);
+      const res = await submitOrQueue({
+        path: '/gamesessions/start',
+        body: {
+          stationId: parseInt(stationId, 10),
+          userId: parseInt(userId, 10),
+          durationMinutes: durationValue === 'open' ? undefined : Number(durationValue)
+        },
+        idempotencyKey: startKey.current(),
+        label: `Start session on ${station?.stationName ?? station?.name ?? `station #${stationId}`} for ${user?.username ?? `user #${userId}`}${durationValue === 'open' ? '' : ` (${formatMinutes(Number(durationValue))})`}`,
+        invalidates: ['/gamesessions', '/reports/dashboard', '/stations']
+      });
+      startKey.settle();
+      onStarted?.({ replayed: api.isReplayed(res), queued: isQueued(res) });
+    } catch (err) {
+      startKey.settle(err);
+      toast.pushError(err, 'Failed to start session');
+    } finally {
+      setStarting(false);
+    }
+  }
+
+  return (
+    <div className="space-y-4">
+      <div>
+        <label className="block text-sm font-medium text-gray-700 mb-2">Station</label>
+        <select 
+          value={stationId} 
+          onChange={e => setStationId(e.target.value)} 
+          disabled={loadingChoices}
+          className="w-full px-3 py-2 border border-gray-300 rounded-lg shadow-sm focus:ring-indigo-500 focus:border-indigo-500"
+        >
+          <option value="">-- select station --</option>
+          {stations.map(s => {
+            // id field may vary: stationId, id, StationId
+            const id = s?.stationId ?? s?.id ?? s?.StationId ?? s?.stationID ?? s?.stationId;
+            const name = s?.stationName ?? s?.name ?? s?.station_name ?? s?.station ?? s?.displayName;
+            const label = name || (id ? `Station ${id}` : 'Unnamed station');
+            return <option key={id ?? label} value={id ?? ''}>{label}</option>;
+          })}
+        </select>
+      </div>
+
+      <div>
+        <label className="block text-sm font-medium text-gray-700 mb-2">User</label>
+        <select 
+          value={userId} 
+          onChange={e => setUserId(e.target.value)} 
+          disabled={loadingChoices}
+          className="w-full px-3 py-2 border border-gray-300 rounded-lg shadow-sm focus:ring-indigo-500 focus:border-indigo-500"
+        >
+          <option value="">-- select user --</option>
+          {users.map(u => {
+            const id = u?.userId ?? u?.id ?? u?.UserId ?? u?.userID ?? u?.userId;
+            const name = u?.username ?? u?.userName ?? u?.name ?? u?.displayName ?? u?.email;
+            const label = name || (id ? `User ${id}` : 'Unknown user');
+            return <option key={id ?? label} value={id ?? ''}>{label}</option>;
+          })}
+        </select>
+      </div>
+
+      <div>
+        <label htmlFor="session-duration" className="block text-sm font-medium text-gray-700 mb-2">Prepaid time</label>
+        <select
+          id="session-duration"
+          value={durationValue}
+          onChange={e => setDuration(e.target.value)}
+          className="w-full px-3 py-2 border border-gray-300 rounded-lg shadow-sm focus:ring-indigo-500 focus:border-indigo-500"
+        >
+          {durationOptions(settings).map(m => <option key={m} value={String(m)}>{formatMinutes(m)}</option>)}
+          <option value="open">No limit (charged when ended)</option>
+        </select>
+      </div>
+
+      <div className="flex gap-3 pt-4">
+        <button 
+          className="flex-1 px-4 py-2 bg-indigo-600 hover:bg-indigo-700 text-white text-sm font-medium rounded-lg transition-colors duration-200 disabled:opacity-50 disabled:cursor-not-allowed"
+          onClick={start} 
+          disabled={loadingChoices || starting || !stationId || !userId}
+        >
+          {loadingChoices ? 'Loading...' : starting ? 'Starting...' : 'Start Session'}
+        </button>
+        <button 
+          className="px-4 py-2 bg-gray-100 hover:bg-gray-200 text-gray-700 text-sm font-medium rounded-lg transition-colors duration-200"
+          onClick={() => { setStationId(presetStationId ? String(presetStationId) : ''); setUserId(''); setDuration(null); }}
+        >
+          Clear
+        </button>
+      </div>
+    </div>
+  );
+}
\ No newline at end of file
@@ -0,0 +1,121 @@
+import React, { useEffect, useState } from 'react';
+import { checkHealthNow, startHealthChecks, useSystemHealth } from '../utils/health';
+
+const LEVELS = {
+  checking: { label: 'Checking...', dot: 'bg-gray-300' },
+  online: { label: 'System Online', dot: 'bg-emerald-500' },
+  degraded: { label: 'Degraded', dot: 'bg-amber-500' },
+  offline: { label: 'Offline', dot: 'bg-red-500' }
+};
+
+const COMPONENT_STYLES = {
+  Healthy: 'bg-green-100 text-green-700',
+  Degraded: 'bg-amber-100 text-amber-800',
+  Unhealthy: 'bg-red-100 text-red-700'
+};
+
+const LIVE_LABELS = {
+  connected: 'Connected',
+  connecting: 'Connecting...',
+  reconnecting: 'Reconnecting...',
+  disconnected: 'Disconnected, retrying',
+  off: 'Off (pages poll for changes)'
+};
+
+function fmtTime(ms) {
+  return ms ? new Date(ms).toLocaleTimeString() : 'never';
+}
+
+// Topbar status dot. Driven by the health endpoints, the last API responses and the live
+// updates connection; clicking it lists what each backend component reports.
+export default function HealthIndicator() {
+  const health = useSystemHealth();
+  const [open, setOpen] = useState(false);
+  const level = LEVELS[health.level];
+
+  useEffect(() => startHealthChecks(), []);
+
+  function toggle() {
+    if (!open) checkHealthNow();
+    setOpen(!open);
+  }
+
+  return (
+    <div className="relative">
+      <button
+        type="button"
+        onClick={toggle}
+        aria-expanded={open}
+        title={health.reasons.join('\n') || undefined}
+        className="flex items-center gap-2 px-2 py-1 rounded-lg text-sm text-gray-600 hover:bg-gray-50"
+      >
+        <span className={`w-2 h-2 rounded-full block ${level.dot}`} />
+        <span>{level.label}</span>
+      </button>
+
+      {open && (
+        <>
+          <div className="fixed inset-0 z-40" onClick={() => setOpen(false)} />
+          <div role="dialog" aria-label="System health" className="absolute right-0 mt-2 w-96 bg-white border border-gray-100 rounded-lg shadow-lg z-50">
+            <div className="flex items-center justify-between px-4 py-3 border-b border-gray-100">
+              <div>
+                <div className="font-medium text-gray-900">System health</div>
+                <div className="text-xs text-gray-500">
+                  {health.detailed ? `Checked at ${fmtTime(health.detailed.checkedAt)}${health.detailed.stale ? ' (last known)' : ''}` : 'Not checked yet'}
+                </div>
+              </div>
+              <button
+                type="button"
+                onClick={() => checkHealthNow()}
+                disabled={health.checking}
+                className="px-3 py-1 text-xs font-medium text-indigo-700 bg-indigo-50 hover:bg-indigo-100 rounded disabled:opacity-50"
+              >
+                {health.checking ? 'Checking...' : 'Check now'}
+              </button>
+            </div>
+
+            {health.reasons.length > 0 && (
+              <ul className={`px-4 py-2 text-sm border-b border-gray-100 ${health.level === 'offline' ? 'bg-red-50 text-red-700' : 'bg-amber-50 text-amber-800'}`}>
+                {health.reasons.map(reason => <li key={reason}>{reason}</li>)}
+              </ul>
+            )}
+
+            {health.detailed?.components.length ? (
+              <ul className="max-h-72 overflow-y-auto divide-y divide-gray-100">
+                {health.detailed.components.map(c => (
+                  <li key={c.name} className="px-4 py-2 text-sm">
+                    <div className="flex items-center justify-between gap-2">
+                      <span className="font-medium text-gray-900">{c.label}</span>
+                      <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${COMPONENT_STYLES[c.status] || 'bg-gray-100 text-gray-700'}`}>{c.status}</span>
+                    </div>
+                    <div className="text-xs text-gray-500">
+                      {c.description}
+                      <span className="block">{c.status} since {fmtTime(c.since)}{c.duration ? ` · took ${c.duration}` : ''}</span>
+                    </div>
+                  </li>
+                ))}
+              </ul>
+            ) : (
+              <p className="px-4 py-3 text-sm text-gray-500">
+                {health.level === 'offline' ? 'Component health is unavailable while the server cannot be reached.' : 'No component report yet.'}
+              </p>
+            )}
+
+            <dl className="px-4 py-3 border-t border-gray-100 grid grid-cols-2 gap-y-1 text-xs">
+              <dt className="text-gray-500">Last successful request</dt>
+              <dd className="text-gray-900 text-right">{fmtTime(health.traffic?.lastSuccessAt)}</dd>
+              <dt className="text-gray-500">Last failed request</dt>
+              <dd className="text-gray-900 text-right">{fmtTime(health.traffic?.lastFailureAt)}</dd>
+              <dt className="text-gray-500">Readiness check</dt>
+              <dd className="text-gray-900 text-right">
+                {health.ready ? `${health.ready.ok ? 'Ready' : health.ready.reachable ? 'Not ready' : 'No answer'} at ${fmtTime(health.ready.checkedAt)}` : 'Pending'}
+              </dd>
+              <dt className="text-gray-500">Live updates</dt>
+              <dd className="text-gray-900 text-right">{LIVE_LABELS[health.live] || health.live}</dd>
+            </dl>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
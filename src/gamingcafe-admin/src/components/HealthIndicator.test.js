@@ -0,0 +1,38 @@
+import { fireEvent, render, screen, within } from '@testing-library/react';
+import api from '../api';
+import { createMockApi } from '../mock/mockApi';
+import HealthIndicator from './HealthIndicator';
+
+let mock;
+
+beforeEach(() => {
+  mock = createMockApi();
+  api.setTransport(mock.fetch);
+});
+
+afterEach(() => {
+  api.setTransport(null);
+});
+
+test('a degraded component turns the indicator amber and is listed with its status', async () => {
+  render(<HealthIndicator />);
+  expect(await screen.findByText('System Online')).toBeInTheDocument();
+
+  mock.db.health.email = { status: 'Degraded', description: 'SMTP server is slow to respond' };
+  fireEvent.click(screen.getByRole('button', { name: /System Online/ }));
+
+  expect(await screen.findByRole('button', { name: /Degraded/ })).toBeInTheDocument();
+  const popover = screen.getByRole('dialog', { name: 'System health' });
+  expect(within(popover).getByText('Email: degraded')).toBeInTheDocument();
+  expect(within(popover).getByText('SMTP server is slow to respond')).toBeInTheDocument();
+  expect(within(popover).getByText('Database')).toBeInTheDocument();
+});
+
+test('an API that stops answering shows as offline', async () => {
+  render(<HealthIndicator />);
+  api.setTransport(async () => { throw new TypeError('Failed to fetch'); });
+  fireEvent.click(screen.getByRole('button', { expanded: false }));
+
+  expect(await screen.findByRole('button', { name: /Offline/ })).toBeInTheDocument();
+  expect(within(screen.getByRole('dialog')).getByText('The server cannot be reached')).toBeInTheDocument();
+});
@@ -0,0 +1,21 @@
+import { useEffect } from 'react';
+import { useAuth } from '../auth/AuthContext';
+import { isDemoMode } from '../config';
+import { startLive, stopLive } from '../utils/live';
+
+// Holds the hub connection while someone is signed in and at the screen. Switching operator
+// reconnects with the new operator's token. The demo backend has no hub, so demo mode keeps
+// polling.
+export default function LiveUpdates() {
+  const { user } = useAuth();
+  const active = Boolean(user?.token) && !user.locked && !isDemoMode();
+  const email = user?.email;
+
+  useEffect(() => {
+    if (!active) return;
+    startLive();
+    return stopLive;
+  }, [active, email]);
+
+  return null;
+}
@@ -0,0 +1,95 @@
+import React, { useState } from 'react';
+import { useAuth } from '../auth/AuthContext';
+import { useToast } from './ToastProvider';
+
+// Replaces every protected page while the session is locked, so nothing on an unattended
+// front-desk screen (wallets, customer details) stays readable. Accounts with a quick-switch
+// PIN unlock with it; someone else at the desk switches operator instead.
+export default function LockScreen() {
+  const { user, unlock, switchOperator, logout } = useAuth();
+  const toast = useToast();
+  const [usePin, setUsePin] = useState(Boolean(user?.hasPin));
+  const [password, setPassword] = useState('');
+  const [error, setError] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+
+  async function submit(e) {
+    e.preventDefault();
+    if (!password) return setError(usePin ? 'Enter your PIN to unlock' : 'Enter your password to unlock');
+    setSubmitting(true);
+    setError(null);
+    try {
+      await unlock(password, { pin: usePin });
+    } catch (err) {
+      const reason = err?.data?.code;
+      if (reason === 'unlock_locked') {
+        // unlock() has already signed out; the sign-in page replaces this screen
+        toast.push(err.data.message, 'error', 8000);
+        return;
+      }
+      if (usePin && reason !== 'pin_invalid') {
+        // Locked out or no PIN after all: the password still works
+        setUsePin(false);
+        setError(err?.data?.message || 'Unlock with your password');
+      } else {
+        const left = err?.data?.remainingAttempts;
+        setError(err?.status === 400
+          ? `${usePin ? 'Incorrect PIN' : 'Incorrect password'}.${left ? ` ${left} attempt${left === 1 ? '' : 's'} left.` : ''}`
+          : err?.message || 'Could not unlock');
+      }
+      setPassword('');
+      setSubmitting(false);
+    }
+  }
+
+  function toggleMethod() {
+    setUsePin(!usePin);
+    setPassword('');
+    setError(null);
+  }
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-slate-900">
+      <div className="w-[380px] bg-white rounded-lg p-6 shadow-2xl">
+        <div className="flex items-center gap-3">
+          <div className="w-10 h-10 rounded-full bg-gradient-to-br from-sky-500 to-purple-600 flex items-center justify-center text-white font-semibold">
+            {(user?.email || 'A')[0].toUpperCase()}
+          </div>
+          <div>
+            <h2 className="m-0 text-xl font-semibold">Screen locked</h2>
+            <div className="text-sm text-gray-600">{user?.username || user?.email}</div>
+          </div>
+        </div>
+        <form onSubmit={submit} className="mt-4">
+          <label htmlFor="unlock-password" className="block text-sm">{usePin ? 'PIN' : 'Password'}</label>
+          <input
+            id="unlock-password"
+            key={usePin ? 'pin' : 'password'}
+            type="password"
+            value={password}
+            onChange={e => setPassword(usePin ? e.target.value.replace(/\D/g, '').slice(0, 6) : e.target.value)}
+            inputMode={usePin ? 'numeric' : undefined}
+            autoComplete={usePin ? 'off' : 'current-password'}
+            autoFocus
+            className={`w-full px-3 py-2 rounded border border-gray-300 ${usePin ? 'font-mono tracking-widest' : ''}`}
+          />
+          {error && <div className="text-red-500 mt-2 text-sm">{error}</div>}
+          <button type="submit" disabled={submitting} className="mt-4 w-full px-3 py-2 bg-teal-500 text-white rounded hover:bg-teal-600 disabled:opacity-50">
+            {submitting ? 'Unlocking...' : 'Unlock'}
+          </button>
+        </form>
+        <div className="mt-3 flex items-center justify-between text-sm">
+          {user?.hasPin ? (
+            <button type="button" onClick={toggleMethod} className="text-sky-600 underline">
+              {usePin ? 'Use password instead' : 'Use PIN instead'}
+            </button>
+          ) : <span />}
+          <button type="button" onClick={() => logout()} className="text-gray-600 underline">Sign out</button>
+        </div>
+        <button type="button" onClick={switchOperator} className="mt-4 w-full px-3 py-2 rounded border border-gray-300 text-sm text-gray-700 hover:bg-gray-50">
+          Not you? Switch operator
+        </button>
+      </div>
+    </div>
+  );
+}
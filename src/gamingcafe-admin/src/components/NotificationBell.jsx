@@ -0,0 +1,214 @@
+import React, { useEffect, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useAuth } from '../auth/AuthContext';
+import { userDisplayName } from '../utils/security';
+import { useNow } from '../utils/sessionTime';
+import {
+  OPEN_EVENT,
+  SEVERITIES,
+  SNOOZE_OPTIONS,
+  acknowledge,
+  clearHistory,
+  desktopNotificationsSupported,
+  enableDesktopNotifications,
+  markAllRead,
+  markRead,
+  refreshNotifications,
+  selectNotifications,
+  setNotificationPrefs,
+  snooze,
+  startNotifications,
+  timeAgo,
+  unreadCount,
+  unsnooze,
+  useNotifications
+} from '../utils/notifications';
+
+const SEVERITY_STYLES = {
+  critical: { dot: 'bg-red-500', badge: 'bg-red-100 text-red-700' },
+  warning: { dot: 'bg-amber-500', badge: 'bg-amber-100 text-amber-800' },
+  info: { dot: 'bg-blue-500', badge: 'bg-blue-100 text-blue-700' }
+};
+
+const VIEWS = [['inbox', 'Inbox'], ['snoozed', 'Snoozed'], ['history', 'History']];
+
+function fmtTime(ms) {
+  return new Date(ms).toLocaleString();
+}
+
+function NotificationItem({ item, view, now, onOpen, operator }) {
+  const style = SEVERITY_STYLES[item.severity] || SEVERITY_STYLES.info;
+  return (
+    <li className={`px-4 py-3 text-sm ${item.readAt || view === 'history' ? '' : 'bg-indigo-50/40'}`}>
+      <div className="flex items-start gap-3">
+        <span className={`mt-1.5 w-2 h-2 rounded-full flex-shrink-0 ${style.dot}`} />
+        <div className="flex-1 min-w-0">
+          <button type="button" onClick={() => onOpen(item)} className={`text-left text-gray-900 hover:underline ${item.readAt ? '' : 'font-semibold'}`}>
+            {item.message}
+          </button>
+          {item.detail && <div className="text-xs text-gray-500">{item.detail}</div>}
+          <div className="text-xs text-gray-400 mt-0.5">
+            <span className={`px-1.5 py-0.5 rounded text-[10px] font-medium uppercase mr-2 ${style.badge}`}>{item.severity}</span>
+            {timeAgo(item.createdAt, now)}
+            {view === 'snoozed' && ` · snoozed until ${new Date(item.snoozedUntil).toLocaleTimeString()}`}
+          </div>
+          {view === 'history' && (
+            <div className="text-xs text-gray-500 mt-0.5">
+              {item.acknowledgedAt
+                ? `Acknowledged${item.acknowledgedBy ? ` by ${item.acknowledgedBy}` : ''} at ${fmtTime(item.acknowledgedAt)}`
+                : `Cleared at ${fmtTime(item.resolvedAt)}`}
+            </div>
+          )}
+        </div>
+      </div>
+
+      {view !== 'history' && (
+        <div className="flex items-center justify-end gap-2 mt-2">
+          {view === 'snoozed' ? (
+            <button type="button" onClick={() => unsnooze(item.id)} className="px-2 py-1 text-xs text-gray-700 bg-gray-50 hover:bg-gray-100 rounded">Unsnooze</button>
+          ) : (
+            <select
+              aria-label={`Snooze ${item.message}`}
+              value=""
+              onChange={e => e.target.value && snooze(item.id, Number(e.target.value))}
+              className="px-2 py-1 text-xs text-gray-700 bg-gray-50 border border-gray-200 rounded"
+            >
+              <option value="">Snooze...</option>
+              {SNOOZE_OPTIONS.map(o => <option key={o.ms} value={o.ms}>{o.label}</option>)}
+            </select>
+          )}
+          <button
+            type="button"
+            onClick={() => acknowledge(item.id, operator)}
+            className="px-2 py-1 text-xs font-medium text-indigo-700 bg-indigo-50 hover:bg-indigo-100 rounded"
+          >
+            Acknowledge
+          </button>
+        </div>
+      )}
+    </li>
+  );
+}
+
+// Topbar bell with the unread count. The panel lists open notifications, snoozed ones and
+// the history of what was acknowledged or cleared on this terminal.
+export default function NotificationBell() {
+  const { items, prefs } = useNotifications();
+  const { user } = useAuth();
+  const navigate = useNavigate();
+  // Re-renders once in a while so snoozes run out and "5 min ago" moves on
+  const now = useNow(30000);
+  const [open, setOpen] = useState(false);
+  const [view, setView] = useState('inbox');
+  const [severity, setSeverity] = useState('all');
+
+  useEffect(() => startNotifications(), []);
+
+  useEffect(() => {
+    const onOpen = () => { setView('inbox'); setOpen(true); };
+    window.addEventListener(OPEN_EVENT, onOpen);
+    return () => window.removeEventListener(OPEN_EVENT, onOpen);
+  }, []);
+
+  const unread = unreadCount(items, now);
+  const list = selectNotifications(items, { view, severity }, now);
+  const operator = userDisplayName(user) || null;
+
+  function toggle() {
+    if (!open) refreshNotifications();
+    setOpen(!open);
+  }
+
+  function openItem(item) {
+    if (!item.readAt) markRead(item.id);
+    if (item.link) {
+      setOpen(false);
+      navigate(item.link);
+    }
+  }
+
+  async function toggleDesktop(e) {
+    if (e.target.checked) await enableDesktopNotifications();
+    else setNotificationPrefs({ desktop: false });
+  }
+
+  return (
+    <div className="relative">
+      <button
+        type="button"
+        onClick={toggle}
+        aria-expanded={open}
+        aria-label={unread ? `Notifications, ${unread} unread` : 'Notifications'}
+        className="relative p-2 rounded-lg text-gray-600 hover:bg-gray-50"
+      >
+        <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 17h5l-1.405-1.405A2.032 2.032 0 0118 14.158V11a6 6 0 10-12 0v3.159c0 .538-.214 1.055-.595 1.436L4 17h5m6 0v1a3 3 0 11-6 0v-1m6 0H9" />
+        </svg>
+        {unread > 0 && (
+          <span className="absolute -top-0.5 -right-0.5 min-w-[1.1rem] px-1 rounded-full bg-red-500 text-white text-[10px] font-semibold leading-[1.1rem] text-center">
+            {unread > 99 ? '99+' : unread}
+          </span>
+        )}
+      </button>
+
+      {open && (
+        <>
+          <div className="fixed inset-0 z-40" onClick={() => setOpen(false)} />
+          <div role="dialog" aria-label="Notifications" className="absolute right-0 mt-2 w-96 bg-white border border-gray-100 rounded-lg shadow-lg z-50">
+            <div className="flex items-center justify-between px-4 py-3 border-b border-gray-100">
+              <div className="font-medium text-gray-900">Notifications</div>
+              {view === 'history' ? (
+                <button type="button" onClick={clearHistory} className="text-xs text-gray-500 hover:text-gray-700">Clear history</button>
+              ) : (
+                <button type="button" onClick={markAllRead} disabled={!unread} className="text-xs text-indigo-700 hover:text-indigo-900 disabled:text-gray-300">Mark all read</button>
+              )}
+            </div>
+
+            <div className="flex items-center justify-between gap-2 px-4 py-2 border-b border-gray-100">
+              <div className="flex gap-1">
+                {VIEWS.map(([value, label]) => (
+                  <button
+                    key={value}
+                    type="button"
+                    aria-pressed={view === value}
+                    onClick={() => setView(value)}
+                    className={`px-2 py-1 text-xs rounded ${view === value ? 'bg-indigo-600 text-white' : 'text-gray-600 hover:bg-gray-50'}`}
+                  >
+                    {label}
+                  </button>
+                ))}
+              </div>
+              <select aria-label="Severity" value={severity} onChange={e => setSeverity(e.target.value)} className="px-2 py-1 text-xs border border-gray-200 rounded">
+                <option value="all">All severities</option>
+                {SEVERITIES.map(s => <option key={s} value={s}>{s.charAt(0).toUpperCase() + s.slice(1)}</option>)}
+              </select>
+            </div>
+
+            {list.length ? (
+              <ul className="max-h-96 overflow-y-auto divide-y divide-gray-100">
+                {list.map(item => <NotificationItem key={item.id} item={item} view={view} now={now} onOpen={openItem} operator={operator} />)}
+              </ul>
+            ) : (
+              <p className="px-4 py-6 text-sm text-center text-gray-500">
+                {view === 'inbox' ? 'Nothing needs attention' : view === 'snoozed' ? 'Nothing is snoozed' : 'No history yet'}
+              </p>
+            )}
+
+            <div className="px-4 py-3 border-t border-gray-100 space-y-1 text-xs text-gray-600">
+              <div className="font-medium text-gray-700">For critical alerts</div>
+              <label className="flex items-center gap-2">
+                <input type="checkbox" checked={prefs.sound} onChange={e => setNotificationPrefs({ sound: e.target.checked })} />
+                Play a sound
+              </label>
+              <label className="flex items-center gap-2">
+                <input type="checkbox" checked={prefs.desktop} disabled={!desktopNotificationsSupported()} onChange={toggleDesktop} />
+                Show a browser notification
+                {!desktopNotificationsSupported() && <span className="text-gray-400">(not supported here)</span>}
+              </label>
+            </div>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,74 @@
+import { fireEvent, render, screen, within } from '@testing-library/react';
+import { MemoryRouter } from 'react-router-dom';
+import api from '../api';
+import { AuthProvider } from '../auth/AuthContext';
+import { createMockApi } from '../mock/mockApi';
+import { DEMO_PASSWORD } from '../mock/seed';
+import { resetNotifications, setNotificationPrefs } from '../utils/notifications';
+import NotificationBell from './NotificationBell';
+
+let mock;
+
+function renderBell() {
+  render(
+    <MemoryRouter>
+      <AuthProvider>
+        <NotificationBell />
+      </AuthProvider>
+    </MemoryRouter>
+  );
+}
+
+beforeEach(async () => {
+  resetNotifications();
+  mock = createMockApi();
+  api.setTransport(mock.fetch);
+  const session = await api.post('/auth/login', { email: 'admin@demo.local', password: DEMO_PASSWORD }, { skipAuthRefresh: true });
+  api.beginSession({ ...session.user, token: session.accessToken, refreshToken: session.refreshToken });
+});
+
+afterEach(() => {
+  api.setTransport(null);
+  api.clearSession();
+  delete window.Notification;
+});
+
+test('alerts, low stock and sessions are counted, and an acknowledged one moves to the saved history', async () => {
+  renderBell();
+  // Two API alerts, two products running low, one out of stock and a session with 5 minutes left
+  fireEvent.click(await screen.findByRole('button', { name: 'Notifications, 6 unread' }));
+
+  const panel = screen.getByRole('dialog', { name: 'Notifications' });
+  expect(within(panel).getByText('Cup Noodles is out of stock')).toBeInTheDocument();
+  expect(within(panel).getByText('PS5-01: tankmain has 5 min left')).toBeInTheDocument();
+  const alert = within(panel).getAllByRole('listitem').find(li => within(li).queryByText('PC-005 high temperature detected'));
+  fireEvent.click(within(alert).getByRole('button', { name: 'Acknowledge' }));
+
+  expect(screen.getByRole('button', { name: 'Notifications, 5 unread' })).toBeInTheDocument();
+  fireEvent.click(within(panel).getByRole('button', { name: 'History' }));
+  expect(within(panel).getByText('PC-005 high temperature detected')).toBeInTheDocument();
+  expect(within(panel).getByText(/^Acknowledged by /)).toBeInTheDocument();
+
+  const saved = JSON.parse(localStorage.getItem('gc_notifications'));
+  expect(saved.items.find(n => n.key === 'alert:1').acknowledgedAt).toEqual(expect.any(Number));
+});
+
+test('a session out of time is critical, raises a browser notification and can be snoozed', async () => {
+  window.Notification = Object.assign(jest.fn(), { permission: 'granted' });
+  setNotificationPrefs({ desktop: true });
+  mock.db.sessions[0].plannedEndTime = new Date(Date.now() - 5 * 60000).toISOString();
+  renderBell();
+
+  fireEvent.click(await screen.findByRole('button', { name: 'Notifications, 7 unread' }));
+  const panel = screen.getByRole('dialog', { name: 'Notifications' });
+  fireEvent.change(within(panel).getByRole('combobox', { name: 'Severity' }), { target: { value: 'critical' } });
+
+  const items = within(panel).getAllByRole('listitem');
+  expect(items).toHaveLength(1);
+  expect(within(items[0]).getByText('PC-001: pixelqueen is out of time')).toBeInTheDocument();
+  expect(window.Notification).toHaveBeenCalledWith('Gaming Café alert', expect.objectContaining({ tag: 'session:1' }));
+
+  fireEvent.change(within(items[0]).getByRole('combobox', { name: /^Snooze/ }), { target: { value: String(15 * 60000) } });
+  expect(within(panel).getByText('Nothing needs attention')).toBeInTheDocument();
+  expect(screen.getByRole('button', { name: 'Notifications, 6 unread' })).toBeInTheDocument();
+});
@@ -0,0 +1,102 @@
+import React, { useState } from 'react';
+import { useAuth } from '../auth/AuthContext';
+import { RateLimitError } from '../api';
+import { userDisplayName, userRoles } from '../utils/security';
+
+// Staff parked on this terminal by "Switch operator". Picking one asks for their PIN; anyone
+// without a PIN, locked out or with an ended session is sent to the password form instead.
+export default function OperatorPicker({ onDone, onUsePassword }) {
+  const { operators, resumeOperator } = useAuth();
+  const [selected, setSelected] = useState(null);
+  const [pin, setPin] = useState('');
+  const [error, setError] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+
+  if (operators.length === 0) return null;
+
+  function choose(operator) {
+    setPin('');
+    setError(null);
+    if (operator.hasPin) setSelected(operator);
+    else onUsePassword(operator.email, `${userDisplayName(operator)} has no PIN yet. Sign in with the password.`);
+  }
+
+  async function submit(e) {
+    e.preventDefault();
+    if (!pin) return setError('Enter your PIN');
+    setSubmitting(true);
+    setError(null);
+    try {
+      await resumeOperator(selected.email, pin);
+      onDone();
+    } catch (err) {
+      const reason = err?.data?.code;
+      setSubmitting(false);
+      setPin('');
+      if (reason === 'pin_invalid') {
+        const left = err.data.remainingAttempts;
+        setError(`Incorrect PIN.${left ? ` ${left} attempt${left === 1 ? '' : 's'} left.` : ''}`);
+      } else if (reason === 'pin_locked' || err instanceof RateLimitError) {
+        setSelected(null);
+        onUsePassword(selected.email, 'Too many incorrect PINs. Sign in with the password instead.');
+      } else if (reason === 'pin_not_set' || err?.status === 401) {
+        setSelected(null);
+        onUsePassword(selected.email, reason === 'pin_not_set' ? 'No PIN is set for this account. Sign in with the password.' : 'That session has ended. Sign in with the password.');
+      } else {
+        setError(err?.message || 'Could not switch operator');
+      }
+    }
+  }
+
+  return (
+    <div className="mt-4">
+      <div className="text-sm font-medium text-gray-700">Signed in on this terminal</div>
+      <ul className="mt-2 space-y-2">
+        {operators.map(o => (
+          <li key={o.email}>
+            <button
+              type="button"
+              onClick={() => choose(o)}
+              aria-pressed={selected?.email === o.email}
+              className={`w-full flex items-center gap-3 px-3 py-2 rounded border text-left ${selected?.email === o.email ? 'border-teal-500 bg-teal-50' : 'border-gray-200 hover:bg-gray-50'}`}
+            >
+              <span className="w-8 h-8 rounded-full bg-gradient-to-br from-sky-500 to-purple-600 flex items-center justify-center text-white font-semibold">
+                {userDisplayName(o)[0].toUpperCase()}
+              </span>
+              <span>
+                <span className="block text-sm font-medium text-gray-900">{userDisplayName(o)}</span>
+                <span className="block text-xs text-gray-500">{userRoles(o).join(', ')}</span>
+              </span>
+            </button>
+          </li>
+        ))}
+      </ul>
+
+      {selected && (
+        <form onSubmit={submit} className="mt-3">
+          <label htmlFor="operator-pin" className="block text-sm">PIN for {userDisplayName(selected)}</label>
+          <input
+            id="operator-pin"
+            type="password"
+            value={pin}
+            onChange={e => setPin(e.target.value.replace(/\D/g, '').slice(0, 6))}
+            inputMode="numeric"
+            autoComplete="off"
+            autoFocus
+            className="w-full px-3 py-2 rounded border border-gray-300 font-mono tracking-widest"
+          />
+          {error && <div className="text-red-500 mt-2 text-sm">{error}</div>}
+          <button type="submit" disabled={submitting} className="mt-3 w-full px-3 py-2 bg-teal-500 text-white rounded hover:bg-teal-600 disabled:opacity-50">
+            {submitting ? 'Switching...' : 'Continue'}
+          </button>
+        </form>
+      )}
+
+      <div className="mt-4 flex items-center gap-3 text-xs uppercase tracking-wide text-gray-400">
+        <span className="flex-1 border-t border-gray-200" />
+        or sign in with a password
+        <span className="flex-1 border-t border-gray-200" />
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,68 @@
+import { fireEvent, render, screen } from '@testing-library/react';
+import { MemoryRouter } from 'react-router-dom';
+import api from '../api';
+import { AuthProvider, useAuth } from '../auth/AuthContext';
+import { ToastProvider } from './ToastProvider';
+import Login from '../pages/Login';
+import { createMockApi } from '../mock/mockApi';
+import { DEMO_PASSWORD, DEMO_PIN } from '../mock/seed';
+
+function Terminal() {
+  const { user, switchOperator } = useAuth();
+  if (!user) return <Login onSuccess={() => { }} />;
+  return <button onClick={switchOperator}>Switch operator ({user.email})</button>;
+}
+
+beforeEach(async () => {
+  api.setTransport(createMockApi().fetch);
+  const session = await api.post('/auth/login', { email: 'staff@demo.local', password: DEMO_PASSWORD }, { skipAuthRefresh: true });
+  api.beginSession({ ...session.user, token: session.accessToken, refreshToken: session.refreshToken, expiresAt: session.expiresAt });
+});
+
+afterEach(() => {
+  api.setTransport(null);
+  api.clearSession();
+  api.saveHeldSessions([]);
+});
+
+test('a parked operator gets back in with their PIN, and no tokens stay in the browser meanwhile', async () => {
+  const { refreshToken } = api.getSession();
+  render(<MemoryRouter><ToastProvider><AuthProvider><Terminal /></AuthProvider></ToastProvider></MemoryRouter>);
+
+  fireEvent.click(screen.getByRole('button', { name: 'Switch operator (staff@demo.local)' }));
+  fireEvent.click(await screen.findByRole('button', { name: /Sam Okafor/ }));
+  expect(api.getSession()).toBeNull();
+  const stored = sessionStorage.getItem('gc_operators');
+  expect(stored).toContain('parkedSessionId');
+  expect(stored).not.toMatch(/mock-(access|refresh)-/);
+  // The parked session's old refresh token is revoked, not just forgotten
+  await expect(api.post('/auth/refresh-token', { refreshToken }, { skipAuthRefresh: true })).rejects.toMatchObject({ status: 401 });
+
+  fireEvent.change(screen.getByLabelText('PIN for Sam Okafor'), { target: { value: '1111' } });
+  fireEvent.click(screen.getByRole('button', { name: 'Continue' }));
+  expect(await screen.findByText('Incorrect PIN. 4 attempts left.')).toBeInTheDocument();
+
+  fireEvent.change(screen.getByLabelText('PIN for Sam Okafor'), { target: { value: DEMO_PIN } });
+  fireEvent.click(screen.getByRole('button', { name: 'Continue' }));
+  expect(await screen.findByRole('button', { name: 'Switch operator (staff@demo.local)' })).toBeInTheDocument();
+  expect(api.getSession().refreshToken).toMatch(/^mock-refresh-/);
+  expect(api.getHeldSessions()).toEqual([]);
+});
+
+test('a parked session signed out everywhere meanwhile sends the operator to the password form', async () => {
+  render(<MemoryRouter><ToastProvider><AuthProvider><Terminal /></AuthProvider></ToastProvider></MemoryRouter>);
+  fireEvent.click(screen.getByRole('button', { name: 'Switch operator (staff@demo.local)' }));
+  fireEvent.click(await screen.findByRole('button', { name: /Sam Okafor/ }));
+
+  // "Sign out everywhere" from another device revokes the parked session too
+  const other = await api.post('/auth/login', { email: 'staff@demo.local', password: DEMO_PASSWORD }, { skipAuthRefresh: true });
+  api.beginSession({ ...other.user, token: other.accessToken, refreshToken: other.refreshToken }, { remember: false });
+  await api.post('/auth/logout-all');
+  api.clearSession();
+
+  fireEvent.change(screen.getByLabelText('PIN for Sam Okafor'), { target: { value: DEMO_PIN } });
+  fireEvent.click(screen.getByRole('button', { name: 'Continue' }));
+  expect(await screen.findByText('That session has ended. Sign in with the password.')).toBeInTheDocument();
+  expect(screen.queryByRole('button', { name: /Sam Okafor/ })).not.toBeInTheDocument();
+  expect(api.getSession()).toBeNull();
+});
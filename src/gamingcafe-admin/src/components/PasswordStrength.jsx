@@ -0,0 +1,28 @@
+import React from 'react';
+import { checkPassword, passwordStrength } from '../utils/passwordPolicy';
+
+const BAR_COLORS = ['bg-red-500', 'bg-red-500', 'bg-amber-500', 'bg-lime-500', 'bg-green-600'];
+
+// Live meter and rule checklist shown under a new-password field
+export default function PasswordStrength({ password }) {
+  const { rules } = checkPassword(password);
+  const { score, label } = passwordStrength(password);
+
+  return (
+    <div className="mt-2">
+      <div className="flex gap-1" aria-hidden="true">
+        {[1, 2, 3, 4].map(step => (
+          <div key={step} className={`h-1.5 flex-1 rounded ${password && score >= step ? BAR_COLORS[score] : 'bg-gray-200'}`} />
+        ))}
+      </div>
+      {label && <div className="mt-1 text-xs text-gray-600">Strength: {label}</div>}
+      <ul className="mt-2 space-y-0.5 text-xs">
+        {rules.map(rule => (
+          <li key={rule.id} className={rule.met ? 'text-green-700' : 'text-gray-500'}>
+            {rule.met ? '✓' : '•'} {rule.label}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
@@ -0,0 +1,96 @@
+import React, { useEffect, useState } from 'react';
+import { discardItem, replayQueue, retryItem, startOfflineSync, useOfflineQueue } from '../utils/offlineQueue';
+import { useAuth } from '../auth/AuthContext';
+import { copyText } from '../utils/clipboard';
+
+const STATUS_STYLES = {
+  pending: { label: 'Waiting', className: 'bg-amber-100 text-amber-800' },
+  syncing: { label: 'Syncing', className: 'bg-sky-100 text-sky-800' },
+  conflict: { label: 'Conflict', className: 'bg-orange-100 text-orange-800' },
+  failed: { label: 'Rejected', className: 'bg-red-100 text-red-800' }
+};
+
+// Topbar tray listing writes made while the API was unreachable
+export default function PendingSyncTray() {
+  const items = useOfflineQueue();
+  const { user } = useAuth();
+  const [open, setOpen] = useState(false);
+
+  useEffect(() => startOfflineSync(), []);
+
+  // Items held back by a 401 go out as soon as their operator is signed in again
+  useEffect(() => { if (user?.email) replayQueue(); }, [user?.email]);
+
+  useEffect(() => { if (items.length === 0) setOpen(false); }, [items.length]);
+
+  if (items.length === 0) return null;
+
+  const problems = items.filter(item => item.status === 'conflict' || item.status === 'failed').length;
+
+  return (
+    <div className="relative">
+      <button
+        onClick={() => setOpen(!open)}
+        className={`flex items-center gap-2 px-3 py-1.5 rounded-lg text-sm font-medium border ${problems ? 'bg-red-50 border-red-200 text-red-700' : 'bg-amber-50 border-amber-200 text-amber-800'}`}
+      >
+        <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 4v5h.582m15.356 2A8.001 8.001 0 004.582 9m0 0H9m11 11v-5h-.581m0 0a8.003 8.003 0 01-15.357-2m15.357 2H15" />
+        </svg>
+        {items.length} pending sync
+      </button>
+
+      {open && (
+        <>
+          <div className="fixed inset-0 z-40" onClick={() => setOpen(false)} />
+          <div className="absolute right-0 mt-2 w-96 bg-white border border-gray-100 rounded-lg shadow-lg z-50">
+            <div className="flex items-center justify-between px-4 py-3 border-b border-gray-100">
+              <div>
+                <div className="font-medium text-gray-900">Pending sync</div>
+                <div className="text-xs text-gray-500">Saved while offline, sent in order when the connection returns</div>
+              </div>
+              <button onClick={() => replayQueue()} className="px-3 py-1 text-xs font-medium text-indigo-700 bg-indigo-50 hover:bg-indigo-100 rounded">
+                Sync now
+              </button>
+            </div>
+            <ul className="max-h-80 overflow-y-auto divide-y divide-gray-100">
+              {items.map(item => {
+                const style = STATUS_STYLES[item.status] || STATUS_STYLES.pending;
+                const settled = item.status === 'conflict' || item.status === 'failed';
+                return (
+                  <li key={item.id} className="px-4 py-3 text-sm">
+                    <div className="flex items-start justify-between gap-2">
+                      <div className="min-w-0">
+                        <div className="font-medium text-gray-900 truncate">{item.label}</div>
+                        <div className="text-xs text-gray-500">
+                          Queued {new Date(item.queuedAt).toLocaleTimeString()}
+                          {item.operator && item.operator.email !== user?.email && ` by ${item.operator.name}, sent when they are back at the screen`}
+                        </div>
+                      </div>
+                      <span className={`shrink-0 px-2 py-0.5 rounded-full text-xs font-medium ${style.className}`}>{style.label}</span>
+                    </div>
+                    {item.error && (
+                      <div className="mt-1 text-xs text-red-600">
+                        {item.error}
+                        {item.correlationId && (
+                          <button onClick={() => copyText(item.correlationId)} className="ml-2 font-mono text-gray-500 hover:text-gray-700" title="Copy reference">
+                            Ref: {item.correlationId}
+                          </button>
+                        )}
+                      </div>
+                    )}
+                    {item.status !== 'syncing' && (
+                      <div className="mt-2 flex gap-2">
+                        {settled && <button onClick={() => retryItem(item.id)} className="px-2 py-1 text-xs font-medium text-indigo-700 bg-indigo-50 hover:bg-indigo-100 rounded">Retry</button>}
+                        <button onClick={() => discardItem(item.id)} className="px-2 py-1 text-xs font-medium text-gray-700 bg-gray-100 hover:bg-gray-200 rounded">Discard</button>
+                      </div>
+                    )}
+                  </li>
+                );
+              })}
+            </ul>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,118 @@
+import React, { useEffect, useState } from 'react';
+import api from '../api';
+import { useAuth } from '../auth/AuthContext';
+import { useToast } from './ToastProvider';
+
+// Profile card for the quick-switch PIN used to get back to a parked session on a shared
+// front-desk terminal. Setting or changing it needs the account password.
+export default function PinSettings({ profile }) {
+  const { updateUser } = useAuth();
+  const toast = useToast();
+  const [hasPin, setHasPin] = useState(Boolean(profile?.hasPin));
+  const [pin, setPin] = useState('');
+  const [password, setPassword] = useState('');
+  const [error, setError] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => { setHasPin(Boolean(profile?.hasPin)); }, [profile?.hasPin]);
+
+  function changed(value) {
+    setHasPin(value);
+    updateUser({ hasPin: value });
+  }
+
+  async function save(e) {
+    e.preventDefault();
+    if (!/^\d{4,6}$/.test(pin)) return setError('PIN must be 4 to 6 digits');
+    if (!password) return setError('Enter your current password');
+    setSaving(true);
+    setError(null);
+    try {
+      await api.put('/auth/pin', { currentPassword: password, pin });
+      toast.push(hasPin ? 'PIN changed' : 'PIN set', 'success');
+      changed(true);
+      setPin('');
+      setPassword('');
+    } catch (err) {
+      setError(err?.errors?.pin?.[0] || (err?.status === 400 ? 'Current password is incorrect' : err?.message || 'Could not save the PIN'));
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  async function remove() {
+    setSaving(true);
+    try {
+      await api.del('/auth/pin');
+      toast.push('PIN removed', 'success');
+      changed(false);
+    } catch (err) {
+      toast.pushError(err, 'Could not remove the PIN');
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  return (
+    <div className="bg-white rounded-xl shadow-sm border border-gray-200 mt-6">
+      <div className="p-6">
+        <div className="flex items-center justify-between mb-2">
+          <h3 className="text-lg font-semibold text-gray-900">Quick-switch PIN</h3>
+          <span className={`inline-flex px-2 py-1 text-xs font-semibold rounded-full ${hasPin ? 'bg-green-100 text-green-800' : 'bg-gray-100 text-gray-700'}`}>
+            {hasPin ? 'Set' : 'Not set'}
+          </span>
+        </div>
+        <p className="text-gray-600 mb-4">
+          On a shared terminal, "Switch operator" keeps you signed in while someone else uses the screen. Your PIN gets you back in, and unlocks the screen when it locks.
+        </p>
+
+        <form onSubmit={save} className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          <div>
+            <label htmlFor="pin-new" className="block text-sm font-medium text-gray-700 mb-1">{hasPin ? 'New PIN' : 'PIN'}</label>
+            <input
+              id="pin-new"
+              type="password"
+              value={pin}
+              onChange={e => setPin(e.target.value.replace(/\D/g, '').slice(0, 6))}
+              inputMode="numeric"
+              autoComplete="off"
+              placeholder="4 to 6 digits"
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg shadow-sm font-mono tracking-widest focus:ring-indigo-500 focus:border-indigo-500"
+            />
+          </div>
+          <div>
+            <label htmlFor="pin-password" className="block text-sm font-medium text-gray-700 mb-1">Current Password</label>
+            <input
+              id="pin-password"
+              type="password"
+              value={password}
+              onChange={e => setPassword(e.target.value)}
+              autoComplete="current-password"
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg shadow-sm focus:ring-indigo-500 focus:border-indigo-500"
+            />
+          </div>
+          {error && <div className="md:col-span-2 text-sm text-red-600">{error}</div>}
+          <div className="md:col-span-2 flex items-center gap-3">
+            <button
+              type="submit"
+              disabled={saving}
+              className="inline-flex items-center px-4 py-2 bg-indigo-600 hover:bg-indigo-700 text-white text-sm font-medium rounded-lg disabled:opacity-50 disabled:cursor-not-allowed transition-colors duration-200"
+            >
+              {hasPin ? 'Change PIN' : 'Set PIN'}
+            </button>
+            {hasPin && (
+              <button
+                type="button"
+                onClick={remove}
+                disabled={saving}
+                className="px-4 py-2 border border-gray-300 rounded-lg text-sm font-medium text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50"
+              >
+                Remove PIN
+              </button>
+            )}
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+}
@@ -1,8 +1,12 @@
 import React, { useState, useEffect } from 'react';
+import { unplacedErrors } from '../utils/formErrors';
+
+const FIELDS = ['name', 'category', 'price', 'stockQuantity', 'minStockLevel', 'description', 'isActive'];
 
 export default function ProductForm({ initial = {}, onCancel, onSubmit, errors = {} }) {
   const [form, setForm] = useState({ name: '', description: '', price: 0, category: '', stockQuantity: 0, minStockLevel: 0, isActive: true });
   const [saving, setSaving] = useState(false);
+  const otherErrors = unplacedErrors(errors, FIELDS);
 
   useEffect(() => { setForm(f => ({ ...f, ...initial })); }, [initial]);
 
@@ -32,6 +36,7 @@ export default function ProductForm({ initial = {}, onCancel, onSubmit, errors =
           <span className="font-medium text-sm">Category</span>
           <input name="category" value={form.category} onChange={change} className="border rounded px-2 py-1 w-full" required />
         </label>
+        {errors?.category && <div className="text-red-500 text-sm">{errors.category.join(', ')}</div>}
 
         <label className="flex flex-col">
           <span className="font-medium text-sm">Price</span>
@@ -43,16 +48,19 @@ export default function ProductForm({ initial = {}, onCancel, onSubmit, errors =
           <span className="font-medium text-sm">Stock Quantity</span>
           <input name="stockQuantity" type="number" value={form.stockQuantity} onChange={change} className="border rounded px-2 py-1 w-full" />
         </label>
+        {errors?.stockQuantity && <div className="text-red-500 text-sm">{errors.stockQuantity.join(', ')}</div>}
 
         <label className="flex flex-col">
           <span className="font-medium text-sm">Min Stock Level</span>
           <input name="minStockLevel" type="number" value={form.minStockLevel} onChange={change} className="border rounded px-2 py-1 w-full" />
         </label>
+        {errors?.minStockLevel && <div className="text-red-500 text-sm">{errors.minStockLevel.join(', ')}</div>}
 
         <label className="flex flex-col">
           <span className="font-medium text-sm">Description</span>
           <textarea name="description" value={form.description} onChange={change} className="border rounded px-2 py-1 w-full" />
         </label>
+        {errors?.description && <div className="text-red-500 text-sm">{errors.description.join(', ')}</div>}
 
         <label className="flex items-center gap-2">
           <input name="isActive" type="checkbox" checked={form.isActive} onChange={change} className="h-4 w-4" />
@@ -64,7 +72,7 @@ export default function ProductForm({ initial = {}, onCancel, onSubmit, errors =
           <button type="submit" disabled={saving} className="px-3 py-1 rounded bg-teal-500 text-white hover:bg-teal-600 disabled:opacity-50">{saving ? 'Saving...' : 'Save'}</button>
         </div>
 
-        {errors?._global && <div className="text-red-500 text-sm mt-2">{errors._global.join(', ')}</div>}
+        {otherErrors.length > 0 && <div className="text-red-500 text-sm mt-2">{otherErrors.join(', ')}</div>}
       </div>
     </form>
   );
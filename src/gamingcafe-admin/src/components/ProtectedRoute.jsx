@@ -1,9 +1,19 @@
 import React from 'react';
-import { Navigate } from 'react-router-dom';
+import { Navigate, useLocation } from 'react-router-dom';
 import { useAuth } from '../auth/AuthContext';
+import { hasPermission, hasRole } from '../utils/security';
+import LockScreen from './LockScreen';
 
-export default function ProtectedRoute({ children }) {
+// Signed-out users go to /login; signed-in users without the role or permission a page
+// needs go to the 403 page. Every page needs 'app:access' (staff accounts) unless it
+// passes permission={null}.
+export default function ProtectedRoute({ children, roles, permission = 'app:access' }) {
   const { user } = useAuth();
+  const location = useLocation();
   if (!user) return <Navigate to="/login" replace />;
+  if (user.locked) return <LockScreen />;
+
+  const allowed = hasPermission(user, permission) && (!roles || hasRole(user, roles));
+  if (!allowed) return <Navigate to="/forbidden" replace state={{ from: location.pathname }} />;
   return children;
 }
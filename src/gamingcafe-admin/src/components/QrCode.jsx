@@ -0,0 +1,26 @@
+import React, { useMemo } from 'react';
+import QRCode from 'qrcode';
+
+// Draws the QR code for `value` as an SVG in the browser, so secrets such as a 2FA
+// provisioning URI never have to be sent to an image service
+export default function QrCode({ value, size = 192, title = 'QR code' }) {
+  const path = useMemo(() => {
+    const { modules } = QRCode.create(value, { errorCorrectionLevel: 'M' });
+    let d = '';
+    for (let row = 0; row < modules.size; row++) {
+      for (let col = 0; col < modules.size; col++) {
+        if (modules.get(row, col)) d += `M${col} ${row}h1v1h-1z`;
+      }
+    }
+    return { d, size: modules.size };
+  }, [value]);
+
+  // Four modules of quiet zone on every side, as scanners expect
+  const box = path.size + 8;
+  return (
+    <svg role="img" aria-label={title} width={size} height={size} viewBox={`-4 -4 ${box} ${box}`} shapeRendering="crispEdges" className="bg-white">
+      <rect x={-4} y={-4} width={box} height={box} fill="#fff" />
+      <path d={path.d} fill="#000" />
+    </svg>
+  );
+}
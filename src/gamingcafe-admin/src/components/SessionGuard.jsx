@@ -0,0 +1,93 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { useAuth } from '../auth/AuthContext';
+import { useToast } from './ToastProvider';
+import { getConfig } from '../config';
+import { useIdleTimer } from '../utils/idle';
+import { sessionExpiresAt } from '../utils/security';
+
+const WARN_BEFORE = 2 * 60 * 1000;
+// Input this recent means someone is at the screen, so the token is renewed without asking
+const ACTIVE_WINDOW = 5 * 60 * 1000;
+
+function formatLeft(ms) {
+  const seconds = Math.max(0, Math.ceil(ms / 1000));
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+// Watches the signed-in session: locks the screen after the configured idle time, and when
+// the access token is about to run out either renews it (someone is using the app) or asks
+// whether to stay signed in. A warning nobody answers, or a locked screen, ends the session.
+export default function SessionGuard() {
+  const { user } = useAuth();
+  if (!user?.token) return null;
+  return <SessionWatch key={user.email} />;
+}
+
+function SessionWatch() {
+  const { user, extendSession, lock, logout } = useAuth();
+  const toast = useToast();
+  const [now, setNow] = useState(() => Date.now());
+  const [warning, setWarning] = useState(false);
+  const [extending, setExtending] = useState(false);
+
+  const locked = Boolean(user.locked);
+  const idleMs = locked ? 0 : getConfig().idleLockMinutes * 60 * 1000;
+  const lastActivity = useIdleTimer(idleMs, lock);
+
+  const expiresAt = sessionExpiresAt(user);
+  const left = expiresAt ? expiresAt - now : null;
+
+  useEffect(() => {
+    if (!expiresAt) return;
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, [expiresAt]);
+
+  // A new token (from here or from a refresh inside api.js) clears the warning
+  useEffect(() => { setWarning(false); }, [expiresAt]);
+
+  const extend = useCallback(async () => {
+    setExtending(true);
+    try {
+      if (!(await extendSession())) toast.push('Your session has ended. Sign in again.', 'error');
+    } finally {
+      setExtending(false);
+    }
+  }, [extendSession, toast]);
+
+  useEffect(() => {
+    if (left === null || extending) return;
+    if (left <= 0) {
+      // Still unanswered, or nobody at the desk: end it. Otherwise the app was closed while the
+      // token ran out, and a remembered session picks up where it left off.
+      if (warning || locked) {
+        logout();
+        toast.push('You were signed out because the session expired.', 'warn', 8000);
+      } else {
+        extend();
+      }
+    } else if (left <= WARN_BEFORE && !warning && !locked) {
+      if (Date.now() - lastActivity.current < ACTIVE_WINDOW) extend();
+      else setWarning(true);
+    }
+  }, [left, warning, locked, extending, extend, logout, toast, lastActivity]);
+
+  if (!warning || locked) return null;
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-[60]">
+      <div role="alertdialog" aria-labelledby="session-expiry-title" className="w-[400px] bg-white rounded-lg p-6 shadow-2xl">
+        <h2 id="session-expiry-title" className="mt-0 mb-2 text-xl font-semibold">Your session is about to expire</h2>
+        <p className="mt-0 text-gray-600">
+          You will be signed out in <span className="font-mono font-semibold text-gray-900">{formatLeft(left)}</span>.
+        </p>
+        <div className="mt-4 flex justify-end gap-3">
+          <button type="button" onClick={() => logout()} className="px-4 py-2 rounded border border-gray-300 text-gray-700 hover:bg-gray-50">Sign out</button>
+          <button type="button" onClick={extend} disabled={extending} className="px-4 py-2 rounded bg-teal-500 text-white hover:bg-teal-600 disabled:opacity-50">
+            {extending ? 'Extending...' : 'Stay signed in'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
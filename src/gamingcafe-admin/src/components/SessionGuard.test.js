@@ -0,0 +1,103 @@
+import { act, fireEvent, render, screen, waitFor } from '@testing-library/react';
+import { MemoryRouter } from 'react-router-dom';
+import api from '../api';
+import { AuthProvider } from '../auth/AuthContext';
+import { getConfig, setConfig } from '../config';
+import { createMockApi } from '../mock/mockApi';
+import { DEMO_PASSWORD } from '../mock/seed';
+import ProtectedRoute from './ProtectedRoute';
+import SessionGuard from './SessionGuard';
+import { ToastProvider } from './ToastProvider';
+
+const initialConfig = getConfig();
+
+function renderApp() {
+  render(
+    <MemoryRouter>
+      <AuthProvider>
+        <ToastProvider>
+          <ProtectedRoute><div>Wallet balances</div></ProtectedRoute>
+          <SessionGuard />
+        </ToastProvider>
+      </AuthProvider>
+    </MemoryRouter>
+  );
+}
+
+async function signIn(expiresIn) {
+  const session = await api.post('/auth/login', { email: 'staff@demo.local', password: DEMO_PASSWORD }, { skipAuthRefresh: true });
+  api.beginSession({ ...session.user, token: session.accessToken, refreshToken: session.refreshToken, expiresAt: new Date(Date.now() + expiresIn).toISOString() });
+}
+
+beforeEach(() => {
+  api.setTransport(createMockApi().fetch);
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+  api.setTransport(null);
+  api.clearSession();
+  setConfig(initialConfig);
+});
+
+test('an idle screen locks and only the password or PIN opens it again', async () => {
+  setConfig({ ...initialConfig, idleLockMinutes: 1 });
+  await signIn(60 * 60 * 1000);
+  jest.useFakeTimers();
+  renderApp();
+  expect(screen.getByText('Wallet balances')).toBeInTheDocument();
+
+  act(() => { jest.advanceTimersByTime(60 * 1000); });
+  expect(screen.getByText('Screen locked')).toBeInTheDocument();
+  expect(screen.queryByText('Wallet balances')).not.toBeInTheDocument();
+  jest.useRealTimers();
+
+  // The seeded front-desk account has a PIN, so the lock screen starts on it
+  fireEvent.click(screen.getByRole('button', { name: 'Use password instead' }));
+  fireEvent.change(screen.getByLabelText('Password'), { target: { value: 'wrong' } });
+  fireEvent.click(screen.getByRole('button', { name: 'Unlock' }));
+  expect(await screen.findByText('Incorrect password. 4 attempts left.')).toBeInTheDocument();
+
+  fireEvent.change(screen.getByLabelText('Password'), { target: { value: DEMO_PASSWORD } });
+  fireEvent.click(screen.getByRole('button', { name: 'Unlock' }));
+  expect(await screen.findByText('Wallet balances')).toBeInTheDocument();
+});
+
+test('wrong passwords on the lock screen end the session once the check locks', async () => {
+  setConfig({ ...initialConfig, idleLockMinutes: 1 });
+  await signIn(60 * 60 * 1000);
+  jest.useFakeTimers();
+  renderApp();
+  act(() => { jest.advanceTimersByTime(60 * 1000); });
+  jest.useRealTimers();
+
+  fireEvent.click(screen.getByRole('button', { name: 'Use password instead' }));
+  for (const left of [4, 3, 2, 1]) {
+    fireEvent.change(screen.getByLabelText('Password'), { target: { value: 'wrong' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Unlock' }));
+    expect(await screen.findByText(`Incorrect password. ${left} attempt${left === 1 ? '' : 's'} left.`)).toBeInTheDocument();
+  }
+  fireEvent.change(screen.getByLabelText('Password'), { target: { value: 'wrong' } });
+  fireEvent.click(screen.getByRole('button', { name: 'Unlock' }));
+
+  expect(await screen.findByText('Too many incorrect passwords. Sign in again.')).toBeInTheDocument();
+  expect(screen.queryByText('Screen locked')).not.toBeInTheDocument();
+  expect(screen.queryByText('Wallet balances')).not.toBeInTheDocument();
+  expect(api.getRefreshToken()).toBeNull();
+});
+
+test('an idle user is asked before the token runs out and can extend', async () => {
+  setConfig({ ...initialConfig, idleLockMinutes: 0 });
+  await signIn(7 * 60 * 1000);
+  jest.useFakeTimers();
+  renderApp();
+
+  // Five minutes without input and under two left on the token: ask instead of renewing quietly
+  act(() => { jest.advanceTimersByTime(5 * 60 * 1000 + 1000); });
+  expect(screen.getByText('Your session is about to expire')).toBeInTheDocument();
+  jest.useRealTimers();
+
+  fireEvent.click(screen.getByRole('button', { name: 'Stay signed in' }));
+  await waitFor(() => expect(screen.queryByText('Your session is about to expire')).not.toBeInTheDocument());
+  expect(screen.getByText('Wallet balances')).toBeInTheDocument();
+});
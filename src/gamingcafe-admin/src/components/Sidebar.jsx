@@ -1,7 +1,10 @@
 import React, { useEffect, useState } from 'react';
 import { NavLink } from 'react-router-dom';
+import { isFeatureEnabled } from '../config';
+import { usePermission } from '../utils/security';
 
 export default function Sidebar() {
+  const can = usePermission();
   const [open, setOpen] = useState(() => {
     try { return localStorage.getItem('sidebarOpen') === '1'; } catch { return true; }
   });
@@ -22,14 +25,17 @@ export default function Sidebar() {
   const navItems = [
     { to: '/', label: 'Dashboard', icon: 'M4 6a2 2 0 012-2h2a2 2 0 012 2v2a2 2 0 01-2 2H6a2 2 0 01-2-2V6zM14 6a2 2 0 012-2h2a2 2 0 012 2v2a2 2 0 01-2 2h-2a2 2 0 01-2-2V6zM4 16a2 2 0 012-2h2a2 2 0 012 2v2a2 2 0 01-2 2H6a2 2 0 01-2-2v-2zM14 16a2 2 0 012-2h2a2 2 0 012 2v2a2 2 0 01-2 2h-2a2 2 0 01-2-2v-2z', end: true },
     { to: '/stations', label: 'Stations', icon: 'M9.75 17L9 20l-1 1h8l-1-1-.75-3M3 13h18M5 17h14a2 2 0 002-2V5a2 2 0 00-2-2H5a2 2 0 00-2 2v10a2 2 0 002 2z' },
-    { to: '/users', label: 'Users', icon: 'M17 20h5v-2a3 3 0 00-5.356-1.857M17 20H7m10 0v-2c0-.656-.126-1.283-.356-1.857M7 20H2v-2a3 3 0 015.356-1.857M7 20v-2c0-.656.126-1.283.356-1.857m0 0a5.002 5.002 0 019.288 0M15 7a3 3 0 11-6 0 3 3 0 016 0zm6 3a2 2 0 11-4 0 2 2 0 014 0zM7 10a2 2 0 11-4 0 2 2 0 014 0z' },
+    { to: '/floor-map', label: 'Floor Map', icon: 'M9 20l-5.447-2.724A1 1 0 013 16.382V5.618a1 1 0 011.447-.894L9 7m0 13l6-3m-6 3V7m6 10l4.553 2.276A1 1 0 0021 18.382V7.618a1 1 0 00-.553-.894L15 4m0 13V4m0 0L9 7' },
+    { to: '/users', label: 'Users', permission: 'users:view', icon: 'M17 20h5v-2a3 3 0 00-5.356-1.857M17 20H7m10 0v-2c0-.656-.126-1.283-.356-1.857M7 20H2v-2a3 3 0 015.356-1.857M7 20v-2c0-.656.126-1.283.356-1.857m0 0a5.002 5.002 0 019.288 0M15 7a3 3 0 11-6 0 3 3 0 016 0zm6 3a2 2 0 11-4 0 2 2 0 014 0zM7 10a2 2 0 11-4 0 2 2 0 014 0z' },
     { to: '/reservations', label: 'Reservations', icon: 'M8 7V3a2 2 0 012-2h6a2 2 0 012 2v4h3a1 1 0 011 1v9a2 2 0 01-2 2H2a2 2 0 01-2-2V8a1 1 0 011-1h3zm4-4v4h4V3h-4zM3 9v8h16V9H3z' },
-    { to: '/payments', label: 'Payments', icon: 'M17 9V7a2 2 0 00-2-2H5a2 2 0 00-2 2v6a2 2 0 002 2h2m2 4h10a2 2 0 002-2v-6a2 2 0 00-2-2H9a2 2 0 00-2 2v6a2 2 0 002 2zm7-5a2 2 0 11-4 0 2 2 0 014 0z' },
+    { to: '/payments', label: 'Payments', permission: 'view:financials', icon: 'M17 9V7a2 2 0 00-2-2H5a2 2 0 00-2 2v6a2 2 0 002 2h2m2 4h10a2 2 0 002-2v-6a2 2 0 00-2-2H9a2 2 0 00-2 2v6a2 2 0 002 2zm7-5a2 2 0 11-4 0 2 2 0 014 0z' },
     { to: '/inventory', label: 'Inventory', icon: 'M20 7l-8-4-8 4m16 0l-8 4m8-4v10l-8 4m0-10L4 7m8 4v10M4 7v10l8 4' },
-    { to: '/pos', label: 'POS', icon: 'M9 5H7a2 2 0 00-2 2v6a2 2 0 002 2h2a2 2 0 002-2V7a2 2 0 00-2-2zm8 0h-2a2 2 0 00-2 2v6a2 2 0 002 2h2a2 2 0 002-2V7a2 2 0 00-2-2z' },
-    { to: '/wallet', label: 'Wallet', icon: 'M21 15.546c-.523 0-.969-.235-1.327-.47a1.249 1.249 0 00-1.346 0c-.358.235-.804.47-1.327.47s-.969-.235-1.327-.47a1.249 1.249 0 00-1.346 0c-.358.235-.804.47-1.327.47s-.969-.235-1.327-.47a1.249 1.249 0 00-1.346 0c-.358.235-.804.47-1.327.47s-.969-.235-1.327-.47a1.249 1.249 0 00-1.346 0C4.969 15.311 4.523 15.546 4 15.546V14c.523 0 .969.235 1.327.47a1.249 1.249 0 001.346 0c.358-.235.804-.47 1.327-.47s.969.235 1.327.47a1.249 1.249 0 001.346 0c.358-.235.804-.47 1.327-.47s.969.235 1.327.47a1.249 1.249 0 001.346 0c.358-.235.804-.47 1.327-.47s.969.235 1.327.47a1.249 1.249 0 001.346 0c.358-.235.804-.47 1.327-.47v1.546zM3 8l1.5 1.5L6 8l1.5 1.5L9 8l1.5 1.5L12 8l1.5 1.5L15 8l1.5 1.5L18 8l1.5 1.5L21 8v6c0 1.105-.895 2-2 2H5c-1.105 0-2-.895-2-2V8z' },
-    { to: '/reports', label: 'Reports', icon: 'M9 19v-6a2 2 0 00-2-2H5a2 2 0 00-2 2v6a2 2 0 002 2h2a2 2 0 002-2zm0 0V9a2 2 0 012-2h2a2 2 0 012 2v10m-6 0a2 2 0 002 2h2a2 2 0 002-2m0 0V5a2 2 0 012-2h2a2 2 0 012 2v14a2 2 0 01-2 2h-2a2 2 0 01-2-2z' }
-  ];
+    { to: '/pos', label: 'POS', feature: 'pos', icon: 'M9 5H7a2 2 0 00-2 2v6a2 2 0 002 2h2a2 2 0 002-2V7a2 2 0 00-2-2zm8 0h-2a2 2 0 00-2 2v6a2 2 0 002 2h2a2 2 0 002-2V7a2 2 0 00-2-2z' },
+    { to: '/wallet', label: 'Wallet', permission: 'wallet:view', icon: 'M21 15.546c-.523 0-.969-.235-1.327-.47a1.249 1.249 0 00-1.346 0c-.358.235-.804.47-1.327.47s-.969-.235-1.327-.47a1.249 1.249 0 00-1.346 0c-.358.235-.804.47-1.327.47s-.969-.235-1.327-.47a1.249 1.249 0 00-1.346 0c-.358.235-.804.47-1.327.47s-.969-.235-1.327-.47a1.249 1.249 0 00-1.346 0C4.969 15.311 4.523 15.546 4 15.546V14c.523 0 .969.235 1.327.47a1.249 1.249 0 001.346 0c.358-.235.804-.47 1.327-.47s.969.235 1.327.47a1.249 1.249 0 001.346 0c.358-.235.804-.47 1.327-.47s.969.235 1.327.47a1.249 1.249 0 001.346 0c.358-.235.804-.47 1.327-.47s.969.235 1.327.47a1.249 1.249 0 001.346 0c.358-.235.804-.47 1.327-.47v1.546zM3 8l1.5 1.5L6 8l1.5 1.5L9 8l1.5 1.5L12 8l1.5 1.5L15 8l1.5 1.5L18 8l1.5 1.5L21 8v6c0 1.105-.895 2-2 2H5c-1.105 0-2-.895-2-2V8z' },
+    { to: '/reports', label: 'Reports', feature: 'reports', permission: 'reports:view', icon: 'M9 19v-6a2 2 0 00-2-2H5a2 2 0 00-2 2v6a2 2 0 002 2h2a2 2 0 002-2zm0 0V9a2 2 0 012-2h2a2 2 0 012 2v10m-6 0a2 2 0 002 2h2a2 2 0 002-2m0 0V5a2 2 0 012-2h2a2 2 0 012 2v14a2 2 0 01-2 2h-2a2 2 0 01-2-2z' }
+  ].filter(item => !item.feature || isFeatureEnabled(item.feature))
+    // Same checks as the route guards in App.jsx, so every link shown opens
+    .filter(item => can(item.permission || 'app:access'));
 
   return (
     <aside className={`${open ? 'translate-x-0' : '-translate-x-full'} md:translate-x-0 fixed md:static inset-y-0 left-0 z-40 w-64 bg-white border-r border-gray-200 transform transition-transform duration-200 ease-in-out`}>
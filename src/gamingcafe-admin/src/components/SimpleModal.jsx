@@ -1,6 +1,15 @@
-import React from 'react';
+import React, { useState } from 'react';
+
+export default function SimpleModal({ title, children, onClose, onSave, saveText = 'Save' }) {
+  const [saving, setSaving] = useState(false);
+
+  // Disabled while the save is pending so a double-click cannot submit twice
+  async function save() {
+    if (saving) return;
+    setSaving(true);
+    try { await onSave(); } finally { setSaving(false); }
+  }
 
-export default function SimpleModal({ title, children, onClose }) {
   return (
     <div className="fixed inset-0 bg-black/50 backdrop-blur-sm flex items-center justify-center z-50">
       <div className="bg-white rounded-xl w-full max-w-2xl mx-4 shadow-2xl border border-gray-200 max-h-[90vh] overflow-y-auto">
@@ -16,6 +25,24 @@ export default function SimpleModal({ title, children, onClose }) {
           </button>
         </div>
         <div className="p-6">{children}</div>
+        {onSave && (
+          <div className="flex justify-end gap-3 px-6 pb-6">
+            <button
+              onClick={onClose}
+              disabled={saving}
+              className="px-4 py-2 text-sm font-medium text-gray-700 bg-white border border-gray-300 rounded-lg hover:bg-gray-50 disabled:opacity-50 transition-colors duration-200"
+            >
+              Cancel
+            </button>
+            <button
+              onClick={save}
+              disabled={saving}
+              className="px-4 py-2 text-sm font-medium text-white bg-indigo-600 rounded-lg hover:bg-indigo-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors duration-200"
+            >
+              {saving ? 'Processing...' : saveText}
+            </button>
+          </div>
+        )}
       </div>
     </div>
   );
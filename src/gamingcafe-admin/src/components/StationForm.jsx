@@ -1,14 +1,20 @@
 import React, { useState, useEffect } from 'react';
+import { unplacedErrors } from '../utils/formErrors';
+
+const FIELDS = ['stationName', 'stationType', 'location', 'hourlyRate', 'isAvailable', 'isUnderMaintenance', 'notes'];
 
 export default function StationForm({ initial = {}, onCancel, onSubmit, errors = {} }) {
   const [form, setForm] = useState({
     stationName: '',
     stationType: 'PC',
+    location: '',
     hourlyRate: 0,
     isAvailable: true,
+    isUnderMaintenance: false,
     notes: ''
   });
   const [saving, setSaving] = useState(false);
+  const otherErrors = unplacedErrors(errors, FIELDS);
 
   useEffect(() => { setForm(f => ({ ...f, ...initial })); }, [initial]);
 
@@ -58,6 +64,24 @@ export default function StationForm({ initial = {}, onCancel, onSubmit, errors =
             <option value="Nintendo">Nintendo Switch</option>
             <option value="VR">VR Station</option>
           </select>
+          {errors?.stationType && (
+            <p className="mt-1 text-sm text-red-600">{errors.stationType.join(', ')}</p>
+          )}
+        </div>
+
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">Location</label>
+          <input 
+            name="location" 
+            value={form.location || ''} 
+            onChange={change} 
+            maxLength={100}
+            className="w-full px-3 py-2 border border-gray-300 rounded-lg shadow-sm focus:ring-indigo-500 focus:border-indigo-500"
+            placeholder="e.g. Main Floor, VIP Area"
+          />
+          {errors?.location && (
+            <p className="mt-1 text-sm text-red-600">{errors.location.join(', ')}</p>
+          )}
         </div>
 
         <div>
@@ -95,6 +119,19 @@ export default function StationForm({ initial = {}, onCancel, onSubmit, errors =
           </label>
         </div>
 
+        <div className="flex items-center">
+          <input 
+            name="isUnderMaintenance" 
+            type="checkbox" 
+            checked={Boolean(form.isUnderMaintenance)} 
+            onChange={change} 
+            className="h-4 w-4 text-indigo-600 border-gray-300 rounded focus:ring-indigo-500"
+          />
+          <label className="ml-3 block text-sm font-medium text-gray-700">
+            Under maintenance (no sessions can be started)
+          </label>
+        </div>
+
         <div>
           <label className="block text-sm font-medium text-gray-700 mb-2">Notes</label>
           <textarea 
@@ -105,15 +142,18 @@ export default function StationForm({ initial = {}, onCancel, onSubmit, errors =
             className="w-full px-3 py-2 border border-gray-300 rounded-lg shadow-sm focus:ring-indigo-500 focus:border-indigo-500"
             placeholder="Additional notes about this station..."
           />
+          {errors?.notes && (
+            <p className="mt-1 text-sm text-red-600">{errors.notes.join(', ')}</p>
+          )}
         </div>
 
-        {errors?._global && (
+        {otherErrors.length > 0 && (
           <div className="bg-red-50 border border-red-200 rounded-lg p-4">
             <div className="flex items-center gap-2 text-red-700">
               <svg className="w-5 h-5" fill="currentColor" viewBox="0 0 20 20">
                 <path fillRule="evenodd" d="M10 18a8 8 0 100-16 8 8 0 000 16zM8.707 7.293a1 1 0 00-1.414 1.414L8.586 10l-1.293 1.293a1 1 0 101.414 1.414L10 11.414l1.293 1.293a1 1 0 001.414-1.414L11.414 10l1.293-1.293a1 1 0 00-1.414-1.414L10 8.586 8.707 7.293z" clipRule="evenodd" />
               </svg>
-              {errors._global.join(', ')}
+              {otherErrors.join(', ')}
             </div>
           </div>
         )}
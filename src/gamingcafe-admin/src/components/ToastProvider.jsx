@@ -1,4 +1,5 @@
-import React, { createContext, useContext, useState, useCallback, useEffect } from 'react';
+import React, { createContext, useContext, useState, useCallback, useEffect, useMemo } from 'react';
+import { copyText } from '../utils/clipboard';
 
 const ToastContext = createContext(null);
 export function useToast() { return useContext(ToastContext); }
@@ -34,11 +35,11 @@ export function ToastProvider({ children }) {
 
   const remove = useCallback((id) => setToasts(t => t.filter(x => x.id !== id)), []);
 
-  const push = useCallback((message, type = 'info', duration = 4000) => {
+  const push = useCallback((message, type = 'info', duration = 4000, { reference } = {}) => {
     const id = Math.random().toString(36).slice(2,9);
     // cap toasts to 5
     setToasts(prev => {
-      const next = [...prev, { id, message, type, duration }];
+      const next = [...prev, { id, message, type, duration, reference }];
       if (next.length > 5) next.shift();
       return next;
     });
@@ -46,8 +47,23 @@ export function ToastProvider({ children }) {
     setTimeout(() => remove(id), duration);
   }, [remove]);
 
+  // Error toast for a failed API call, carrying the request's correlation ID as a reference
+  // code staff can quote; kept on screen longer so there is time to copy it.
+  const pushError = useCallback((err, fallback = 'Request failed') => {
+    const message = err?.message || fallback;
+    const reference = err?.correlationId;
+    push(message, 'error', reference ? 8000 : 4000, { reference });
+  }, [push]);
+
+  const value = useMemo(() => ({ push, pushError, remove }), [push, pushError, remove]);
+
+  async function copyReference(t) {
+    const ok = await copyText(t.reference);
+    setToasts(prev => prev.map(x => x.id === t.id ? { ...x, copied: ok } : x));
+  }
+
   return (
-    <ToastContext.Provider value={{ push, remove }}>
+    <ToastContext.Provider value={value}>
       {children}
       <div aria-live="polite" className="fixed right-4 top-4 z-50 flex flex-col gap-2">
         {toasts.map(t => {
@@ -56,7 +72,16 @@ export function ToastProvider({ children }) {
             <div key={t.id} role="status" className="min-w-[260px] max-w-[360px] text-white shadow-xl rounded overflow-hidden flex flex-col">
               <div className="flex items-center px-3 py-2 gap-3" style={{ background: bg }}>
                 <div className="w-7 h-7 flex items-center justify-center opacity-95">{ICONS[t.type] ?? ICONS.info}</div>
-                <div className="flex-1 text-sm leading-5">{t.message}</div>
+                <div className="flex-1 text-sm leading-5">
+                  {t.message}
+                  {t.reference && (
+                    <div className="mt-1 flex items-center gap-2 text-xs text-white/90">
+                      <span>Ref:</span>
+                      <code className="font-mono select-all">{t.reference}</code>
+                      <button onClick={() => copyReference(t)} className="underline">{t.copied ? 'Copied' : 'Copy'}</button>
+                    </div>
+                  )}
+                </div>
                 <button aria-label="dismiss" onClick={() => remove(t.id)} className="ml-3 p-2 text-white/90">
                   <svg width="14" height="14" viewBox="0 0 24 24" fill="none"><path d="M18 6L6 18M6 6l12 12" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"/></svg>
                 </button>
@@ -1,14 +1,21 @@
 import React, { useState } from 'react';
 import { useAuth } from '../auth/AuthContext';
 import { useNavigate } from 'react-router-dom';
+import PendingSyncTray from './PendingSyncTray';
+import HealthIndicator from './HealthIndicator';
+import NotificationBell from './NotificationBell';
+import { isDemoMode } from '../config';
+import { userDisplayName, userRoles } from '../utils/security';
 
 export default function Topbar() {
-  const { user, logout } = useAuth();
+  const { user, operators, logout, lock, switchOperator } = useAuth();
   const navigate = useNavigate();
   const [showUserMenu, setShowUserMenu] = useState(false);
 
   async function checkProfile() { navigate('/profile'); }
   function handleLogout() { logout(); setShowUserMenu(false); }
+  function handleLock() { setShowUserMenu(false); lock(); }
+  function handleSwitch() { setShowUserMenu(false); switchOperator(); }
 
   return (
     <header className="flex items-center justify-between px-4 py-3 bg-white border-b border-gray-100">
@@ -20,15 +27,34 @@ export default function Topbar() {
       </div>
 
       <div className="flex items-center gap-4">
-        <div className="flex items-center gap-2 text-sm text-gray-600">
-          <span className="w-2 h-2 rounded-full bg-emerald-500 block" />
-          <span>System Online</span>
-        </div>
+        <PendingSyncTray />
+
+        {isDemoMode() && (
+          <span className="px-2 py-1 rounded bg-amber-100 text-amber-800 text-xs font-semibold uppercase tracking-wide" title="Requests are answered by the in-browser mock API">
+            Demo data
+          </span>
+        )}
+
+        <HealthIndicator />
+
+        <NotificationBell />
+
+        {/* On a shared terminal everything done here is attributed to this person */}
+        <button
+          onClick={handleSwitch}
+          className="hidden md:flex items-center gap-2 px-3 py-2 rounded-lg border border-gray-200 text-sm text-gray-700 hover:bg-gray-50"
+        >
+          Switch operator
+          {operators.length > 0 && <span className="px-1.5 rounded-full bg-gray-100 text-xs text-gray-600">{operators.length}</span>}
+        </button>
 
         <div className="relative">
-          <button onClick={() => setShowUserMenu(!showUserMenu)} className="flex items-center gap-3 bg-white border border-gray-100 rounded-lg px-3 py-2 text-sm text-gray-800">
-            <div className="w-8 h-8 rounded-full bg-gradient-to-br from-sky-500 to-purple-600 flex items-center justify-center text-white font-semibold">{(user?.email || 'A')[0].toUpperCase()}</div>
-            <span className="hidden sm:inline">{user?.email || 'Admin'}</span>
+          <button onClick={() => setShowUserMenu(!showUserMenu)} aria-label="Current operator" className="flex items-center gap-3 bg-white border border-teal-200 rounded-lg px-3 py-1.5 text-sm text-gray-800">
+            <div className="w-8 h-8 rounded-full bg-gradient-to-br from-sky-500 to-purple-600 flex items-center justify-center text-white font-semibold">{(userDisplayName(user) || 'A')[0].toUpperCase()}</div>
+            <span className="hidden sm:block text-left leading-tight">
+              <span className="block font-semibold text-gray-900">{userDisplayName(user) || 'Admin'}</span>
+              <span className="block text-xs text-gray-500">{userRoles(user).join(', ') || 'Operator'}</span>
+            </span>
             <svg className="w-4 h-4 text-gray-500" viewBox="0 0 16 16" fill="currentColor"><path d="M7.247 11.14L2.451 5.658C1.885 5.013 2.345 4 3.204 4h9.592a1 1 0 0 1 .753 1.659l-4.796 5.48a1 1 0 0 1-1.506 0z"/></svg>
           </button>
 
@@ -39,6 +65,8 @@ export default function Topbar() {
                 <div className="text-xs text-gray-500">{user?.email}</div>
               </div>
               <button onClick={checkProfile} className="w-full text-left px-4 py-2 text-sm text-gray-700 hover:bg-gray-50">View Profile</button>
+              <button onClick={handleLock} className="w-full text-left px-4 py-2 text-sm text-gray-700 hover:bg-gray-50">Lock Screen</button>
+              <button onClick={handleSwitch} className="w-full text-left px-4 py-2 text-sm text-gray-700 hover:bg-gray-50">Switch Operator</button>
               <button onClick={handleLogout} className="w-full text-left px-4 py-2 text-sm text-red-600 hover:bg-red-50 border-t border-gray-100">Sign Out</button>
             </div>
           )}
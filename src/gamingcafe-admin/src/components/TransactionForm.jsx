@@ -1,4 +1,7 @@
 import React, { useState, useEffect } from 'react';
+import { unplacedErrors } from '../utils/formErrors';
+
+const FIELDS = ['userId', 'amount', 'type', 'paymentMethod', 'description', 'paymentReference', 'notes', 'status', 'refundAmount', 'reason'];
 
 export default function TransactionForm({ 
   initial = {}, 
@@ -20,6 +23,7 @@ export default function TransactionForm({
     reason: ''
   });
   const [saving, setSaving] = useState(false);
+  const otherErrors = unplacedErrors(errors, FIELDS);
 
   useEffect(() => {
     setForm(prevForm => ({ ...prevForm, ...initial }));
@@ -349,9 +353,9 @@ export default function TransactionForm({
         </button>
       </div>
 
-      {errors?._global && (
+      {otherErrors.length > 0 && (
         <div style={errorStyle}>
-          {Array.isArray(errors._global) ? errors._global.join(', ') : errors._global}
+          {otherErrors.join(', ')}
         </div>
       )}
     </form>
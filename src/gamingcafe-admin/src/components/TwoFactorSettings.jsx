@@ -0,0 +1,259 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import api from '../api';
+import ConfirmDialog from './ConfirmDialog';
+import QrCode from './QrCode';
+import { useToast } from './ToastProvider';
+import { copyText } from '../utils/clipboard';
+
+const ISSUER = 'Gaming Cafe';
+
+// Same format TwoFactorService uses, for APIs that only return the secret
+function provisioningUri(email, secret) {
+  const label = `${encodeURIComponent(ISSUER)}:${encodeURIComponent(email || '')}`;
+  return `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(ISSUER)}`;
+}
+
+function downloadCodes(codes, email) {
+  const text = [
+    `${ISSUER} recovery codes${email ? ` for ${email}` : ''}`,
+    `Generated ${new Date().toLocaleString()}`,
+    'Each code can be used once to sign in without your authenticator app.',
+    '',
+    ...codes
+  ].join('\n');
+  const blob = new Blob([text + '\n'], { type: 'text/plain' });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url; a.download = 'gamingcafe-recovery-codes.txt'; document.body.appendChild(a); a.click(); a.remove(); URL.revokeObjectURL(url);
+}
+
+// Security card on the Profile page: enrol in, inspect and turn off two-factor sign-in.
+// Recovery codes are only held in state while they are on screen and are never refetched.
+export default function TwoFactorSettings({ profile }) {
+  const toast = useToast();
+  const [enabled, setEnabled] = useState(null);
+  const [step, setStep] = useState(null); // 'password' | 'scan' | 'codes' | 'regenerate' | 'disable'
+  const [setup, setSetup] = useState(null);
+  const [codes, setCodes] = useState(null);
+  const [password, setPassword] = useState('');
+  const [code, setCode] = useState('');
+  const [error, setError] = useState('');
+  const [busy, setBusy] = useState(false);
+
+  const loadStatus = useCallback(async () => {
+    try {
+      const data = await api.get('/auth/2fa-status');
+      setEnabled(Boolean(data?.isTwoFactorEnabled));
+    } catch (err) {
+      toast.pushError(err, 'Could not load two-factor status');
+    }
+  }, [toast]);
+
+  useEffect(() => { loadStatus(); }, [loadStatus]);
+
+  function goTo(next) {
+    setStep(next);
+    setPassword('');
+    setCode('');
+    setError('');
+  }
+
+  async function run(action) {
+    setBusy(true);
+    setError('');
+    try {
+      await action();
+    } catch (err) {
+      setError(err?.message || 'Request failed');
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  function startSetup(e) {
+    e.preventDefault();
+    if (!password) return setError('Enter your password');
+    return run(async () => {
+      const data = await api.post('/auth/setup-2fa', { password });
+      setSetup(data);
+      goTo('scan');
+    });
+  }
+
+  function confirmSetup(e) {
+    e.preventDefault();
+    if (code.length !== 6) return setError('Enter the 6-digit code from your authenticator app');
+    return run(async () => {
+      await api.post('/auth/confirm-2fa-setup', { code });
+      setEnabled(true);
+      setCodes(setup?.recoveryCodes || []);
+      setSetup(null);
+      goTo('codes');
+      toast.push('Two-factor authentication is on', 'success');
+    });
+  }
+
+  function regenerateCodes() {
+    return run(async () => {
+      const data = await api.post('/auth/generate-recovery-codes');
+      setCodes(data?.recoveryCodes || []);
+      goTo('codes');
+    });
+  }
+
+  function disable(e) {
+    e.preventDefault();
+    if (!password) return setError('Enter your password');
+    return run(async () => {
+      await api.post('/auth/disable-2fa', { password });
+      setEnabled(false);
+      goTo(null);
+      toast.push('Two-factor authentication is off', 'success');
+    });
+  }
+
+  function finishCodes() {
+    setCodes(null);
+    goTo(null);
+  }
+
+  async function copyCodes() {
+    if (await copyText(codes.join('\n'))) toast.push('Recovery codes copied', 'success', 2000);
+    else toast.push('Could not copy — select the codes and copy them manually', 'warn');
+  }
+
+  const inputClass = 'w-full px-3 py-2 border border-gray-300 rounded-lg shadow-sm focus:ring-indigo-500 focus:border-indigo-500';
+  const primaryClass = 'inline-flex items-center px-4 py-2 bg-indigo-600 hover:bg-indigo-700 text-white text-sm font-medium rounded-lg disabled:opacity-50 disabled:cursor-not-allowed transition-colors duration-200';
+  const secondaryClass = 'inline-flex items-center px-4 py-2 bg-gray-100 hover:bg-gray-200 text-gray-700 text-sm font-medium rounded-lg transition-colors duration-200';
+
+  return (
+    <div className="bg-white rounded-xl shadow-sm border border-gray-200 mt-6">
+      <div className="p-6">
+        <div className="flex items-center justify-between mb-2">
+          <h3 className="text-lg font-semibold text-gray-900">Two-factor authentication</h3>
+          {enabled !== null && (
+            <span className={`inline-flex px-2 py-1 text-xs font-semibold rounded-full ${enabled ? 'bg-green-100 text-green-800' : 'bg-gray-100 text-gray-700'}`}>
+              {enabled ? 'On' : 'Off'}
+            </span>
+          )}
+        </div>
+        <p className="text-gray-600 mb-4">Ask for a code from an authenticator app in addition to your password when you sign in.</p>
+
+        {enabled === false && profile?.role === 'Admin' && step === null && (
+          <div className="mb-4 p-3 rounded-lg bg-amber-50 border border-amber-200 text-sm text-amber-800">
+            Administrator accounts are required to use two-factor authentication. Set it up now to keep access to admin features.
+          </div>
+        )}
+
+        {enabled === null && <p className="text-sm text-gray-500">Checking status...</p>}
+
+        {step === null && enabled === false && (
+          <button onClick={() => goTo('password')} className={primaryClass}>Set up two-factor authentication</button>
+        )}
+
+        {step === null && enabled && (
+          <div className="flex flex-wrap gap-3">
+            <button onClick={() => goTo('regenerate')} className={secondaryClass}>Generate new recovery codes</button>
+            <button onClick={() => goTo('disable')} className="inline-flex items-center px-4 py-2 text-sm font-medium rounded-lg text-red-700 bg-red-50 hover:bg-red-100 transition-colors duration-200">
+              Turn off
+            </button>
+          </div>
+        )}
+
+        {step === 'password' && (
+          <form onSubmit={startSetup} className="space-y-4 max-w-sm">
+            <div>
+              <label htmlFor="twofactor-setup-password" className="block text-sm font-medium text-gray-700 mb-1">Confirm your password</label>
+              <input id="twofactor-setup-password" type="password" value={password} onChange={e => setPassword(e.target.value)} autoFocus className={inputClass} />
+            </div>
+            {error && <div className="text-sm text-red-600">{error}</div>}
+            <div className="flex gap-3">
+              <button type="submit" disabled={busy} className={primaryClass}>{busy ? 'Checking...' : 'Continue'}</button>
+              <button type="button" onClick={() => goTo(null)} className={secondaryClass}>Cancel</button>
+            </div>
+          </form>
+        )}
+
+        {step === 'scan' && setup && (
+          <form onSubmit={confirmSetup} className="space-y-4">
+            <div className="flex flex-col sm:flex-row gap-6">
+              <div className="shrink-0 p-2 border border-gray-200 rounded-lg self-start">
+                <QrCode value={setup.provisioningUri || provisioningUri(profile?.email, setup.secretKey)} title="Authenticator setup QR code" />
+              </div>
+              <div className="text-sm text-gray-700 space-y-3">
+                <p>1. Scan the code with an authenticator app such as Google Authenticator, Microsoft Authenticator or 1Password.</p>
+                <p>
+                  Can't scan it? Enter this key instead:
+                  <code className="block mt-1 font-mono text-sm text-gray-900 select-all break-all">{setup.secretKey.replace(/(.{4})(?=.)/g, '$1 ')}</code>
+                </p>
+                <p>2. Enter the 6-digit code the app shows to finish.</p>
+                <div className="max-w-[12rem]">
+                  <label htmlFor="twofactor-setup-code" className="sr-only">Authentication code</label>
+                  <input
+                    id="twofactor-setup-code"
+                    value={code}
+                    onChange={e => setCode(e.target.value.replace(/\D/g, '').slice(0, 6))}
+                    inputMode="numeric"
+                    autoComplete="one-time-code"
+                    autoFocus
+                    className={`${inputClass} font-mono tracking-widest`}
+                  />
+                </div>
+              </div>
+            </div>
+            {error && <div className="text-sm text-red-600">{error}</div>}
+            <div className="flex gap-3">
+              <button type="submit" disabled={busy} className={primaryClass}>{busy ? 'Verifying...' : 'Turn on'}</button>
+              <button type="button" onClick={() => { setSetup(null); goTo(null); }} className={secondaryClass}>Cancel</button>
+            </div>
+          </form>
+        )}
+
+        {step === 'codes' && codes && (
+          <div className="space-y-4">
+            <div className="p-3 rounded-lg bg-amber-50 border border-amber-200 text-sm text-amber-800">
+              Save these recovery codes somewhere safe. Each one signs you in once if you lose your authenticator app. They will not be shown again.
+            </div>
+            <ul className="grid grid-cols-2 sm:grid-cols-3 gap-2 font-mono text-sm text-gray-900">
+              {codes.map(c => <li key={c} className="px-3 py-2 bg-gray-50 border border-gray-200 rounded select-all">{c}</li>)}
+            </ul>
+            <div className="flex flex-wrap gap-3">
+              <button onClick={() => downloadCodes(codes, profile?.email)} className={secondaryClass}>Download</button>
+              <button onClick={copyCodes} className={secondaryClass}>Copy</button>
+              <button onClick={finishCodes} className={primaryClass}>I have saved these codes</button>
+            </div>
+          </div>
+        )}
+
+        {step === 'regenerate' && (
+          <div className="max-w-lg">
+            <ConfirmDialog
+              title="Generate new recovery codes?"
+              message="Your current recovery codes will stop working."
+              onConfirm={regenerateCodes}
+              onCancel={() => goTo(null)}
+            />
+            {error && <div className="mt-2 text-sm text-red-600">{error}</div>}
+          </div>
+        )}
+
+        {step === 'disable' && (
+          <form onSubmit={disable} className="space-y-4 max-w-sm">
+            <p className="text-sm text-gray-700">Turning off two-factor authentication also invalidates your recovery codes.</p>
+            <div>
+              <label htmlFor="twofactor-disable-password" className="block text-sm font-medium text-gray-700 mb-1">Confirm your password</label>
+              <input id="twofactor-disable-password" type="password" value={password} onChange={e => setPassword(e.target.value)} autoFocus className={inputClass} />
+            </div>
+            {error && <div className="text-sm text-red-600">{error}</div>}
+            <div className="flex gap-3">
+              <button type="submit" disabled={busy} className="inline-flex items-center px-4 py-2 bg-red-600 hover:bg-red-700 text-white text-sm font-medium rounded-lg disabled:opacity-50 disabled:cursor-not-allowed transition-colors duration-200">
+                {busy ? 'Turning off...' : 'Turn off'}
+              </button>
+              <button type="button" onClick={() => goTo(null)} className={secondaryClass}>Cancel</button>
+            </div>
+          </form>
+        )}
+      </div>
+    </div>
+  );
+}
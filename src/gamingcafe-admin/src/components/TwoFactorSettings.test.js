@@ -0,0 +1,55 @@
+import { fireEvent, render, screen } from '@testing-library/react';
+import api from '../api';
+import { ToastProvider } from './ToastProvider';
+import TwoFactorSettings from './TwoFactorSettings';
+import { createMockApi } from '../mock/mockApi';
+import { DEMO_PASSWORD, DEMO_TOTP_CODE } from '../mock/seed';
+
+let mock;
+
+beforeEach(async () => {
+  mock = createMockApi();
+  api.setTransport(mock.fetch);
+  api.setTokens(await api.post('/auth/login', { email: 'admin@demo.local', password: DEMO_PASSWORD }, { skipAuthRefresh: true }));
+});
+
+afterEach(() => {
+  api.setTransport(null);
+  localStorage.clear();
+});
+
+test('enrolling shows a QR code, then the recovery codes once', async () => {
+  render(<ToastProvider><TwoFactorSettings profile={{ email: 'admin@demo.local', role: 'Admin' }} /></ToastProvider>);
+
+  expect(await screen.findByText(/Administrator accounts are required/)).toBeInTheDocument();
+  fireEvent.click(screen.getByRole('button', { name: 'Set up two-factor authentication' }));
+  fireEvent.change(screen.getByLabelText('Confirm your password'), { target: { value: DEMO_PASSWORD } });
+  fireEvent.click(screen.getByRole('button', { name: 'Continue' }));
+
+  expect(await screen.findByRole('img', { name: 'Authenticator setup QR code' })).toBeInTheDocument();
+  fireEvent.change(screen.getByLabelText('Authentication code'), { target: { value: DEMO_TOTP_CODE } });
+  fireEvent.click(screen.getByRole('button', { name: 'Turn on' }));
+
+  await screen.findByText(/They will not be shown again/);
+  const admin = mock.db.users.find(u => u.email === 'admin@demo.local');
+  expect(admin.isTwoFactorEnabled).toBe(true);
+  admin.recoveryCodes.forEach(code => expect(screen.getByText(code)).toBeInTheDocument());
+
+  fireEvent.click(screen.getByRole('button', { name: 'I have saved these codes' }));
+  expect(screen.queryByText(admin.recoveryCodes[0])).not.toBeInTheDocument();
+  expect(screen.getByText('On')).toBeInTheDocument();
+});
+
+test('turning it off needs the password', async () => {
+  mock.db.users.find(u => u.email === 'admin@demo.local').isTwoFactorEnabled = true;
+  render(<ToastProvider><TwoFactorSettings profile={{ email: 'admin@demo.local', role: 'Admin' }} /></ToastProvider>);
+
+  fireEvent.click(await screen.findByRole('button', { name: 'Turn off' }));
+  fireEvent.change(screen.getByLabelText('Confirm your password'), { target: { value: 'wrong' } });
+  fireEvent.click(screen.getByRole('button', { name: 'Turn off' }));
+  expect(await screen.findByText('Invalid password')).toBeInTheDocument();
+
+  fireEvent.change(screen.getByLabelText('Confirm your password'), { target: { value: DEMO_PASSWORD } });
+  fireEvent.click(screen.getByRole('button', { name: 'Turn off' }));
+  expect(await screen.findByText('Off')).toBeInTheDocument();
+});
@@ -1,4 +1,7 @@
 import React, { useState, useEffect } from 'react';
+import { unplacedErrors } from '../utils/formErrors';
+
+const FIELDS = ['username', 'email', 'firstName', 'lastName', 'role', 'password', 'initialWalletBalance'];
 
 export default function UserForm({ initial = {}, onCancel, onSubmit, errors = {} }) {
   const [username, setUsername] = useState(initial.username ?? initial.Username ?? '');
@@ -11,6 +14,7 @@ export default function UserForm({ initial = {}, onCancel, onSubmit, errors = {}
   const [saving, setSaving] = useState(false);
 
   const isEditing = Boolean(initial.userId || initial.UserId);
+  const otherErrors = unplacedErrors(errors, FIELDS);
 
   useEffect(() => {
     // update when initial changes (edit)
@@ -115,6 +119,9 @@ export default function UserForm({ initial = {}, onCancel, onSubmit, errors = {}
               <option value="Staff">Staff</option>
               <option value="User">User</option>
             </select>
+            {errors?.role && (
+              <p className="mt-1 text-sm text-red-600">{errors.role.join(', ')}</p>
+            )}
           </div>
 
           <div>
@@ -157,15 +164,18 @@ export default function UserForm({ initial = {}, onCancel, onSubmit, errors = {}
           <p className="mt-1 text-xs text-gray-500">
             {isEditing ? "Adjust the user's wallet balance" : "Set the initial wallet balance for the new user"}
           </p>
+          {errors?.initialWalletBalance && (
+            <p className="mt-1 text-sm text-red-600">{errors.initialWalletBalance.join(', ')}</p>
+          )}
         </div>
 
-        {errors?._global && (
+        {otherErrors.length > 0 && (
           <div className="bg-red-50 border border-red-200 rounded-lg p-4">
             <div className="flex items-center gap-2 text-red-700">
               <svg className="w-5 h-5" fill="currentColor" viewBox="0 0 20 20">
                 <path fillRule="evenodd" d="M10 18a8 8 0 100-16 8 8 0 000 16zM8.707 7.293a1 1 0 00-1.414 1.414L8.586 10l-1.293 1.293a1 1 0 101.414 1.414L10 11.414l1.293 1.293a1 1 0 001.414-1.414L11.414 10l1.293-1.293a1 1 0 00-1.414-1.414L10 8.586 8.707 7.293z" clipRule="evenodd" />
               </svg>
-              {errors._global.join(', ')}
+              {otherErrors.join(', ')}
             </div>
           </div>
         )}
@@ -0,0 +1,167 @@
+import React, { useState } from 'react';
+import api, { NotFoundError } from '../api';
+import { useToast } from './ToastProvider';
+import { invalidate, useResource } from '../utils/resources';
+
+function fmtDate(d) {
+  if (!d) return '';
+  try { return new Date(d).toLocaleString(); } catch { return String(d); }
+}
+
+function tokenStatus(t) {
+  if (t.revokedAt) return t.replacedByTokenId ? 'Rotated' : 'Revoked';
+  if (new Date(t.expiresAt) <= new Date()) return 'Expired';
+  return 'Active';
+}
+
+const STATUS_STYLES = {
+  Active: 'bg-green-100 text-green-700',
+  Rotated: 'bg-gray-100 text-gray-600',
+  Revoked: 'bg-red-100 text-red-700',
+  Expired: 'bg-amber-100 text-amber-800'
+};
+
+// The refresh tokens a user's devices hold (RefreshTokensController). Revoking one signs
+// that device out once its access token runs out; the note goes to the audit log.
+export default function UserSessions({ user }) {
+  const userId = user.userId ?? user.UserId;
+  const path = `/admin/refresh-tokens/${userId}`;
+  const [showAll, setShowAll] = useState(false);
+  const [revoking, setRevoking] = useState(null);
+  const [note, setNote] = useState('');
+  const [noteError, setNoteError] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+  const toast = useToast();
+
+  const { data, error, loading } = useResource(path, { staleTime: 0 });
+  // The API answers 404 when the user has never signed in
+  const tokens = error instanceof NotFoundError ? [] : (data || []);
+  const active = tokens.filter(t => tokenStatus(t) === 'Active');
+  const shown = showAll ? tokens : active;
+
+  function startRevoke(target) {
+    setRevoking(target);
+    setNote('');
+    setNoteError(null);
+  }
+
+  async function revoke(e) {
+    e.preventDefault();
+    if (!note.trim()) return setNoteError('Add a note for the audit log');
+    setSubmitting(true);
+    try {
+      const body = revoking === 'all' ? { revokeAll: true, note: note.trim() } : { tokenId: revoking.tokenId, note: note.trim() };
+      const res = await api.post(`${path}/revoke`, body);
+      toast?.push(res?.message || 'Token revoked', 'success');
+      setRevoking(null);
+      invalidate(path);
+    } catch (err) {
+      toast?.pushError(err, 'Failed to revoke');
+    } finally {
+      setSubmitting(false);
+    }
+  }
+
+  if (loading) return <p className="text-sm text-gray-500">Loading sessions...</p>;
+  if (error && !(error instanceof NotFoundError)) {
+    return <p className="text-sm text-red-600">{error.message || 'Failed to load sessions'}</p>;
+  }
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-center justify-between gap-4">
+        <p className="text-sm text-gray-600">
+          {active.length === 1 ? '1 active session' : `${active.length} active sessions`}
+        </p>
+        <div className="flex items-center gap-4">
+          <label className="flex items-center gap-2 text-sm text-gray-700">
+            <input type="checkbox" checked={showAll} onChange={e => setShowAll(e.target.checked)} />
+            Show revoked and expired
+          </label>
+          <button
+            type="button"
+            onClick={() => startRevoke('all')}
+            disabled={active.length === 0}
+            className="px-3 py-1.5 border border-red-300 rounded-lg text-sm font-medium text-red-700 bg-white hover:bg-red-50 disabled:opacity-50"
+          >
+            Revoke all
+          </button>
+        </div>
+      </div>
+
+      {revoking && (
+        <form onSubmit={revoke} className="p-4 rounded-lg border border-red-200 bg-red-50 space-y-3">
+          <p className="text-sm text-gray-700">
+            {revoking === 'all'
+              ? `Revoke all ${active.length} active sessions? Every device will have to sign in again.`
+              : `Revoke the session from ${revoking.deviceInfo || 'an unknown device'}?`}
+          </p>
+          <div>
+            <label htmlFor="revoke-note" className="block text-sm font-medium text-gray-700 mb-1">Audit note</label>
+            <input
+              id="revoke-note"
+              value={note}
+              onChange={e => setNote(e.target.value)}
+              maxLength={500}
+              placeholder="e.g. Left the business, reported a stolen login"
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm"
+            />
+            {noteError && <p className="text-sm text-red-600 mt-1">{noteError}</p>}
+          </div>
+          <div className="flex justify-end gap-3">
+            <button type="button" onClick={() => setRevoking(null)} className="px-3 py-1.5 border border-gray-300 rounded-lg text-sm text-gray-700 bg-white hover:bg-gray-50">
+              Cancel
+            </button>
+            <button type="submit" disabled={submitting} className="px-3 py-1.5 rounded-lg text-sm font-medium text-white bg-red-600 hover:bg-red-700 disabled:opacity-50">
+              {submitting ? 'Revoking...' : revoking === 'all' ? 'Revoke all sessions' : 'Revoke session'}
+            </button>
+          </div>
+        </form>
+      )}
+
+      {shown.length === 0 ? (
+        <p className="text-sm text-gray-500">{tokens.length === 0 ? 'This user has never signed in.' : 'No active sessions.'}</p>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="min-w-full text-sm">
+            <thead>
+              <tr className="text-left text-xs text-gray-500 uppercase tracking-wider">
+                <th className="py-2 pr-4">Device</th>
+                <th className="py-2 pr-4">IP address</th>
+                <th className="py-2 pr-4">Created</th>
+                <th className="py-2 pr-4">Expires</th>
+                <th className="py-2 pr-4">Status</th>
+                <th className="py-2" />
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200">
+              {shown.map(t => {
+                const status = tokenStatus(t);
+                return (
+                  <tr key={t.tokenId}>
+                    <td className="py-2 pr-4 text-gray-900 max-w-[220px] truncate" title={t.deviceInfo || ''}>{t.deviceInfo || 'Unknown'}</td>
+                    <td className="py-2 pr-4 font-mono text-gray-700">{t.ipAddress || '—'}</td>
+                    <td className="py-2 pr-4 text-gray-700 whitespace-nowrap">{fmtDate(t.createdAt)}</td>
+                    <td className="py-2 pr-4 text-gray-700 whitespace-nowrap">{fmtDate(t.expiresAt)}</td>
+                    <td className="py-2 pr-4">
+                      <span className={`inline-flex px-1.5 py-0.5 text-xs font-medium rounded ${STATUS_STYLES[status]}`}>
+                        {status}{t.revokedAt ? ` ${fmtDate(t.revokedAt)}` : ''}
+                      </span>
+                    </td>
+                    <td className="py-2 text-right">
+                      {status === 'Active' && (
+                        <button type="button" onClick={() => startRevoke(t)} className="text-red-600 hover:text-red-700 font-medium">
+                          Revoke
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
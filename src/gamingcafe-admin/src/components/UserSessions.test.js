@@ -0,0 +1,41 @@
+import { fireEvent, render, screen, within } from '@testing-library/react';
+import api from '../api';
+import { ToastProvider } from './ToastProvider';
+import UserSessions from './UserSessions';
+import { createMockApi } from '../mock/mockApi';
+import { DEMO_PASSWORD } from '../mock/seed';
+
+let mock;
+
+beforeEach(async () => {
+  mock = createMockApi();
+  api.setTransport(mock.fetch);
+  api.setTokens(await api.post('/auth/login', { email: 'admin@demo.local', password: DEMO_PASSWORD }, { skipAuthRefresh: true }));
+});
+
+afterEach(() => {
+  api.setTransport(null);
+  localStorage.clear();
+});
+
+test('revoking every session needs an audit note and stops the tokens refreshing', async () => {
+  const staff = mock.db.users.find(u => u.email === 'staff@demo.local');
+  const login = () => api.post('/auth/login', { email: staff.email, password: DEMO_PASSWORD }, { skipAuthRefresh: true });
+  const [laptop, phone] = [await login(), await login()];
+  render(<ToastProvider><UserSessions user={staff} /></ToastProvider>);
+
+  expect(await screen.findByText('2 active sessions')).toBeInTheDocument();
+  fireEvent.click(screen.getByRole('button', { name: 'Revoke all' }));
+  fireEvent.click(screen.getByRole('button', { name: 'Revoke all sessions' }));
+  expect(screen.getByText('Add a note for the audit log')).toBeInTheDocument();
+
+  fireEvent.change(screen.getByLabelText('Audit note'), { target: { value: 'Reported a stolen login' } });
+  fireEvent.click(screen.getByRole('button', { name: 'Revoke all sessions' }));
+
+  expect(await screen.findByText('0 active sessions')).toBeInTheDocument();
+  fireEvent.click(screen.getByLabelText('Show revoked and expired'));
+  expect(within(screen.getByRole('table')).getAllByText(/^Revoked/)).toHaveLength(2);
+  for (const { refreshToken } of [laptop, phone]) {
+    await expect(api.post('/auth/refresh-token', { refreshToken }, { skipAuthRefresh: true, retries: 0 })).rejects.toMatchObject({ status: 401 });
+  }
+});
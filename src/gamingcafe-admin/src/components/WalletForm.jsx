@@ -1,5 +1,8 @@
 import React, { useState } from 'react';
 import { useToast } from './ToastProvider';
+import { unplacedErrors } from '../utils/formErrors';
+
+const FIELDS = ['toUserId', 'amount', 'description'];
 
 export default function WalletForm({ mode = 'deposit', initial = {}, onCancel, onSubmit, errors = {} }) {
   const [amount, setAmount] = useState(initial.amount ?? 0);
@@ -7,6 +10,7 @@ export default function WalletForm({ mode = 'deposit', initial = {}, onCancel, o
   const [toUserId, setToUserId] = useState(initial.toUserId ?? '');
   const [saving, setSaving] = useState(false);
   const toast = useToast();
+  const otherErrors = unplacedErrors(errors, FIELDS);
 
   async function submit(e) {
     e.preventDefault();
@@ -20,7 +24,7 @@ export default function WalletForm({ mode = 'deposit', initial = {}, onCancel, o
         toast.push('Top-up submitted', 'success');
       }
     } catch (err) {
-      toast.push(err?.message || 'Submission failed', 'error');
+      toast.pushError(err, 'Submission failed');
       throw err;
     } finally { setSaving(false); }
   }
@@ -43,6 +47,7 @@ export default function WalletForm({ mode = 'deposit', initial = {}, onCancel, o
             <span>Description</span>
             <textarea value={description} onChange={e => setDescription(e.target.value)} className="border rounded px-2 py-1 w-full" />
           </label>
+          {errors?.description && <div className="text-red-500 text-sm">{errors.description.join(', ')}</div>}
         </>
       ) : (
         <>
@@ -50,17 +55,19 @@ export default function WalletForm({ mode = 'deposit', initial = {}, onCancel, o
             <span>Amount</span>
             <input name="amount" value={amount} onChange={e => setAmount(e.target.value)} className="border rounded px-2 py-1 w-full" type="number" step="0.01" required />
           </label>
+          {errors?.amount && <div className="text-red-500 text-sm">{errors.amount.join(', ')}</div>}
           <label className="flex flex-col text-sm">
             <span>Description</span>
             <textarea value={description} onChange={e => setDescription(e.target.value)} className="border rounded px-2 py-1 w-full" />
           </label>
+          {errors?.description && <div className="text-red-500 text-sm">{errors.description.join(', ')}</div>}
         </>
       )}
       <div className="flex gap-2 mt-2">
           <button type="button" onClick={onCancel} disabled={saving} className="px-3 py-1 rounded bg-gray-200 hover:bg-gray-300">Cancel</button>
         <button type="submit" className="px-3 py-1 rounded bg-teal-500 text-white hover:bg-teal-600 disabled:opacity-50" disabled={saving}>{saving ? 'Submitting...' : 'Submit'}</button>
       </div>
-      {errors?._global && <div className="text-red-500 text-sm mt-2">{errors._global.join(', ')}</div>}
+      {otherErrors.length > 0 && <div className="text-red-500 text-sm mt-2">{otherErrors.join(', ')}</div>}
     </form>
   );
 }
@@ -0,0 +1,73 @@
+// Runtime configuration, read from public/config.json before the app renders so one build
+// can be pointed at another API origin or version by editing that file where it is served.
+// An empty apiOrigin means same origin (the CRA dev proxy in development).
+// mockApi serves every request from the in-browser mock API (src/mock) for demos without a backend.
+// idleLockMinutes locks the screen after that long without input; 0 turns the lock off.
+const DEFAULTS = {
+  apiOrigin: '',
+  apiVersion: '1.0',
+  mockApi: false,
+  idleLockMinutes: 10,
+  features: {}
+};
+
+const DEMO_FLAG_KEY = 'gc_demo';
+
+let config = DEFAULTS;
+
+function normalize(raw = {}) {
+  return {
+    ...DEFAULTS,
+    ...raw,
+    apiOrigin: String(raw.apiOrigin ?? DEFAULTS.apiOrigin).replace(/\/+$/, ''),
+    apiVersion: String(raw.apiVersion ?? DEFAULTS.apiVersion).replace(/^v/i, ''),
+    idleLockMinutes: Math.max(0, Number(raw.idleLockMinutes ?? DEFAULTS.idleLockMinutes) || 0),
+    features: { ...DEFAULTS.features, ...(raw.features || {}) }
+  };
+}
+
+// ?demo=1 switches demo mode on for this tab (kept across reloads and navigation), ?demo=0 off
+function readDemoFlag() {
+  try {
+    const flag = new URLSearchParams(window.location.search).get('demo');
+    if (flag !== null) sessionStorage.setItem(DEMO_FLAG_KEY, flag === '0' || flag === 'false' ? '0' : '1');
+    return sessionStorage.getItem(DEMO_FLAG_KEY);
+  } catch {
+    return null;
+  }
+}
+
+export async function loadConfig() {
+  try {
+    const res = await fetch(`${process.env.PUBLIC_URL || ''}/config.json`, { cache: 'no-store' });
+    if (res.ok) config = normalize(await res.json());
+  } catch {
+    // Missing or malformed config: keep the defaults so the app still starts
+  }
+  const demo = readDemoFlag();
+  if (demo !== null) config = { ...config, mockApi: demo === '1' };
+  return config;
+}
+
+export function getConfig() {
+  return config;
+}
+
+export function setConfig(raw) {
+  config = normalize(raw);
+}
+
+// Password of the seeded demo accounts, for the hint on the sign-in page. Kept here rather than
+// taken from src/mock, which would put the whole seed in the main bundle.
+export const DEMO_PASSWORD = 'demo123';
+
+export function isDemoMode() {
+  return config.mockApi === true;
+}
+
+// Features are on unless config.json explicitly switches them off
+export function isFeatureEnabled(name) {
+  return config.features[name] !== false;
+}
+
+export default getConfig;
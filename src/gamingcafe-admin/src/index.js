@@ -2,13 +2,23 @@ import React from 'react';
 import ReactDOM from 'react-dom/client';
 import './index.css';
 import App from './App';
+import api from './api';
+import { isDemoMode, loadConfig } from './config';
 import reportWebVitals from './reportWebVitals';
 
 const root = ReactDOM.createRoot(document.getElementById('root'));
-root.render(
-  <React.StrictMode>
-    <App />
-  </React.StrictMode>
-);
+// The API origin and version come from public/config.json, so it must be read before any request
+loadConfig().then(async () => {
+  // The mock API is only downloaded when a demo asks for it
+  if (isDemoMode()) {
+    const { createMockApi } = await import('./mock/mockApi');
+    api.setTransport(createMockApi({ latency: 250 }).fetch);
+  }
+  root.render(
+    <React.StrictMode>
+      <App />
+    </React.StrictMode>
+  );
+});
 
 reportWebVitals();
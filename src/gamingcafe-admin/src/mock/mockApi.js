@@ -0,0 +1,1152 @@
+import { PASSWORD_MAX_LENGTH, checkPassword } from '../utils/passwordPolicy';
+import { createSeed, DEMO_PASSWORD, DEMO_TOTP_CODE } from './seed';
+
+// In-browser stand-in for the GamingCafe API. It answers the same resource paths api.js
+// calls, with the same response shapes (PagedResponse lists, ProblemDetails validation
+// errors, plain-string 404/409 bodies), and honours Idempotency-Key and X-Correlation-ID
+// the way the real middleware does. `fetch` has the window.fetch signature so it can be
+// handed to api.setTransport() for demo mode or in Jest tests.
+
+const TOKEN_LIFETIME = 60 * 60 * 1000;
+const REFRESH_TOKEN_LIFETIME = 7 * 24 * 60 * 60 * 1000;
+const TWO_FACTOR_TTL = 5 * 60 * 1000;
+const TWO_FACTOR_MAX_ATTEMPTS = 5;
+const TWO_FACTOR_LOCKOUT = 15 * 60 * 1000;
+const PASSWORD_RESET_TTL = 60 * 60 * 1000;
+const EMAIL_VERIFICATION_TTL = 24 * 60 * 60 * 1000;
+const RECOVERY_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+class Reply {
+  constructor(status, body, headers = {}) {
+    this.status = status;
+    this.body = body;
+    this.headers = headers;
+  }
+}
+
+const created = body => new Reply(201, body);
+const noContent = () => new Reply(204);
+const fail = (status, message) => new Reply(status, message);
+
+// Statuses IdempotencyMiddleware does not keep for replay (nor any 5xx)
+const NOT_FINAL = [401, 403, 408, 429];
+
+// ReservationStatus enum values, in order
+const RESERVATION_STATUSES = ['Pending', 'Confirmed', 'InProgress', 'Completed', 'Cancelled', 'NoShow'];
+
+// TransactionStatus enum values, in order
+const TRANSACTION_STATUSES = ['Pending', 'Completed', 'Failed', 'Cancelled', 'Refunded'];
+
+// The API's [Authorize(Roles = ...)] attributes, keyed by route. Anything signed in may call
+// routes not listed here.
+const MANAGERS = ['Admin', 'Manager'];
+const STAFF = ['Admin', 'Manager', 'Staff'];
+const ROUTE_ROLES = {
+  'POST /users': ['Admin', 'Staff'],
+  'PUT /users/:id': ['Admin', 'Staff'],
+  'DELETE /users/:id': ['Admin'],
+  'PATCH /users/:id/activate': ['Admin', 'Staff'],
+  'PATCH /users/:id/deactivate': ['Admin', 'Staff'],
+  'POST /stations': MANAGERS,
+  'PUT /stations/layout': MANAGERS,
+  'PUT /stations/:id': MANAGERS,
+  'DELETE /stations/:id': ['Admin'],
+  'POST /stations/:id/toggle-availability': MANAGERS,
+  'POST /transactions': STAFF,
+  'POST /transactions/:id/refund': MANAGERS,
+  'PATCH /transactions/:id/status': STAFF,
+  'GET /transactions/stats': MANAGERS,
+  'GET /wallet/statistics': MANAGERS,
+  'GET /wallet/:userId': STAFF,
+  'POST /wallet/:userId/deposit': STAFF,
+  'POST /wallet/:userId/withdraw': STAFF,
+  'POST /wallet/transfer': MANAGERS,
+  'PUT /wallet/:userId/status': MANAGERS,
+  'POST /products': MANAGERS,
+  'PUT /products/:id': MANAGERS,
+  'DELETE /products/:id': MANAGERS,
+  'PATCH /products/:id/stock': STAFF,
+  'POST /inventory/adjust': MANAGERS,
+  'POST /inventory/bulk-adjust': MANAGERS,
+  'GET /reports/dashboard': MANAGERS,
+  'GET /admin/refresh-tokens/:userId': ['Admin'],
+  'POST /admin/refresh-tokens/:userId/revoke': ['Admin']
+};
+
+// Same shape as the API's InvalidModelStateResponseFactory: PascalCase property keys
+function invalid(errors) {
+  return new Reply(400, { title: 'One or more validation errors occurred.', status: 400, errors });
+}
+
+function toResponse(status, body, headers) {
+  const text = body === undefined || body === null ? '' : typeof body === 'string' ? body : JSON.stringify(body);
+  const lookup = Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value]));
+  return {
+    ok: status >= 200 && status < 300,
+    status,
+    statusText: String(status),
+    headers: { get: name => lookup[name.toLowerCase()] ?? null },
+    text: async () => text,
+    json: async () => JSON.parse(text)
+  };
+}
+
+function paged(list, query, defaultPageSize = 20) {
+  const page = Math.max(1, Number(query.page) || 1);
+  const pageSize = Math.max(1, Number(query.pageSize) || defaultPageSize);
+  return {
+    data: list.slice((page - 1) * pageSize, page * pageSize),
+    totalCount: list.length,
+    page,
+    pageSize,
+    totalPages: Math.max(1, Math.ceil(list.length / pageSize))
+  };
+}
+
+function contains(value, term) {
+  return String(value ?? '').toLowerCase().includes(String(term).toLowerCase());
+}
+
+function sum(list, fn) {
+  return Math.round(list.reduce((total, item) => total + fn(item), 0) * 100) / 100;
+}
+
+// TimeSpan serialises as "hh:mm:ss"
+function timeSpan(ms) {
+  const seconds = Math.max(0, Math.floor(ms / 1000));
+  const pad = n => String(n).padStart(2, '0');
+  return `${pad(Math.floor(seconds / 3600))}:${pad(Math.floor(seconds / 60) % 60)}:${pad(seconds % 60)}`;
+}
+
+function nextId(list, field) {
+  return list.reduce((max, item) => Math.max(max, item[field]), 0) + 1;
+}
+
+function abortError() {
+  return new DOMException('The operation was aborted.', 'AbortError');
+}
+
+function delay(ms, signal) {
+  if (!ms) return Promise.resolve();
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(abortError());
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener('abort', () => { clearTimeout(timer); reject(abortError()); });
+  });
+}
+
+export function createMockApi({ seed, latency = 0, now = () => Date.now() } = {}) {
+  let db = seed || createSeed(now());
+  const accessTokens = new Map();
+  const refreshTokens = new Map();
+  const idempotency = new Map();
+  const twoFactorChallenges = new Map();
+  const twoFactorFailures = new Map();
+  const twoFactorLocks = new Map();
+  // Wrong guesses at the quick-switch PIN and at the lock-screen password, per user
+  const pinChecks = { failures: new Map(), locks: new Map() };
+  const unlockChecks = { failures: new Map(), locks: new Map() };
+  // parkedSessionId -> the refresh token kept for a parked operator (AuthService.ParkSessionAsync)
+  const parkedSessions = new Map();
+  const passwordResets = new Map();
+  const emailVerifications = new Map();
+  let tokenSeq = 0;
+
+  const findUser = id => db.users.find(u => u.userId === Number(id));
+  const findStation = id => db.stations.find(s => s.stationId === Number(id));
+  const findProduct = id => db.products.find(p => p.productId === Number(id));
+  const isoNow = () => new Date(now()).toISOString();
+
+  // Refresh tokens are kept after they are revoked or rotated, like the RefreshTokens table,
+  // so the admin Sessions view can show their history
+  function issueTokens(user) {
+    tokenSeq += 1;
+    const accessToken = `mock-access-${user.userId}-${tokenSeq}`;
+    const refreshToken = `mock-refresh-${user.userId}-${tokenSeq}`;
+    accessTokens.set(accessToken, user.userId);
+    refreshTokens.set(refreshToken, {
+      tokenId: `00000000-0000-4000-8000-${String(tokenSeq).padStart(12, '0')}`,
+      userId: user.userId,
+      deviceInfo: typeof navigator === 'undefined' ? null : navigator.userAgent,
+      ipAddress: '127.0.0.1',
+      createdAt: isoNow(),
+      expiresAt: new Date(now() + REFRESH_TOKEN_LIFETIME).toISOString(),
+      revokedAt: null,
+      replacedByTokenId: null
+    });
+    return { accessToken, refreshToken, expiresAt: new Date(now() + TOKEN_LIFETIME).toISOString() };
+  }
+
+  const isLive = t => !t.revokedAt && Date.parse(t.expiresAt) > now();
+  const tokensOf = userId => [...refreshTokens.values()].filter(t => t.userId === userId);
+
+  function revokeRefreshTokens(tokens) {
+    const live = tokens.filter(isLive);
+    live.forEach(t => { t.revokedAt = isoNow(); });
+    return live.length;
+  }
+
+  // There is no mailbox in demo mode, so emailed links go to the console
+  function sendVerificationEmail(user) {
+    const token = `mock-verify-${user.userId}-${++tokenSeq}`;
+    emailVerifications.set(token, { userId: user.userId, expiresAt: now() + EMAIL_VERIFICATION_TTL });
+    console.info(`[mock api] email verification link: /verify-email?token=${token}&email=${encodeURIComponent(user.email)}`);
+  }
+
+  // Worst status of any health check, like HealthReport.Status
+  function overallHealth() {
+    const statuses = Object.values(db.health).map(c => c.status);
+    return ['Unhealthy', 'Degraded'].find(status => statuses.includes(status)) || 'Healthy';
+  }
+
+  // Seeded users share DEMO_PASSWORD until they change or reset it
+  const passwordOf = u => u.password ?? DEMO_PASSWORD;
+
+  function userDto(u) {
+    const { recoveryCodes, pendingTwoFactor, password, pin, ...rest } = u;
+    return { ...rest, hasPin: Boolean(pin), fullName: `${u.firstName} ${u.lastName}`.trim() };
+  }
+
+  // Mirrors AuthService.CompleteTwoFactorLoginAsync: single-use challenge, per-user failure count and lockout
+  function completeTwoFactor(body) {
+    const challenge = twoFactorChallenges.get(body.twoFactorToken);
+    if (!challenge || challenge.expiresAt <= now()) {
+      return fail(401, { code: 'two_factor_expired', message: 'The sign-in attempt has expired. Enter your password again.' });
+    }
+    const lockedUntil = twoFactorLocks.get(challenge.userId);
+    if (lockedUntil > now()) return lockedOut(lockedUntil);
+
+    const user = findUser(challenge.userId);
+    const usedRecovery = body.recoveryCode && user.recoveryCodes.includes(body.recoveryCode);
+    if (!usedRecovery && (body.recoveryCode || body.code !== DEMO_TOTP_CODE)) {
+      const failures = (twoFactorFailures.get(user.userId) || 0) + 1;
+      twoFactorFailures.set(user.userId, failures);
+      if (failures < TWO_FACTOR_MAX_ATTEMPTS) {
+        return fail(400, { code: 'two_factor_invalid', message: 'Invalid two-factor code', remainingAttempts: TWO_FACTOR_MAX_ATTEMPTS - failures });
+      }
+      twoFactorChallenges.delete(body.twoFactorToken);
+      twoFactorFailures.delete(user.userId);
+      twoFactorLocks.set(user.userId, now() + TWO_FACTOR_LOCKOUT);
+      return lockedOut(now() + TWO_FACTOR_LOCKOUT);
+    }
+
+    if (usedRecovery) user.recoveryCodes = user.recoveryCodes.filter(c => c !== body.recoveryCode);
+    twoFactorChallenges.delete(body.twoFactorToken);
+    twoFactorFailures.delete(user.userId);
+    return loginResponse(user);
+  }
+
+  // Random codes in the same shape as the seeded ones; the mock accepts DEMO_TOTP_CODE for any secret
+  function randomCode(alphabet, length) {
+    let out = '';
+    for (let i = 0; i < length; i++) out += alphabet[Math.floor(Math.random() * alphabet.length)];
+    return out;
+  }
+
+  function newRecoveryCodes() {
+    return Array.from({ length: 8 }, () => `${randomCode(RECOVERY_ALPHABET, 4)}-${randomCode(RECOVERY_ALPHABET, 4)}`);
+  }
+
+  function lockedOut(until) {
+    return new Reply(429, {
+      code: 'two_factor_locked',
+      message: 'Too many incorrect codes. Two-factor sign-in is temporarily locked.',
+      lockedUntil: new Date(until).toISOString()
+    }, { 'Retry-After': String(Math.ceil((until - now()) / 1000)) });
+  }
+
+  function checkLockedOut(code, message, until) {
+    return new Reply(429, { code, message, lockedUntil: new Date(until).toISOString() },
+      { 'Retry-After': String(Math.ceil((until - now()) / 1000)) });
+  }
+
+  // AuthService.CheckWithLockoutAsync: the 2FA attempt limit and lockout for a re-check of
+  // the signed-in user. Returns { passed }, { remainingAttempts } or { lockedUntil }.
+  function checkWithLockout({ failures, locks }, userId, passed) {
+    const lockedUntil = locks.get(userId);
+    if (lockedUntil > now()) return { lockedUntil };
+    if (passed) {
+      failures.delete(userId);
+      return { passed: true };
+    }
+    const count = (failures.get(userId) || 0) + 1;
+    if (count < TWO_FACTOR_MAX_ATTEMPTS) {
+      failures.set(userId, count);
+      return { remainingAttempts: TWO_FACTOR_MAX_ATTEMPTS - count };
+    }
+    failures.delete(userId);
+    locks.set(userId, now() + TWO_FACTOR_LOCKOUT);
+    return { lockedUntil: now() + TWO_FACTOR_LOCKOUT };
+  }
+
+  // AuthService.IssueLoginResponseAsync: a full sign-in also lifts a lock-screen lockout
+  function loginResponse(user) {
+    unlockChecks.failures.delete(user.userId);
+    unlockChecks.locks.delete(user.userId);
+    user.lastLoginAt = isoNow();
+    return { ...issueTokens(user), user: userDto(user) };
+  }
+
+  // Paused time does not count towards a session's duration or its bill
+  function elapsed(s) {
+    const end = s.endTime ? Date.parse(s.endTime) : s.pausedAt ? Date.parse(s.pausedAt) : now();
+    return end - Date.parse(s.startTime) - s.pausedMs;
+  }
+
+  function sessionDto(s) {
+    const { pausedMs, ...rest } = s;
+    return {
+      ...rest,
+      duration: timeSpan(elapsed(s)),
+      username: findUser(s.userId)?.username ?? 'Unknown',
+      stationName: findStation(s.stationId)?.stationName ?? 'Unknown'
+    };
+  }
+
+  const transactionDto = t => ({ ...t, transactionDate: t.createdAt, username: findUser(t.userId)?.username ?? 'Unknown' });
+
+  const movementDto = m => ({
+    ...m,
+    productName: findProduct(m.productId)?.name ?? 'Unknown',
+    username: findUser(m.userId)?.username ?? 'system'
+  });
+
+  function reservationDto(r) {
+    const station = findStation(r.stationId);
+    const [sh, sm] = String(r.startTime).split(':').map(Number);
+    const [eh, em] = String(r.endTime).split(':').map(Number);
+    const hours = Math.max(0, (eh * 60 + em - (sh * 60 + sm)) / 60) || 0;
+    return {
+      ...r,
+      username: findUser(r.userId)?.username ?? 'Unknown',
+      stationName: station?.stationName ?? 'Unknown',
+      estimatedCost: Math.round(hours * (station?.hourlyRate || 0) * 100) / 100
+    };
+  }
+
+  function record(userId, type, amount, paymentMethod, description, status = 'Completed') {
+    const transaction = {
+      transactionId: nextId(db.transactions, 'transactionId'),
+      userId: Number(userId),
+      type,
+      paymentMethod,
+      amount,
+      status,
+      description,
+      paymentReference: null,
+      notes: null,
+      createdAt: isoNow(),
+      processedAt: status === 'Completed' ? isoNow() : null
+    };
+    db.transactions.push(transaction);
+    return transaction;
+  }
+
+  function adjustStock(productId, quantityChange, reason, userId) {
+    const product = findProduct(productId);
+    if (!product) return fail(404, 'Product not found');
+    if (product.stockQuantity + quantityChange < 0) return fail(400, `Not enough stock for ${product.name}`);
+    product.stockQuantity += quantityChange;
+    product.updatedAt = isoNow();
+    const movement = {
+      movementId: nextId(db.movements, 'movementId'),
+      productId: product.productId,
+      type: quantityChange >= 0 ? 'StockIn' : 'Adjustment',
+      quantity: quantityChange,
+      reason,
+      userId,
+      movementDate: isoNow()
+    };
+    db.movements.push(movement);
+    return movementDto(movement);
+  }
+
+  function walletMove(user, amount, description, paymentMethod, direction) {
+    if (!user) return fail(404, 'User not found');
+    if (!(amount > 0)) return invalid({ Amount: ['Amount must be greater than zero'] });
+    if (user.isActive === false) return fail(400, 'Wallet is inactive');
+    if (direction < 0 && user.walletBalance < amount) return fail(400, 'Insufficient balance');
+    user.walletBalance = Math.round((user.walletBalance + direction * amount) * 100) / 100;
+    const tx = record(user.userId, direction > 0 ? 'WalletTopup' : 'Refund', amount, paymentMethod || 'Cash', description);
+    return { userId: user.userId, balance: user.walletBalance, transactionId: tx.transactionId };
+  }
+
+  function endSession(session) {
+    if (session.status === 'Completed') return fail(409, 'Session has already ended');
+    if (session.status === 'Paused') {
+      session.pausedMs += now() - Date.parse(session.pausedAt);
+      session.pausedAt = null;
+    }
+    session.endTime = new Date(now()).toISOString();
+    const hours = Math.max(0, elapsed(session)) / (60 * 60 * 1000);
+    const station = findStation(session.stationId);
+    Object.assign(session, {
+      status: 'Completed',
+      totalCost: Math.round(hours * (station?.hourlyRate || 0) * 100) / 100
+    });
+    if (station) station.isAvailable = true;
+    record(session.userId, 'GameTime', session.totalCost, 'Cash', `${station?.stationName ?? 'Station'} — ${hours.toFixed(1)}h`);
+    return sessionDto(session);
+  }
+
+  // [method, path pattern, handler, public]
+  const routes = [
+    // Auth
+    ['POST', '/auth/login', ({ body }) => {
+      const user = db.users.find(u => u.email.toLowerCase() === String(body?.email || '').toLowerCase());
+      if (!user || body?.password !== passwordOf(user)) return fail(401, 'Invalid email or password');
+      if (!user.isActive) return fail(401, 'Account is deactivated');
+      if (user.isTwoFactorEnabled) {
+        const twoFactorToken = `mock-2fa-${user.userId}-${++tokenSeq}`;
+        const expiresAt = now() + TWO_FACTOR_TTL;
+        twoFactorChallenges.set(twoFactorToken, { userId: user.userId, expiresAt });
+        return { requiresTwoFactor: true, twoFactorToken, twoFactorExpiresAt: new Date(expiresAt).toISOString(), user: userDto(user) };
+      }
+      return loginResponse(user);
+    }, true],
+    ['POST', '/auth/refresh-token', ({ body }) => {
+      const current = refreshTokens.get(body?.refreshToken);
+      if (!current || !isLive(current)) return fail(401, 'Invalid refresh token');
+      current.revokedAt = isoNow();
+      const tokens = issueTokens(findUser(current.userId));
+      current.replacedByTokenId = refreshTokens.get(tokens.refreshToken).tokenId;
+      return tokens;
+    }, true],
+    // RegisterRequestValidator's rules; like AuthService.RegisterAsync, the verification email goes out straight away
+    ['POST', '/auth/register', ({ body = {} }) => {
+      const errors = {};
+      if (!body.username || body.username.length < 3) errors.Username = ['Username must be at least 3 characters long'];
+      if (!body.email) errors.Email = ['Email is required'];
+      if (!body.password || body.password.length < 8) errors.Password = ['Password must be at least 8 characters long'];
+      else if (body.password.length > PASSWORD_MAX_LENGTH) errors.Password = ['Password must not exceed 100 characters'];
+      else if (!checkPassword(body.password).valid) errors.Password = ['Password must contain at least one uppercase letter, one lowercase letter, one digit, and one special character'];
+      // Like RegisterRequestValidator, the profile fields and the terms flag are only checked when sent
+      if (body.dateOfBirth && Date.parse(body.dateOfBirth) >= now()) errors.DateOfBirth = ['Date of birth must be in the past'];
+      if (body.acceptTerms === false) errors.AcceptTerms = ['You must accept the terms and conditions'];
+      if (Object.keys(errors).length) return invalid(errors);
+      const taken = db.users.some(u => u.email.toLowerCase() === body.email.toLowerCase() || u.username.toLowerCase() === body.username.toLowerCase());
+      if (taken) return fail(400, 'User already exists with this email or username');
+      const user = {
+        username: body.username,
+        email: body.email,
+        firstName: body.firstName || '',
+        lastName: body.lastName || '',
+        phoneNumber: body.phoneNumber || null,
+        dateOfBirth: body.dateOfBirth || null,
+        role: 'Customer',
+        loyaltyPoints: 0,
+        isActive: true,
+        isEmailVerified: false,
+        lastLoginAt: null,
+        userId: nextId(db.users, 'userId'),
+        walletBalance: 0,
+        password: body.password,
+        createdAt: isoNow()
+      };
+      db.users.push(user);
+      sendVerificationEmail(user);
+      return { message: 'User registered successfully', userId: user.userId };
+    }, true],
+    ['POST', '/auth/forgot-password', ({ body }) => {
+      if (!body?.email) return fail(400, 'Email is required');
+      const user = db.users.find(u => u.isActive && u.email.toLowerCase() === String(body.email).toLowerCase());
+      if (user) {
+        const token = `mock-reset-${user.userId}-${++tokenSeq}`;
+        passwordResets.set(token, { userId: user.userId, expiresAt: now() + PASSWORD_RESET_TTL });
+        console.info(`[mock api] password reset link: /reset-password?token=${token}&email=${encodeURIComponent(user.email)}`);
+      }
+      return { message: 'If the email exists, a password reset link has been sent' };
+    }, true],
+    ['POST', '/auth/reset-password', ({ body = {} }) => {
+      if (!body.email || !body.token || !body.newPassword) return fail(400, 'Email, token, and new password are required');
+      const reset = passwordResets.get(body.token);
+      const user = reset && findUser(reset.userId);
+      if (!user || reset.expiresAt <= now() || user.email.toLowerCase() !== String(body.email).toLowerCase()) {
+        return fail(400, 'Invalid or expired reset token');
+      }
+      passwordResets.delete(body.token);
+      user.password = body.newPassword;
+      // Like AuthService.ResetPasswordAsync, every refresh token for the account stops working
+      revokeRefreshTokens(tokensOf(user.userId));
+      return { message: 'Password reset successfully' };
+    }, true],
+    ['POST', '/auth/send-verification-email', ({ body }) => {
+      if (!body?.email) return fail(400, 'Email is required');
+      const user = db.users.find(u => u.email.toLowerCase() === String(body.email).toLowerCase());
+      if (!user || user.isEmailVerified) return fail(400, 'Email not found or already verified');
+      sendVerificationEmail(user);
+      return { message: 'Verification email sent successfully' };
+    }, true],
+    ['POST', '/auth/verify-email', ({ body = {} }) => {
+      if (!body.email || !body.token) return fail(400, 'Email and verification token are required');
+      const pending = emailVerifications.get(body.token);
+      const user = pending && findUser(pending.userId);
+      if (!user || pending.expiresAt <= now() || user.isEmailVerified || user.email.toLowerCase() !== String(body.email).toLowerCase()) {
+        return fail(400, 'Invalid or expired verification token');
+      }
+      emailVerifications.delete(body.token);
+      user.isEmailVerified = true;
+      return { message: 'Email verified successfully' };
+    }, true],
+    ['POST', '/auth/verify-2fa', ({ body = {}, user }) => {
+      if (body.twoFactorToken) return completeTwoFactor(body);
+      if (!user) return fail(401, 'Unauthorized');
+      return body.code === DEMO_TOTP_CODE ? { message: 'Two-factor code verified successfully' } : fail(400, 'Invalid two-factor code');
+    }, true],
+    ['GET', '/auth/2fa-status', ({ user }) => ({ isTwoFactorEnabled: user.isTwoFactorEnabled })],
+    ['POST', '/auth/setup-2fa', ({ body, user }) => {
+      if (body?.password !== passwordOf(user)) return fail(400, 'Invalid password');
+      const secretKey = randomCode('ABCDEFGHIJKLMNOPQRSTUVWXYZ234567', 32);
+      const provisioningUri = `otpauth://totp/Gaming%20Cafe:${encodeURIComponent(user.email)}?secret=${secretKey}&issuer=Gaming%20Cafe`;
+      user.pendingTwoFactor = { secretKey, recoveryCodes: newRecoveryCodes() };
+      return { secretKey, provisioningUri, qrCodeDataUrl: '', recoveryCodes: user.pendingTwoFactor.recoveryCodes };
+    }],
+    ['POST', '/auth/confirm-2fa-setup', ({ body, user }) => {
+      if (!user.pendingTwoFactor || body?.code !== DEMO_TOTP_CODE) return fail(400, 'Invalid code or setup not initiated');
+      user.recoveryCodes = user.pendingTwoFactor.recoveryCodes;
+      user.pendingTwoFactor = null;
+      user.isTwoFactorEnabled = true;
+      return { message: 'Two-factor setup confirmed and enabled' };
+    }],
+    ['POST', '/auth/disable-2fa', ({ body, user }) => {
+      if (body?.password !== passwordOf(user)) return fail(400, 'Invalid password');
+      user.isTwoFactorEnabled = false;
+      user.recoveryCodes = [];
+      return { message: 'Two-factor authentication disabled successfully' };
+    }],
+    ['POST', '/auth/generate-recovery-codes', ({ user }) => {
+      user.recoveryCodes = newRecoveryCodes();
+      return { recoveryCodes: user.recoveryCodes };
+    }],
+    // Mirrors AuthService.VerifyPasswordAsync: locked out like the PIN, after which only signing in again helps
+    ['POST', '/auth/verify-password', ({ body = {}, user }) => {
+      const check = checkWithLockout(unlockChecks, user.userId, body.password === passwordOf(user));
+      if (check.passed) return { message: 'Password verified' };
+      if (check.lockedUntil) return checkLockedOut('unlock_locked', 'Too many incorrect passwords. Sign in again.', check.lockedUntil);
+      return fail(400, { code: 'password_invalid', message: 'Invalid password', remainingAttempts: check.remainingAttempts });
+    }],
+    ['PUT', '/auth/pin', ({ body = {}, user }) => {
+      if (!/^\d{4,6}$/.test(body.pin || '')) return invalid({ Pin: ['PIN must be 4 to 6 digits'] });
+      if (body.currentPassword !== passwordOf(user)) return fail(400, 'Current password is incorrect');
+      user.pin = body.pin;
+      pinChecks.failures.delete(user.userId);
+      pinChecks.locks.delete(user.userId);
+      return { message: 'PIN saved' };
+    }],
+    ['DELETE', '/auth/pin', ({ user }) => {
+      delete user.pin;
+      return { message: 'PIN removed' };
+    }],
+    // Mirrors AuthService.VerifyPinAsync
+    ['POST', '/auth/verify-pin', ({ body = {}, user }) => {
+      if (!user.pin) return fail(400, { code: 'pin_not_set', message: 'No PIN is set for this account' });
+      const check = checkWithLockout(pinChecks, user.userId, body.pin === user.pin);
+      if (check.passed) return { message: 'PIN verified' };
+      if (check.lockedUntil) return checkLockedOut('pin_locked', 'Too many incorrect PINs. Sign in with your password instead.', check.lockedUntil);
+      return fail(400, { code: 'pin_invalid', message: 'Incorrect PIN', remainingAttempts: check.remainingAttempts });
+    }],
+    // Quick switching (AuthService.ParkSessionAsync / ResumeParkedSessionAsync): the refresh token
+    // handed in is revoked for one the browser never sees, which only the PIN redeems
+    ['POST', '/auth/park', ({ body = {}, user }) => {
+      const token = refreshTokens.get(body.refreshToken);
+      if (!token || token.userId !== user.userId || !isLive(token)) return fail(401, 'Invalid or expired refresh token');
+      const { refreshToken: hidden } = issueTokens(user);
+      const parked = refreshTokens.get(hidden);
+      parked.expiresAt = token.expiresAt;
+      token.revokedAt = isoNow();
+      token.replacedByTokenId = parked.tokenId;
+      parkedSessions.set(parked.tokenId, parked);
+      return { parkedSessionId: parked.tokenId, expiresAt: parked.expiresAt };
+    }],
+    ['POST', '/auth/resume', ({ body = {} }) => {
+      const parked = parkedSessions.get(body.parkedSessionId);
+      const user = parked && findUser(parked.userId);
+      if (!parked || !isLive(parked) || !user?.isActive) {
+        parkedSessions.delete(body.parkedSessionId);
+        return fail(401, { code: 'parked_session_ended', message: 'That session has ended' });
+      }
+      if (!user.pin) return fail(400, { code: 'pin_not_set', message: 'No PIN is set for this account' });
+      const check = checkWithLockout(pinChecks, user.userId, body.pin === user.pin);
+      if (check.lockedUntil) return checkLockedOut('pin_locked', 'Too many incorrect PINs. Sign in with your password instead.', check.lockedUntil);
+      if (!check.passed) return fail(400, { code: 'pin_invalid', message: 'Incorrect PIN', remainingAttempts: check.remainingAttempts });
+      parked.revokedAt = isoNow();
+      parkedSessions.delete(body.parkedSessionId);
+      user.lastLoginAt = isoNow();
+      return { ...issueTokens(user), user: userDto(user) };
+    }, true],
+    // Only the operator whose session it is, signed in again, may throw it away
+    ['DELETE', '/auth/parked/:id', ({ params, user }) => {
+      const parked = parkedSessions.get(params.id);
+      if (!parked || parked.userId !== user.userId) return fail(404, 'Parked session not found');
+      revokeRefreshTokens([parked]);
+      parkedSessions.delete(params.id);
+      return noContent();
+    }],
+    ['GET', '/auth/profile', ({ user }) => userDto(user)],
+    ['POST', '/auth/change-password', ({ body, user }) => {
+      if (body?.currentPassword !== passwordOf(user)) return fail(400, 'Current password is incorrect');
+      user.password = body.newPassword;
+      return { message: 'Password changed successfully' };
+    }],
+    ['POST', '/auth/logout', ({ body = {} }) => {
+      const token = refreshTokens.get(body.refreshToken);
+      if (token) revokeRefreshTokens([token]);
+      return { message: 'Logged out successfully' };
+    }],
+    ['POST', '/auth/logout-all', ({ user }) => (
+      { message: 'Signed out on all devices', revoked: revokeRefreshTokens(tokensOf(user.userId)) }
+    )],
+
+    // Admin: refresh tokens (RefreshTokensController)
+    ['GET', '/admin/refresh-tokens/:userId', ({ params }) => {
+      const tokens = tokensOf(Number(params.userId)).sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+      if (tokens.length === 0) return fail(404, { message: 'No refresh tokens found for user.' });
+      return tokens.map(t => ({ ...t }));
+    }],
+    ['POST', '/admin/refresh-tokens/:userId/revoke', ({ params, body = {} }) => {
+      const tokens = tokensOf(Number(params.userId));
+      if (body.tokenId) {
+        const token = tokens.find(t => t.tokenId === body.tokenId);
+        if (!token) return fail(404, { message: 'Token not found' });
+        token.revokedAt = isoNow();
+        return { message: 'Token revoked' };
+      }
+      if (body.revokeAll) return { message: `Revoked ${revokeRefreshTokens(tokens)} tokens` };
+      return fail(400, { message: 'Specify TokenId or set RevokeAll = true' });
+    }],
+
+    // Users
+    ['GET', '/users', ({ query }) => {
+      let list = db.users;
+      if (query.searchTerm) list = list.filter(u => [u.username, u.email, u.firstName, u.lastName].some(v => contains(v, query.searchTerm)));
+      if (query.role) list = list.filter(u => u.role === query.role);
+      if (query.isActive) list = list.filter(u => String(u.isActive) === query.isActive);
+      if (query.isEmailVerified) list = list.filter(u => String(u.isEmailVerified) === query.isEmailVerified);
+      return paged(list.map(userDto), query);
+    }],
+    ['GET', '/users/:id', ({ params }) => {
+      const user = findUser(params.id);
+      return user ? userDto(user) : fail(404, 'User not found');
+    }],
+    ['POST', '/users', ({ body = {} }) => {
+      const errors = {};
+      if (!body.username) errors.Username = ['The Username field is required.'];
+      if (!body.email) errors.Email = ['The Email field is required.'];
+      if (Object.keys(errors).length) return invalid(errors);
+      if (db.users.some(u => u.email.toLowerCase() === body.email.toLowerCase())) return fail(409, 'Email already exists');
+      if (db.users.some(u => u.username.toLowerCase() === body.username.toLowerCase())) return fail(409, 'Username already exists');
+      const { password, initialWalletBalance, ...fields } = body;
+      const user = {
+        firstName: '',
+        lastName: '',
+        role: 'Customer',
+        phoneNumber: null,
+        loyaltyPoints: 0,
+        isActive: true,
+        isEmailVerified: false,
+        lastLoginAt: null,
+        ...fields,
+        userId: nextId(db.users, 'userId'),
+        walletBalance: Number(initialWalletBalance) || 0,
+        createdAt: isoNow()
+      };
+      db.users.push(user);
+      return created(userDto(user));
+    }],
+    ['PUT', '/users/:id', ({ params, body = {} }) => {
+      const user = findUser(params.id);
+      if (!user) return fail(404, 'User not found');
+      const { userId, password, walletBalance, ...fields } = body;
+      Object.assign(user, fields);
+      return userDto(user);
+    }],
+    ['DELETE', '/users/:id', ({ params }) => {
+      if (!findUser(params.id)) return fail(404, 'User not found');
+      db.users = db.users.filter(u => u.userId !== Number(params.id));
+      return noContent();
+    }],
+    ['PATCH', '/users/:id/activate', ({ params }) => {
+      const user = findUser(params.id);
+      if (!user) return fail(404, 'User not found');
+      user.isActive = true;
+      return userDto(user);
+    }],
+    ['PATCH', '/users/:id/deactivate', ({ params }) => {
+      const user = findUser(params.id);
+      if (!user) return fail(404, 'User not found');
+      user.isActive = false;
+      return userDto(user);
+    }],
+
+    // Stations
+    ['GET', '/stations', () => db.stations],
+    ['GET', '/stations/available', () => db.stations.filter(s => s.isActive && s.isAvailable && !s.isUnderMaintenance)],
+    ['GET', '/stations/:id', ({ params }) => findStation(params.id) || fail(404, 'Station not found')],
+    ['POST', '/stations', ({ body = {} }) => {
+      const errors = {};
+      if (!body.stationName) errors.StationName = ['Station name is required'];
+      if (!(Number(body.hourlyRate) > 0)) errors.HourlyRate = ['Hourly rate must be greater than zero'];
+      if (Object.keys(errors).length) return invalid(errors);
+      const station = {
+        stationType: 'PC',
+        description: '',
+        notes: '',
+        isActive: true,
+        isAvailable: true,
+        ...body,
+        hourlyRate: Number(body.hourlyRate),
+        stationId: nextId(db.stations, 'stationId'),
+        createdAt: isoNow()
+      };
+      db.stations.push(station);
+      return created(station);
+    }],
+    // Before PUT /stations/:id, which would otherwise take "layout" for an id
+    ['PUT', '/stations/layout', ({ body = {} }) => {
+      const positions = Array.isArray(body.positions) ? body.positions : [];
+      const ids = positions.map(p => Number(p.stationId));
+      if (new Set(ids).size !== ids.length) return fail(400, 'Each station can only be placed once');
+      const missing = ids.find(id => !findStation(id));
+      if (missing !== undefined) return fail(404, `Station ${missing} not found`);
+      const cellOf = p => (p.x == null || p.y == null ? null : [Number(p.x), Number(p.y)]);
+      if (positions.some(p => cellOf(p)?.some(v => !(v >= 0 && v <= 49)))) return invalid({ Positions: ['The field X must be between 0 and 49.'] });
+      const moved = new Map(positions.map(p => [Number(p.stationId), cellOf(p)]));
+      const cells = db.stations
+        .map(s => (moved.has(s.stationId) ? moved.get(s.stationId) : s.floorX == null ? null : [s.floorX, s.floorY]))
+        .filter(Boolean)
+        .map(cell => cell.join(','));
+      const taken = cells.find((cell, i) => cells.indexOf(cell) !== i);
+      if (taken) return fail(400, `Two stations cannot share the cell at ${taken}`);
+      return [...moved].map(([id, cell]) => Object.assign(findStation(id), { floorX: cell ? cell[0] : null, floorY: cell ? cell[1] : null }));
+    }],
+    ['PUT', '/stations/:id', ({ params, body = {} }) => {
+      const station = findStation(params.id);
+      if (!station) return fail(404, 'Station not found');
+      const { stationId, ...fields } = body;
+      Object.assign(station, fields);
+      return station;
+    }],
+    ['DELETE', '/stations/:id', ({ params }) => {
+      if (!findStation(params.id)) return fail(404, 'Station not found');
+      db.stations = db.stations.filter(s => s.stationId !== Number(params.id));
+      return noContent();
+    }],
+    ['POST', '/stations/:id/toggle-availability', ({ params }) => {
+      const station = findStation(params.id);
+      if (!station) return fail(404, 'Station not found');
+      station.isAvailable = !station.isAvailable;
+      return station;
+    }],
+
+    // Game sessions
+    ['GET', '/gamesessions/active', () => db.sessions.filter(s => s.status === 'Active' || s.status === 'Paused').map(sessionDto)],
+    ['GET', '/gamesessions/settings', () => db.sessionSettings],
+    ['POST', '/gamesessions/start', ({ body = {} }) => {
+      const station = findStation(body.stationId);
+      const customer = findUser(body.userId);
+      if (!station) return fail(404, 'Station not found');
+      if (!customer) return fail(404, 'User not found');
+      if (station.isUnderMaintenance) return fail(400, 'Game station is under maintenance');
+      if (!station.isAvailable) return fail(409, `${station.stationName} is already in use`);
+      const { minDurationMinutes: min, maxDurationMinutes: max } = db.sessionSettings;
+      const booked = body.durationMinutes == null ? null : Number(body.durationMinutes);
+      if (booked !== null && !(booked >= min && booked <= max)) return fail(400, `Duration must be between ${min} and ${max} minutes`);
+      const session = {
+        sessionId: nextId(db.sessions, 'sessionId'),
+        userId: customer.userId,
+        stationId: station.stationId,
+        startTime: isoNow(),
+        endTime: null,
+        plannedEndTime: booked === null ? null : new Date(now() + booked * 60000).toISOString(),
+        status: 'Active',
+        totalCost: 0,
+        notes: body.notes || '',
+        pausedMs: 0,
+        pausedAt: null
+      };
+      station.isAvailable = false;
+      db.sessions.push(session);
+      return created(sessionDto(session));
+    }],
+    ['POST', '/gamesessions/:id/pause', ({ params }) => {
+      const session = db.sessions.find(s => s.sessionId === Number(params.id));
+      if (!session) return fail(404, 'Session not found');
+      if (session.status !== 'Active') return fail(409, 'Only active sessions can be paused');
+      Object.assign(session, { status: 'Paused', pausedAt: isoNow() });
+      return sessionDto(session);
+    }],
+    ['POST', '/gamesessions/:id/resume', ({ params }) => {
+      const session = db.sessions.find(s => s.sessionId === Number(params.id));
+      if (!session) return fail(404, 'Session not found');
+      if (session.status !== 'Paused') return fail(409, 'Only paused sessions can be resumed');
+      const paused = now() - Date.parse(session.pausedAt);
+      // Time spent paused does not count against the booked time
+      const plannedEndTime = session.plannedEndTime && new Date(Date.parse(session.plannedEndTime) + paused).toISOString();
+      Object.assign(session, { status: 'Active', pausedMs: session.pausedMs + paused, pausedAt: null, plannedEndTime });
+      return sessionDto(session);
+    }],
+    ['POST', '/gamesessions/:id/extend', ({ params, body = {} }) => {
+      const session = db.sessions.find(s => s.sessionId === Number(params.id));
+      if (!session) return fail(404, 'Session not found');
+      if (session.status !== 'Active' && session.status !== 'Paused') return fail(400, 'Can only extend active or paused sessions');
+      if (!session.plannedEndTime) return fail(400, 'Session has no time limit to extend');
+      const { extensionIncrementMinutes, maxDurationMinutes } = db.sessionSettings;
+      // From now (or the pause) when the time has already run out; paused time is not booked time
+      const clockNow = session.pausedAt ? Date.parse(session.pausedAt) : now();
+      const end = Math.max(Date.parse(session.plannedEndTime), clockNow) + (Number(body.minutes) || extensionIncrementMinutes) * 60000;
+      if (end - Date.parse(session.startTime) - session.pausedMs > maxDurationMinutes * 60000) {
+        return fail(400, `Sessions cannot be booked for more than ${maxDurationMinutes / 60} hours`);
+      }
+      session.plannedEndTime = new Date(end).toISOString();
+      return sessionDto(session);
+    }],
+    ['POST', '/gamesessions/:id/end', ({ params }) => {
+      const session = db.sessions.find(s => s.sessionId === Number(params.id));
+      return session ? endSession(session) : fail(404, 'Session not found');
+    }],
+
+    // Transactions
+    ['GET', '/transactions', ({ query }) => {
+      let list = db.transactions.slice().sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+      if (query.sortDescending === 'false') list.reverse();
+      if (query.search) list = list.filter(t => contains(t.description, query.search) || contains(findUser(t.userId)?.username, query.search));
+      ['type', 'status', 'paymentMethod'].forEach(field => {
+        if (query[field]) list = list.filter(t => t[field] === query[field]);
+      });
+      if (query.userId) list = list.filter(t => t.userId === Number(query.userId));
+      if (query.minAmount) list = list.filter(t => t.amount >= Number(query.minAmount));
+      if (query.maxAmount) list = list.filter(t => t.amount <= Number(query.maxAmount));
+      if (query.startDate) list = list.filter(t => t.createdAt >= query.startDate);
+      if (query.endDate) list = list.filter(t => t.createdAt.slice(0, 10) <= query.endDate);
+      return paged(list.map(transactionDto), query);
+    }],
+    ['GET', '/transactions/stats', ({ query }) => {
+      let list = db.transactions;
+      if (query.startDate) list = list.filter(t => t.createdAt >= query.startDate);
+      if (query.endDate) list = list.filter(t => t.createdAt.slice(0, 10) <= query.endDate);
+      const completed = list.filter(t => t.status === 'Completed');
+      const revenue = completed.filter(t => t.type !== 'Refund');
+      return {
+        totalTransactions: list.length,
+        completedTransactions: completed.length,
+        pendingTransactions: list.filter(t => t.status === 'Pending').length,
+        totalRevenue: sum(revenue, t => t.amount),
+        averageTransactionAmount: revenue.length ? sum(revenue, t => t.amount) / revenue.length : 0
+      };
+    }],
+    ['GET', '/transactions/:id', ({ params }) => {
+      const tx = db.transactions.find(t => t.transactionId === Number(params.id));
+      return tx ? transactionDto(tx) : fail(404, 'Transaction not found');
+    }],
+    ['POST', '/transactions', ({ body = {} }) => {
+      const errors = {};
+      if (!findUser(body.userId)) errors.UserId = ['A valid user is required'];
+      if (!(Number(body.amount) > 0)) errors.Amount = ['Amount must be greater than zero'];
+      if (Object.keys(errors).length) return invalid(errors);
+      const tx = record(body.userId, body.type || 'Product', Number(body.amount), body.paymentMethod || 'Cash', body.description || '');
+      Object.assign(tx, { paymentReference: body.paymentReference || null, notes: body.notes || null });
+      return created(transactionDto(tx));
+    }],
+    ['PUT', '/transactions/:id', ({ params, body = {} }) => {
+      const tx = db.transactions.find(t => t.transactionId === Number(params.id));
+      if (!tx) return fail(404, 'Transaction not found');
+      const { transactionId, ...fields } = body;
+      Object.assign(tx, fields);
+      return transactionDto(tx);
+    }],
+    ['DELETE', '/transactions/:id', ({ params }) => {
+      if (!db.transactions.some(t => t.transactionId === Number(params.id))) return fail(404, 'Transaction not found');
+      db.transactions = db.transactions.filter(t => t.transactionId !== Number(params.id));
+      return noContent();
+    }],
+    ['POST', '/transactions/:id/refund', ({ params, body = {} }) => {
+      const tx = db.transactions.find(t => t.transactionId === Number(params.id));
+      if (!tx) return fail(404, 'Transaction not found');
+      if (tx.status === 'Refunded') return fail(409, 'Transaction has already been refunded');
+      const amount = Number(body.refundAmount);
+      if (!(amount > 0) || amount > tx.amount) return invalid({ RefundAmount: [`Refund must be between 0 and ${tx.amount}`] });
+      tx.status = 'Refunded';
+      const refund = record(tx.userId, 'Refund', amount, tx.paymentMethod, `Refund: ${body.reason || 'no reason given'}`);
+      return transactionDto(refund);
+    }],
+    ['PATCH', '/transactions/:id/status', ({ params, body = {} }) => {
+      const tx = db.transactions.find(t => t.transactionId === Number(params.id));
+      if (!tx) return fail(404, 'Transaction not found');
+      // System.Text.Json binds the TransactionStatus enum from its number only
+      if (!Number.isInteger(body.status) || !TRANSACTION_STATUSES[body.status]) {
+        return invalid({ Status: ['The JSON value could not be converted to GamingCafe.Core.Models.TransactionStatus.'] });
+      }
+      const status = TRANSACTION_STATUSES[body.status];
+      Object.assign(tx, { status, notes: body.notes ?? tx.notes, processedAt: status === 'Completed' ? isoNow() : tx.processedAt });
+      return transactionDto(tx);
+    }],
+
+    // Wallet
+    ['GET', '/wallet/statistics', () => {
+      const customers = db.users;
+      return {
+        totalWallets: customers.length,
+        activeWallets: customers.filter(u => u.isActive).length,
+        totalBalance: sum(customers, u => u.walletBalance),
+        averageWalletBalance: customers.length ? sum(customers, u => u.walletBalance) / customers.length : 0
+      };
+    }],
+    ['GET', '/wallet/:userId', ({ params }) => {
+      const user = findUser(params.userId);
+      if (!user) return fail(404, 'Wallet not found');
+      return { userId: user.userId, username: user.username, balance: user.walletBalance, isActive: user.isActive };
+    }],
+    ['GET', '/wallet/:userId/transactions', ({ params, query }) => {
+      const list = db.transactions
+        .filter(t => t.userId === Number(params.userId))
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+      return paged(list.map(transactionDto), query, 10);
+    }],
+    ['POST', '/wallet/:userId/deposit', ({ params, body = {} }) => (
+      walletMove(findUser(params.userId), Number(body.amount), body.description || 'Deposit', body.paymentMethod, 1)
+    )],
+    ['POST', '/wallet/:userId/withdraw', ({ params, body = {} }) => (
+      walletMove(findUser(params.userId), Number(body.amount), body.description || 'Withdrawal', body.paymentMethod, -1)
+    )],
+    ['POST', '/wallet/transfer', ({ body = {} }) => {
+      const from = findUser(body.fromUserId);
+      const to = findUser(body.toUserId);
+      if (!from || !to) return fail(404, 'User not found');
+      if (from.userId === to.userId) return invalid({ ToUserId: ['Cannot transfer to the same wallet'] });
+      const out = walletMove(from, Number(body.amount), body.description || `Transfer to ${to.username}`, 'Wallet', -1);
+      if (out instanceof Reply) return out;
+      walletMove(to, Number(body.amount), body.description || `Transfer from ${from.username}`, 'Wallet', 1);
+      return { fromBalance: from.walletBalance, toBalance: to.walletBalance };
+    }],
+    ['PUT', '/wallet/:userId/status', ({ params, body = {} }) => {
+      const user = findUser(params.userId);
+      if (!user) return fail(404, 'Wallet not found');
+      user.isActive = Boolean(body.isActive);
+      return { userId: user.userId, isActive: user.isActive };
+    }],
+
+    // Products and inventory
+    ['GET', '/products', ({ query }) => {
+      const list = query.search ? db.products.filter(p => contains(p.name, query.search) || contains(p.category, query.search)) : db.products;
+      return paged(list, query);
+    }],
+    ['GET', '/products/:id', ({ params }) => findProduct(params.id) || fail(404, 'Product not found')],
+    ['POST', '/products', ({ body = {} }) => {
+      if (!body.name) return invalid({ Name: ['The Name field is required.'] });
+      const product = {
+        description: '',
+        category: 'General',
+        stockQuantity: 0,
+        minStockLevel: 0,
+        isActive: true,
+        ...body,
+        productId: nextId(db.products, 'productId'),
+        createdAt: isoNow(),
+        updatedAt: isoNow()
+      };
+      db.products.push(product);
+      return created(product);
+    }],
+    ['PUT', '/products/:id', ({ params, body = {} }) => {
+      const product = findProduct(params.id);
+      if (!product) return fail(404, 'Product not found');
+      const { productId, ...fields } = body;
+      Object.assign(product, fields, { updatedAt: isoNow() });
+      return product;
+    }],
+    ['DELETE', '/products/:id', ({ params }) => {
+      if (!findProduct(params.id)) return fail(404, 'Product not found');
+      db.products = db.products.filter(p => p.productId !== Number(params.id));
+      return noContent();
+    }],
+    ['PATCH', '/products/:id/stock', ({ params, body = {}, user }) => {
+      const product = findProduct(params.id);
+      if (!product) return fail(404, 'Product not found');
+      return adjustStock(product.productId, Number(body.stockQuantity) - product.stockQuantity, 'Stock count', user.userId);
+    }],
+    ['GET', '/inventory/movements', ({ query }) => {
+      let list = db.movements.slice().sort((a, b) => b.movementDate.localeCompare(a.movementDate));
+      if (query.type) list = list.filter(m => m.type === query.type);
+      if (query.productId) list = list.filter(m => m.productId === Number(query.productId));
+      return paged(list.map(movementDto), query);
+    }],
+    ['GET', '/inventory/low-stock', () => db.products.filter(p => p.isActive && p.stockQuantity <= p.minStockLevel)],
+    ['POST', '/inventory/adjust', ({ body = {}, user }) => adjustStock(body.productId, Number(body.quantityChange), body.reason, user.userId)],
+    ['POST', '/inventory/bulk-adjust', ({ body = {}, user }) => {
+      const results = (body.adjustments || []).map(a => adjustStock(a.productId, Number(a.quantityChange), a.reason, user.userId));
+      const failed = results.filter(r => r instanceof Reply);
+      return { applied: results.length - failed.length, failed: failed.map(r => r.body) };
+    }],
+
+    // Reservations
+    ['GET', '/reservations', ({ query }) => {
+      let list = db.reservations.slice().sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+      if (query.startDate) list = list.filter(r => r.reservationDate.slice(0, 10) >= query.startDate.slice(0, 10));
+      if (query.endDate) list = list.filter(r => r.reservationDate.slice(0, 10) <= query.endDate.slice(0, 10));
+      return paged(list.map(reservationDto), query, 10);
+    }],
+    ['POST', '/reservations', ({ body = {} }) => {
+      const errors = {};
+      if (!findUser(body.userId)) errors.UserId = ['A valid user is required'];
+      if (!findStation(body.stationId)) errors.StationId = ['A valid station is required'];
+      if (!body.reservationDate) errors.ReservationDate = ['The ReservationDate field is required.'];
+      if (Object.keys(errors).length) return invalid(errors);
+      const clash = db.reservations.some(r => r.stationId === Number(body.stationId) && r.status !== 'Cancelled'
+        && r.reservationDate.slice(0, 10) === String(body.reservationDate).slice(0, 10)
+        && r.startTime < body.endTime && body.startTime < r.endTime);
+      if (clash) return fail(409, 'The station is already reserved for that time');
+      const reservation = {
+        notes: '',
+        ...body,
+        reservationId: nextId(db.reservations, 'reservationId'),
+        userId: Number(body.userId),
+        stationId: Number(body.stationId),
+        status: 'Pending',
+        createdAt: isoNow()
+      };
+      db.reservations.push(reservation);
+      return created(reservationDto(reservation));
+    }],
+    ['PATCH', '/reservations/:id/status', ({ params, body = {} }) => {
+      const reservation = db.reservations.find(r => r.reservationId === Number(params.id));
+      if (!reservation) return fail(404, 'Reservation not found');
+      // System.Text.Json binds the ReservationStatus enum from its number only
+      if (!Number.isInteger(body.status) || !RESERVATION_STATUSES[body.status]) {
+        return invalid({ Status: ['The JSON value could not be converted to GamingCafe.Core.Models.ReservationStatus.'] });
+      }
+      reservation.status = RESERVATION_STATUSES[body.status];
+      return reservationDto(reservation);
+    }],
+    ['POST', '/reservations/:id/cancel', ({ params }) => {
+      const reservation = db.reservations.find(r => r.reservationId === Number(params.id));
+      if (!reservation) return fail(404, 'Reservation not found');
+      if (reservation.status === 'Cancelled') return fail(409, 'Reservation is already cancelled');
+      reservation.status = 'Cancelled';
+      return reservationDto(reservation);
+    }],
+
+    // Reports, alerts, loyalty
+    ['GET', '/reports/dashboard', () => {
+      const active = db.stations.filter(s => s.isActive);
+      const available = active.filter(s => s.isAvailable);
+      const since = new Date(now() - 30 * 24 * 60 * 60 * 1000).toISOString();
+      return {
+        totalUsers: db.users.length,
+        activeUsers: db.users.filter(u => u.isActive).length,
+        totalStations: db.stations.length,
+        activeStations: active.length,
+        availableStations: available.length,
+        stationUtilization: active.length ? ((active.length - available.length) / active.length) * 100 : 0,
+        activeSessions: db.sessions.filter(s => s.status === 'Active').length,
+        totalRevenue: sum(db.transactions.filter(t => t.status === 'Completed' && t.type !== 'Refund' && t.createdAt >= since), t => t.amount),
+        pendingPayments: sum(db.transactions.filter(t => t.status === 'Pending'), t => t.amount),
+        totalReservations: db.reservations.length,
+        generatedAt: isoNow()
+      };
+    }],
+    ['GET', '/alerts', () => db.alerts],
+    // HealthController: ready only while every check is Healthy, 503 once any is Unhealthy
+    ['GET', '/health/ready', () => {
+      const status = overallHealth();
+      return status === 'Healthy'
+        ? { status: 'Ready', timestamp: isoNow() }
+        : fail(503, { status: 'Not Ready', reason: status, timestamp: isoNow() });
+    }, true],
+    ['GET', '/health/detailed', () => {
+      const entries = Object.entries(db.health);
+      const count = status => entries.filter(([, c]) => c.status === status).length;
+      const status = overallHealth();
+      const body = {
+        status,
+        totalDuration: '00:00.012',
+        checkedAt: isoNow(),
+        components: Object.fromEntries(entries.map(([name, c]) => [name, { duration: '00:00.002', data: {}, exception: null, ...c }])),
+        summary: { totalChecks: entries.length, healthyChecks: count('Healthy'), degradedChecks: count('Degraded'), unhealthyChecks: count('Unhealthy') }
+      };
+      return status === 'Unhealthy' ? fail(503, body) : body;
+    }, true],
+    ['GET', '/loyalty', ({ query }) => paged(db.loyaltyPrograms, query)],
+    ['GET', '/loyalty/programs', ({ query }) => paged(db.loyaltyPrograms, query)]
+  ].map(([method, pattern, handler, isPublic]) => ({
+    method,
+    handler,
+    isPublic: Boolean(isPublic),
+    roles: ROUTE_ROLES[`${method} ${pattern}`],
+    names: (pattern.match(/:(\w+)/g) || []).map(name => name.slice(1)),
+    regex: new RegExp(`^${pattern.replace(/:\w+/g, '([^/]+)')}$`)
+  }));
+
+  function dispatch(method, path, query, body, headers) {
+    const candidates = routes.filter(r => r.regex.test(path));
+    if (candidates.length === 0) return fail(404, `No mock route for ${path}`);
+    const route = candidates.find(r => r.method === method);
+    if (!route) return fail(405, `${method} is not allowed on ${path}`);
+
+    const auth = headers.Authorization || headers.authorization || '';
+    const user = findUser(accessTokens.get(auth.replace(/^Bearer /, '')));
+    if (!route.isPublic && !user) return fail(401, 'Unauthorized');
+    // ASP.NET answers a role mismatch with an empty 403
+    if (route.roles && !route.roles.includes(user.role)) return fail(403);
+
+    const params = Object.fromEntries(route.names.map((name, i) => [name, decodeURIComponent(path.match(route.regex)[i + 1])]));
+    return route.handler({ params, query, body, user, db });
+  }
+
+  async function mockFetch(url, init = {}) {
+    const method = (init.method || 'GET').toUpperCase();
+    const headers = init.headers || {};
+
+    const parsed = new URL(url, 'http://mock.local');
+    const path = parsed.pathname.replace(/^\/api\/v[^/]+/, '') || '/';
+    const query = Object.fromEntries(parsed.searchParams.entries());
+    const correlationId = headers['X-Correlation-ID'] || `mock-${Date.now().toString(36)}`;
+    const echo = { 'X-Correlation-ID': correlationId };
+
+    // Like IdempotencyMiddleware, the key is reserved when the request arrives, so a second
+    // request with it while the first is still on its way gets the in-progress 409
+    const key = method === 'POST' ? headers['Idempotency-Key'] : null;
+    if (key && idempotency.has(key)) {
+      const stored = idempotency.get(key);
+      await delay(latency, init.signal);
+      if (stored.inProgress) {
+        return toResponse(409, { code: 'idempotency_in_progress', message: 'A request with this Idempotency-Key is already being processed' }, echo);
+      }
+      return toResponse(stored.status, stored.body, { ...echo, 'Idempotent-Replayed': 'true' });
+    }
+    if (key) idempotency.set(key, { inProgress: true });
+    try {
+      await delay(latency, init.signal);
+    } catch (err) {
+      if (key) idempotency.delete(key);
+      throw err;
+    }
+
+    let reply;
+    try {
+      const body = init.body ? JSON.parse(init.body) : undefined;
+      const result = dispatch(method, path, query, body, headers);
+      reply = result instanceof Reply ? result : new Reply(200, result);
+    } catch (err) {
+      reply = new Reply(500, { message: 'An unexpected error occurred', details: err.message, correlationId });
+    }
+
+    // Like IdempotencyMiddleware, only final outcomes are kept: a 401 must not be replayed to the
+    // retry that follows a token refresh
+    if (key && !NOT_FINAL.includes(reply.status) && reply.status < 500) idempotency.set(key, { status: reply.status, body: reply.body });
+    else if (key) idempotency.delete(key);
+    return toResponse(reply.status, reply.body, { ...echo, ...reply.headers });
+  }
+
+  return {
+    fetch: mockFetch,
+    get db() { return db; },
+    reset(nextSeed) {
+      db = nextSeed || createSeed(now());
+      idempotency.clear();
+      passwordResets.clear();
+      emailVerifications.clear();
+    }
+  };
+}
+
+export default createMockApi;
@@ -0,0 +1,131 @@
+import { renderHook } from '@testing-library/react';
+import api, { ConflictError, ValidationError } from '../api';
+import { useIdempotencyKey } from '../utils/idempotency';
+import { createMockApi } from './mockApi';
+import { DEMO_PASSWORD } from './seed';
+
+let mock;
+
+beforeEach(async () => {
+  mock = createMockApi();
+  api.setTransport(mock.fetch);
+  api.setTokens(await api.post('/auth/login', { email: 'staff@demo.local', password: DEMO_PASSWORD }, { skipAuthRefresh: true }));
+});
+
+afterEach(() => {
+  api.setTransport(null);
+  localStorage.clear();
+});
+
+test('lists come back as PagedResponse pages', async () => {
+  const res = await api.get('/users?page=2&pageSize=4');
+
+  expect(res.page).toBe(2);
+  expect(res.data).toHaveLength(4);
+  expect(res.totalCount).toBe(mock.db.users.length);
+});
+
+test('a replayed deposit is flagged and credits the wallet once', async () => {
+  const before = mock.db.users.find(u => u.userId === 4).walletBalance;
+
+  await api.post('/wallet/4/deposit', { amount: 10 }, { idempotencyKey: 'dep-1' });
+  const replay = await api.post('/wallet/4/deposit', { amount: 10 }, { idempotencyKey: 'dep-1' });
+
+  expect(api.isReplayed(replay)).toBe(true);
+  expect(mock.db.users.find(u => u.userId === 4).walletBalance).toBe(before + 10);
+});
+
+test('a keyed POST sent with an expired token refreshes and runs once, without replaying the 401', async () => {
+  const before = mock.db.users.find(u => u.userId === 4).walletBalance;
+  const expired = jest.fn();
+  const stop = api.onAuthChange(type => type === 'expired' && expired());
+  api.setTokens({ accessToken: 'expired-access-token', refreshToken: api.getRefreshToken() });
+
+  const res = await api.post('/wallet/4/deposit', { amount: 10 }, { idempotencyKey: 'dep-401' });
+  stop();
+
+  expect(api.isReplayed(res)).toBe(false);
+  expect(expired).not.toHaveBeenCalled();
+  expect(mock.db.users.find(u => u.userId === 4).walletBalance).toBe(before + 10);
+  // The successful outcome is what a later resubmit gets back
+  expect(api.isReplayed(await api.post('/wallet/4/deposit', { amount: 10 }, { idempotencyKey: 'dep-401' }))).toBe(true);
+});
+
+test('a resubmit while the first request is still running gets the in-progress 409, and the key is kept', async () => {
+  const before = mock.db.users.find(u => u.userId === 4).walletBalance;
+  const { result } = renderHook(() => useIdempotencyKey());
+  const key = result.current.current();
+
+  const first = api.post('/wallet/4/deposit', { amount: 10 }, { idempotencyKey: key });
+  const err = await api.post('/wallet/4/deposit', { amount: 10 }, { idempotencyKey: key }).catch(e => e);
+  expect(err).toBeInstanceOf(ConflictError);
+  expect(err.data.code).toBe('idempotency_in_progress');
+  result.current.settle(err);
+  expect(result.current.current()).toBe(key);
+
+  await first;
+  expect(api.isReplayed(await api.post('/wallet/4/deposit', { amount: 10 }, { idempotencyKey: key }))).toBe(true);
+  expect(mock.db.users.find(u => u.userId === 4).walletBalance).toBe(before + 10);
+
+  // Any other definite answer ends the operation
+  result.current.settle(new ConflictError('Station is busy', { status: 409, data: { message: 'Station is busy' } }));
+  expect(result.current.current()).not.toBe(key);
+});
+
+test('time spent paused does not count towards the longest booking', async () => {
+  const session = mock.db.sessions[0];
+  const start = Date.parse(session.startTime);
+  // Booked for two hours, with ten hours of pauses already added back onto the end
+  Object.assign(session, { pausedMs: 600 * 60000, plannedEndTime: new Date(start + 720 * 60000).toISOString() });
+
+  const res = await api.post('/gamesessions/1/extend', undefined, { idempotencyKey: 'ext-1' });
+  expect(Date.parse(res.plannedEndTime) - start).toBe(750 * 60000);
+
+  session.plannedEndTime = new Date(start + 1320 * 60000).toISOString();
+  await expect(api.post('/gamesessions/1/extend', undefined, { idempotencyKey: 'ext-2' })).rejects.toMatchObject({ status: 400 });
+});
+
+test('errors use the API shapes so typed errors and field mapping work', async () => {
+  const busy = await api.post('/gamesessions/start', { stationId: 1, userId: 5 }).catch(e => e);
+  // Staff may create users but not stations, so the validation case goes through /users
+  const invalid = await api.post('/users', { firstName: 'Nameless' }).catch(e => e);
+
+  expect(busy).toBeInstanceOf(ConflictError);
+  expect(invalid).toBeInstanceOf(ValidationError);
+  expect(Object.keys(invalid.errors)).toEqual(['username', 'email']);
+});
+
+test('requests without a valid token are rejected', async () => {
+  api.setTokens({});
+
+  await expect(api.get('/stations')).rejects.toMatchObject({ status: 401 });
+});
+
+test('logout revokes its refresh token, and logout-all every one the account holds', async () => {
+  const login = () => api.post('/auth/login', { email: 'staff@demo.local', password: DEMO_PASSWORD }, { skipAuthRefresh: true });
+  const refresh = refreshToken => api.post('/auth/refresh-token', { refreshToken }, { skipAuthRefresh: true, retries: 0 });
+  const [laptop, phone, till] = [api.getRefreshToken(), (await login()).refreshToken, (await login()).refreshToken];
+
+  await api.post('/auth/logout', { refreshToken: laptop });
+  await expect(refresh(laptop)).rejects.toMatchObject({ status: 401 });
+
+  const phoneTokens = await refresh(phone);
+  expect(await api.post('/auth/logout-all', {})).toMatchObject({ revoked: 2 });
+  await expect(refresh(phoneTokens.refreshToken)).rejects.toMatchObject({ status: 401 });
+  await expect(refresh(till)).rejects.toMatchObject({ status: 401 });
+});
+
+test('a parked session can only be discarded by its own operator', async () => {
+  const signIn = async email => api.setTokens(await api.post('/auth/login', { email, password: DEMO_PASSWORD }, { skipAuthRefresh: true }));
+  const { parkedSessionId } = await api.post('/auth/park', { refreshToken: api.getRefreshToken() });
+
+  api.setTokens({});
+  await expect(api.del(`/auth/parked/${parkedSessionId}`, { retries: 0 })).rejects.toMatchObject({ status: 401 });
+  await signIn('admin@demo.local');
+  await expect(api.del(`/auth/parked/${parkedSessionId}`, { retries: 0 })).rejects.toMatchObject({ status: 404 });
+
+  await signIn('staff@demo.local');
+  await api.del(`/auth/parked/${parkedSessionId}`);
+  await expect(api.post('/auth/resume', { parkedSessionId, pin: '2580' }, { skipAuthRefresh: true, retries: 0 }))
+    .rejects.toMatchObject({ status: 401 });
+});
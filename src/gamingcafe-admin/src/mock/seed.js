@@ -0,0 +1,197 @@
+import { DEMO_PASSWORD } from '../config';
+
+// Seed data for the in-browser mock API. Every call returns fresh copies so a test or a
+// demo reset never sees writes from a previous run.
+
+export { DEMO_PASSWORD };
+// manager@demo.local has two-factor sign-in on; the mock accepts this code or a recovery code
+export const DEMO_TOTP_CODE = '123456';
+// Quick-switch PIN of the manager and front-desk accounts
+export const DEMO_PIN = '2580';
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+function iso(ms) {
+  return new Date(ms).toISOString();
+}
+
+export function createSeed(now = Date.now()) {
+  const users = [
+    { userId: 1, username: 'admin', email: 'admin@demo.local', firstName: 'Alex', lastName: 'Admin', role: 'Admin' },
+    { userId: 2, username: 'manager', email: 'manager@demo.local', firstName: 'Morgan', lastName: 'Reyes', role: 'Manager', pin: DEMO_PIN, isTwoFactorEnabled: true, recoveryCodes: ['RC7K-2M9Q', 'RC4T-8HXP', 'RC9D-3LWN'] },
+    { userId: 3, username: 'frontdesk', email: 'staff@demo.local', firstName: 'Sam', lastName: 'Okafor', role: 'Staff', pin: DEMO_PIN },
+    { userId: 4, username: 'pixelqueen', email: 'jess@example.com', firstName: 'Jess', lastName: 'Tan', role: 'Customer', walletBalance: 42.5, loyaltyPoints: 320 },
+    { userId: 5, username: 'noscope', email: 'liam@example.com', firstName: 'Liam', lastName: 'Walsh', role: 'Customer', walletBalance: 12, loyaltyPoints: 85 },
+    { userId: 6, username: 'tankmain', email: 'priya@example.com', firstName: 'Priya', lastName: 'Nair', role: 'Customer', walletBalance: 87.25, loyaltyPoints: 610 },
+    { userId: 7, username: 'speedrunr', email: 'omar@example.com', firstName: 'Omar', lastName: 'Haddad', role: 'Customer', walletBalance: 5, loyaltyPoints: 40 },
+    { userId: 8, username: 'cozygamer', email: 'mia@example.com', firstName: 'Mia', lastName: 'Schultz', role: 'Customer', walletBalance: 0, loyaltyPoints: 0, isActive: false },
+    { userId: 9, username: 'alex_new', email: 'alex.new@example.com', firstName: 'Alex', lastName: 'Novak', role: 'Customer', walletBalance: 20, loyaltyPoints: 10 }
+  ].map((u, i) => ({
+    walletBalance: 0,
+    loyaltyPoints: 0,
+    isActive: true,
+    isTwoFactorEnabled: false,
+    recoveryCodes: [],
+    isEmailVerified: u.role !== 'Customer' || i % 2 === 0,
+    phoneNumber: null,
+    createdAt: iso(now - (60 - i * 5) * DAY),
+    lastLoginAt: iso(now - i * 3 * HOUR),
+    ...u
+  }));
+
+  // [name, type, rate, location, floor map cell]; VR-01 has not been placed on the map yet
+  const stations = [
+    ['PC-001', 'PC', 4, 'Main Floor', [1, 1]], ['PC-002', 'PC', 4, 'Main Floor', [2, 1]],
+    ['PC-003', 'PC', 4, 'Main Floor', [3, 1]], ['PC-004', 'PC', 4, 'Main Floor', [4, 1]],
+    ['PC-005', 'PC', 5, 'VIP Area', [1, 4]], ['PC-006', 'PC', 5, 'VIP Area', [2, 4]],
+    ['PS5-01', 'Console', 6, 'Console Area', [7, 1]], ['PS5-02', 'Console', 6, 'Console Area', [7, 2]],
+    ['XBOX-01', 'Console', 6, 'Console Area', [7, 3]], ['VR-01', 'VR', 10, 'VR Room', null]
+  ].map(([stationName, stationType, hourlyRate, location, cell], i) => ({
+    stationId: i + 1,
+    stationName,
+    stationType,
+    hourlyRate,
+    description: `${stationType} station ${stationName}`,
+    location,
+    floorX: cell ? cell[0] : null,
+    floorY: cell ? cell[1] : null,
+    isAvailable: true,
+    isActive: true,
+    isUnderMaintenance: false,
+    notes: '',
+    createdAt: iso(now - 90 * DAY)
+  }));
+  stations[5].isUnderMaintenance = true;
+  stations[5].notes = 'Replacing the headset';
+
+  const sessions = [
+    { sessionId: 1, userId: 4, stationId: 1, startedMinutesAgo: 95, bookedMinutes: 120, notes: 'Valorant' },
+    { sessionId: 2, userId: 6, stationId: 7, startedMinutesAgo: 40, bookedMinutes: 45, notes: 'EA FC' },
+    { sessionId: 3, userId: 5, stationId: 5, startedMinutesAgo: 12, bookedMinutes: null, notes: 'Counter-Strike 2' }
+  ].map(({ startedMinutesAgo, bookedMinutes, ...s }) => {
+    stations[s.stationId - 1].isAvailable = false;
+    const start = now - startedMinutesAgo * 60000;
+    return {
+      ...s,
+      startTime: iso(start),
+      endTime: null,
+      plannedEndTime: bookedMinutes ? iso(start + bookedMinutes * 60000) : null,
+      status: 'Active',
+      totalCost: 0,
+      pausedMs: 0,
+      pausedAt: null
+    };
+  });
+
+  // The API's SessionSettings, in minutes
+  const sessionSettings = {
+    defaultDurationMinutes: 120,
+    minDurationMinutes: 30,
+    maxDurationMinutes: 720,
+    extensionIncrementMinutes: 30,
+    warningThresholdMinutes: 10
+  };
+
+  const products = [
+    ['Energy Drink', 'Beverages', 3.5, 48, 12], ['Cola', 'Beverages', 2, 6, 12], ['Bottled Water', 'Beverages', 1.5, 80, 20],
+    ['Nachos', 'Snacks', 4.5, 15, 5], ['Chocolate Bar', 'Snacks', 1.75, 3, 10], ['Gaming Headset Rental', 'Accessories', 2.5, 10, 2],
+    ['Controller Grip Tape', 'Accessories', 6, 25, 5], ['Cup Noodles', 'Snacks', 2.75, 0, 6]
+  ].map(([name, category, price, stockQuantity, minStockLevel], i) => ({
+    productId: i + 1,
+    name,
+    description: '',
+    category,
+    price,
+    stockQuantity,
+    minStockLevel,
+    isActive: true,
+    createdAt: iso(now - 30 * DAY),
+    updatedAt: iso(now - (i + 1) * DAY)
+  }));
+
+  const transactions = [
+    [4, 'GameTime', 'Wallet', 8, 'Completed', 'PC-001 — 2h', 2],
+    [6, 'Product', 'Cash', 7, 'Completed', 'Energy Drink x2', 5],
+    [5, 'WalletTopup', 'CreditCard', 20, 'Completed', 'Wallet top-up', 26],
+    [7, 'GameTime', 'Cash', 6, 'Completed', 'PS5-01 — 1h', 30],
+    [4, 'Product', 'Wallet', 4.5, 'Completed', 'Nachos', 49],
+    [9, 'WalletTopup', 'Cash', 20, 'Completed', 'Wallet top-up', 52],
+    [6, 'GameTime', 'DebitCard', 15, 'Pending', 'VR-01 — 1.5h', 75],
+    [5, 'Refund', 'Cash', 3.5, 'Completed', 'Refund: drink spilled', 98]
+  ].map(([userId, type, paymentMethod, amount, status, description, hoursAgo], i) => ({
+    transactionId: i + 1,
+    userId,
+    type,
+    paymentMethod,
+    amount,
+    status,
+    description,
+    paymentReference: null,
+    notes: null,
+    createdAt: iso(now - hoursAgo * HOUR),
+    processedAt: status === 'Completed' ? iso(now - hoursAgo * HOUR) : null
+  }));
+
+  const movements = [
+    [1, 'StockIn', 48, 'Weekly delivery', 72, 3],
+    [2, 'Sale', -6, 'POS sale', 20, 3],
+    [5, 'Damage', -2, 'Melted in storage', 30, 2],
+    [8, 'Sale', -6, 'POS sale', 4, 3]
+  ].map(([productId, type, quantity, reason, hoursAgo, userId], i) => ({
+    movementId: i + 1,
+    productId,
+    type,
+    quantity,
+    reason,
+    userId,
+    movementDate: iso(now - hoursAgo * HOUR)
+  }));
+
+  const today = new Date(now);
+  const reservationDate = iso(Date.UTC(today.getUTCFullYear(), today.getUTCMonth(), today.getUTCDate() + 1));
+  // One walk-in booked for half an hour from now, on the local clock like the form enters it
+  const soon = new Date(now + 30 * 60000);
+  const clock = d => `${String(d.getHours()).padStart(2, '0')}:${String(d.getMinutes()).padStart(2, '0')}`;
+  const reservations = [
+    [4, 10, '18:00', '20:00', 'Confirmed'],
+    [7, 2, '14:00', '16:00', 'Pending'],
+    [9, 8, '19:30', '21:00', 'Pending'],
+    [7, 3, clock(soon), clock(new Date(soon.getTime() + 2 * HOUR)), 'Confirmed', iso(Date.UTC(soon.getFullYear(), soon.getMonth(), soon.getDate()))]
+  ].map(([userId, stationId, startTime, endTime, status, date = reservationDate], i) => ({
+    reservationId: i + 1,
+    userId,
+    stationId,
+    reservationDate: date,
+    startTime,
+    endTime,
+    status,
+    notes: '',
+    createdAt: iso(now - (i + 1) * HOUR)
+  }));
+
+  const loyaltyPrograms = [
+    { programId: 1, name: 'Free Hour', description: 'One hour on any PC', pointsRequired: 200, isActive: true },
+    { programId: 2, name: 'Snack Bundle', description: 'Drink and a snack', pointsRequired: 120, isActive: true },
+    { programId: 3, name: 'VR Session', description: '30 minutes of VR', pointsRequired: 450, isActive: true }
+  ];
+
+  const alerts = [
+    { id: 1, type: 'warning', message: 'PC-005 high temperature detected', time: '5 min ago' },
+    { id: 2, type: 'info', message: 'New customer registration: alex_new', time: '1 h ago' }
+  ];
+
+  // What the API's health checks report, keyed by their AddHealthChecks names
+  const health = {
+    database: { status: 'Healthy', description: 'Database connection is healthy', tags: ['database', 'ef-core', 'critical'] },
+    application: { status: 'Healthy', description: 'Application is running normally', tags: ['application', 'system', 'critical'] },
+    email: { status: 'Healthy', description: 'SMTP server is reachable', tags: ['email', 'smtp', 'external'] },
+    redis: { status: 'Healthy', description: 'Redis cache is reachable', tags: ['redis', 'cache', 'optional'] },
+    backup: { status: 'Healthy', description: 'Last backup completed successfully', tags: ['backup', 'optional'] },
+    fileupload: { status: 'Healthy', description: 'Upload directory is writable', tags: ['fileupload', 'optional'] }
+  };
+
+  return { users, stations, sessions, sessionSettings, products, transactions, movements, reservations, loyaltyPrograms, alerts, health };
+}
+
+export default createSeed;
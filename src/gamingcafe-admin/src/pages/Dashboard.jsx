@@ -1,70 +1,107 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useMemo } from 'react';
 import { useToast } from '../components/ToastProvider';
 import SimpleModal from '../components/SimpleModal';
 import ConfirmDialog from '../components/ConfirmDialog';
+import CreateSessionForm from '../components/CreateSessionForm';
 import api from '../api';
+import { invalidate, useResource } from '../utils/resources';
+import { isQueued, submitOrQueue } from '../utils/offlineQueue';
+import { usePermission, userDisplayName } from '../utils/security';
+import { usePollingFallback, useLiveStatus } from '../utils/live';
+import { acknowledge, openNotificationPanel, selectNotifications, timeAgo, useNotifications } from '../utils/notifications';
+import { useAuth } from '../auth/AuthContext';
+import { elapsedMs, formatClock, formatMinutes, sessionCountdown, useNow, useSessionSettings } from '../utils/sessionTime';
+
+// Only used while the live-update hub is disconnected
+const REFRESH_INTERVAL = 30000;
+
+// Row and countdown colours by sessionCountdown state
+const CLOCK_STYLES = {
+  warning: { row: 'bg-amber-50', text: 'text-amber-700 font-semibold' },
+  expired: { row: 'bg-red-50', text: 'text-red-700 font-semibold' },
+  paused: { row: '', text: 'text-gray-500' }
+};
+
+const ALERT_STYLES = {
+  critical: { box: 'bg-red-50 border-red-400', dot: 'bg-red-400' },
+  warning: { box: 'bg-amber-50 border-amber-400', dot: 'bg-amber-400' },
+  info: { box: 'bg-blue-50 border-blue-400', dot: 'bg-blue-400' }
+};
 
 export default function Dashboard() {
-  const [stats, setStats] = useState({
-    activeStations: 0,
-    totalRevenue: 0,
-    onlineUsers: 0,
-    occupancyRate: 0
-  });
-  const [activeSessions, setActiveSessions] = useState([]);
-  const [systemAlerts, setSystemAlerts] = useState([]);
-  const [loading, setLoading] = useState(true);
   const toast = useToast();
   const [showSessionModal, setShowSessionModal] = useState(false);
   const [selectedSession, setSelectedSession] = useState(null);
   const [showConfirm, setShowConfirm] = useState(false);
   const [confirmAction, setConfirmAction] = useState(null);
+  // Sessions with an extend request in flight; their Extend buttons are disabled meanwhile
+  const [extending, setExtending] = useState(() => new Set());
 
-  useEffect(() => {
-    loadDashboardData();
-    const interval = setInterval(loadDashboardData, 30000); // Refresh every 30 seconds
-    return () => clearInterval(interval);
-  }, []);
+  const { user } = useAuth();
+  const can = usePermission();
+  const live = useLiveStatus() === 'connected';
+  const refreshInterval = usePollingFallback(REFRESH_INTERVAL);
+  // The reports endpoints are manager-only; staff see the sessions and alerts without totals
+  const statsQuery = useResource(can('reports:view') ? '/reports/dashboard' : null, { refreshInterval });
+  const sessionsQuery = useResource('/gamesessions/active', { refreshInterval });
+  // The Topbar notification inbox collects and polls the alerts; this shows the newest open ones
+  const { items: notifications } = useNotifications();
+  const loading = statsQuery.loading || sessionsQuery.loading;
 
-  async function loadDashboardData() {
-    try {
-      // Try to fetch live dashboard stats and active sessions
-      const [statsData, activeSessionsData] = await Promise.all([
-        api.get('/api/v1.0/reports/dashboard').catch(() => null),
-        api.get('/api/v1.0/gamesessions/active').catch(() => [])
-      ]);
+  const stats = useMemo(() => {
+    const data = statsQuery.data;
+    return {
+      activeStations: data?.activeStations || 0,
+      totalRevenue: data?.totalRevenue || 0,
+      onlineUsers: data?.activeUsers || 0,
+      occupancyRate: data?.stationUtilization ? Math.round(data.stationUtilization) : 0
+    };
+  }, [statsQuery.data]);
 
-      if (statsData) {
-        setStats({
-          activeStations: statsData.activeStations || 0,
-          totalRevenue: statsData.totalRevenue || 0,
-          onlineUsers: statsData.activeUsers || 0,
-          occupancyRate: statsData.stationUtilization ? Math.round(statsData.stationUtilization) : 0
-        });
-      }
+  const sessionSettings = useSessionSettings();
+  const activeSessions = useMemo(() => (Array.isArray(sessionsQuery.data) ? sessionsQuery.data.map(s => ({
+    id: s.sessionId,
+    station: s.stationName,
+    user: s.username,
+    game: s.notes || '—',
+    status: s.status,
+    duration: s.duration,
+    plannedEndTime: s.plannedEndTime,
+    pausedAt: s.pausedAt
+  })) : []), [sessionsQuery.data]);
 
-      setActiveSessions(Array.isArray(activeSessionsData) ? activeSessionsData.map(s => ({
-        id: s.sessionId,
-        station: s.stationName,
-        user: s.username,
-        timeElapsed: s.duration ? s.duration : '00:00:00',
-        game: s.notes || '—'
-      })) : []);
+  const systemAlerts = selectNotifications(notifications).slice(0, 6);
 
-      // Attempt to fetch alerts if endpoint exists, fallback to small mock
-      const alerts = await api.get('/api/v1.0/alerts').catch(() => ([
-        { id: 1, type: 'warning', message: 'PC-005 high temperature detected', time: '5 min ago' },
-        { id: 2, type: 'info', message: 'New customer registration: alex_new', time: '12 min ago' }
-      ]));
-      setSystemAlerts(Array.isArray(alerts) ? alerts.slice(0,6) : []);
+  // Starting, pausing or ending a session changes the session list, the totals and station availability
+  function refreshSessions() {
+    invalidate('/gamesessions', '/reports/dashboard', '/stations');
+  }
 
-      setLoading(false);
-    } catch (error) {
-      console.error('Failed to load dashboard data:', error);
-      setLoading(false);
+  // Each click is one extension: keyed, so a retry after a dropped connection does not add
+  // the time twice
+  async function extendSession(session) {
+    if (extending.has(session.id)) return;
+    setExtending(prev => new Set(prev).add(session.id));
+    try {
+      await api.post(`/gamesessions/${session.id}/extend`, undefined, { idempotencyKey: api.newIdempotencyKey() });
+      toast.push(`${session.station} extended by ${formatMinutes(sessionSettings.extensionIncrementMinutes)}`, 'success');
+      refreshSessions();
+    } catch (err) {
+      toast.pushError(err, 'Extending the session failed');
+    } finally {
+      setExtending(prev => {
+        const next = new Set(prev);
+        next.delete(session.id);
+        return next;
+      });
     }
   }
 
+  function confirmEnd(session) {
+    setConfirmAction({ type: 'end', label: 'End session', session, idempotencyKey: api.newIdempotencyKey() });
+    setShowConfirm(true);
+  }
+
   if (loading) {
     return (
       <div className="min-h-screen bg-gray-50 p-6">
@@ -85,7 +122,13 @@ export default function Dashboard() {
         <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between mb-8">
           <div>
             <h1 className="text-3xl font-bold text-gray-900 mb-2">Dashboard</h1>
-            <p className="text-gray-600">Real-time overview of your gaming café</p>
+            <p className="text-gray-600 flex items-center gap-2">
+              Real-time overview of your gaming café
+              <span className={`inline-flex items-center gap-1 px-2 py-0.5 text-xs font-medium rounded-full ${live ? 'bg-emerald-100 text-emerald-700' : 'bg-gray-100 text-gray-600'}`}>
+                <span className={`w-1.5 h-1.5 rounded-full ${live ? 'bg-emerald-500' : 'bg-gray-400'}`} />
+                {live ? 'Live' : 'Refreshing every 30s'}
+              </span>
+            </p>
           </div>
           <div className="mt-4 sm:mt-0">
             <button 
@@ -194,6 +237,14 @@ export default function Dashboard() {
               </button>
             </div>
             
+            <ExpiredSessions
+              sessions={activeSessions}
+              settings={sessionSettings}
+              extending={extending}
+              onExtend={extendSession}
+              onEnd={confirmEnd}
+            />
+
             <div className="overflow-x-auto">
               <table className="w-full">
                 <thead className="bg-gray-50">
@@ -201,14 +252,15 @@ export default function Dashboard() {
                     <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Station</th>
                     <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">User</th>
                     <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Game</th>
-                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Duration</th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Played</th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Time Left</th>
                     <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
                   </tr>
                 </thead>
                 <tbody className="bg-white divide-y divide-gray-200">
                   {activeSessions.length === 0 ? (
                     <tr>
-                      <td colSpan={5} className="px-6 py-12 text-center text-gray-500">
+                      <td colSpan={6} className="px-6 py-12 text-center text-gray-500">
                         <div className="flex flex-col items-center">
                           <svg className="w-12 h-12 text-gray-300 mb-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                             <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9.75 17L9 20l-1 1h8l-1-1-.75-3M3 13h18M5 17h14a2 2 0 002-2V5a2 2 0 00-2-2H5a2 2 0 00-2 2v10a2 2 0 002 2z" />
@@ -220,25 +272,15 @@ export default function Dashboard() {
                     </tr>
                   ) : (
                     activeSessions.map(session => (
-                      <tr key={session.id} className="hover:bg-gray-50 transition-colors duration-200">
-                        <td className="px-6 py-4 whitespace-nowrap">
-                          <div className="flex items-center">
-                            <div className="flex-shrink-0 w-2 h-2 bg-emerald-400 rounded-full mr-3"></div>
-                            <span className="text-sm font-medium text-gray-900">{session.station}</span>
-                          </div>
-                        </td>
-                        <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">{session.user}</td>
-                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{session.game}</td>
-                        <td className="px-6 py-4 whitespace-nowrap text-sm font-mono text-gray-900">{session.timeElapsed}</td>
-                        <td className="px-6 py-4 whitespace-nowrap text-sm">
-                          <button 
-                            className="text-indigo-600 hover:text-indigo-700 font-medium"
-                            onClick={() => { setSelectedSession(session); setShowSessionModal(true); }}
-                          >
-                            Manage
-                          </button>
-                        </td>
-                      </tr>
+                      <SessionRow
+                        key={session.id}
+                        session={session}
+                        fetchedAt={sessionsQuery.updatedAt}
+                        settings={sessionSettings}
+                        extending={extending.has(session.id)}
+                        onExtend={extendSession}
+                        onManage={() => { setSelectedSession(session); setShowSessionModal(true); }}
+                      />
                     ))
                   )}
                 </tbody>
@@ -263,21 +305,19 @@ export default function Dashboard() {
                   </div>
                 ) : (
                   systemAlerts.map(alert => (
-                    <div key={alert.id} className={`p-4 rounded-lg border-l-4 ${
-                      alert.type === 'warning' ? 'bg-amber-50 border-amber-400' : 
-                      alert.type === 'success' ? 'bg-emerald-50 border-emerald-400' : 
-                      'bg-blue-50 border-blue-400'
-                    }`}>
+                    <div key={alert.id} className={`p-4 rounded-lg border-l-4 ${(ALERT_STYLES[alert.severity] || ALERT_STYLES.info).box}`}>
                       <div className="flex items-start">
-                        <div className={`flex-shrink-0 w-5 h-5 rounded-full mt-0.5 mr-3 ${
-                          alert.type === 'warning' ? 'bg-amber-400' : 
-                          alert.type === 'success' ? 'bg-emerald-400' : 
-                          'bg-blue-400'
-                        }`}></div>
+                        <div className={`flex-shrink-0 w-5 h-5 rounded-full mt-0.5 mr-3 ${(ALERT_STYLES[alert.severity] || ALERT_STYLES.info).dot}`}></div>
                         <div className="flex-1">
                           <p className="text-sm font-medium text-gray-900">{alert.message}</p>
-                          <p className="text-xs text-gray-500 mt-1">{alert.time}</p>
+                          <p className="text-xs text-gray-500 mt-1">{timeAgo(alert.createdAt)}</p>
                         </div>
+                        <button
+                          className="ml-3 text-xs font-medium text-indigo-700 hover:text-indigo-900"
+                          onClick={() => acknowledge(alert.id, userDisplayName(user) || null)}
+                        >
+                          Acknowledge
+                        </button>
                       </div>
                     </div>
                   ))
@@ -286,7 +326,7 @@ export default function Dashboard() {
               
               <button 
                 className="w-full mt-6 px-4 py-2 text-sm font-medium text-gray-700 bg-gray-50 hover:bg-gray-100 border border-gray-300 rounded-lg transition-colors duration-200"
-                onClick={() => toast.push('Opening alerts panel (mock)', 'info')}
+                onClick={openNotificationPanel}
               >
                 View All Alerts
               </button>
@@ -313,9 +353,15 @@ export default function Dashboard() {
                       <span className="font-medium text-gray-500">User:</span>
                       <div className="text-gray-900 font-medium">{selectedSession.user}</div>
                     </div>
+                    <div>
+                      <span className="font-medium text-gray-500">Booked until:</span>
+                      <div className="text-gray-900 font-medium">
+                        {selectedSession.plannedEndTime ? new Date(selectedSession.plannedEndTime).toLocaleTimeString() : 'No limit'}
+                      </div>
+                    </div>
                   </div>
                 </div>
-                <div className="flex gap-3">
+                <div className="flex flex-wrap gap-3">
                   <button 
                     className="px-4 py-2 bg-gray-100 hover:bg-gray-200 text-gray-700 text-sm font-medium rounded-lg transition-colors duration-200"
                     onClick={() => { setConfirmAction({ type: 'pause', label: 'Pause session', session: selectedSession }); setShowConfirm(true); }}
@@ -328,16 +374,31 @@ export default function Dashboard() {
                   >
                     Resume
                   </button>
+                  {selectedSession.plannedEndTime && (
+                    <button
+                      className="px-4 py-2 bg-indigo-100 hover:bg-indigo-200 text-indigo-700 text-sm font-medium rounded-lg transition-colors duration-200 disabled:opacity-50"
+                      disabled={extending.has(selectedSession.id)}
+                      onClick={async () => { await extendSession(selectedSession); setShowSessionModal(false); setSelectedSession(null); }}
+                    >
+                      Extend +{formatMinutes(sessionSettings.extensionIncrementMinutes)}
+                    </button>
+                  )}
                   <button 
                     className="px-4 py-2 bg-red-100 hover:bg-red-200 text-red-700 text-sm font-medium rounded-lg transition-colors duration-200"
-                    onClick={() => { setConfirmAction({ type: 'end', label: 'End session', session: selectedSession }); setShowConfirm(true); }}
+                    onClick={() => confirmEnd(selectedSession)}
                   >
                     End Session
                   </button>
                 </div>
               </div>
             ) : (
-              <CreateSessionForm onStarted={() => { setShowSessionModal(false); loadDashboardData(); toast.push('Session started', 'success'); }} />
+              <CreateSessionForm onStarted={({ replayed, queued }) => {
+                setShowSessionModal(false);
+                refreshSessions();
+                if (queued) toast.push('Connection lost — the session start was saved and will sync when it returns', 'warn', 8000);
+                else if (replayed) toast.push('This session was already started — nothing new was created', 'warn', 8000);
+                else toast.push('Session started', 'success');
+              }} />
             )}
           </div>
         </SimpleModal>
@@ -352,17 +413,27 @@ export default function Dashboard() {
             onConfirm={async () => {
               try {
                 const id = confirmAction.session.id;
-                if (confirmAction.type === 'pause') await api.post(`/api/v1.0/gamesessions/${id}/pause`);
-                if (confirmAction.type === 'resume') await api.post(`/api/v1.0/gamesessions/${id}/resume`);
-                if (confirmAction.type === 'end') await api.post(`/api/v1.0/gamesessions/${id}/end`);
-                toast.push(`${confirmAction.label} successful`, 'success');
+                let res;
+                if (confirmAction.type === 'pause') res = await api.post(`/gamesessions/${id}/pause`);
+                if (confirmAction.type === 'resume') res = await api.post(`/gamesessions/${id}/resume`);
+                // Ending a session bills it, so it is keyed and survives a dropped connection
+                if (confirmAction.type === 'end') {
+                  res = await submitOrQueue({
+                    path: `/gamesessions/${id}/end`,
+                    idempotencyKey: confirmAction.idempotencyKey,
+                    label: `End session on ${confirmAction.session.station} (${confirmAction.session.user})`,
+                    invalidates: ['/gamesessions', '/reports/dashboard', '/stations']
+                  });
+                }
+                if (isQueued(res)) toast.push('Connection lost — ending the session was saved and will sync when it returns', 'warn', 8000);
+                else toast.push(`${confirmAction.label} successful`, 'success');
                 setShowConfirm(false);
                 setConfirmAction(null);
                 setShowSessionModal(false);
                 setSelectedSession(null);
-                await loadDashboardData();
+                refreshSessions();
               } catch (err) {
-                toast.push(err.message || `${confirmAction.label} failed`, 'error');
+                toast.pushError(err, `${confirmAction.label} failed`);
               }
             }}
           />
@@ -373,123 +444,88 @@ export default function Dashboard() {
   );
 }
 
-// Session create/manage form used by the modal
-function CreateSessionForm({ onStarted }) {
-  const [stationId, setStationId] = useState('');
-  const [userId, setUserId] = useState('');
-  const [stations, setStations] = useState([]);
-  const [users, setUsers] = useState([]);
-  const [loadingChoices, setLoadingChoices] = useState(true);
-  const toast = useToast();
-
-  useEffect(() => {
-    let mounted = true;
-    async function loadChoices() {
-      setLoadingChoices(true);
-      try {
-        // Prefer available stations, fallback to full stations list
-        let stationsResp = await api.get('/api/v1.0/stations/available').catch(() => null);
-        if (!stationsResp || (Array.isArray(stationsResp) && stationsResp.length === 0)) {
-          stationsResp = await api.get('/api/v1.0/stations').catch(() => []);
-        }
-
-        // Normalize stations response: support array or { data: [...] }
-        if (stationsResp && !Array.isArray(stationsResp)) {
-          stationsResp = stationsResp.data ?? stationsResp.items ?? stationsResp.results ?? stationsResp;
-        }
-
-        // Users endpoint may return { data: [...] } or { items: [...] } or an array
-        let usersResp = await api.get('/api/v1.0/users?pageSize=50').catch(() => null);
-        if (usersResp && !Array.isArray(usersResp)) {
-          usersResp = usersResp.data ?? usersResp.items ?? usersResp.results ?? usersResp;
-        }
-        if (!usersResp || !Array.isArray(usersResp) || usersResp.length === 0) {
-          const fallback = await api.get('/api/v1.0/users').catch(() => []);
-          usersResp = Array.isArray(fallback) ? fallback : (fallback?.data ?? fallback?.items ?? fallback ?? []);
-        }
-
-        if (!mounted) return;
-        setStations(Array.isArray(stationsResp) ? stationsResp : []);
-        setUsers(Array.isArray(usersResp) ? usersResp : []);
-      } catch (err) {
-        console.error('Failed to load stations/users', err);
-        toast.push('Failed to load stations or users', 'error');
-      } finally {
-        if (mounted) setLoadingChoices(false);
-      }
-    }
-
-    loadChoices();
-    return () => { mounted = false; };
-  }, [toast]);
-
-  async function start() {
-    try {
-      if (!stationId || !userId) {
-        toast.push('Select station and user', 'error');
-        return;
-      }
-      await api.post('/api/v1.0/gamesessions/start', { stationId: parseInt(stationId, 10), userId: parseInt(userId, 10) });
-      onStarted?.();
-    } catch (err) {
-      toast.push(err.message || 'Failed to start session', 'error');
-    }
-  }
-
+// One active session with its own one-second clock, so the rest of the dashboard does not
+// re-render every tick
+function SessionRow({ session, fetchedAt, settings, extending, onExtend, onManage }) {
+  const now = useNow(1000);
+  const clock = sessionCountdown(session, settings, now);
+  const style = CLOCK_STYLES[clock.state] || {};
   return (
-    <div className="space-y-4">
-      <div>
-        <label className="block text-sm font-medium text-gray-700 mb-2">Station</label>
-        <select 
-          value={stationId} 
-          onChange={e => setStationId(e.target.value)} 
-          disabled={loadingChoices}
-          className="w-full px-3 py-2 border border-gray-300 rounded-lg shadow-sm focus:ring-indigo-500 focus:border-indigo-500"
-        >
-          <option value="">-- select station --</option>
-          {stations.map(s => {
-            // id field may vary: stationId, id, StationId
-            const id = s?.stationId ?? s?.id ?? s?.StationId ?? s?.stationID ?? s?.stationId;
-            const name = s?.stationName ?? s?.name ?? s?.station_name ?? s?.station ?? s?.displayName;
-            const label = name || (id ? `Station ${id}` : 'Unnamed station');
-            return <option key={id ?? label} value={id ?? ''}>{label}</option>;
-          })}
-        </select>
-      </div>
-
-      <div>
-        <label className="block text-sm font-medium text-gray-700 mb-2">User</label>
-        <select 
-          value={userId} 
-          onChange={e => setUserId(e.target.value)} 
-          disabled={loadingChoices}
-          className="w-full px-3 py-2 border border-gray-300 rounded-lg shadow-sm focus:ring-indigo-500 focus:border-indigo-500"
-        >
-          <option value="">-- select user --</option>
-          {users.map(u => {
-            const id = u?.userId ?? u?.id ?? u?.UserId ?? u?.userID ?? u?.userId;
-            const name = u?.username ?? u?.userName ?? u?.name ?? u?.displayName ?? u?.email;
-            const label = name || (id ? `User ${id}` : 'Unknown user');
-            return <option key={id ?? label} value={id ?? ''}>{label}</option>;
-          })}
-        </select>
-      </div>
-
-      <div className="flex gap-3 pt-4">
-        <button 
-          className="flex-1 px-4 py-2 bg-indigo-600 hover:bg-indigo-700 text-white text-sm font-medium rounded-lg transition-colors duration-200 disabled:opacity-50 disabled:cursor-not-allowed"
-          onClick={start} 
-          disabled={loadingChoices || !stationId || !userId}
-        >
-          {loadingChoices ? 'Loading...' : 'Start Session'}
-        </button>
+    <tr className={`${style.row || 'hover:bg-gray-50'} transition-colors duration-200`}>
+      <td className="px-6 py-4 whitespace-nowrap">
+        <div className="flex items-center">
+          <div className={`flex-shrink-0 w-2 h-2 rounded-full mr-3 ${session.status === 'Paused' ? 'bg-gray-400' : 'bg-emerald-400'}`}></div>
+          <span className="text-sm font-medium text-gray-900">{session.station}</span>
+        </div>
+      </td>
+      <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">{session.user}</td>
+      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{session.game}</td>
+      <td className="px-6 py-4 whitespace-nowrap text-sm font-mono text-gray-900">{formatClock(elapsedMs(session, fetchedAt, now))}</td>
+      <td className={`px-6 py-4 whitespace-nowrap text-sm font-mono ${style.text || 'text-gray-900'}`}>
+        {clock.state === 'open' && <span className="font-sans text-gray-400">No limit</span>}
+        {clock.state === 'expired' && `Over by ${formatClock(clock.remainingMs)}`}
+        {clock.state !== 'open' && clock.state !== 'expired' && formatClock(clock.remainingMs)}
+        {clock.state === 'paused' && <span className="font-sans text-xs ml-1">(paused)</span>}
+      </td>
+      <td className="px-6 py-4 whitespace-nowrap text-sm space-x-3">
+        {session.plannedEndTime && (
+          <button
+            className="text-indigo-600 hover:text-indigo-700 font-medium disabled:opacity-50"
+            aria-label={`Extend ${session.station} by ${formatMinutes(settings.extensionIncrementMinutes)}`}
+            disabled={extending}
+            onClick={() => onExtend(session)}
+          >
+            +{settings.extensionIncrementMinutes} min
+          </button>
+        )}
         <button 
-          className="px-4 py-2 bg-gray-100 hover:bg-gray-200 text-gray-700 text-sm font-medium rounded-lg transition-colors duration-200"
-          onClick={() => { setStationId(''); setUserId(''); }}
+          className="text-indigo-600 hover:text-indigo-700 font-medium"
+          onClick={onManage}
         >
-          Clear
+          Manage
         </button>
-      </div>
+      </td>
+    </tr>
+  );
+}
+
+// Sessions whose booked time is up, above the table so they are not missed
+function ExpiredSessions({ sessions, settings, extending, onExtend, onEnd }) {
+  const now = useNow(1000);
+  const expired = sessions
+    .map(session => ({ session, clock: sessionCountdown(session, settings, now) }))
+    .filter(({ clock }) => clock.state === 'expired');
+  if (!expired.length) return null;
+
+  return (
+    <div role="alert" className="mx-6 mt-4 p-4 rounded-lg border-l-4 border-red-500 bg-red-50">
+      <p className="text-sm font-semibold text-red-800">
+        {expired.length === 1 ? '1 session is out of time' : `${expired.length} sessions are out of time`}
+      </p>
+      <ul className="mt-2 space-y-2">
+        {expired.map(({ session, clock }) => (
+          <li key={session.id} className="flex flex-wrap items-center justify-between gap-2 text-sm text-red-900">
+            <span>
+              <span className="font-medium">{session.station}</span> · {session.user} · over by <span className="font-mono">{formatClock(clock.remainingMs)}</span>
+            </span>
+            <span className="flex gap-2">
+              <button
+                className="px-3 py-1 text-xs font-medium text-indigo-700 bg-white border border-indigo-200 hover:bg-indigo-50 rounded disabled:opacity-50"
+                disabled={extending.has(session.id)}
+                onClick={() => onExtend(session)}
+              >
+                Extend +{formatMinutes(settings.extensionIncrementMinutes)}
+              </button>
+              <button
+                className="px-3 py-1 text-xs font-medium text-white bg-red-600 hover:bg-red-700 rounded"
+                onClick={() => onEnd(session)}
+              >
+                End session
+              </button>
+            </span>
+          </li>
+        ))}
+      </ul>
     </div>
   );
-}
\ No newline at end of file
+}
@@ -0,0 +1,95 @@
+import { fireEvent, render, screen, waitFor, within } from '@testing-library/react';
+import { MemoryRouter } from 'react-router-dom';
+import api from '../api';
+import { AuthProvider } from '../auth/AuthContext';
+import { ToastProvider } from '../components/ToastProvider';
+import { createMockApi } from '../mock/mockApi';
+import { DEMO_PASSWORD } from '../mock/seed';
+import { clearResources } from '../utils/resources';
+import Dashboard from './Dashboard';
+
+let mock;
+
+function renderPage() {
+  render(
+    <MemoryRouter>
+      <AuthProvider>
+        <ToastProvider>
+          <Dashboard />
+        </ToastProvider>
+      </AuthProvider>
+    </MemoryRouter>
+  );
+}
+
+async function rowFor(station) {
+  await screen.findAllByText(station);
+  return screen.getAllByRole('row').find(row => within(row).queryByText(station));
+}
+
+beforeEach(async () => {
+  clearResources();
+  mock = createMockApi();
+  api.setTransport(mock.fetch);
+  const session = await api.post('/auth/login', { email: 'admin@demo.local', password: DEMO_PASSWORD }, { skipAuthRefresh: true });
+  api.beginSession({ ...session.user, token: session.accessToken, refreshToken: session.refreshToken });
+});
+
+afterEach(() => {
+  api.setTransport(null);
+  api.clearSession();
+});
+
+test('booked sessions count down, and one inside the warning threshold is extended by the increment', async () => {
+  renderPage();
+
+  // Booked for 45 minutes, 40 minutes ago
+  const row = await rowFor('PS5-01');
+  expect(within(row).getByText(/^4:5\d$/)).toHaveClass('text-amber-700');
+  expect(within(await rowFor('PC-005')).getByText('No limit')).toBeInTheDocument();
+
+  const bookedUntil = Date.parse(mock.db.sessions[1].plannedEndTime);
+  fireEvent.click(within(row).getByRole('button', { name: 'Extend PS5-01 by 30 min' }));
+
+  await waitFor(() => expect(within(row).getByText(/^34:5\d$/)).toBeInTheDocument());
+  expect(Date.parse(mock.db.sessions[1].plannedEndTime) - bookedUntil).toBe(30 * 60000);
+});
+
+test('a session out of time is extended from now, once, with the button disabled meanwhile', async () => {
+  const transport = jest.fn(mock.fetch);
+  api.setTransport(transport);
+  mock.db.sessions[0].plannedEndTime = new Date(Date.now() - 10 * 60000).toISOString();
+  renderPage();
+
+  const banner = await screen.findByRole('alert');
+  const row = await rowFor('PC-001');
+  const extend = within(banner).getByRole('button', { name: 'Extend +30 min' });
+  fireEvent.click(extend);
+  expect(extend).toBeDisabled();
+  expect(within(row).getByRole('button', { name: 'Extend PC-001 by 30 min' })).toBeDisabled();
+  fireEvent.click(extend);
+
+  await waitFor(() => expect(screen.queryByRole('alert')).not.toBeInTheDocument());
+  const calls = transport.mock.calls.filter(([url]) => url.endsWith('/gamesessions/1/extend'));
+  expect(calls).toHaveLength(1);
+  expect(calls[0][1].headers['Idempotency-Key']).toBeTruthy();
+  // The ten minutes that already ran out are not given back
+  expect(Date.parse(mock.db.sessions[0].plannedEndTime) - Date.now()).toBeGreaterThan(29 * 60000);
+  expect(within(row).getByText(/^(29|30):\d\d$/)).toBeInTheDocument();
+});
+
+test('a session out of time is flagged above the table and can be ended from there', async () => {
+  mock.db.sessions[0].plannedEndTime = new Date(Date.now() - 3 * 60000).toISOString();
+  renderPage();
+
+  const banner = await screen.findByRole('alert');
+  expect(within(banner).getByText('1 session is out of time')).toBeInTheDocument();
+  expect(within(banner).getByText('PC-001')).toBeInTheDocument();
+  expect(within(await rowFor('PC-001')).getByText(/^Over by 3:0\d$/)).toBeInTheDocument();
+
+  fireEvent.click(within(banner).getByRole('button', { name: 'End session' }));
+  fireEvent.click(await screen.findByRole('button', { name: 'Confirm' }));
+
+  await waitFor(() => expect(mock.db.sessions[0].status).toBe('Completed'));
+  await waitFor(() => expect(screen.queryByRole('alert')).not.toBeInTheDocument());
+});
@@ -0,0 +1,494 @@
+import React, { useMemo, useState } from 'react';
+import api from '../api';
+import { useToast } from '../components/ToastProvider';
+import SimpleModal from '../components/SimpleModal';
+import ConfirmDialog from '../components/ConfirmDialog';
+import CreateSessionForm from '../components/CreateSessionForm';
+import { invalidate, mapItems, mutate, usePagedResource, useResource, withQuery } from '../utils/resources';
+import { isQueued, submitOrQueue } from '../utils/offlineQueue';
+import { usePermission } from '../utils/security';
+import { usePollingFallback, useLiveStatus } from '../utils/live';
+import { formatClock, formatMinutes, sessionCountdown, useNow, useSessionSettings } from '../utils/sessionTime';
+import { gridSize, layoutChanges, layoutOf, placeStation, stationAt, stationState, upcomingReservations } from '../utils/floorMap';
+
+// Only used while the live-update hub is disconnected
+const REFRESH_INTERVAL = 30000;
+
+const STATE_STYLES = {
+  available: { label: 'Available', tile: 'bg-emerald-50 border-emerald-300 text-emerald-900', dot: 'bg-emerald-500' },
+  session: { label: 'In session', tile: 'bg-indigo-50 border-indigo-300 text-indigo-900', dot: 'bg-indigo-500' },
+  paused: { label: 'Paused', tile: 'bg-gray-100 border-gray-300 text-gray-700', dot: 'bg-gray-400' },
+  reserved: { label: 'Reserved soon', tile: 'bg-amber-50 border-amber-300 text-amber-900', dot: 'bg-amber-500' },
+  maintenance: { label: 'Maintenance', tile: 'bg-red-50 border-red-300 text-red-900', dot: 'bg-red-500' },
+  busy: { label: 'In use', tile: 'bg-sky-50 border-sky-300 text-sky-900', dot: 'bg-sky-500' }
+};
+
+const ARROWS = { ArrowLeft: [-1, 0], ArrowRight: [1, 0], ArrowUp: [0, -1], ArrowDown: [0, 1] };
+
+function localDate(ms) {
+  const d = new Date(ms);
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+}
+
+function fmtTime(ms) {
+  return new Date(ms).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+}
+
+export default function FloorMap() {
+  const toast = useToast();
+  const can = usePermission();
+  const canEdit = can('stations:write');
+  const live = useLiveStatus() === 'connected';
+  const refreshInterval = usePollingFallback(REFRESH_INTERVAL);
+  // Re-renders now and then so reservations move into the "reserved soon" window
+  const now = useNow(30000);
+  const settings = useSessionSettings();
+
+  const stationsQuery = usePagedResource('/stations', { refreshInterval });
+  const sessionsQuery = useResource('/gamesessions/active', { refreshInterval });
+  // Today's and tomorrow's, so one just after midnight is not missed
+  const reservationsQuery = usePagedResource(
+    withQuery('/reservations', { startDate: localDate(now), endDate: localDate(now + 24 * 60 * 60 * 1000), pageSize: 100 }),
+    { refreshInterval }
+  );
+
+  // Layout being edited, stationId -> { x, y } or null; null while not editing
+  const [draft, setDraft] = useState(null);
+  const [dragging, setDragging] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [selectedId, setSelectedId] = useState(null);
+  const [startOn, setStartOn] = useState(null);
+  const [ending, setEnding] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  const stations = stationsQuery.items;
+  const saved = useMemo(() => layoutOf(stations), [stations]);
+  const layout = draft || saved;
+  const { columns, rows } = gridSize(layout);
+
+  const sessions = useMemo(() => new Map(
+    (Array.isArray(sessionsQuery.data) ? sessionsQuery.data : []).map(s => [s.stationId, s])
+  ), [sessionsQuery.data]);
+  const reservations = upcomingReservations(reservationsQuery.items, now);
+
+  const tiles = stations.map(station => ({
+    station,
+    session: sessions.get(station.stationId),
+    reservation: reservations.get(station.stationId),
+    state: stationState(station, sessions.get(station.stationId), reservations.get(station.stationId)),
+    cell: layout[station.stationId]
+  }));
+  const placed = tiles.filter(t => t.cell);
+  const unplaced = tiles.filter(t => !t.cell);
+  const selected = tiles.find(t => t.station.stationId === selectedId);
+  const changes = draft ? layoutChanges(saved, draft) : [];
+
+  const emptyCells = [];
+  for (let y = 0; y < rows; y++) {
+    for (let x = 0; x < columns; x++) {
+      if (stationAt(layout, x, y) === null) emptyCells.push({ x, y });
+    }
+  }
+
+  function refreshSessions() {
+    invalidate('/gamesessions', '/reports/dashboard', '/stations');
+  }
+
+  function startEditing() {
+    setSelectedId(null);
+    setDraft(layoutOf(stations));
+  }
+
+  function move(stationId, cell) {
+    setDraft(current => placeStation(current, stationId, cell));
+  }
+
+  function drop(e, cell) {
+    e.preventDefault();
+    if (dragging !== null) move(dragging, cell);
+    setDragging(null);
+  }
+
+  async function saveLayout() {
+    if (!changes.length) {
+      setDraft(null);
+      return;
+    }
+    setSaving(true);
+    try {
+      await api.put('/stations/layout', { positions: changes });
+      const next = draft;
+      mutate('/stations', res => mapItems(res, s => (s.stationId in next ? { ...s, floorX: next[s.stationId]?.x ?? null, floorY: next[s.stationId]?.y ?? null } : s)));
+      invalidate('/stations');
+      setDraft(null);
+      toast.push('Floor map saved', 'success');
+    } catch (err) {
+      toast.pushError(err, 'Saving the floor map failed');
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  async function sessionAction(session, action, label) {
+    if (busy) return;
+    setBusy(true);
+    try {
+      // Keyed, so a retry after a dropped connection is not applied twice
+      await api.post(`/gamesessions/${session.sessionId}/${action}`, undefined, { idempotencyKey: api.newIdempotencyKey() });
+      toast.push(`${session.stationName}: ${label}`, 'success');
+      refreshSessions();
+    } catch (err) {
+      toast.pushError(err, `${session.stationName}: ${label} failed`);
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  async function endSession() {
+    const { session, idempotencyKey } = ending;
+    try {
+      // Ending a session bills it, so it is keyed and survives a dropped connection
+      const res = await submitOrQueue({
+        path: `/gamesessions/${session.sessionId}/end`,
+        idempotencyKey,
+        label: `End session on ${session.stationName} (${session.username})`,
+        invalidates: ['/gamesessions', '/reports/dashboard', '/stations']
+      });
+      if (isQueued(res)) toast.push('Connection lost — ending the session was saved and will sync when it returns', 'warn', 8000);
+      else toast.push(`Session on ${session.stationName} ended`, 'success');
+      setEnding(null);
+      refreshSessions();
+    } catch (err) {
+      toast.pushError(err, 'Ending the session failed');
+    }
+  }
+
+  async function toggleMaintenance(station) {
+    if (busy) return;
+    setBusy(true);
+    try {
+      await api.put(`/stations/${station.stationId}`, { ...station, isUnderMaintenance: !station.isUnderMaintenance });
+      toast.push(station.isUnderMaintenance ? `${station.stationName} is back in service` : `${station.stationName} marked for maintenance`, 'success');
+      invalidate('/stations');
+    } catch (err) {
+      toast.pushError(err, 'Updating the station failed');
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  if (stationsQuery.loading) {
+    return (
+      <div className="flex items-center justify-center h-96">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-indigo-600"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <div className="max-w-7xl mx-auto px-6 py-8">
+        <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between mb-6">
+          <div>
+            <h1 className="text-3xl font-bold text-gray-900 mb-2">Floor Map</h1>
+            <p className="text-gray-600 flex items-center gap-2">
+              {draft ? 'Drag stations into place, or select one and use the arrow keys' : 'Click a station to manage its session'}
+              {!draft && (
+                <span className={`inline-flex items-center gap-1 px-2 py-0.5 text-xs font-medium rounded-full ${live ? 'bg-emerald-100 text-emerald-700' : 'bg-gray-100 text-gray-600'}`}>
+                  <span className={`w-1.5 h-1.5 rounded-full ${live ? 'bg-emerald-500' : 'bg-gray-400'}`} />
+                  {live ? 'Live' : 'Refreshing every 30s'}
+                </span>
+              )}
+            </p>
+          </div>
+          {canEdit && (
+            <div className="mt-4 sm:mt-0 flex gap-3">
+              {draft ? (
+                <>
+                  <button
+                    className="px-4 py-2 text-sm font-medium text-gray-700 bg-white border border-gray-300 rounded-lg hover:bg-gray-50"
+                    onClick={() => setDraft(null)}
+                    disabled={saving}
+                  >
+                    Cancel
+                  </button>
+                  <button
+                    className="px-4 py-2 text-sm font-medium text-white bg-indigo-600 hover:bg-indigo-700 rounded-lg disabled:opacity-50"
+                    onClick={saveLayout}
+                    disabled={saving}
+                  >
+                    {saving ? 'Saving...' : changes.length ? `Save layout (${changes.length})` : 'Save layout'}
+                  </button>
+                </>
+              ) : (
+                <button
+                  className="px-4 py-2 text-sm font-medium text-indigo-700 bg-indigo-50 hover:bg-indigo-100 rounded-lg"
+                  onClick={startEditing}
+                >
+                  Edit layout
+                </button>
+              )}
+            </div>
+          )}
+        </div>
+
+        <ul className="flex flex-wrap gap-4 mb-4 text-xs text-gray-600" aria-label="Legend">
+          {Object.entries(STATE_STYLES).map(([state, style]) => (
+            <li key={state} className="flex items-center gap-1.5">
+              <span className={`w-2.5 h-2.5 rounded-full ${style.dot}`} />
+              {style.label}
+            </li>
+          ))}
+        </ul>
+
+        <div className="flex flex-col lg:flex-row gap-6">
+          <div className="flex-1 min-w-0 space-y-4">
+            <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-4 overflow-x-auto">
+              <div
+                role="group"
+                aria-label="Floor map"
+                className="grid gap-2"
+                style={{ gridTemplateColumns: `repeat(${columns}, minmax(5.5rem, 1fr))`, gridAutoRows: '5rem' }}
+              >
+                {emptyCells.map(cell => (
+                  <div
+                    key={`${cell.x},${cell.y}`}
+                    aria-label={draft ? `Empty cell ${cell.x + 1}, ${cell.y + 1}` : undefined}
+                    style={{ gridColumnStart: cell.x + 1, gridRowStart: cell.y + 1 }}
+                    className={`rounded-lg border border-dashed ${draft ? 'border-gray-300 bg-gray-50' : 'border-gray-100'}`}
+                    onDragOver={draft ? e => e.preventDefault() : undefined}
+                    onDrop={draft ? e => drop(e, cell) : undefined}
+                  />
+                ))}
+                {/* Tiles stay in station order so moving one does not remount it and lose focus */}
+                {placed.map(tile => (
+                  <StationTile
+                    key={tile.station.stationId}
+                    tile={tile}
+                    settings={settings}
+                    editing={Boolean(draft)}
+                    selected={tile.station.stationId === selectedId}
+                    onSelect={() => setSelectedId(tile.station.stationId)}
+                    onDragStart={() => setDragging(tile.station.stationId)}
+                    onDragEnd={() => setDragging(null)}
+                    onDrop={e => drop(e, tile.cell)}
+                    onMove={(dx, dy) => move(tile.station.stationId, { x: tile.cell.x + dx, y: tile.cell.y + dy })}
+                  />
+                ))}
+              </div>
+            </div>
+
+            {(unplaced.length > 0 || draft) && (
+              <section
+                aria-label="Not on the map"
+                className="bg-white rounded-xl shadow-sm border border-gray-200 p-4"
+                onDragOver={draft ? e => e.preventDefault() : undefined}
+                onDrop={draft ? e => drop(e, null) : undefined}
+              >
+                <h2 className="text-sm font-semibold text-gray-900 mb-3">Not on the map</h2>
+                {unplaced.length ? (
+                  <div className="flex flex-wrap gap-2">
+                    {unplaced.map(tile => (
+                      <div key={tile.station.stationId} className="w-28 h-20">
+                        <StationTile
+                          tile={tile}
+                          settings={settings}
+                          editing={Boolean(draft)}
+                          selected={tile.station.stationId === selectedId}
+                          onSelect={() => setSelectedId(tile.station.stationId)}
+                          onDragStart={() => setDragging(tile.station.stationId)}
+                          onDragEnd={() => setDragging(null)}
+                        />
+                      </div>
+                    ))}
+                  </div>
+                ) : (
+                  <p className="text-sm text-gray-500">Drop a station here to take it off the map</p>
+                )}
+              </section>
+            )}
+          </div>
+
+          {selected && !draft && (
+            <StationPanel
+              tile={selected}
+              settings={settings}
+              busy={busy}
+              canEdit={canEdit}
+              onClose={() => setSelectedId(null)}
+              onStart={() => setStartOn(selected.station)}
+              onPause={() => sessionAction(selected.session, 'pause', 'session paused')}
+              onResume={() => sessionAction(selected.session, 'resume', 'session resumed')}
+              onExtend={() => sessionAction(selected.session, 'extend', `extended by ${formatMinutes(settings.extensionIncrementMinutes)}`)}
+              onEnd={() => setEnding({ session: selected.session, idempotencyKey: api.newIdempotencyKey() })}
+              onToggleMaintenance={() => toggleMaintenance(selected.station)}
+            />
+          )}
+        </div>
+      </div>
+
+      {startOn && (
+        <SimpleModal title={`Start a session on ${startOn.stationName}`} onClose={() => setStartOn(null)}>
+          <CreateSessionForm stationId={startOn.stationId} onStarted={({ replayed, queued }) => {
+            setStartOn(null);
+            refreshSessions();
+            if (queued) toast.push('Connection lost — the session start was saved and will sync when it returns', 'warn', 8000);
+            else if (replayed) toast.push('This session was already started — nothing new was created', 'warn', 8000);
+            else toast.push('Session started', 'success');
+          }} />
+        </SimpleModal>
+      )}
+
+      {ending && (
+        <SimpleModal title="End session" onClose={() => setEnding(null)}>
+          <ConfirmDialog
+            message={`Are you sure you want to end the session for ${ending.session.username} on ${ending.session.stationName}?`}
+            onCancel={() => setEnding(null)}
+            onConfirm={endSession}
+          />
+        </SimpleModal>
+      )}
+    </div>
+  );
+}
+
+// One station on the map or in the tray. Running sessions tick every second on their own.
+function StationTile({ tile, settings, editing, selected, onSelect, onDragStart, onDragEnd, onDrop, onMove }) {
+  const { station, session, state, cell } = tile;
+  const style = STATE_STYLES[state];
+
+  function keyDown(e) {
+    if (!editing || !onMove || !ARROWS[e.key]) return;
+    e.preventDefault();
+    onMove(...ARROWS[e.key]);
+  }
+
+  return (
+    <button
+      type="button"
+      aria-label={`${station.stationName}, ${style.label}`}
+      aria-pressed={selected}
+      draggable={editing}
+      onClick={onSelect}
+      onKeyDown={keyDown}
+      onDragStart={e => {
+        e.dataTransfer?.setData('text/plain', String(station.stationId));
+        onDragStart();
+      }}
+      onDragEnd={onDragEnd}
+      onDragOver={editing && onDrop ? e => e.preventDefault() : undefined}
+      onDrop={editing ? onDrop : undefined}
+      style={cell ? { gridColumnStart: cell.x + 1, gridRowStart: cell.y + 1 } : undefined}
+      className={`w-full h-full flex flex-col items-start justify-between p-2 text-left rounded-lg border-2 ${style.tile} ${selected ? 'ring-2 ring-indigo-500 ring-offset-1' : ''} ${editing ? 'cursor-move' : 'hover:shadow-md'} transition-shadow duration-200`}
+    >
+      <span className="flex items-center gap-1.5 text-sm font-semibold">
+        <span className={`w-2 h-2 rounded-full ${style.dot}`} />
+        {station.stationName}
+      </span>
+      {session ? <SessionClock session={session} settings={settings} /> : <span className="text-xs">{style.label}</span>}
+    </button>
+  );
+}
+
+function SessionClock({ session, settings }) {
+  const now = useNow(1000);
+  const clock = sessionCountdown(session, settings, now);
+  return (
+    <span className="text-xs w-full truncate">
+      {session.username}
+      {clock.state === 'expired' && <span className="block font-semibold text-red-700">Out of time</span>}
+      {clock.state !== 'open' && clock.state !== 'expired' && (
+        <span className={`block font-mono ${clock.state === 'warning' ? 'font-semibold text-amber-700' : ''}`}>{formatClock(clock.remainingMs)} left</span>
+      )}
+    </span>
+  );
+}
+
+function Detail({ label, children }) {
+  if (children === null || children === undefined || children === '') return null;
+  return (
+    <div>
+      <dt className="font-medium text-gray-500">{label}</dt>
+      <dd className="text-gray-900">{children}</dd>
+    </div>
+  );
+}
+
+// Details of the selected station with the actions its state allows
+function StationPanel({ tile, settings, busy, canEdit, onClose, onStart, onPause, onResume, onExtend, onEnd, onToggleMaintenance }) {
+  const { station, session, reservation, state } = tile;
+  const style = STATE_STYLES[state];
+  const button = 'px-3 py-2 text-sm font-medium rounded-lg transition-colors duration-200 disabled:opacity-50';
+
+  return (
+    <aside aria-label={`${station.stationName} details`} className="w-full lg:w-80 bg-white rounded-xl shadow-sm border border-gray-200 p-5 self-start">
+      <div className="flex items-start justify-between mb-4">
+        <div>
+          <h2 className="text-lg font-semibold text-gray-900">{station.stationName}</h2>
+          <span className={`inline-flex items-center gap-1.5 mt-1 px-2 py-0.5 text-xs font-medium rounded-full border ${style.tile}`}>
+            <span className={`w-1.5 h-1.5 rounded-full ${style.dot}`} />
+            {style.label}
+          </span>
+        </div>
+        <button onClick={onClose} aria-label="Close details" className="p-1 text-gray-400 hover:text-gray-600 rounded">
+          <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+          </svg>
+        </button>
+      </div>
+
+      {session && (
+        <div className="mb-4 p-3 rounded-lg bg-gray-50 text-sm">
+          <div className="font-medium text-gray-900">{session.username}</div>
+          <div className="text-gray-600">
+            Since {fmtTime(Date.parse(session.startTime))}
+            {session.plannedEndTime ? ` · booked until ${fmtTime(Date.parse(session.plannedEndTime))}` : ' · no limit'}
+          </div>
+          <SessionClock session={session} settings={settings} />
+        </div>
+      )}
+
+      {reservation && (
+        <p className="mb-4 text-sm text-amber-800">
+          Reserved by {reservation.username} from {fmtTime(reservation.start)}
+        </p>
+      )}
+
+      <dl className="grid grid-cols-2 gap-3 text-sm mb-5">
+        <Detail label="Type">{station.stationType}</Detail>
+        <Detail label="Rate">${Number(station.hourlyRate || 0).toFixed(2)}/h</Detail>
+        <Detail label="Location">{station.location}</Detail>
+        <Detail label="Processor">{station.processor}</Detail>
+        <Detail label="Graphics">{station.graphicsCard}</Detail>
+        <Detail label="Memory">{station.memory}</Detail>
+        <Detail label="IP address">{station.ipAddress}</Detail>
+        <Detail label="Notes">{station.notes}</Detail>
+      </dl>
+
+      <div className="flex flex-wrap gap-2">
+        {!session && state !== 'maintenance' && state !== 'busy' && (
+          <button className={`${button} text-white bg-indigo-600 hover:bg-indigo-700`} onClick={onStart} disabled={busy}>Start session</button>
+        )}
+        {session?.status === 'Active' && (
+          <button className={`${button} text-gray-700 bg-gray-100 hover:bg-gray-200`} onClick={onPause} disabled={busy}>Pause</button>
+        )}
+        {session?.status === 'Paused' && (
+          <button className={`${button} text-emerald-700 bg-emerald-100 hover:bg-emerald-200`} onClick={onResume} disabled={busy}>Resume</button>
+        )}
+        {session?.plannedEndTime && (
+          <button className={`${button} text-indigo-700 bg-indigo-100 hover:bg-indigo-200`} onClick={onExtend} disabled={busy}>
+            Extend +{formatMinutes(settings.extensionIncrementMinutes)}
+          </button>
+        )}
+        {session && (
+          <button className={`${button} text-red-700 bg-red-100 hover:bg-red-200`} onClick={onEnd} disabled={busy}>End session</button>
+        )}
+        {canEdit && (
+          <button className={`${button} text-gray-700 bg-white border border-gray-300 hover:bg-gray-50`} onClick={onToggleMaintenance} disabled={busy}>
+            {station.isUnderMaintenance ? 'Back in service' : 'Mark for maintenance'}
+          </button>
+        )}
+      </div>
+    </aside>
+  );
+}
@@ -0,0 +1,81 @@
+import { fireEvent, render, screen, within } from '@testing-library/react';
+import { MemoryRouter } from 'react-router-dom';
+import api from '../api';
+import { AuthProvider } from '../auth/AuthContext';
+import { ToastProvider } from '../components/ToastProvider';
+import { createMockApi } from '../mock/mockApi';
+import { DEMO_PASSWORD } from '../mock/seed';
+import { clearResources } from '../utils/resources';
+import FloorMap from './FloorMap';
+
+let mock;
+
+function renderPage() {
+  render(
+    <MemoryRouter>
+      <AuthProvider>
+        <ToastProvider>
+          <FloorMap />
+        </ToastProvider>
+      </AuthProvider>
+    </MemoryRouter>
+  );
+}
+
+beforeEach(async () => {
+  clearResources();
+  mock = createMockApi();
+  api.setTransport(mock.fetch);
+  const session = await api.post('/auth/login', { email: 'admin@demo.local', password: DEMO_PASSWORD }, { skipAuthRefresh: true });
+  api.beginSession({ ...session.user, token: session.accessToken, refreshToken: session.refreshToken });
+});
+
+afterEach(() => {
+  api.setTransport(null);
+  api.clearSession();
+});
+
+test('tiles show each station\'s state, and a session is paused from the station panel', async () => {
+  renderPage();
+
+  const map = await screen.findByRole('group', { name: 'Floor map' });
+  expect(await within(map).findByRole('button', { name: 'PC-001, In session' })).toBeInTheDocument();
+  // Reserved for half an hour from now
+  expect(await within(map).findByRole('button', { name: 'PC-003, Reserved soon' })).toBeInTheDocument();
+  expect(within(map).getByRole('button', { name: 'PC-006, Maintenance' })).toBeInTheDocument();
+  expect(within(map).getByRole('button', { name: 'PC-002, Available' })).toBeInTheDocument();
+  expect(within(screen.getByRole('region', { name: 'Not on the map' })).getByRole('button', { name: 'VR-01, Available' })).toBeInTheDocument();
+
+  fireEvent.click(within(map).getByRole('button', { name: 'PC-001, In session' }));
+  const panel = screen.getByRole('complementary', { name: 'PC-001 details' });
+  expect(within(panel).getByText('Main Floor')).toBeInTheDocument();
+  fireEvent.click(within(panel).getByRole('button', { name: 'Pause' }));
+
+  expect(await within(map).findByRole('button', { name: 'PC-001, Paused' })).toBeInTheDocument();
+  expect(mock.db.sessions[0].status).toBe('Paused');
+  expect(within(panel).getByRole('button', { name: 'Resume' })).toBeInTheDocument();
+});
+
+test('stations are dragged and moved with the arrow keys, and only the moved ones are saved', async () => {
+  renderPage();
+  fireEvent.click(await screen.findByRole('button', { name: 'Edit layout' }));
+
+  // From the tray onto the floor
+  fireEvent.dragStart(screen.getByRole('button', { name: 'VR-01, Available' }));
+  fireEvent.drop(screen.getByLabelText('Empty cell 10, 6'));
+  // PC-002 steps right onto PC-003, which takes its old place
+  fireEvent.keyDown(screen.getByRole('button', { name: /^PC-002,/ }), { key: 'ArrowRight' });
+
+  expect(screen.getByRole('region', { name: 'Not on the map' })).toHaveTextContent('Drop a station here');
+  fireEvent.click(screen.getByRole('button', { name: 'Save layout (3)' }));
+
+  expect(await screen.findByRole('button', { name: 'Edit layout' })).toBeInTheDocument();
+  const cellOf = name => {
+    const station = mock.db.stations.find(s => s.stationName === name);
+    return [station.floorX, station.floorY];
+  };
+  expect(cellOf('VR-01')).toEqual([9, 5]);
+  expect(cellOf('PC-002')).toEqual([3, 1]);
+  expect(cellOf('PC-003')).toEqual([2, 1]);
+  expect(cellOf('PC-001')).toEqual([1, 1]);
+});
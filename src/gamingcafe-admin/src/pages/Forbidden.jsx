@@ -0,0 +1,31 @@
+import React from 'react';
+import { Link, useLocation } from 'react-router-dom';
+import { useAuth } from '../auth/AuthContext';
+import { userRoles } from '../utils/security';
+
+// Shown when a route guard turns the user away, and in place of a page whose data the
+// API refused with a 403
+export default function Forbidden() {
+  const { user } = useAuth();
+  const location = useLocation();
+  const from = location.state?.from;
+  const roles = userRoles(user);
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <div className="max-w-xl mx-auto px-6 py-16 text-center">
+        <div className="text-6xl font-bold text-gray-300">403</div>
+        <h1 className="mt-4 text-2xl font-bold text-gray-900">You don't have access to this page</h1>
+        <p className="mt-2 text-gray-600">
+          {from ? <><span className="font-mono text-gray-800">{from}</span> needs</> : 'This needs'} a role your account doesn't have.
+          {roles.length > 0 && <> You are signed in as <span className="font-medium text-gray-900">{roles.join(', ')}</span>.</>}
+        </p>
+        <p className="mt-2 text-sm text-gray-500">Ask an administrator if you need it.</p>
+        <div className="mt-6 flex items-center justify-center gap-4 text-sm">
+          <Link to="/" className="px-4 py-2 rounded-lg bg-indigo-600 text-white hover:bg-indigo-700">Go to dashboard</Link>
+          <Link to="/profile" className="text-gray-600 underline">View your profile</Link>
+        </div>
+      </div>
+    </div>
+  );
+}
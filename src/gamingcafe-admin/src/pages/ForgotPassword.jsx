@@ -0,0 +1,78 @@
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import api, { RateLimitError } from '../api';
+
+export default function ForgotPassword() {
+  const [email, setEmail] = useState('');
+  const [error, setError] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [sentTo, setSentTo] = useState(null);
+
+  async function submit(e) {
+    e.preventDefault();
+    setError(null);
+    if (!/^\S+@\S+\.\S+$/.test(email.trim())) {
+      setError('Enter the email address you sign in with');
+      return;
+    }
+    setLoading(true);
+    try {
+      await api.post('/auth/forgot-password', { email: email.trim() }, { skipAuthRefresh: true, retries: 0 });
+      setSentTo(email.trim());
+    } catch (err) {
+      setError(err instanceof RateLimitError
+        ? 'Too many reset requests. Wait a few minutes and try again.'
+        : err?.message || 'Could not send the reset email');
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-slate-900">
+      <div className="w-[420px] bg-white rounded-lg p-6 shadow-2xl">
+        <h2 className="mt-0 mb-2 text-2xl font-semibold">Reset your password</h2>
+        {sentTo ? (
+          <>
+            {/* The API answers the same whether or not the address has an account */}
+            <p className="mt-0 text-gray-600">
+              If an account exists for <span className="font-medium text-gray-900">{sentTo}</span>, we've sent it a link to choose a new password. The link expires in one hour.
+            </p>
+            <p className="mt-3 text-sm text-gray-600">Nothing arrived? Check your spam folder, or send the link again.</p>
+            <div className="mt-4 flex items-center justify-between text-sm">
+              <button type="button" onClick={() => setSentTo(null)} className="text-sky-600 underline">Send again</button>
+              <Link to="/login" className="text-gray-600 underline">Back to sign in</Link>
+            </div>
+          </>
+        ) : (
+          <form onSubmit={submit}>
+            <p className="mt-0 text-gray-600">Enter your account's email address and we'll send you a link to reset your password.</p>
+            <div className="mt-3">
+              <label htmlFor="forgot-email" className="block text-sm">Email</label>
+              <input
+                id="forgot-email"
+                type="email"
+                value={email}
+                onChange={e => setEmail(e.target.value)}
+                autoComplete="email"
+                autoFocus
+                className="w-full px-3 py-2 rounded border border-gray-300"
+              />
+            </div>
+
+            {error && <div className="text-red-500 mt-3">{error}</div>}
+
+            <div className="mt-4">
+              <button type="submit" disabled={loading} className="w-full px-3 py-2 bg-teal-500 text-white rounded hover:bg-teal-600 disabled:opacity-50">
+                {loading ? 'Sending...' : 'Send reset link'}
+              </button>
+            </div>
+            <div className="mt-3 text-sm text-center">
+              <Link to="/login" className="text-gray-600 underline">Back to sign in</Link>
+            </div>
+          </form>
+        )}
+      </div>
+    </div>
+  );
+}
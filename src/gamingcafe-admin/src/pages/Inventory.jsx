@@ -1,10 +1,12 @@
-import React, { useEffect, useState, useCallback, useRef } from 'react';
+import React, { useEffect, useState } from 'react';
 // FilterSearch removed — use native inputs
 import api from '../api';
 import { useToast } from '../components/ToastProvider';
 import ProductForm from '../components/ProductForm';
 import SimpleModal from '../components/SimpleModal';
 import PagedList from '../components/PagedList';
+import { invalidate, useDebouncedValue, usePagedResource, useResource, withQuery } from '../utils/resources';
+import { usePermission } from '../utils/security';
 
 function fmtDate(d) {
   if (!d) return '';
@@ -13,17 +15,13 @@ function fmtDate(d) {
 
 export default function Inventory() {
   // products list
-  const [products, setProducts] = useState([]);
   const [page, setPage] = useState(1);
   const [pageSize] = useState(15);
-  const [total, setTotal] = useState(0);
-  const [loading, setLoading] = useState(false);
   const [search, setSearch] = useState('');
+  const debouncedSearch = useDebouncedValue(search || '', 500);
 
-  // low stock and movements
-  const [lowStock, setLowStock] = useState([]);
-  const [movements, setMovements] = useState([]);
-  const [movementLoading, setMovementLoading] = useState(false);
+  // movements filter
+  const [movementFilter, setMovementFilter] = useState({ type: '', productId: '' });
 
   // product modal
   const [showProductModal, setShowProductModal] = useState(false);
@@ -39,91 +37,49 @@ export default function Inventory() {
   // bulk adjust
   const [showBulkAdjust, setShowBulkAdjust] = useState(false);
   const [bulkText, setBulkText] = useState('productId,quantityChange,reason\n');
-  const [debouncedSearch, setDebouncedSearch] = useState('');
 
   const [error, setError] = useState(null);
   const toast = useToast();
+  const can = usePermission();
 
-  // fetch products (supports PagedResponse or plain array)
-  const fetchProducts = useCallback(async (opts = {}) => {
-    setLoading(true);
-    setError(null);
-    try {
-      const searchTerm = opts.search !== undefined ? opts.search : debouncedSearch;
-      const q = `?page=${opts.page ?? page}&pageSize=${opts.pageSize ?? pageSize}` + (searchTerm ? `&search=${encodeURIComponent(searchTerm)}` : '');
-      const resp = await api.get(`/api/v1.0/products${q}`);
-      if (resp && resp.data) {
-        setProducts(resp.data);
-        setTotal(resp.totalCount || 0);
-      } else if (Array.isArray(resp)) {
-        setProducts(resp);
-        setTotal(resp.length);
-      } else {
-        setProducts([]);
-        setTotal(0);
-      }
-    } catch (err) {
-      setError(err?.message || 'Failed to load products');
-    } finally { setLoading(false); }
-  }, [page, pageSize, debouncedSearch]);
-
-  const fetchLowStock = async () => {
-    try {
-      const resp = await api.get('/api/v1.0/inventory/low-stock');
-      setLowStock(resp || []);
-    } catch (e) { /* ignore */ }
-  };
+  const productsQuery = usePagedResource(withQuery('/products', { page, pageSize, search: debouncedSearch }));
+  const products = productsQuery.items;
+  const total = productsQuery.totalCount;
+  const loading = productsQuery.loading;
+  const { data: lowStockData } = useResource('/inventory/low-stock');
+  const lowStock = Array.isArray(lowStockData) ? lowStockData : [];
+  const movementsQuery = usePagedResource(withQuery('/inventory/movements', { page: 1, pageSize: 20, ...movementFilter }));
+  const movements = movementsQuery.items;
+  const movementLoading = movementsQuery.loading;
 
-  const fetchMovements = async (opts = { page: 1, pageSize: 20, productId: null, type: null }) => {
-    setMovementLoading(true);
-    try {
-      let q = `?page=${opts.page}&pageSize=${opts.pageSize}`;
-      if (opts.productId) q += `&productId=${opts.productId}`;
-      if (opts.type) q += `&type=${opts.type}`;
-      const resp = await api.get(`/api/v1.0/inventory/movements${q}`);
-      if (resp && resp.data) setMovements(resp.data);
-      else if (Array.isArray(resp)) setMovements(resp);
-      else setMovements([]);
-    } catch (e) { /* ignore */ }
-    finally { setMovementLoading(false); }
-  };
+  useEffect(() => {
+    if (productsQuery.error) setError(productsQuery.error.message || 'Failed to load products');
+  }, [productsQuery.error]);
 
-  useEffect(() => { 
-    // Load products when page or debouncedSearch change
-    fetchProducts();
-    // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [fetchProducts, page, debouncedSearch]);
-  
-  useEffect(() => { fetchLowStock(); fetchMovements(); }, []);
+  // Reset to page 1 when the search changes
+  useEffect(() => { setPage(1); }, [debouncedSearch]);
 
-  // Debounced search
-  const searchTimeoutRef = useRef(null);
-  useEffect(() => {
-    if (searchTimeoutRef.current) clearTimeout(searchTimeoutRef.current);
-    searchTimeoutRef.current = setTimeout(() => {
-      setDebouncedSearch(search || '');
-      setPage(1); // Reset to page 1 when searching
-    }, 500);
-    return () => { if (searchTimeoutRef.current) clearTimeout(searchTimeoutRef.current); };
-  }, [search]);
+  // Stock changes show up in the product list, the low-stock panel and the movement log
+  function refreshStock() {
+    invalidate('/products', '/inventory');
+  }
 
   // create or update product
   async function saveProduct(data) {
     setProductErrors(null);
     try {
       if (editingProduct && editingProduct.productId) {
-        await api.put(`/api/v1.0/products/${editingProduct.productId}`, data);
+        await api.put(`/products/${editingProduct.productId}`, data);
       } else {
-        await api.post('/api/v1.0/products', data);
+        await api.post('/products', data);
       }
       setShowProductModal(false);
       setEditingProduct(null);
-      fetchProducts();
-      fetchLowStock();
+      refreshStock();
   toast?.push('Product saved', 'success');
     } catch (err) {
       setProductErrors(err?.errors || { _global: [err?.message || 'Save failed'] });
-  toast?.push(err?.message || 'Save failed', 'error');
+  toast?.pushError(err, 'Save failed');
       throw err;
     }
   }
@@ -131,9 +87,8 @@ export default function Inventory() {
   async function removeProduct(id) {
     if (!window.confirm('Delete product? This cannot be undone.')) return;
     try {
-      await api.del(`/api/v1.0/products/${id}`);
-      fetchProducts();
-      fetchLowStock();
+      await api.del(`/products/${id}`);
+      refreshStock();
   toast?.push('Product deleted', 'success');
     } catch (err) { setError(err?.message || 'Delete failed'); }
   }
@@ -149,18 +104,16 @@ export default function Inventory() {
       reason: adjustReason || 'Manual adjustment (admin)'
     };
     try {
-      await api.post('/api/v1.0/inventory/adjust', body);
+      await api.post('/inventory/adjust', body);
       setShowAdjustModal(false);
       setAdjustingProduct(null);
       setAdjustQty(0);
       setAdjustReason('');
-      fetchProducts();
-      fetchLowStock();
-      fetchMovements();
+      refreshStock();
   toast?.push('Inventory adjusted', 'success');
     } catch (err) {
       setError(err?.data?.message || err?.message || 'Adjustment failed');
-  toast?.push(err?.message || 'Adjustment failed', 'error');
+  toast?.pushError(err, 'Adjustment failed');
     }
   }
 
@@ -181,9 +134,9 @@ export default function Inventory() {
     }
     if (adjustments.length === 0) return setError('No valid adjustments found');
     try {
-      await api.post('/api/v1.0/inventory/bulk-adjust', { adjustments });
+      await api.post('/inventory/bulk-adjust', { adjustments });
       setShowBulkAdjust(false);
-      fetchProducts(); fetchLowStock(); fetchMovements();
+      refreshStock();
   toast?.push('Bulk adjustments applied', 'success');
     } catch (err) { setError(err?.message || 'Bulk adjust failed'); }
   }
@@ -191,17 +144,8 @@ export default function Inventory() {
   async function updateStock(productId, newQty) {
     setError(null);
     try {
-      const token = api.getToken && api.getToken();
-      const headers = { 'Content-Type': 'application/json' };
-      if (token) headers['Authorization'] = `Bearer ${token}`;
-      const res = await fetch(`/api/v1.0/products/${productId}/stock`, {
-        method: 'PATCH', headers, body: JSON.stringify({ stockQuantity: Number(newQty) })
-      });
-      if (!res.ok) {
-        const txt = await res.text();
-        throw new Error(txt || res.statusText || 'Failed to update stock');
-      }
-      fetchProducts(); fetchLowStock();
+      await api.patch(`/products/${productId}/stock`, { stockQuantity: Number(newQty) });
+      refreshStock();
   toast?.push('Stock updated', 'success');
     } catch (err) { setError(err?.message || 'Failed to update stock'); }
   }
@@ -256,21 +200,25 @@ export default function Inventory() {
                   />
                 </div>
                 <div className="flex gap-2">
-                <button 
-                  className="px-4 py-2 bg-indigo-600 hover:bg-indigo-700 text-white text-sm font-medium rounded-lg transition-colors duration-200" 
-                  onClick={() => { setEditingProduct(null); setShowProductModal(true); }}
-                >
-                  <svg className="w-4 h-4 mr-2 inline" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 6v6m0 0v6m0-6h6m-6 0H6" />
-                  </svg>
-                  Add Product
-                </button>
-                <button 
-                  className="px-4 py-2 border border-gray-300 text-gray-700 text-sm font-medium rounded-lg hover:bg-gray-50 transition-colors duration-200" 
-                  onClick={() => setShowBulkAdjust(true)}
-                >
-                  Bulk Adjust
-                </button>
+                {can('products:write') && (
+                  <button 
+                    className="px-4 py-2 bg-indigo-600 hover:bg-indigo-700 text-white text-sm font-medium rounded-lg transition-colors duration-200" 
+                    onClick={() => { setEditingProduct(null); setShowProductModal(true); }}
+                  >
+                    <svg className="w-4 h-4 mr-2 inline" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 6v6m0 0v6m0-6h6m-6 0H6" />
+                    </svg>
+                    Add Product
+                  </button>
+                )}
+                {can('inventory:adjust') && (
+                  <button 
+                    className="px-4 py-2 border border-gray-300 text-gray-700 text-sm font-medium rounded-lg hover:bg-gray-50 transition-colors duration-200" 
+                    onClick={() => setShowBulkAdjust(true)}
+                  >
+                    Bulk Adjust
+                  </button>
+                )}
                 <button 
                   className="px-4 py-2 border border-gray-300 text-gray-700 text-sm font-medium rounded-lg hover:bg-gray-50 transition-colors duration-200" 
                   onClick={exportCSV}
@@ -293,7 +241,7 @@ export default function Inventory() {
                 pageSize={pageSize}
                 totalCount={total}
                 loading={loading}
-                onPageChange={(p) => { setPage(p); fetchProducts({ page: p }); }}
+                onPageChange={(p) => setPage(p)}
                 tableHeaders={['ID', 'Name', 'Category', 'Price', 'Stock', 'Min Level', 'Updated', 'Status']}
                 emptyTitle={search ? `No products found for "${search}"` : "No products found"}
                 emptySubtitle={search ? "Try adjusting your search or add new products" : "Add your first product to get started"}
@@ -323,24 +271,30 @@ export default function Inventory() {
                         >
                           Set
                         </button>
-                        <button 
-                          className="inline-flex items-center px-2 py-1 border border-transparent text-xs font-medium rounded text-white bg-indigo-600 hover:bg-indigo-700 transition-colors duration-200" 
-                          onClick={() => { setEditingProduct(p); setShowProductModal(true); }}
-                        >
-                          Edit
-                        </button>
-                        <button 
-                          className="inline-flex items-center px-2 py-1 border border-gray-300 text-xs font-medium rounded text-gray-700 bg-white hover:bg-gray-50 transition-colors duration-200" 
-                          onClick={() => openAdjust(p)}
-                        >
-                          Adjust
-                        </button>
-                        <button 
-                          className="inline-flex items-center px-2 py-1 border border-red-300 text-xs font-medium rounded text-red-700 bg-white hover:bg-red-50 transition-colors duration-200" 
-                          onClick={() => removeProduct(p.productId)}
-                        >
-                          Delete
-                        </button>
+                        {can('products:write') && (
+                          <button 
+                            className="inline-flex items-center px-2 py-1 border border-transparent text-xs font-medium rounded text-white bg-indigo-600 hover:bg-indigo-700 transition-colors duration-200" 
+                            onClick={() => { setEditingProduct(p); setShowProductModal(true); }}
+                          >
+                            Edit
+                          </button>
+                        )}
+                        {can('inventory:adjust') && (
+                          <button 
+                            className="inline-flex items-center px-2 py-1 border border-gray-300 text-xs font-medium rounded text-gray-700 bg-white hover:bg-gray-50 transition-colors duration-200" 
+                            onClick={() => openAdjust(p)}
+                          >
+                            Adjust
+                          </button>
+                        )}
+                        {can('products:write') && (
+                          <button 
+                            className="inline-flex items-center px-2 py-1 border border-red-300 text-xs font-medium rounded text-red-700 bg-white hover:bg-red-50 transition-colors duration-200" 
+                            onClick={() => removeProduct(p.productId)}
+                          >
+                            Delete
+                          </button>
+                        )}
                       </div>
                     </td>
                     <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
@@ -409,7 +363,8 @@ export default function Inventory() {
               <div className="space-y-3 mb-4">
                 <select 
                   className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-indigo-500 focus:border-indigo-500" 
-                  onChange={e => fetchMovements({ page: 1, pageSize: 20, type: e.target.value || null })}
+                  value={movementFilter.type}
+                  onChange={e => setMovementFilter(f => ({ ...f, type: e.target.value }))}
                 >
                   <option value="">All types</option>
                   <option value="StockIn">Stock In</option>
@@ -417,14 +372,15 @@ export default function Inventory() {
                 </select>
                 <select 
                   className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-indigo-500 focus:border-indigo-500" 
-                  onChange={e => fetchMovements({ page: 1, pageSize: 20, productId: e.target.value || null })}
+                  value={movementFilter.productId}
+                  onChange={e => setMovementFilter(f => ({ ...f, productId: e.target.value }))}
                 >
                   <option value="">All products</option>
                   {products.map(p => <option key={p.productId} value={p.productId}>{p.name}</option>)}
                 </select>
                 <button 
                   className="w-full px-3 py-2 border border-gray-300 text-gray-700 text-sm font-medium rounded-lg hover:bg-gray-50 transition-colors duration-200" 
-                  onClick={() => fetchMovements({ page: 1, pageSize: 20 })}
+                  onClick={() => movementsQuery.refresh().catch(() => { })}
                 >
                   Refresh
                 </button>
@@ -1,7 +1,10 @@
-import React, { useState } from 'react';
+import React, { useEffect, useState } from 'react';
 import { useAuth } from '../auth/AuthContext';
-import { useNavigate } from 'react-router-dom';
+import { Link, useNavigate } from 'react-router-dom';
 import { useToast } from '../components/ToastProvider';
+import OperatorPicker from '../components/OperatorPicker';
+import { RateLimitError } from '../api';
+import { DEMO_PASSWORD, isDemoMode } from '../config';
 
 export default function Login({ onSuccess }) {
   const [email, setEmail] = useState('');
@@ -9,10 +12,34 @@ export default function Login({ onSuccess }) {
   const [remember, setRemember] = useState(true);
   const [error, setError] = useState(null);
   const [loading, setLoading] = useState(false);
+  // Set while a 2FA account is between the password and the code step
+  const [challenge, setChallenge] = useState(null);
   const { login } = useAuth();
   const nav = useNavigate();
   const toast = useToast();
 
+  function finish() {
+    toast.push('Signed in successfully', 'success');
+    if (typeof onSuccess === 'function') {
+      onSuccess();
+    } else {
+      nav('/');
+    }
+  }
+
+  // An operator who can't use a PIN right now signs in again with the password
+  function passwordSignIn(address, message) {
+    setEmail(address);
+    setPassword('');
+    setError(message || null);
+  }
+
+  function cancelTwoFactor(message) {
+    setChallenge(null);
+    setPassword('');
+    setError(message || null);
+  }
+
   async function submit(e) {
     e.preventDefault();
     setError(null);
@@ -23,17 +50,13 @@ export default function Login({ onSuccess }) {
     }
     setLoading(true);
     try {
-      await login(email, password);
-      toast.push('Signed in successfully', 'success');
-      if (typeof onSuccess === 'function') {
-        onSuccess();
-      } else {
-        nav('/');
-      }
+      const res = await login(email, password, { remember });
+      if (res?.requiresTwoFactor) setChallenge(res);
+      else finish();
     } catch (err) {
       const msg = err?.data?.message || err.message || 'Login failed';
       setError(msg);
-      toast.push(msg, 'error');
+      toast.pushError(err, 'Login failed');
     } finally {
       setLoading(false);
     }
@@ -44,31 +67,177 @@ export default function Login({ onSuccess }) {
       <div className="w-[420px] bg-white rounded-lg p-6 shadow-2xl">
         <h2 className="mt-0 mb-2 text-2xl font-semibold">GamingCafe Admin</h2>
         <p className="mt-0 text-gray-600">Sign in to manage stations, users, wallets and reports.</p>
-        <form onSubmit={submit}>
-          <div className="mt-3">
-            <label className="block text-sm">Email</label>
-            <input value={email} onChange={e => setEmail(e.target.value)} className="w-full px-3 py-2 rounded border border-gray-300" />
-          </div>
-          <div className="mt-3">
-            <label className="block text-sm">Password</label>
-            <input type="password" value={password} onChange={e => setPassword(e.target.value)} className="w-full px-3 py-2 rounded border border-gray-300" />
-          </div>
-          <div className="mt-3 flex items-center justify-between">
-            <label className="flex items-center gap-2 text-sm">
-              <input type="checkbox" checked={remember} onChange={e => setRemember(e.target.checked)} className="mr-1" /> Remember me
-            </label>
-            <button type="button" onClick={() => toast.push('Password reset not implemented', 'info')} className="text-sm text-sky-600 underline">Forgot password?</button>
+        {isDemoMode() && (
+          <div className="mt-3 p-3 rounded bg-amber-50 border border-amber-200 text-sm text-amber-800">
+            Demo mode — data is simulated in the browser and resets on reload.
+            Sign in as <span className="font-mono">admin@demo.local</span> with password <span className="font-mono">{DEMO_PASSWORD}</span>.
           </div>
+        )}
+        {challenge ? (
+          <TwoFactorStep challenge={challenge} onDone={finish} onCancel={cancelTwoFactor} />
+        ) : (
+          <>
+            <OperatorPicker onDone={finish} onUsePassword={passwordSignIn} />
+            <form onSubmit={submit}>
+              <div className="mt-3">
+                <label htmlFor="login-email" className="block text-sm">Email</label>
+                <input id="login-email" value={email} onChange={e => setEmail(e.target.value)} className="w-full px-3 py-2 rounded border border-gray-300" />
+              </div>
+              <div className="mt-3">
+                <label htmlFor="login-password" className="block text-sm">Password</label>
+                <input id="login-password" type="password" value={password} onChange={e => setPassword(e.target.value)} className="w-full px-3 py-2 rounded border border-gray-300" />
+              </div>
+              <div className="mt-3 flex items-center justify-between">
+                <label className="flex items-center gap-2 text-sm">
+                  <input type="checkbox" checked={remember} onChange={e => setRemember(e.target.checked)} className="mr-1" /> Remember me
+                </label>
+                <Link to="/forgot-password" className="text-sm text-sky-600 underline">Forgot password?</Link>
+              </div>
 
-          {error && <div className="text-red-500 mt-3">{error}</div>}
+              {error && <div className="text-red-500 mt-3">{error}</div>}
 
-          <div className="mt-4">
-            <button type="submit" disabled={loading} className="w-full px-3 py-2 bg-teal-500 text-white rounded hover:bg-teal-600 disabled:opacity-50">
-              {loading ? 'Signing in...' : 'Sign in'}
-            </button>
-          </div>
-        </form>
+              <div className="mt-4">
+                <button type="submit" disabled={loading} className="w-full px-3 py-2 bg-teal-500 text-white rounded hover:bg-teal-600 disabled:opacity-50">
+                  {loading ? 'Signing in...' : 'Sign in'}
+                </button>
+              </div>
+            </form>
+            <div className="mt-4 pt-4 border-t border-gray-200 text-sm text-center text-gray-600">
+              New customer? <Link to="/register" className="text-sky-600 underline">Create an account</Link>
+            </div>
+          </>
+        )}
       </div>
     </div>
   );
 }
+
+function formatTime(value) {
+  return new Date(value).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+}
+
+// Second sign-in step for accounts with two-factor authentication
+function TwoFactorStep({ challenge, onDone, onCancel }) {
+  const { completeTwoFactor } = useAuth();
+  const toast = useToast();
+  const [code, setCode] = useState('');
+  const [useRecovery, setUseRecovery] = useState(false);
+  const [error, setError] = useState(null);
+  const [lockedUntil, setLockedUntil] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+  const [now, setNow] = useState(() => Date.now());
+
+  const expiresAt = challenge.expiresAt ? Date.parse(challenge.expiresAt) : null;
+  const secondsLeft = expiresAt ? Math.max(0, Math.ceil((expiresAt - now) / 1000)) : null;
+
+  useEffect(() => {
+    if (!expiresAt) return;
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, [expiresAt]);
+
+  useEffect(() => {
+    if (secondsLeft === 0 && !lockedUntil) onCancel('The sign-in attempt expired. Enter your password again.');
+  }, [secondsLeft, lockedUntil, onCancel]);
+
+  function switchMode() {
+    setUseRecovery(!useRecovery);
+    setCode('');
+    setError(null);
+  }
+
+  async function submit(e) {
+    e.preventDefault();
+    const value = code.trim();
+    if (!value) {
+      setError(useRecovery ? 'Enter one of your recovery codes' : 'Enter the 6-digit code from your authenticator app');
+      return;
+    }
+    setSubmitting(true);
+    setError(null);
+    try {
+      await completeTwoFactor(challenge.twoFactorToken, useRecovery ? { recoveryCode: value } : { code: value });
+      onDone();
+    } catch (err) {
+      const reason = err?.data?.code;
+      if (reason === 'two_factor_locked' || err instanceof RateLimitError) {
+        setLockedUntil(err.data?.lockedUntil || new Date(Date.now() + (err.retryAfter || 0)).toISOString());
+      } else if (reason === 'two_factor_expired') {
+        onCancel('The sign-in attempt expired. Enter your password again.');
+      } else if (reason === 'two_factor_invalid') {
+        const left = err.data.remainingAttempts;
+        setError(`That code is not valid.${left ? ` ${left} attempt${left === 1 ? '' : 's'} left before sign-in is locked.` : ''}`);
+        setCode('');
+      } else {
+        setError(err?.message || 'Verification failed');
+        toast.pushError(err, 'Verification failed');
+      }
+    } finally {
+      setSubmitting(false);
+    }
+  }
+
+  if (lockedUntil) {
+    return (
+      <div className="mt-4">
+        <div className="p-3 rounded bg-red-50 border border-red-200 text-sm text-red-700">
+          Too many incorrect codes. Two-factor sign-in for this account is locked until {formatTime(lockedUntil)}.
+        </div>
+        <button type="button" onClick={() => onCancel(null)} className="mt-4 w-full px-3 py-2 bg-gray-100 text-gray-700 rounded hover:bg-gray-200">
+          Back to sign in
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <form onSubmit={submit} className="mt-4">
+      <h3 className="text-lg font-semibold text-gray-900">Two-factor verification</h3>
+      <p className="mt-1 text-sm text-gray-600">
+        {useRecovery
+          ? 'Enter one of the recovery codes you saved when you set up two-factor authentication. Each code works once.'
+          : 'Enter the 6-digit code from your authenticator app.'}
+      </p>
+      <div className="mt-3">
+        <label className="block text-sm">{useRecovery ? 'Recovery code' : 'Authentication code'}</label>
+        {useRecovery ? (
+          <input
+            value={code}
+            onChange={e => setCode(e.target.value)}
+            autoComplete="off"
+            autoFocus
+            className="w-full px-3 py-2 rounded border border-gray-300 font-mono"
+          />
+        ) : (
+          <input
+            value={code}
+            onChange={e => setCode(e.target.value.replace(/\D/g, '').slice(0, 6))}
+            inputMode="numeric"
+            autoComplete="one-time-code"
+            autoFocus
+            className="w-full px-3 py-2 rounded border border-gray-300 font-mono tracking-widest"
+          />
+        )}
+      </div>
+      {secondsLeft !== null && (
+        <div className={`mt-2 text-xs ${secondsLeft <= 60 ? 'text-amber-600' : 'text-gray-500'}`}>
+          This step expires in {Math.floor(secondsLeft / 60)}:{String(secondsLeft % 60).padStart(2, '0')}
+        </div>
+      )}
+
+      {error && <div className="text-red-500 mt-3">{error}</div>}
+
+      <div className="mt-4">
+        <button type="submit" disabled={submitting} className="w-full px-3 py-2 bg-teal-500 text-white rounded hover:bg-teal-600 disabled:opacity-50">
+          {submitting ? 'Verifying...' : 'Verify'}
+        </button>
+      </div>
+      <div className="mt-3 flex items-center justify-between text-sm">
+        <button type="button" onClick={switchMode} className="text-sky-600 underline">
+          {useRecovery ? 'Use an authenticator code' : 'Use a recovery code instead'}
+        </button>
+        <button type="button" onClick={() => onCancel(null)} className="text-gray-600 underline">Cancel</button>
+      </div>
+    </form>
+  );
+}
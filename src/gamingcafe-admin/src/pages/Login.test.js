@@ -0,0 +1,70 @@
+import { fireEvent, render, screen } from '@testing-library/react';
+import { MemoryRouter } from 'react-router-dom';
+import api from '../api';
+import { AuthProvider } from '../auth/AuthContext';
+import { ToastProvider } from '../components/ToastProvider';
+import { createMockApi } from '../mock/mockApi';
+import { DEMO_PASSWORD, DEMO_TOTP_CODE } from '../mock/seed';
+import Login from './Login';
+
+function renderLogin(onSuccess) {
+  render(
+    <MemoryRouter>
+      <ToastProvider>
+        <AuthProvider>
+          <Login onSuccess={onSuccess} />
+        </AuthProvider>
+      </ToastProvider>
+    </MemoryRouter>
+  );
+}
+
+async function signInWithPassword() {
+  fireEvent.change(screen.getByLabelText('Email'), { target: { value: 'manager@demo.local' } });
+  fireEvent.change(screen.getByLabelText('Password'), { target: { value: DEMO_PASSWORD } });
+  fireEvent.click(screen.getByRole('button', { name: 'Sign in' }));
+  return screen.findByText('Two-factor verification');
+}
+
+beforeEach(() => {
+  api.setTransport(createMockApi().fetch);
+});
+
+afterEach(() => {
+  api.setTransport(null);
+  localStorage.clear();
+});
+
+test('a 2FA account is asked for a code and signed in once it is verified', async () => {
+  const onSuccess = jest.fn();
+  renderLogin(onSuccess);
+
+  await signInWithPassword();
+  expect(api.getToken()).toBeNull();
+
+  fireEvent.change(screen.getByRole('textbox'), { target: { value: DEMO_TOTP_CODE } });
+  fireEvent.click(screen.getByRole('button', { name: 'Verify' }));
+
+  await screen.findByText('Signed in successfully');
+  expect(onSuccess).toHaveBeenCalled();
+  expect(api.getToken()).toMatch(/^mock-access-2-/);
+});
+
+test('wrong codes count down to a lockout', async () => {
+  renderLogin();
+  await signInWithPassword();
+
+  fireEvent.change(screen.getByRole('textbox'), { target: { value: '000000' } });
+  fireEvent.click(screen.getByRole('button', { name: 'Verify' }));
+  expect(await screen.findByText(/4 attempts left/)).toBeInTheDocument();
+
+  for (let left = 3; left >= 1; left--) {
+    fireEvent.change(screen.getByRole('textbox'), { target: { value: '000000' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Verify' }));
+    await screen.findByText(new RegExp(`${left} attempts? left`));
+  }
+  fireEvent.change(screen.getByRole('textbox'), { target: { value: '000000' } });
+  fireEvent.click(screen.getByRole('button', { name: 'Verify' }));
+
+  expect(await screen.findByText(/is locked until/)).toBeInTheDocument();
+});
@@ -11,7 +11,7 @@ export default function Loyalty() {
   async function fetchPrograms() {
     setLoading(true); setError(null);
     try {
-      const res = await api.get('/api/v1.0/loyalty?page=1&pageSize=50');
+      const res = await api.get('/loyalty?page=1&pageSize=50');
       const list = res?.data || res?.Data || res || [];
       setPrograms(list);
     } catch (err) {
@@ -1,10 +1,17 @@
-import React, { useState, useEffect, useCallback, useRef } from 'react';
-import api from '../api';
+import React, { useState, useEffect } from 'react';
+import api, { ForbiddenError } from '../api';
 import { useToast } from '../components/ToastProvider';
 import SimpleModal from '../components/SimpleModal';
 import ConfirmDialog from '../components/ConfirmDialog';
 import LoadingSpinner from '../components/LoadingSpinner';
-import { useHasRole } from '../utils/security';
+import { usePermission } from '../utils/security';
+import { useIdempotencyKey } from '../utils/idempotency';
+import { invalidate, useDebouncedValue, usePagedResource, useResource, withQuery } from '../utils/resources';
+import Forbidden from './Forbidden';
+
+// TransactionStatus enum values, in order. Responses name the status, but the API binds
+// UpdateTransactionStatusRequest.Status from the number.
+const TRANSACTION_STATUSES = ['Pending', 'Completed', 'Failed', 'Cancelled', 'Refunded'];
 
 function fmtDate(d) {
   if (!d) return '';
@@ -39,12 +46,8 @@ function getTypeColor(type) {
 
 export default function Payments() {
   // Data state
-  const [transactions, setTransactions] = useState([]);
   const [page, setPage] = useState(1);
   const [pageSize] = useState(20);
-  const [totalCount, setTotalCount] = useState(0);
-  const [loading, setLoading] = useState(false);
-  const [stats, setStats] = useState(null);
 
   // Filter state
   const [filters, setFilters] = useState({
@@ -59,11 +62,8 @@ export default function Payments() {
     userId: ''
   });
 
-  // Debounced search state
-  const [debouncedSearch, setDebouncedSearch] = useState('');
-  const searchTimeoutRef = useRef(null);
-  // Debounce fetch requests to avoid bursts (throttle network calls)
-  const fetchTimeoutRef = useRef(null);
+  // Filters are applied once typing and toggling settle, so a burst of changes costs one request
+  const appliedFilters = useDebouncedValue(filters, 300);
 
   // Modal state
   const [showModal, setShowModal] = useState(false);
@@ -85,100 +85,25 @@ export default function Payments() {
   });
 
   const toast = useToast();
-  const hasRole = useHasRole();
-
-  // Fetch transactions with filters - memoized to prevent infinite loops
-  const fetchTransactions = useCallback(async () => {
-    setLoading(true);
-    try {
-      const params = new URLSearchParams({
-        page: page.toString(),
-        pageSize: pageSize.toString(),
-        sortDescending: 'true'
-      });
-
-      // Add filters - use debouncedSearch for search to prevent too many requests
-      if (debouncedSearch) params.append('search', debouncedSearch);
-      if (filters.type) params.append('type', filters.type);
-      if (filters.status) params.append('status', filters.status);
-      if (filters.paymentMethod) params.append('paymentMethod', filters.paymentMethod);
-      if (filters.minAmount) params.append('minAmount', filters.minAmount);
-      if (filters.maxAmount) params.append('maxAmount', filters.maxAmount);
-      if (filters.startDate) params.append('startDate', filters.startDate);
-      if (filters.endDate) params.append('endDate', filters.endDate);
-      if (filters.userId) params.append('userId', filters.userId);
-
-      const resp = await api.get(`/api/v1.0/transactions?${params}`);
-      setTransactions(resp?.data || []);
-      setTotalCount(resp?.totalCount || 0);
-    } catch (err) {
-      toast.push(err?.message || 'Failed to load transactions', 'error');
-    } finally {
-      setLoading(false);
-    }
-  }, [page, pageSize, debouncedSearch, filters.type, filters.status, filters.paymentMethod, 
-      filters.minAmount, filters.maxAmount, filters.startDate, filters.endDate, filters.userId, toast]);
-
-  // Fetch statistics - memoized to prevent infinite loops
-  const fetchStats = useCallback(async () => {
-    try {
-      const params = new URLSearchParams();
-      if (filters.startDate) params.append('startDate', filters.startDate);
-      if (filters.endDate) params.append('endDate', filters.endDate);
-
-      const resp = await api.get(`/api/v1.0/transactions/stats?${params}`);
-      setStats(resp);
-    } catch (err) {
-      console.warn('Failed to load transaction stats:', err);
-    }
-  }, [filters.startDate, filters.endDate]);
-
-  // Load transactions when page, pageSize, or filters change (debounced)
-  useEffect(() => {
-    if (fetchTimeoutRef.current) {
-      clearTimeout(fetchTimeoutRef.current);
-    }
-    // small delay to collapse rapid changes (typing, filter toggles)
-    fetchTimeoutRef.current = setTimeout(() => {
-      fetchTransactions();
-    }, 250);
-
-    return () => {
-      if (fetchTimeoutRef.current) {
-        clearTimeout(fetchTimeoutRef.current);
-      }
-    };
-  }, [fetchTransactions]);
+  const can = usePermission();
+  const opKey = useIdempotencyKey();
 
-  // Load stats when relevant filters change
-  useEffect(() => {
-    fetchStats();
-  }, [fetchStats]);
+  const transactionsQuery = usePagedResource(
+    withQuery('/transactions', { page, pageSize, sortDescending: 'true', ...appliedFilters })
+  );
+  const transactions = transactionsQuery.items;
+  const totalCount = transactionsQuery.totalCount;
+  const loading = transactionsQuery.loading;
+  const { data: stats } = useResource(
+    withQuery('/transactions/stats', { startDate: appliedFilters.startDate, endDate: appliedFilters.endDate })
+  );
 
-  // Debounce search input to prevent too many requests
   useEffect(() => {
-    if (searchTimeoutRef.current) {
-      clearTimeout(searchTimeoutRef.current);
-    }
-    
-    searchTimeoutRef.current = setTimeout(() => {
-      setDebouncedSearch(filters.search);
-    }, 300); // 300ms delay
-
-    return () => {
-      if (searchTimeoutRef.current) {
-        clearTimeout(searchTimeoutRef.current);
-      }
-    };
-  }, [filters.search]);
+    if (transactionsQuery.error && !(transactionsQuery.error instanceof ForbiddenError)) toast.pushError(transactionsQuery.error, 'Failed to load transactions');
+  }, [transactionsQuery.error, toast]);
 
-  // Reset page when filters change (except first load)
-  useEffect(() => {
-    if (page !== 1) {
-      setPage(1);
-    }
-  }, [debouncedSearch, filters.type, filters.status, filters.paymentMethod, 
-      filters.minAmount, filters.maxAmount, filters.startDate, filters.endDate, filters.userId]);
+  // Back to the first page whenever the applied filters change
+  useEffect(() => { setPage(1); }, [appliedFilters]);
 
   // Handle filter changes
   function handleFilterChange(e) {
@@ -193,12 +118,12 @@ export default function Payments() {
       search: '', type: '', status: '', paymentMethod: '',
       minAmount: '', maxAmount: '', startDate: '', endDate: '', userId: ''
     });
-    setDebouncedSearch('');
     setPage(1);
   }
 
   // Modal handlers
   function openCreateModal() {
+    opKey.reset();
     setModalType('create');
     setCreateForm({
       userId: '', description: '', amount: '', type: 'GameTime',
@@ -208,6 +133,7 @@ export default function Payments() {
   }
 
   function openRefundModal(transaction) {
+    opKey.reset();
     setModalType('refund');
     setSelectedTransaction(transaction);
     setRefundForm({ refundAmount: transaction.amount.toString(), reason: '' });
@@ -251,12 +177,15 @@ export default function Payments() {
         notes: createForm.notes || null
       };
 
-      await api.post('/api/v1.0/transactions', payload);
-      toast.push('Transaction created successfully', 'success');
+      const res = await api.post('/transactions', payload, { idempotencyKey: opKey.current() });
+      opKey.settle();
+      if (api.isReplayed(res)) toast.push('This transaction was already recorded — no duplicate was created', 'warn', 8000);
+      else toast.push('Transaction created successfully', 'success');
       closeModal();
-      fetchTransactions();
+      invalidate('/transactions', `/wallet/${payload.userId}`);
     } catch (err) {
-      toast.push(err?.message || 'Failed to create transaction', 'error');
+      opKey.settle(err);
+      toast.pushError(err, 'Failed to create transaction');
     }
   }
 
@@ -272,12 +201,16 @@ export default function Payments() {
         reason: refundForm.reason
       };
 
-      await api.post(`/api/v1.0/transactions/${selectedTransaction.transactionId}/refund`, payload);
-      toast.push('Refund processed successfully', 'success');
+      const res = await api.post(`/transactions/${selectedTransaction.transactionId}/refund`, payload, { idempotencyKey: opKey.current() });
+      opKey.settle();
+      if (api.isReplayed(res)) toast.push('This refund was already processed — the customer was not refunded twice', 'warn', 8000);
+      else toast.push('Refund processed successfully', 'success');
       closeModal();
-      fetchTransactions();
+      // A refund can credit the customer's wallet
+      invalidate('/transactions', '/wallet', '/users');
     } catch (err) {
-      toast.push(err?.message || 'Failed to process refund', 'error');
+      opKey.settle(err);
+      toast.pushError(err, 'Failed to process refund');
     }
   }
 
@@ -289,21 +222,23 @@ export default function Payments() {
       }
 
       const payload = {
-        status: statusForm.status,
+        status: TRANSACTION_STATUSES.indexOf(statusForm.status),
         notes: statusForm.notes || null
       };
 
-      await api.patch(`/api/v1.0/transactions/${selectedTransaction.transactionId}/status`, payload);
+      await api.patch(`/transactions/${selectedTransaction.transactionId}/status`, payload);
       toast.push('Transaction status updated successfully', 'success');
       closeModal();
-      fetchTransactions();
+      invalidate('/transactions');
     } catch (err) {
-      toast.push(err?.message || 'Failed to update status', 'error');
+      toast.pushError(err, 'Failed to update status');
     }
   }
 
   const totalPages = Math.ceil(totalCount / pageSize);
 
+  if (transactionsQuery.error instanceof ForbiddenError) return <Forbidden />;
+
   return (
     <div className="min-h-screen bg-gray-50">
       <div className="max-w-7xl mx-auto px-6 py-8">
@@ -489,7 +424,7 @@ export default function Payments() {
             </svg>
             Clear Filters
           </button>
-          {(hasRole('Admin') || hasRole('Manager') || hasRole('Staff')) && (
+          {can('txn:create') && (
             <button
               onClick={openCreateModal}
               className="inline-flex items-center px-4 py-2 bg-emerald-600 hover:bg-emerald-700 text-white text-sm font-medium rounded-lg transition-colors duration-200"
@@ -595,7 +530,7 @@ export default function Payments() {
                             >
                               View
                             </button>
-                            {(hasRole('Admin') || hasRole('Manager') || hasRole('Staff')) && (
+                            {can('txn:status') && (
                               <button
                                 onClick={() => openStatusModal(transaction)}
                                 className="inline-flex items-center px-2 py-1 text-xs font-medium bg-amber-100 text-amber-700 rounded-md hover:bg-amber-200 transition-colors duration-200"
@@ -603,7 +538,7 @@ export default function Payments() {
                                 Status
                               </button>
                             )}
-                            {(hasRole('Admin') || hasRole('Manager')) && transaction.status === 'Completed' && (
+                            {can('txn:refund') && transaction.status === 'Completed' && (
                               <button
                                 onClick={() => openRefundModal(transaction)}
                                 className="inline-flex items-center px-2 py-1 text-xs font-medium bg-red-100 text-red-700 rounded-md hover:bg-red-200 transition-colors duration-200"
@@ -0,0 +1,39 @@
+import { fireEvent, render, screen, waitFor, within } from '@testing-library/react';
+import { MemoryRouter } from 'react-router-dom';
+import api from '../api';
+import { AuthProvider } from '../auth/AuthContext';
+import { ToastProvider } from '../components/ToastProvider';
+import { createMockApi } from '../mock/mockApi';
+import { DEMO_PASSWORD } from '../mock/seed';
+import { clearResources } from '../utils/resources';
+import Payments from './Payments';
+
+let mock;
+
+beforeEach(async () => {
+  clearResources();
+  mock = createMockApi();
+  api.setTransport(mock.fetch);
+  const session = await api.post('/auth/login', { email: 'admin@demo.local', password: DEMO_PASSWORD }, { skipAuthRefresh: true });
+  api.beginSession({ ...session.user, token: session.accessToken, refreshToken: session.refreshToken });
+});
+
+afterEach(() => {
+  api.setTransport(null);
+  api.clearSession();
+  jest.restoreAllMocks();
+});
+
+test('completing a transaction sends the TransactionStatus number the API binds', async () => {
+  const patch = jest.spyOn(api, 'patch');
+  render(<MemoryRouter><AuthProvider><ToastProvider><Payments /></ToastProvider></AuthProvider></MemoryRouter>);
+
+  await screen.findByText('VR-01 — 1.5h');
+  const row = screen.getAllByRole('row').find(r => within(r).queryByText('VR-01 — 1.5h'));
+  fireEvent.click(within(row).getByRole('button', { name: 'Status' }));
+  fireEvent.change(screen.getByDisplayValue('Pending'), { target: { value: 'Completed' } });
+  fireEvent.click(screen.getByRole('button', { name: 'Update Status' }));
+
+  await waitFor(() => expect(mock.db.transactions[6].status).toBe('Completed'));
+  expect(patch).toHaveBeenCalledWith('/transactions/7/status', { status: 1, notes: null });
+});
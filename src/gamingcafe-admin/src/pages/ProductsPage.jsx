@@ -6,7 +6,9 @@ import PagedList from '../components/PagedList';
 import ConfirmDialog from '../components/ConfirmDialog';
 import { useToast } from '../components/ToastProvider';
 import LoadingSpinner from '../components/LoadingSpinner';
-import { useHasRole } from '../utils/security';
+import { usePermission } from '../utils/security';
+import { useFormErrors } from '../utils/formErrors';
+import { invalidate } from '../utils/resources';
 
 export default function ProductsPage() {
   const [data, setData] = useState([]);
@@ -15,52 +17,55 @@ export default function ProductsPage() {
   const [totalCount, setTotalCount] = useState(0);
   const [loading, setLoading] = useState(false);
   const toast = useToast();
-  const hasRole = useHasRole();
+  const can = usePermission();
   const [showModal, setShowModal] = useState(false);
   const [editing, setEditing] = useState(null);
-  const [formErrors, setFormErrors] = useState({});
+  const formErrors = useFormErrors();
   const [confirm, setConfirm] = useState(null);
 
   const fetch = useCallback(async (p = 1) => {
     setLoading(true);
     try {
-      const res = await api.get(`/api/v1.0/products?page=${p}&pageSize=${pageSize}`);
+      const res = await api.get(`/products?page=${p}&pageSize=${pageSize}`);
       const paged = res || res?.data || res?.Data || res;
       setData(paged?.data ?? paged?.Data ?? paged ?? []);
       setPage(paged?.page ?? p);
       setTotalCount(paged?.totalCount ?? paged?.TotalCount ?? (paged?.data?.length ?? paged?.length ?? 0));
     } catch (err) {
-      toast.push(err?.data?.message || err.message || 'Failed to load products', 'error');
+      toast.pushError(err, 'Failed to load products');
     } finally { setLoading(false); }
   }, [pageSize, toast]);
 
   useEffect(() => { fetch(page); }, [fetch, page]);
 
-  function openCreate() { setEditing(null); setShowModal(true); }
-  function openEdit(p) { setEditing(p); setShowModal(true); }
+  function openCreate() { formErrors.clear(); setEditing(null); setShowModal(true); }
+  function openEdit(p) { formErrors.clear(); setEditing(p); setShowModal(true); }
   function askDelete(p) { setConfirm(p); }
 
   async function handleSave(payload) {
     try {
       if (editing && (editing.productId || editing.productId === 0)) {
-        await api.put(`/api/v1.0/products/${editing.productId}`, payload);
+        await api.put(`/products/${editing.productId}`, payload);
       } else {
-        await api.post('/api/v1.0/products', payload);
+        await api.post('/products', payload);
       }
       setShowModal(false);
       fetch(page);
+      invalidate('/products', '/inventory');
     } catch (err) {
-  toast.push(err?.data?.message || err.message || 'Save failed', 'error');
+      if (formErrors.capture(err)) toast.push('Please fix the highlighted fields', 'error');
+      else toast.pushError(err, 'Save failed');
     }
   }
 
   async function doDelete(p) {
     try {
-      await api.del(`/api/v1.0/products/${p.productId}`);
+      await api.del(`/products/${p.productId}`);
       setConfirm(null);
       fetch(page);
+      invalidate('/products', '/inventory');
     } catch (err) {
-  toast.push(err?.data?.message || err.message || 'Delete failed', 'error');
+  toast.pushError(err, 'Delete failed');
     }
   }
 
@@ -68,7 +73,7 @@ export default function ProductsPage() {
     <div className="p-4">
       <h2 className="text-lg font-semibold mb-3">Products</h2>
       <div className="mb-3">
-        {hasRole('Staff') || hasRole('Admin') ? (
+        {can('products:write') ? (
           <button onClick={openCreate} className="px-3 py-2 rounded bg-sky-500 text-white">Create product</button>
         ) : (
           <span className="text-gray-500">You don't have permission to create products</span>
@@ -86,7 +91,7 @@ export default function ProductsPage() {
             <td className="px-3 py-2 text-right">{(p.price ?? 0).toFixed(2)}</td>
             <td className="px-3 py-2 text-right">{p.stockQuantity ?? 0}</td>
               <td className="px-3 py-2 text-right">
-              {hasRole('Staff') || hasRole('Admin') ? (
+              {can('products:write') ? (
                 <>
                   <button onClick={() => openEdit(p)} className="mr-2 px-2 py-1 border rounded text-sm">Edit</button>
                   <button onClick={() => askDelete(p)} className="px-2 py-1 border rounded text-sm text-red-600">Delete</button>
@@ -103,7 +108,7 @@ export default function ProductsPage() {
 
       {showModal && (
         <SimpleModal title={editing ? 'Edit product' : 'Create product'} onClose={() => setShowModal(false)}>
-    <ProductForm initial={editing ?? {}} onCancel={() => { setShowModal(false); setFormErrors({}); }} onSubmit={handleSave} errors={formErrors} />
+    <ProductForm initial={editing ?? {}} onCancel={() => { setShowModal(false); formErrors.clear(); }} onSubmit={handleSave} errors={formErrors.errors} />
         </SimpleModal>
       )}
 
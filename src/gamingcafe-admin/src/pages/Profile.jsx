@@ -1,8 +1,14 @@
 import React, { useEffect, useState } from 'react';
 import api from '../api';
+import { useAuth } from '../auth/AuthContext';
 import Login from './Login';
 import SimpleModal from '../components/SimpleModal';
+import ConfirmDialog from '../components/ConfirmDialog';
+import TwoFactorSettings from '../components/TwoFactorSettings';
+import PinSettings from '../components/PinSettings';
 import { useToast } from '../components/ToastProvider';
+import { copyText } from '../utils/clipboard';
+import { passwordProblems } from '../utils/passwordPolicy';
 
 export default function Profile() {
   const [profile, setProfile] = useState(null);
@@ -12,12 +18,16 @@ export default function Profile() {
   const [saving, setSaving] = useState(false);
   const [errors, setErrors] = useState({});
   const [showLoginModal, setShowLoginModal] = useState(false);
+  const [failures, setFailures] = useState(() => api.getRecentFailures());
+  const [sendingVerification, setSendingVerification] = useState(false);
+  const [confirmSignOut, setConfirmSignOut] = useState(false);
+  const { logout } = useAuth();
   const toast = useToast();
 
   const loadProfile = React.useCallback(async () => {
     try {
       setLoading(true);
-      const data = await api.get('/api/v1.0/auth/profile');
+      const data = await api.get('/auth/profile');
       setProfile(data || {});
       setForm({
         firstName: data?.firstName || '',
@@ -33,7 +43,7 @@ export default function Profile() {
         setShowLoginModal(true);
         return;
       }
-      toast.push('Failed to load profile', 'error');
+      toast.pushError(err, 'Failed to load profile');
       setProfile(null);
     } finally {
       setLoading(false);
@@ -63,13 +73,13 @@ export default function Profile() {
 
     try {
       setSaving(true);
-      await api.put(`/api/v1.0/users/${profile.userId}`, form);
+      await api.put(`/users/${profile.userId}`, form);
       setProfile(p => ({ ...p, ...form }));
       setEditing(false);
       toast.push('Profile saved', 'success');
     } catch (err) {
       console.error('Save failed', err);
-      toast.push(err?.data?.message || err.message || 'Save failed', 'error');
+      toast.pushError(err, 'Save failed');
     } finally {
       setSaving(false);
     }
@@ -81,8 +91,7 @@ export default function Profile() {
     const next = e.target.password.value;
     const pwErrors = [];
     if (!current || !next) pwErrors.push('Provide current and new password');
-    if (next.length < 8) pwErrors.push('New password must be at least 8 characters');
-    if (!/\d/.test(next)) pwErrors.push('New password must contain at least one number');
+    else pwErrors.push(...passwordProblems(next));
     if (pwErrors.length) {
       pwErrors.forEach(m => toast.push(m, 'error'));
       return;
@@ -90,17 +99,45 @@ export default function Profile() {
 
     try {
       setSaving(true);
-      await api.post('/api/v1.0/auth/change-password', { currentPassword: current, newPassword: next });
+      await api.post('/auth/change-password', { currentPassword: current, newPassword: next });
       toast.push('Password changed', 'success');
       e.target.reset();
     } catch (err) {
       console.error('Password change failed', err);
-      toast.push(err?.data?.message || err.message || 'Password change failed', 'error');
+      toast.pushError(err, 'Password change failed');
     } finally {
       setSaving(false);
     }
   }
 
+  async function resendVerification() {
+    try {
+      setSendingVerification(true);
+      await api.post('/auth/send-verification-email', { email: profile.email });
+      toast.push(`Verification email sent to ${profile.email}`, 'success');
+    } catch (err) {
+      toast.pushError(err, 'Could not send the verification email');
+    } finally {
+      setSendingVerification(false);
+    }
+  }
+
+  async function copyReference(id) {
+    if (await copyText(id)) toast.push('Reference code copied', 'success', 2000);
+    else toast.push('Could not copy — select the code and copy it manually', 'warn');
+  }
+
+  function clearFailures() {
+    api.clearRecentFailures();
+    setFailures([]);
+  }
+
+  async function signOutEverywhere() {
+    setConfirmSignOut(false);
+    if (await logout({ everywhere: true })) toast.push('Signed out on all devices', 'success');
+    else toast.push('Signed out here, but other devices could not be signed out. Try again after signing in.', 'warn', 8000);
+  }
+
   if (loading) {
     return (
       <div className="min-h-screen bg-gray-50">
@@ -148,6 +185,17 @@ export default function Profile() {
           </SimpleModal>
         )}
 
+        {confirmSignOut && (
+          <SimpleModal title="Sign out everywhere" onClose={() => setConfirmSignOut(false)}>
+            <ConfirmDialog
+              title={null}
+              message="Every browser and device signed in to your account, including this one, will have to sign in again."
+              onConfirm={signOutEverywhere}
+              onCancel={() => setConfirmSignOut(false)}
+            />
+          </SimpleModal>
+        )}
+
         {/* Header */}
         <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between mb-8">
           <div>
@@ -198,7 +246,19 @@ export default function Profile() {
               <div className="flex-1">
                 <div className="mb-4">
                   <h2 className="text-2xl font-bold text-gray-900">{profile.username}</h2>
-                  <p className="text-gray-600">{profile.email}</p>
+                  <div className="flex flex-wrap items-center gap-2">
+                    <p className="text-gray-600">{profile.email}</p>
+                    {profile.isEmailVerified ? (
+                      <span className="inline-flex px-2 py-0.5 text-xs font-medium rounded-full bg-green-100 text-green-800">Verified</span>
+                    ) : (
+                      <>
+                        <span className="inline-flex px-2 py-0.5 text-xs font-medium rounded-full bg-amber-100 text-amber-800">Not verified</span>
+                        <button onClick={resendVerification} disabled={sendingVerification} className="text-sm text-indigo-600 hover:underline disabled:opacity-50">
+                          {sendingVerification ? 'Sending...' : 'Resend verification email'}
+                        </button>
+                      </>
+                    )}
+                  </div>
                 </div>
 
                 <form onSubmit={handleSave}>
@@ -313,9 +373,26 @@ export default function Profile() {
                 </button>
               </div>
             </form>
+
+            <div className="mt-6 pt-6 border-t border-gray-200 flex items-center justify-between gap-4">
+              <div>
+                <h4 className="text-sm font-medium text-gray-900">Sign out everywhere</h4>
+                <p className="text-sm text-gray-600">Ends your session on every browser and device, including this one.</p>
+              </div>
+              <button
+                type="button"
+                onClick={() => setConfirmSignOut(true)}
+                className="px-4 py-2 border border-red-300 rounded-lg text-sm font-medium text-red-700 bg-white hover:bg-red-50"
+              >
+                Sign out everywhere
+              </button>
+            </div>
           </div>
         </div>
 
+        <TwoFactorSettings profile={profile} />
+        <PinSettings profile={profile} />
+
         {/* Additional Info */}
         <div className="grid grid-cols-1 md:grid-cols-2 gap-6 mt-6">
           {/* Wallet */}
@@ -348,6 +425,63 @@ export default function Profile() {
             </div>
           </div>
         </div>
+
+        {/* Diagnostics */}
+        <div className="bg-white rounded-xl shadow-sm border border-gray-200 mt-6">
+          <div className="p-6">
+            <div className="flex items-center justify-between mb-2">
+              <h3 className="text-lg font-semibold text-gray-900">Diagnostics</h3>
+              <div className="flex items-center gap-2">
+                <button
+                  onClick={() => setFailures(api.getRecentFailures())}
+                  className="px-3 py-1.5 border border-gray-300 rounded-lg text-sm text-gray-700 bg-white hover:bg-gray-50"
+                >
+                  Refresh
+                </button>
+                <button
+                  onClick={clearFailures}
+                  disabled={!failures.length}
+                  className="px-3 py-1.5 border border-gray-300 rounded-lg text-sm text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50"
+                >
+                  Clear
+                </button>
+              </div>
+            </div>
+            <p className="text-gray-600 mb-4">Requests that failed in this browser tab. Quote the reference code when reporting a problem.</p>
+
+            {failures.length === 0 ? (
+              <p className="text-sm text-gray-500">No failed requests recorded.</p>
+            ) : (
+              <div className="overflow-x-auto">
+                <table className="min-w-full text-sm">
+                  <thead>
+                    <tr className="text-left text-gray-500 border-b border-gray-200">
+                      <th className="py-2 pr-4 font-medium">Time</th>
+                      <th className="py-2 pr-4 font-medium">Request</th>
+                      <th className="py-2 pr-4 font-medium">Status</th>
+                      <th className="py-2 pr-4 font-medium">Error</th>
+                      <th className="py-2 font-medium">Reference</th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-gray-100">
+                    {failures.map(f => (
+                      <tr key={f.correlationId + f.at} className="align-top">
+                        <td className="py-2 pr-4 whitespace-nowrap text-gray-500">{new Date(f.at).toLocaleTimeString()}</td>
+                        <td className="py-2 pr-4 font-mono text-xs text-gray-700">{f.method} {f.path}</td>
+                        <td className="py-2 pr-4 text-gray-700">{f.status || 'network'}</td>
+                        <td className="py-2 pr-4 text-gray-700">{f.message}</td>
+                        <td className="py-2 whitespace-nowrap">
+                          <code className="font-mono text-xs text-gray-700 select-all">{f.correlationId}</code>
+                          <button onClick={() => copyReference(f.correlationId)} className="ml-2 text-xs text-indigo-600 hover:underline">Copy</button>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </div>
+        </div>
       </div>
     </div>
   );
@@ -0,0 +1,194 @@
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import api, { RateLimitError, ValidationError } from '../api';
+import PasswordStrength from '../components/PasswordStrength';
+import { latestBirthDate, validateRegistration } from '../utils/registration';
+
+const EMPTY = {
+  firstName: '',
+  lastName: '',
+  username: '',
+  email: '',
+  phoneNumber: '',
+  dateOfBirth: '',
+  password: '',
+  confirm: '',
+  acceptTerms: false
+};
+
+const TERMS = [
+  'Station time is charged per started hour at the rate shown on the station.',
+  'Wallet top-ups are spent on station time, food and drinks at this café.',
+  'Food and drink stay away from the equipment; damage is charged to the account.',
+  'Accounts are personal. Do not share your password or sign in for someone else.',
+  'We use your email to verify the account and send receipts. We do not sell your details.'
+];
+
+function Field({ id, label, error, hint, children }) {
+  return (
+    <div>
+      <label htmlFor={id} className="block text-sm font-medium text-gray-700">{label}</label>
+      {children}
+      {hint && !error && <div className="mt-1 text-xs text-gray-500">{hint}</div>}
+      {error && <div className="mt-1 text-sm text-red-600">{error.join(', ')}</div>}
+    </div>
+  );
+}
+
+const inputClass = invalid => `w-full px-3 py-3 text-base rounded border ${invalid ? 'border-red-400' : 'border-gray-300'}`;
+
+// Public self-registration for walk-in customers, sized for the front-desk tablet. The API
+// sends the verification email as soon as the account exists; the confirmation step only
+// offers to send it again.
+export default function Register() {
+  const [form, setForm] = useState(EMPTY);
+  const [errors, setErrors] = useState({});
+  const [error, setError] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [registered, setRegistered] = useState(null);
+
+  function set(field) {
+    return e => {
+      const value = e.target.type === 'checkbox' ? e.target.checked : e.target.value;
+      setForm(f => ({ ...f, [field]: value }));
+      if (errors[field]) setErrors(({ [field]: _, ...rest }) => rest);
+    };
+  }
+
+  async function submit(e) {
+    e.preventDefault();
+    setError(null);
+    const problems = validateRegistration(form);
+    setErrors(problems);
+    if (Object.keys(problems).length) return;
+    setLoading(true);
+    try {
+      const { confirm, ...fields } = form;
+      await api.post('/auth/register', {
+        ...fields,
+        username: form.username.trim(),
+        email: form.email.trim(),
+        firstName: form.firstName.trim(),
+        lastName: form.lastName.trim(),
+        phoneNumber: form.phoneNumber.trim()
+      }, { skipAuthRefresh: true, retries: 0 });
+      setRegistered(form.email.trim());
+    } catch (err) {
+      if (err instanceof ValidationError) {
+        setErrors(err.errors);
+        setError('Check the highlighted fields');
+      } else if (err?.status === 400) {
+        setError(/exists/i.test(err.message || '') ? 'That email or username is already registered. Sign in, or reset the password.' : err.message);
+      } else {
+        setError(err instanceof RateLimitError ? 'Too many sign-ups from this device. Wait a few minutes and try again.' : err?.message || 'Could not create the account');
+      }
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  function startOver() {
+    setForm(EMPTY);
+    setErrors({});
+    setError(null);
+    setRegistered(null);
+  }
+
+  if (registered) return <Registered email={registered} onNext={startOver} />;
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-slate-900 py-8">
+      <div className="w-full max-w-[640px] mx-4 bg-white rounded-lg p-6 shadow-2xl">
+        <h2 className="mt-0 mb-2 text-2xl font-semibold">Create your account</h2>
+        <p className="mt-0 text-gray-600">Register once to book stations, top up your wallet and collect loyalty points.</p>
+        <form onSubmit={submit} noValidate className="mt-4 space-y-4">
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+            <Field id="register-first-name" label="First name" error={errors.firstName}>
+              <input id="register-first-name" value={form.firstName} onChange={set('firstName')} autoComplete="given-name" maxLength={100} className={inputClass(errors.firstName)} />
+            </Field>
+            <Field id="register-last-name" label="Last name" error={errors.lastName}>
+              <input id="register-last-name" value={form.lastName} onChange={set('lastName')} autoComplete="family-name" maxLength={100} className={inputClass(errors.lastName)} />
+            </Field>
+            <Field id="register-username" label="Username" error={errors.username} hint="At least 3 characters">
+              <input id="register-username" value={form.username} onChange={set('username')} autoComplete="username" autoCapitalize="none" maxLength={50} className={inputClass(errors.username)} />
+            </Field>
+            <Field id="register-email" label="Email" error={errors.email}>
+              <input id="register-email" type="email" value={form.email} onChange={set('email')} autoComplete="email" autoCapitalize="none" maxLength={255} className={inputClass(errors.email)} />
+            </Field>
+            <Field id="register-phone" label="Phone (optional)" error={errors.phoneNumber}>
+              <input id="register-phone" type="tel" value={form.phoneNumber} onChange={set('phoneNumber')} autoComplete="tel" maxLength={20} className={inputClass(errors.phoneNumber)} />
+            </Field>
+            <Field id="register-dob" label="Date of birth" error={errors.dateOfBirth}>
+              <input id="register-dob" type="date" value={form.dateOfBirth} onChange={set('dateOfBirth')} autoComplete="bday" min="1900-01-02" max={latestBirthDate()} className={inputClass(errors.dateOfBirth)} />
+            </Field>
+            <Field id="register-password" label="Password" error={errors.password}>
+              <input id="register-password" type="password" value={form.password} onChange={set('password')} autoComplete="new-password" className={inputClass(errors.password)} />
+              <PasswordStrength password={form.password} />
+            </Field>
+            <Field id="register-confirm" label="Confirm password" error={errors.confirm}>
+              <input id="register-confirm" type="password" value={form.confirm} onChange={set('confirm')} autoComplete="new-password" className={inputClass(errors.confirm)} />
+            </Field>
+          </div>
+
+          <div>
+            <div className="text-sm font-medium text-gray-700">Terms and conditions</div>
+            <ul className="mt-1 max-h-32 overflow-y-auto p-3 rounded border border-gray-200 bg-gray-50 text-sm text-gray-600 list-disc list-inside space-y-1">
+              {TERMS.map(term => <li key={term}>{term}</li>)}
+            </ul>
+            <label className="mt-3 flex items-center gap-3 text-base">
+              <input type="checkbox" checked={form.acceptTerms} onChange={set('acceptTerms')} className="w-5 h-5" />
+              I have read and accept the terms and conditions
+            </label>
+            {errors.acceptTerms && <div className="mt-1 text-sm text-red-600">{errors.acceptTerms.join(', ')}</div>}
+          </div>
+
+          {error && <div className="text-red-500">{error}</div>}
+
+          <button type="submit" disabled={loading} className="w-full px-3 py-3 text-base bg-teal-500 text-white rounded hover:bg-teal-600 disabled:opacity-50">
+            {loading ? 'Creating account...' : 'Create account'}
+          </button>
+        </form>
+        <div className="mt-4 text-sm text-center">
+          <Link to="/login" className="text-gray-600 underline">Staff sign in</Link>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+function Registered({ email, onNext }) {
+  const [resend, setResend] = useState(null); // null | 'sending' | 'sent' | error message
+
+  async function sendAgain() {
+    setResend('sending');
+    try {
+      await api.post('/auth/send-verification-email', { email }, { skipAuthRefresh: true, retries: 0 });
+      setResend('sent');
+    } catch (err) {
+      setResend(err instanceof RateLimitError
+        ? 'Too many requests. Wait a few minutes and try again.'
+        : err?.message || 'Could not send the email');
+    }
+  }
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-slate-900">
+      <div className="w-full max-w-[480px] mx-4 bg-white rounded-lg p-6 shadow-2xl">
+        <h2 className="mt-0 mb-2 text-2xl font-semibold">You're registered</h2>
+        <p className="mt-0 text-gray-600">
+          We sent a verification link to <span className="font-medium text-gray-900">{email}</span>. Open it to confirm the address; the link works for 24 hours.
+        </p>
+        {resend === 'sent' && <div className="mt-3 text-sm text-green-700">A new link is on its way.</div>}
+        {resend && resend !== 'sent' && resend !== 'sending' && <div className="mt-3 text-sm text-red-600">{resend}</div>}
+        <div className="mt-4 space-y-3">
+          <button type="button" onClick={onNext} className="w-full px-3 py-3 text-base bg-teal-500 text-white rounded hover:bg-teal-600">
+            Register someone else
+          </button>
+          <button type="button" onClick={sendAgain} disabled={resend === 'sending' || resend === 'sent'} className="w-full px-3 py-3 text-base rounded border border-gray-300 text-gray-700 hover:bg-gray-50 disabled:opacity-50">
+            {resend === 'sending' ? 'Sending...' : 'Resend the verification email'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,84 @@
+import { fireEvent, render, screen } from '@testing-library/react';
+import { MemoryRouter } from 'react-router-dom';
+import api from '../api';
+import { createMockApi } from '../mock/mockApi';
+import Register from './Register';
+
+function renderPage() {
+  render(<MemoryRouter><Register /></MemoryRouter>);
+}
+
+function fill(label, value) {
+  fireEvent.change(screen.getByLabelText(label), { target: { value } });
+}
+
+function fillForm(overrides = {}) {
+  const values = {
+    'First name': 'Jamie',
+    'Last name': 'Rivera',
+    Username: 'jrivera',
+    Email: 'jamie@example.com',
+    'Date of birth': '2001-04-12',
+    Password: 'Walk-in2025!',
+    'Confirm password': 'Walk-in2025!',
+    ...overrides
+  };
+  Object.entries(values).forEach(([label, value]) => fill(label, value));
+}
+
+beforeEach(() => {
+  api.setTransport(createMockApi().fetch);
+});
+
+afterEach(() => {
+  api.setTransport(null);
+  jest.restoreAllMocks();
+});
+
+test('registering sends the verification email and the new account can sign in', async () => {
+  const info = jest.spyOn(console, 'info').mockImplementation(() => { });
+  renderPage();
+  fillForm();
+  fireEvent.click(screen.getByRole('checkbox', { name: /accept the terms/ }));
+  fireEvent.click(screen.getByRole('button', { name: 'Create account' }));
+
+  expect(await screen.findByText("You're registered")).toBeInTheDocument();
+  expect(info.mock.calls[0][0]).toMatch(/\/verify-email\?token=\S+&email=jamie%40example\.com/);
+
+  const res = await api.post('/auth/login', { email: 'jamie@example.com', password: 'Walk-in2025!' }, { skipAuthRefresh: true });
+  expect(res.user).toMatchObject({ role: 'Customer', dateOfBirth: '2001-04-12', isEmailVerified: false });
+});
+
+test('fields are checked before anything is sent', () => {
+  const post = jest.spyOn(api, 'post');
+  renderPage();
+  fillForm({ Username: 'jr', 'Date of birth': '2999-01-01', 'Confirm password': 'Walk-in2026!' });
+  fireEvent.click(screen.getByRole('button', { name: 'Create account' }));
+
+  expect(screen.getByText('Username must be at least 3 characters long')).toBeInTheDocument();
+  expect(screen.getByText('Date of birth must be in the past')).toBeInTheDocument();
+  expect(screen.getByText('The passwords do not match')).toBeInTheDocument();
+  expect(screen.getByText('You must accept the terms and conditions')).toBeInTheDocument();
+  expect(post).not.toHaveBeenCalled();
+});
+
+test('an email that is already registered is reported', async () => {
+  renderPage();
+  fillForm({ Email: 'staff@demo.local' });
+  fireEvent.click(screen.getByRole('checkbox', { name: /accept the terms/ }));
+  fireEvent.click(screen.getByRole('button', { name: 'Create account' }));
+
+  expect(await screen.findByText(/already registered/)).toBeInTheDocument();
+});
+
+test('a password the API would reject is caught here, not after submit', () => {
+  const post = jest.spyOn(api, 'post');
+  renderPage();
+  // '#' is not one of the special characters RegisterRequestValidator accepts
+  fillForm({ Password: 'Walkin2025#', 'Confirm password': 'Walkin2025#' });
+  fireEvent.click(screen.getByRole('checkbox', { name: /accept the terms/ }));
+  fireEvent.click(screen.getByRole('button', { name: 'Create account' }));
+
+  expect(screen.getByText('Password must contain at least one uppercase letter, one lowercase letter, one digit, and one special character')).toBeInTheDocument();
+  expect(post).not.toHaveBeenCalled();
+});
@@ -1,6 +1,12 @@
-import React, { useEffect, useState, useCallback } from 'react';
+import React, { useEffect, useState } from 'react';
 import api from '../api';
 import { useToast } from '../components/ToastProvider';
+import { invalidate, usePagedResource, withQuery } from '../utils/resources';
+import { isQueued, submitOrQueue } from '../utils/offlineQueue';
+
+// ReservationStatus enum values, in order. Responses name the status, but the API binds
+// UpdateReservationStatusRequest.Status from the number.
+const RESERVATION_STATUSES = ['Pending', 'Confirmed', 'InProgress', 'Completed', 'Cancelled', 'NoShow'];
 
 function formatDate(d) {
   if (!d) return '';
@@ -9,61 +15,31 @@ function formatDate(d) {
 }
 
 export default function Reservations() {
-  const [reservations, setReservations] = useState([]);
   const [page, setPage] = useState(1);
   const [pageSize] = useState(10);
-  const [loading, setLoading] = useState(false);
 
   // form
-  const [users, setUsers] = useState([]);
-  const [stations, setStations] = useState([]);
   const [form, setForm] = useState({ userId: '', stationId: '', reservationDate: '', startTime: '', endTime: '', notes: '' });
   const [error, setError] = useState(null);
   const [submitting, setSubmitting] = useState(false);
   const toast = useToast();
 
-  useEffect(() => {
-    fetchLists();
-    fetchReservations();
-  }, []);
-
-  const fetchReservations = useCallback(async () => {
-    setLoading(true);
-    try {
-      const resp = await api.get(`/api/v1.0/reservations?page=${page}&pageSize=${pageSize}`);
-      // support both PagedResponse and direct list
-      if (resp && resp.data) {
-        setReservations(resp.data);
-      } else if (Array.isArray(resp)) {
-        setReservations(resp);
-      } else {
-        setReservations([]);
-      }
-    } catch (err) {
-      setError(err?.message || 'Failed to load reservations');
-      toast?.push(err?.message || 'Failed to load reservations', 'error');
-    } finally {
-      setLoading(false);
-    }
-  }, [page, pageSize, toast]);
+  const reservationsQuery = usePagedResource(withQuery('/reservations', { page, pageSize }));
+  const reservations = reservationsQuery.items;
+  const loading = reservationsQuery.loading;
+  const { items: users, error: usersError } = usePagedResource('/users');
+  const { items: stations, error: stationsError } = usePagedResource('/stations');
 
   useEffect(() => {
-    fetchReservations();
-  }, [fetchReservations]);
+    if (!reservationsQuery.error) return;
+    setError(reservationsQuery.error.message || 'Failed to load reservations');
+    toast?.pushError(reservationsQuery.error, 'Failed to load reservations');
+  }, [reservationsQuery.error, toast]);
 
-  async function fetchLists() {
-    try {
-      const [usersResp, stationsResp] = await Promise.all([
-        api.get('/api/v1.0/users'),
-        api.get('/api/v1.0/stations')
-      ]);
-      setUsers(Array.isArray(usersResp) ? usersResp : usersResp?.data || []);
-      setStations(Array.isArray(stationsResp) ? stationsResp : stationsResp?.data || []);
-    } catch (err) {
-      console.error('Failed to load users/stations', err);
-      toast?.push('Failed to load users or stations', 'error');
-    }
-  }
+  useEffect(() => {
+    const err = usersError || stationsError;
+    if (err) toast?.pushError(err, 'Failed to load users or stations');
+  }, [usersError, stationsError, toast]);
 
   function handleChange(e) {
     const { name, value } = e.target;
@@ -75,31 +51,48 @@ export default function Reservations() {
     setError(null);
     setSubmitting(true);
     try {
-      await api.post('/api/v1.0/reservations', {
-        ...form,
-        userId: Number(form.userId),
-        stationId: Number(form.stationId)
+      const station = stations.find(s => String(s.stationId || s.id) === String(form.stationId));
+      const res = await submitOrQueue({
+        path: '/reservations',
+        body: { ...form, userId: Number(form.userId), stationId: Number(form.stationId) },
+        label: `Reserve ${station?.stationName || station?.name || `station #${form.stationId}`} on ${form.reservationDate}`,
+        invalidates: ['/reservations']
       });
       setForm({ userId: '', stationId: '', reservationDate: '', startTime: '', endTime: '', notes: '' });
-      fetchReservations();
-      toast?.push('Reservation created successfully', 'success');
+      if (isQueued(res)) {
+        toast?.push('Connection lost — the reservation was saved and will sync when it returns', 'warn', 8000);
+      } else {
+        invalidate('/reservations');
+        toast?.push('Reservation created successfully', 'success');
+      }
     } catch (err) {
       setError(err?.data?.message || err?.message || 'Failed to create reservation');
-      toast?.push(err?.data?.message || err?.message || 'Failed to create reservation', 'error');
+      toast?.pushError(err, 'Failed to create reservation');
     } finally {
       setSubmitting(false);
     }
   }
 
+  async function updateReservationStatus(id, status) {
+    try {
+      await api.patch(`/reservations/${id}/status`, { status: RESERVATION_STATUSES.indexOf(status) });
+      invalidate('/reservations');
+      toast?.push(`Reservation marked ${status === 'NoShow' ? 'no-show' : status.toLowerCase()}`, 'success');
+    } catch (err) {
+      setError(err?.data?.message || err?.message || 'Failed to update reservation');
+      toast?.pushError(err, 'Failed to update reservation');
+    }
+  }
+
   async function cancelReservation(id, reservationData) {
     if (!window.confirm(`Cancel reservation for ${reservationData?.username || 'this user'}?`)) return;
     try {
-      await api.post(`/api/v1.0/reservations/${id}/cancel`, { reason: 'Cancelled by admin' });
-      fetchReservations();
+      await api.post(`/reservations/${id}/cancel`, { reason: 'Cancelled by admin' });
+      invalidate('/reservations');
       toast?.push('Reservation cancelled successfully', 'success');
     } catch (err) {
       setError(err?.message || 'Failed to cancel');
-      toast?.push(err?.message || 'Failed to cancel', 'error');
+      toast?.pushError(err, 'Failed to cancel');
     }
   }
 
@@ -312,14 +305,40 @@ export default function Reservations() {
                             </span>
                           </td>
                           <td className="px-6 py-4 whitespace-nowrap text-sm font-medium">
-                            {r.status !== 'Cancelled' && r.status !== 'Completed' && (
-                              <button 
-                                onClick={() => cancelReservation(r.reservationId, r)}
-                                className="text-red-600 hover:text-red-900 transition-colors duration-200"
-                              >
-                                Cancel
-                              </button>
-                            )}
+                            <div className="flex items-center gap-3">
+                              {r.status === 'Pending' && (
+                                <button 
+                                  onClick={() => updateReservationStatus(r.reservationId, 'Confirmed')}
+                                  className="text-green-600 hover:text-green-900 transition-colors duration-200"
+                                >
+                                  Confirm
+                                </button>
+                              )}
+                              {(r.status === 'Confirmed' || r.status === 'InProgress') && (
+                                <button 
+                                  onClick={() => updateReservationStatus(r.reservationId, 'Completed')}
+                                  className="text-blue-600 hover:text-blue-900 transition-colors duration-200"
+                                >
+                                  Complete
+                                </button>
+                              )}
+                              {r.status === 'Confirmed' && (
+                                <button 
+                                  onClick={() => updateReservationStatus(r.reservationId, 'NoShow')}
+                                  className="text-gray-600 hover:text-gray-900 transition-colors duration-200"
+                                >
+                                  No-show
+                                </button>
+                              )}
+                              {r.status !== 'Cancelled' && r.status !== 'Completed' && r.status !== 'NoShow' && (
+                                <button 
+                                  onClick={() => cancelReservation(r.reservationId, r)}
+                                  className="text-red-600 hover:text-red-900 transition-colors duration-200"
+                                >
+                                  Cancel
+                                </button>
+                              )}
+                            </div>
                           </td>
                         </tr>
                       ))}
@@ -0,0 +1,35 @@
+import { fireEvent, render, screen, waitFor } from '@testing-library/react';
+import { MemoryRouter } from 'react-router-dom';
+import api from '../api';
+import { AuthProvider } from '../auth/AuthContext';
+import { ToastProvider } from '../components/ToastProvider';
+import { createMockApi } from '../mock/mockApi';
+import { DEMO_PASSWORD } from '../mock/seed';
+import { clearResources } from '../utils/resources';
+import Reservations from './Reservations';
+
+let mock;
+
+beforeEach(async () => {
+  clearResources();
+  mock = createMockApi();
+  api.setTransport(mock.fetch);
+  const session = await api.post('/auth/login', { email: 'admin@demo.local', password: DEMO_PASSWORD }, { skipAuthRefresh: true });
+  api.beginSession({ ...session.user, token: session.accessToken, refreshToken: session.refreshToken });
+});
+
+afterEach(() => {
+  api.setTransport(null);
+  api.clearSession();
+  jest.restoreAllMocks();
+});
+
+test('confirming a reservation sends the ReservationStatus number the API binds', async () => {
+  const patch = jest.spyOn(api, 'patch');
+  render(<MemoryRouter><AuthProvider><ToastProvider><Reservations /></ToastProvider></AuthProvider></MemoryRouter>);
+
+  fireEvent.click((await screen.findAllByRole('button', { name: 'Confirm' }))[0]);
+
+  await waitFor(() => expect(mock.db.reservations[1].status).toBe('Confirmed'));
+  expect(patch).toHaveBeenCalledWith('/reservations/2/status', { status: 1 });
+});
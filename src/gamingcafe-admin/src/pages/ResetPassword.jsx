@@ -0,0 +1,118 @@
+import React, { useState } from 'react';
+import { Link, useNavigate, useSearchParams } from 'react-router-dom';
+import api from '../api';
+import PasswordStrength from '../components/PasswordStrength';
+import { useToast } from '../components/ToastProvider';
+import { checkPassword } from '../utils/passwordPolicy';
+
+// Landing page for the link in the password-reset email: /reset-password?token=...&email=...
+export default function ResetPassword() {
+  const [params] = useSearchParams();
+  const token = params.get('token') || '';
+  const [email, setEmail] = useState(params.get('email') || '');
+  const [password, setPassword] = useState('');
+  const [confirm, setConfirm] = useState('');
+  const [error, setError] = useState(null);
+  const [expired, setExpired] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const nav = useNavigate();
+  const toast = useToast();
+
+  const { valid } = checkPassword(password);
+  const mismatch = confirm.length > 0 && confirm !== password;
+
+  async function submit(e) {
+    e.preventDefault();
+    setError(null);
+    if (!email.trim()) return setError('Enter the email address the link was sent to');
+    if (!valid) return setError('Choose a password that meets every rule below');
+    if (password !== confirm) return setError('The passwords do not match');
+    setLoading(true);
+    try {
+      await api.post('/auth/reset-password', { email: email.trim(), token, newPassword: password }, { skipAuthRefresh: true, retries: 0 });
+      toast.push('Password changed — sign in with your new password', 'success');
+      nav('/login', { replace: true });
+    } catch (err) {
+      // The API gives the same 400 for a wrong, used or expired token
+      if (err?.status === 400 && /token/i.test(err.message || '')) setExpired(true);
+      else setError(err?.message || 'Could not reset the password');
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  if (!token || expired) {
+    return (
+      <div className="min-h-screen flex items-center justify-center bg-slate-900">
+        <div className="w-[420px] bg-white rounded-lg p-6 shadow-2xl">
+          <h2 className="mt-0 mb-2 text-2xl font-semibold">Reset link not valid</h2>
+          <p className="mt-0 text-gray-600">
+            {token
+              ? 'This reset link has expired or has already been used. Links work once, for one hour.'
+              : 'This page needs the link from your password-reset email.'}
+          </p>
+          <div className="mt-4 flex items-center justify-between text-sm">
+            <Link to="/forgot-password" className="text-sky-600 underline">Request a new link</Link>
+            <Link to="/login" className="text-gray-600 underline">Back to sign in</Link>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-slate-900">
+      <div className="w-[420px] bg-white rounded-lg p-6 shadow-2xl">
+        <h2 className="mt-0 mb-2 text-2xl font-semibold">Choose a new password</h2>
+        <p className="mt-0 text-gray-600">Changing it signs you out on every other device.</p>
+        <form onSubmit={submit}>
+          <div className="mt-3">
+            <label htmlFor="reset-email" className="block text-sm">Email</label>
+            <input
+              id="reset-email"
+              type="email"
+              value={email}
+              onChange={e => setEmail(e.target.value)}
+              readOnly={Boolean(params.get('email'))}
+              autoComplete="username"
+              className="w-full px-3 py-2 rounded border border-gray-300 read-only:bg-gray-50 read-only:text-gray-600"
+            />
+          </div>
+          <div className="mt-3">
+            <label htmlFor="reset-password" className="block text-sm">New password</label>
+            <input
+              id="reset-password"
+              type="password"
+              value={password}
+              onChange={e => setPassword(e.target.value)}
+              autoComplete="new-password"
+              autoFocus
+              className="w-full px-3 py-2 rounded border border-gray-300"
+            />
+            <PasswordStrength password={password} />
+          </div>
+          <div className="mt-3">
+            <label htmlFor="reset-confirm" className="block text-sm">Confirm new password</label>
+            <input
+              id="reset-confirm"
+              type="password"
+              value={confirm}
+              onChange={e => setConfirm(e.target.value)}
+              autoComplete="new-password"
+              className={`w-full px-3 py-2 rounded border ${mismatch ? 'border-red-400' : 'border-gray-300'}`}
+            />
+            {mismatch && <div className="mt-1 text-xs text-red-600">The passwords do not match</div>}
+          </div>
+
+          {error && <div className="text-red-500 mt-3">{error}</div>}
+
+          <div className="mt-4">
+            <button type="submit" disabled={loading || !valid || confirm !== password} className="w-full px-3 py-2 bg-teal-500 text-white rounded hover:bg-teal-600 disabled:opacity-50">
+              {loading ? 'Saving...' : 'Set new password'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,63 @@
+import { fireEvent, render, screen } from '@testing-library/react';
+import { MemoryRouter, Route, Routes } from 'react-router-dom';
+import api from '../api';
+import { ToastProvider } from '../components/ToastProvider';
+import { createMockApi } from '../mock/mockApi';
+import ResetPassword from './ResetPassword';
+
+function renderAt(url) {
+  render(
+    <MemoryRouter initialEntries={[url]}>
+      <ToastProvider>
+        <Routes>
+          <Route path="/reset-password" element={<ResetPassword />} />
+          <Route path="/login" element={<div>Login page</div>} />
+        </Routes>
+      </ToastProvider>
+    </MemoryRouter>
+  );
+}
+
+function choosePassword(password) {
+  fireEvent.change(screen.getByLabelText('New password'), { target: { value: password } });
+  fireEvent.change(screen.getByLabelText('Confirm new password'), { target: { value: password } });
+}
+
+beforeEach(() => {
+  api.setTransport(createMockApi().fetch);
+});
+
+afterEach(() => {
+  api.setTransport(null);
+  jest.restoreAllMocks();
+});
+
+test('the emailed link sets a new password that works for sign-in', async () => {
+  const info = jest.spyOn(console, 'info').mockImplementation(() => { });
+  await api.post('/auth/forgot-password', { email: 'staff@demo.local' });
+  const link = info.mock.calls[0][0].match(/\/reset-password\?\S+/)[0];
+
+  renderAt(link);
+  expect(screen.getByLabelText('Email')).toHaveValue('staff@demo.local');
+
+  choosePassword('password1');
+  expect(screen.getByRole('button', { name: 'Set new password' })).toBeDisabled();
+  expect(screen.getByText('Strength: Fair')).toBeInTheDocument();
+
+  choosePassword('N3w-password!');
+  fireEvent.click(screen.getByRole('button', { name: 'Set new password' }));
+
+  await screen.findByText('Login page');
+  await expect(api.post('/auth/login', { email: 'staff@demo.local', password: 'N3w-password!' }, { skipAuthRefresh: true }))
+    .resolves.toHaveProperty('accessToken');
+});
+
+test('an unknown or used token offers a new link', async () => {
+  renderAt('/reset-password?token=nope&email=staff%40demo.local');
+
+  choosePassword('N3w-password!');
+  fireEvent.click(screen.getByRole('button', { name: 'Set new password' }));
+
+  expect(await screen.findByText('Reset link not valid')).toBeInTheDocument();
+  expect(screen.getByRole('link', { name: 'Request a new link' })).toHaveAttribute('href', '/forgot-password');
+});
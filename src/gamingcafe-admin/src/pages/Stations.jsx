@@ -1,53 +1,45 @@
-import React, { useEffect, useState, useCallback } from 'react';
+import React, { useState } from 'react';
 import api from '../api';
 import { useToast } from '../components/ToastProvider';
 import SimpleModal from '../components/SimpleModal';
 import StationForm from '../components/StationForm';
 import ConfirmDialog from '../components/ConfirmDialog';
+import { useFormErrors } from '../utils/formErrors';
+import { invalidate, mapItems, mutate, usePagedResource, withQuery } from '../utils/resources';
+import { usePermission } from '../utils/security';
 
 export default function Stations() {
-  const [stations, setStations] = useState([]);
-  const [loading, setLoading] = useState(false);
-  const [error, setError] = useState(null);
   const [page, setPage] = useState(1);
   const [pageSize] = useState(25);
-  const [totalCount, setTotalCount] = useState(0);
   const [showModal, setShowModal] = useState(false);
   const [editing, setEditing] = useState(null);
   const [confirm, setConfirm] = useState(null);
   const toast = useToast();
+  const formErrors = useFormErrors();
+  const can = usePermission();
 
-  const fetchStations = useCallback(async (p = 1) => {
-    setLoading(true); setError(null);
-    try {
-      const res = await api.get(`/api/v1.0/stations?page=${p}&pageSize=${pageSize}`);
-      const list = res?.data || res?.Data || res || [];
-      setStations(list);
-      setTotalCount(res?.totalCount ?? res?.TotalCount ?? list.length);
-    } catch (err) {
-      setError(err?.data?.message || err.message || 'Failed to load stations');
-    } finally { setLoading(false); }
-  }, [pageSize]);
+  const listPath = withQuery('/stations', { page, pageSize });
+  const { items: stations, totalCount, loading, error: loadError } = usePagedResource(listPath);
+  const error = loadError && (loadError.message || 'Failed to load stations');
 
-  useEffect(() => { fetchStations(page); }, [fetchStations, page]);
-
-  function openCreate() { setEditing(null); setShowModal(true); }
-  function openEdit(s) { setEditing(s); setShowModal(true); }
+  function openCreate() { formErrors.clear(); setEditing(null); setShowModal(true); }
+  function openEdit(s) { formErrors.clear(); setEditing(s); setShowModal(true); }
 
   async function handleSave(payload) {
     try {
       if (editing && (editing.stationId || editing.StationId)) {
         const id = editing.stationId ?? editing.StationId;
-        await api.put(`/api/v1.0/stations/${id}`, payload);
+        await api.put(`/stations/${id}`, payload);
         toast.push('Station updated', 'success');
       } else {
-        await api.post('/api/v1.0/stations', payload);
+        await api.post('/stations', payload);
         toast.push('Station created', 'success');
       }
       setShowModal(false);
-      fetchStations(page);
+      invalidate('/stations');
     } catch (err) {
-      toast.push(err?.data?.message || err.message || 'Failed to save station', 'error');
+      if (formErrors.capture(err)) toast.push('Please fix the highlighted fields', 'error');
+      else toast.pushError(err, 'Failed to save station');
     }
   }
 
@@ -56,12 +48,12 @@ export default function Stations() {
   async function doDelete(s) {
     try {
       const id = s.stationId ?? s.StationId;
-      await api.del(`/api/v1.0/stations/${id}`);
+      await api.del(`/stations/${id}`);
       setConfirm(null);
       toast.push('Station deleted', 'success');
-      fetchStations(page);
+      invalidate('/stations');
     } catch (err) {
-      toast.push(err?.data?.message || err.message || 'Failed to delete station', 'error');
+      toast.pushError(err, 'Failed to delete station');
     }
   }
 
@@ -69,13 +61,13 @@ export default function Stations() {
     try {
       const id = s.stationId ?? s.StationId;
       // optimistic UI
-      setStations(prev => prev.map(x => x.stationId === id || x.StationId === id ? { ...x, isAvailable: !x.isAvailable } : x));
-      await api.post(`/api/v1.0/stations/${id}/toggle-availability`);
+      mutate(listPath, res => mapItems(res, x => x.stationId === id || x.StationId === id ? { ...x, isAvailable: !x.isAvailable } : x));
+      await api.post(`/stations/${id}/toggle-availability`);
       toast.push('Station availability updated', 'success');
-      fetchStations(page);
+      invalidate('/stations');
     } catch (err) {
-      toast.push(err?.data?.message || err.message || 'Failed to update availability', 'error');
-      fetchStations(page);
+      toast.pushError(err, 'Failed to update availability');
+      invalidate('/stations');
     }
   }
 
@@ -92,15 +84,17 @@ export default function Stations() {
             <p className="text-gray-600">Manage PC/Console stations, pricing, and availability</p>
           </div>
           <div className="mt-4 sm:mt-0">
-            <button 
-              className="inline-flex items-center px-4 py-2 bg-indigo-600 hover:bg-indigo-700 text-white text-sm font-medium rounded-lg shadow-sm transition-colors duration-200 gap-2"
-              onClick={openCreate}
-            >
-              <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 6v6m0 0v6m0-6h6m-6 0H6" />
-              </svg>
-              Create Station
-            </button>
+            {can('stations:write') && (
+              <button 
+                className="inline-flex items-center px-4 py-2 bg-indigo-600 hover:bg-indigo-700 text-white text-sm font-medium rounded-lg shadow-sm transition-colors duration-200 gap-2"
+                onClick={openCreate}
+              >
+                <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 6v6m0 0v6m0-6h6m-6 0H6" />
+                </svg>
+                Create Station
+              </button>
+            )}
           </div>
         </div>
 
@@ -198,26 +192,32 @@ export default function Stations() {
                         </td>
                         <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium">
                           <div className="flex items-center justify-end gap-2">
-                            <button 
-                              className="text-indigo-600 hover:text-indigo-700 font-medium transition-colors duration-200"
-                              onClick={() => openEdit(s)}
-                            >
-                              Edit
-                            </button>
-                            <button 
-                              className={`font-medium transition-colors duration-200 ${
-                                s.isAvailable ? 'text-amber-600 hover:text-amber-700' : 'text-green-600 hover:text-green-700'
-                              }`}
-                              onClick={() => toggleAvailability(s)}
-                            >
-                              {s.isAvailable ? 'Mark In Use' : 'Mark Available'}
-                            </button>
-                            <button 
-                              className="text-red-600 hover:text-red-700 font-medium transition-colors duration-200"
-                              onClick={() => askDelete(s)}
-                            >
-                              Delete
-                            </button>
+                            {can('stations:write') && (
+                              <button 
+                                className="text-indigo-600 hover:text-indigo-700 font-medium transition-colors duration-200"
+                                onClick={() => openEdit(s)}
+                              >
+                                Edit
+                              </button>
+                            )}
+                            {can('stations:write') && (
+                              <button 
+                                className={`font-medium transition-colors duration-200 ${
+                                  s.isAvailable ? 'text-amber-600 hover:text-amber-700' : 'text-green-600 hover:text-green-700'
+                                }`}
+                                onClick={() => toggleAvailability(s)}
+                              >
+                                {s.isAvailable ? 'Mark In Use' : 'Mark Available'}
+                              </button>
+                            )}
+                            {can('stations:delete') && (
+                              <button 
+                                className="text-red-600 hover:text-red-700 font-medium transition-colors duration-200"
+                                onClick={() => askDelete(s)}
+                              >
+                                Delete
+                              </button>
+                            )}
                           </div>
                         </td>
                       </tr>
@@ -259,7 +259,7 @@ export default function Stations() {
         {/* Modals */}
         {showModal && (
           <SimpleModal title={editing ? 'Edit Station' : 'Create Station'} onClose={() => setShowModal(false)}>
-            <StationForm initial={editing ?? {}} onCancel={() => setShowModal(false)} onSubmit={handleSave} />
+            <StationForm initial={editing ?? {}} onCancel={() => setShowModal(false)} onSubmit={handleSave} errors={formErrors.errors} />
           </SimpleModal>
         )}
         
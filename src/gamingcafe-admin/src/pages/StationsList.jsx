@@ -11,7 +11,7 @@ export default function StationsList() {
   async function fetchStations() {
     setLoading(true); setError(null);
     try {
-      const res = await api.get('/api/v1.0/stations');
+      const res = await api.get('/stations');
       setStations(res || []);
     } catch (err) {
       setError(err?.data?.message || err.message || 'Failed to load stations');
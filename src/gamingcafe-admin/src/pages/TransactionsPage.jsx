@@ -6,7 +6,10 @@ import PagedList from '../components/PagedList';
 import ConfirmDialog from '../components/ConfirmDialog';
 import { useToast } from '../components/ToastProvider';
 import LoadingSpinner from '../components/LoadingSpinner';
-import { useHasRole } from '../utils/security';
+import { usePermission } from '../utils/security';
+import { useIdempotencyKey } from '../utils/idempotency';
+import { useFormErrors } from '../utils/formErrors';
+import { invalidate } from '../utils/resources';
 
 export default function TransactionsPage() {
   const [data, setData] = useState([]);
@@ -15,21 +18,23 @@ export default function TransactionsPage() {
   const [totalCount, setTotalCount] = useState(0);
   const [loading, setLoading] = useState(false);
   const toast = useToast();
-  const hasRole = useHasRole();
+  const formErrors = useFormErrors();
+  const can = usePermission();
   const [showModal, setShowModal] = useState(false);
   const [editing, setEditing] = useState(null);
   const [confirm, setConfirm] = useState(null);
+  const createKey = useIdempotencyKey();
 
   const fetch = useCallback(async (p = 1) => {
     setLoading(true);
     try {
-      const res = await api.get(`/api/v1.0/transactions?page=${p}&pageSize=${pageSize}`);
+      const res = await api.get(`/transactions?page=${p}&pageSize=${pageSize}`);
       const paged = res || res?.data || res?.Data || res;
       setData(paged?.data ?? paged?.Data ?? paged ?? []);
       setPage(paged?.page ?? p);
       setTotalCount(paged?.totalCount ?? paged?.TotalCount ?? (paged?.data?.length ?? paged?.length ?? 0));
     } catch (err) {
-  toast.push(err?.data?.message || err.message || 'Failed to load transactions', 'error');
+  toast.pushError(err, 'Failed to load transactions');
     } finally { setLoading(false); }
   }, [pageSize, toast]);
 
@@ -46,31 +51,37 @@ export default function TransactionsPage() {
     };
   }, [fetch, page]);
 
-  function openCreate() { setEditing(null); setShowModal(true); }
-  function openEdit(t) { setEditing(t); setShowModal(true); }
+  function openCreate() { createKey.reset(); formErrors.clear(); setEditing(null); setShowModal(true); }
+  function openEdit(t) { formErrors.clear(); setEditing(t); setShowModal(true); }
   function askDelete(t) { setConfirm(t); }
 
   async function handleSave(payload) {
     try {
       if (editing && (editing.transactionId || editing.transactionId === 0)) {
-        await api.put(`/api/v1.0/transactions/${editing.transactionId}`, payload);
+        await api.put(`/transactions/${editing.transactionId}`, payload);
       } else {
-        await api.post('/api/v1.0/transactions', payload);
+        const res = await api.post('/transactions', payload, { idempotencyKey: createKey.current() });
+        createKey.settle();
+        if (api.isReplayed(res)) toast.push('This transaction was already recorded — no duplicate was created', 'warn', 8000);
       }
       setShowModal(false);
       fetch(page);
+      invalidate('/transactions', '/wallet');
     } catch (err) {
-  toast.push(err?.data?.message || err.message || 'Save failed', 'error');
+      createKey.settle(err);
+      if (formErrors.capture(err)) toast.push('Please fix the highlighted fields', 'error');
+      else toast.pushError(err, 'Save failed');
     }
   }
 
   async function doDelete(t) {
     try {
-      await api.del(`/api/v1.0/transactions/${t.transactionId}`);
+      await api.del(`/transactions/${t.transactionId}`);
       setConfirm(null);
       fetch(page);
+      invalidate('/transactions', '/wallet');
     } catch (err) {
-  toast.push(err?.data?.message || err.message || 'Delete failed', 'error');
+  toast.pushError(err, 'Delete failed');
     }
   }
 
@@ -84,7 +95,7 @@ export default function TransactionsPage() {
             <p className="text-gray-600">Manage financial transactions and payment records</p>
           </div>
           <div className="mt-4 sm:mt-0">
-            {hasRole('Staff') || hasRole('Admin') ? (
+            {can('txn:create') ? (
               <button 
                 onClick={openCreate}
                 className="inline-flex items-center px-4 py-2 bg-indigo-600 hover:bg-indigo-700 text-white text-sm font-medium rounded-lg shadow-sm transition-colors duration-200 gap-2"
@@ -159,7 +170,7 @@ export default function TransactionsPage() {
                   {new Date(t.transactionDate).toLocaleString()}
                 </td>
                 <td className="px-6 py-4 whitespace-nowrap text-right text-sm">
-                  {hasRole('Staff') || hasRole('Admin') ? (
+                  {can('txn:create') ? (
                     <div className="flex items-center justify-end gap-2">
                       <button 
                         onClick={() => openEdit(t)}
@@ -186,7 +197,7 @@ export default function TransactionsPage() {
 
       {showModal && (
         <SimpleModal title={editing ? 'Edit transaction' : 'Create transaction'} onClose={() => setShowModal(false)}>
-          <TransactionForm initial={editing ?? {}} onCancel={() => setShowModal(false)} onSubmit={handleSave} />
+          <TransactionForm initial={editing ?? {}} onCancel={() => setShowModal(false)} onSubmit={handleSave} errors={formErrors.errors} />
         </SimpleModal>
       )}
 
@@ -1,95 +1,104 @@
-import React, { useEffect, useState, useCallback, useRef } from 'react';
-import api from '../api';
+import React, { useEffect, useState } from 'react';
+import api, { ForbiddenError } from '../api';
 import { useToast } from '../components/ToastProvider';
 import SimpleModal from '../components/SimpleModal';
 import UserForm from '../components/UserForm';
+import UserSessions from '../components/UserSessions';
 import ConfirmDialog from '../components/ConfirmDialog';
+import { useFormErrors } from '../utils/formErrors';
+import { invalidate, useDebouncedValue, usePagedResource, withQuery } from '../utils/resources';
+import { usePermission } from '../utils/security';
+import Forbidden from './Forbidden';
 
 export default function Users() {
-  const [users, setUsers] = useState([]);
-  const [loading, setLoading] = useState(false);
-  const [error, setError] = useState(null);
   const [page, setPage] = useState(1);
   const [pageSize] = useState(25);
-  const [totalCount, setTotalCount] = useState(0);
   const [showModal, setShowModal] = useState(false);
   const [editingUser, setEditingUser] = useState(null);
+  const [tab, setTab] = useState('details');
   const [confirm, setConfirm] = useState(null);
-  const [filters, setFilters] = useState({ search: '' });
-  const [debouncedSearch, setDebouncedSearch] = useState('');
-  const searchTimeoutRef = useRef(null);
+  const [filters, setFilters] = useState({ search: '', verified: '' });
+  const [sendingVerification, setSendingVerification] = useState(null);
+  const debouncedSearch = useDebouncedValue(filters.search || '', 500);
   const toast = useToast();
+  const formErrors = useFormErrors();
+  const can = usePermission();
 
-  const fetchUsers = useCallback(async (p = 1, q = '') => {
-    setLoading(true);
-    setError(null);
-    try {
-      const qs = `?page=${p}&pageSize=${pageSize}` + (q ? `&searchTerm=${encodeURIComponent(q)}` : '');
-      const res = await api.get(`/api/v1.0/users${qs}`);
-      const list = res?.data ?? res ?? [];
-      setUsers(list);
-      setTotalCount(res?.totalCount ?? res?.total ?? list.length);
-    } catch (err) {
-      setError(err?.data?.message || err.message || 'Failed to load users');
-    } finally {
-      setLoading(false);
-    }
-  }, [pageSize]);
-
-  useEffect(() => { 
-    // Load users when page or debouncedSearch change
-    fetchUsers(page, debouncedSearch);
-    // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [fetchUsers, page, debouncedSearch]);
+  const { items: users, totalCount, loading, error: loadError } = usePagedResource(
+    withQuery('/users', { page, pageSize, searchTerm: debouncedSearch, isEmailVerified: filters.verified })
+  );
+  const error = loadError && (loadError.message || 'Failed to load users');
 
-  // Debounce filters.search into debouncedSearch
-  useEffect(() => {
-    if (searchTimeoutRef.current) clearTimeout(searchTimeoutRef.current);
-    searchTimeoutRef.current = setTimeout(() => {
-      setDebouncedSearch(filters.search || '');
-      setPage(1); // Reset to page 1 when searching
-    }, 500);
-    return () => { if (searchTimeoutRef.current) clearTimeout(searchTimeoutRef.current); };
-  }, [filters.search]);
+  // Reset to page 1 when the search or filter changes
+  useEffect(() => { setPage(1); }, [debouncedSearch, filters.verified]);
 
-  function openCreate() { setEditingUser(null); setShowModal(true); }
-  function openEdit(u) { setEditingUser(u); setShowModal(true); }
+  function openCreate() { formErrors.clear(); setEditingUser(null); setTab('details'); setShowModal(true); }
+  function openEdit(u, initialTab = 'details') { formErrors.clear(); setEditingUser(u); setTab(initialTab); setShowModal(true); }
 
   async function handleSave(payload) {
     try {
       if (editingUser && (editingUser.userId || editingUser.UserId)) {
         const id = editingUser.userId ?? editingUser.UserId;
-        await api.put(`/api/v1.0/users/${id}`, payload);
+        await api.put(`/users/${id}`, payload);
         toast?.push('User updated', 'success');
       } else {
-        await api.post('/api/v1.0/users', payload);
+        await api.post('/users', payload);
         toast?.push('User created', 'success');
       }
       setShowModal(false);
-      fetchUsers(page, filters.search ?? debouncedSearch ?? '');
+      invalidate('/users');
     } catch (err) {
-      toast?.push(err?.data?.message || err.message || 'Failed to save user', 'error');
+      if (formErrors.capture(err)) toast?.push('Please fix the highlighted fields', 'error');
+      else toast?.pushError(err, 'Failed to save user');
       throw err;
     }
   }
 
   function askDelete(u) { setConfirm(u); }
 
+  async function toggleActive(u) {
+    const id = u.userId ?? u.UserId;
+    const active = u.isActive ?? u.IsActive ?? true;
+    try {
+      await api.patch(`/users/${id}/${active ? 'deactivate' : 'activate'}`);
+      toast?.push(active ? 'User deactivated' : 'User activated', 'success');
+      invalidate('/users');
+    } catch (err) {
+      toast?.pushError(err, 'Failed to update user status');
+    }
+  }
+
+  async function resendVerification(u) {
+    const id = u.userId ?? u.UserId;
+    const email = u.email ?? u.Email;
+    setSendingVerification(id);
+    try {
+      await api.post('/auth/send-verification-email', { email });
+      toast?.push(`Verification email sent to ${email}`, 'success');
+    } catch (err) {
+      toast?.pushError(err, 'Failed to send verification email');
+    } finally {
+      setSendingVerification(null);
+    }
+  }
+
   async function doDelete(u) {
     try {
       const id = u.userId ?? u.UserId;
-      await api.del(`/api/v1.0/users/${id}`);
+      await api.del(`/users/${id}`);
       setConfirm(null);
       toast?.push('User deleted', 'success');
-      fetchUsers(page, filters.search ?? debouncedSearch ?? '');
+      invalidate('/users');
     } catch (err) {
-      toast?.push(err?.data?.message || err.message || 'Failed to delete user', 'error');
+      toast?.pushError(err, 'Failed to delete user');
     }
   }
 
   function nextPage() { if (page * pageSize < totalCount) setPage(prev => prev + 1); }
   function prevPage() { if (page > 1) setPage(prev => prev - 1); }
 
+  if (loadError instanceof ForbiddenError) return <Forbidden />;
+
   return (
     <div className="min-h-screen bg-gray-50">
       <div className="max-w-7xl mx-auto px-6 py-8">
@@ -99,17 +108,19 @@ export default function Users() {
             <h1 className="text-3xl font-bold text-gray-900 mb-2">Users</h1>
             <p className="text-gray-600">Manage user accounts, wallets and profiles</p>
           </div>
-          <div className="mt-4 sm:mt-0">
-            <button 
-              className="inline-flex items-center px-4 py-2 bg-indigo-600 hover:bg-indigo-700 text-white text-sm font-medium rounded-lg shadow-sm transition-colors duration-200 gap-2"
-              onClick={openCreate}
-            >
-              <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 6v6m0 0v6m0-6h6m-6 0H6" />
-              </svg>
-              Create User
-            </button>
-          </div>
+          {can('users:write') && (
+            <div className="mt-4 sm:mt-0">
+              <button 
+                className="inline-flex items-center px-4 py-2 bg-indigo-600 hover:bg-indigo-700 text-white text-sm font-medium rounded-lg shadow-sm transition-colors duration-200 gap-2"
+                onClick={openCreate}
+              >
+                <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 6v6m0 0v6m0-6h6m-6 0H6" />
+                </svg>
+                Create User
+              </button>
+            </div>
+          )}
         </div>
 
         {/* Search & Filters */}
@@ -128,6 +139,16 @@ export default function Users() {
                   className="block w-full pl-10 pr-3 py-2 border border-gray-300 rounded-lg leading-5 bg-white placeholder-gray-500 focus:outline-none focus:placeholder-gray-400 focus:ring-1 focus:ring-indigo-500 focus:border-indigo-500"
                 />
               </div>
+              <select
+                value={filters.verified}
+                onChange={e => setFilters(prev => ({ ...prev, verified: e.target.value }))}
+                aria-label="Email verification"
+                className="px-3 py-2 border border-gray-300 rounded-lg bg-white text-sm text-gray-700 focus:outline-none focus:ring-1 focus:ring-indigo-500 focus:border-indigo-500"
+              >
+                <option value="">All emails</option>
+                <option value="true">Verified</option>
+                <option value="false">Unverified</option>
+              </select>
           </div>
         </div>
 
@@ -199,10 +220,20 @@ export default function Users() {
                             </div>
                             <div className="ml-3">
                               <div className="text-sm font-medium text-gray-900">{u.username ?? u.Username}</div>
+                              {(u.isActive ?? u.IsActive) === false && (
+                                <span className="inline-flex px-1.5 py-0.5 text-xs font-medium rounded bg-red-100 text-red-700">Inactive</span>
+                              )}
                             </div>
                           </div>
                         </td>
-                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{u.email ?? u.Email}</td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                          <div>{u.email ?? u.Email}</div>
+                          {(u.isEmailVerified ?? u.IsEmailVerified) ? (
+                            <span className="inline-flex px-1.5 py-0.5 text-xs font-medium rounded bg-green-100 text-green-700">Verified</span>
+                          ) : (
+                            <span className="inline-flex px-1.5 py-0.5 text-xs font-medium rounded bg-amber-100 text-amber-800">Unverified</span>
+                          )}
+                        </td>
                         <td className="px-6 py-4 whitespace-nowrap">
                           <span className={`inline-flex px-2 py-1 text-xs font-semibold rounded-full ${
                             (u.role ?? u.Role) === 'admin' ? 'bg-purple-100 text-purple-800' : 
@@ -217,18 +248,47 @@ export default function Users() {
                         </td>
                         <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium">
                           <div className="flex items-center justify-end gap-2">
-                            <button 
-                              className="text-indigo-600 hover:text-indigo-700 font-medium transition-colors duration-200"
-                              onClick={() => openEdit(u)}
-                            >
-                              Edit
-                            </button>
-                            <button 
-                              className="text-red-600 hover:text-red-700 font-medium transition-colors duration-200"
-                              onClick={() => askDelete(u)}
-                            >
-                              Delete
-                            </button>
+                            {!(u.isEmailVerified ?? u.IsEmailVerified) && (u.email ?? u.Email) && (
+                              <button
+                                className="text-sky-600 hover:text-sky-700 font-medium transition-colors duration-200 disabled:opacity-50"
+                                onClick={() => resendVerification(u)}
+                                disabled={sendingVerification === (u.userId ?? u.UserId)}
+                              >
+                                Resend verification
+                              </button>
+                            )}
+                            {can('users:write') && (
+                              <>
+                                <button 
+                                  className="text-indigo-600 hover:text-indigo-700 font-medium transition-colors duration-200"
+                                  onClick={() => openEdit(u)}
+                                >
+                                  Edit
+                                </button>
+                                <button 
+                                  className="text-amber-600 hover:text-amber-700 font-medium transition-colors duration-200"
+                                  onClick={() => toggleActive(u)}
+                                >
+                                  {(u.isActive ?? u.IsActive ?? true) ? 'Deactivate' : 'Activate'}
+                                </button>
+                              </>
+                            )}
+                            {can('users:sessions') && (
+                              <button
+                                className="text-gray-600 hover:text-gray-700 font-medium transition-colors duration-200"
+                                onClick={() => openEdit(u, 'sessions')}
+                              >
+                                Sessions
+                              </button>
+                            )}
+                            {can('users:delete') && (
+                              <button 
+                                className="text-red-600 hover:text-red-700 font-medium transition-colors duration-200"
+                                onClick={() => askDelete(u)}
+                              >
+                                Delete
+                              </button>
+                            )}
                           </div>
                         </td>
                       </tr>
@@ -270,7 +330,27 @@ export default function Users() {
         {/* Modals */}
         {showModal && (
           <SimpleModal title={editingUser ? 'Edit User' : 'Create User'} onClose={() => setShowModal(false)}>
-            <UserForm initial={editingUser ?? {}} onCancel={() => setShowModal(false)} onSubmit={handleSave} />
+            {editingUser && can('users:sessions') && (
+              <div role="tablist" className="flex gap-6 border-b border-gray-200 mb-6 -mt-2">
+                {[['details', 'Details'], ['sessions', 'Sessions']].map(([key, label]) => (
+                  <button
+                    key={key}
+                    type="button"
+                    role="tab"
+                    aria-selected={tab === key}
+                    onClick={() => setTab(key)}
+                    className={`pb-2 text-sm font-medium border-b-2 -mb-px ${tab === key ? 'border-indigo-600 text-indigo-600' : 'border-transparent text-gray-500 hover:text-gray-700'}`}
+                  >
+                    {label}
+                  </button>
+                ))}
+              </div>
+            )}
+            {editingUser && tab === 'sessions' && can('users:sessions') ? (
+              <UserSessions user={editingUser} />
+            ) : (
+              <UserForm initial={editingUser ?? {}} onCancel={() => setShowModal(false)} onSubmit={handleSave} errors={formErrors.errors} />
+            )}
           </SimpleModal>
         )}
         
@@ -0,0 +1,94 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import api, { RateLimitError } from '../api';
+
+// Landing page for the link in the verification email: /verify-email?token=...&email=...
+export default function VerifyEmail() {
+  const [params] = useSearchParams();
+  const token = params.get('token') || '';
+  const [email, setEmail] = useState(params.get('email') || '');
+  const [status, setStatus] = useState(token && email ? 'verifying' : 'invalid');
+  const [resend, setResend] = useState(null); // null | 'sending' | 'sent' | error message
+  // Tokens are single use; StrictMode's double effect must not spend it twice
+  const started = useRef(false);
+
+  useEffect(() => {
+    if (started.current || status !== 'verifying') return;
+    started.current = true;
+    api.post('/auth/verify-email', { email, token }, { skipAuthRefresh: true, retries: 0 })
+      .then(() => setStatus('verified'))
+      .catch(err => setStatus(err?.status === 400 ? 'invalid' : 'error'));
+  }, [status, email, token]);
+
+  async function sendAgain(e) {
+    e.preventDefault();
+    if (!email.trim()) return setResend('Enter the email address to verify');
+    setResend('sending');
+    try {
+      await api.post('/auth/send-verification-email', { email: email.trim() }, { skipAuthRefresh: true, retries: 0 });
+      setResend('sent');
+    } catch (err) {
+      setResend(err instanceof RateLimitError
+        ? 'Too many requests. Wait a few minutes and try again.'
+        : err?.message || 'Could not send the email');
+    }
+  }
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-slate-900">
+      <div className="w-[420px] bg-white rounded-lg p-6 shadow-2xl">
+        {status === 'verifying' && (
+          <>
+            <h2 className="mt-0 mb-2 text-2xl font-semibold">Verifying your email...</h2>
+            <p className="mt-0 text-gray-600">This only takes a moment.</p>
+          </>
+        )}
+
+        {status === 'verified' && (
+          <>
+            <h2 className="mt-0 mb-2 text-2xl font-semibold">Email verified</h2>
+            <p className="mt-0 text-gray-600">
+              <span className="font-medium text-gray-900">{email}</span> is confirmed. You can close this page or sign in.
+            </p>
+            <div className="mt-4">
+              <Link to="/login" className="block w-full px-3 py-2 text-center bg-teal-500 text-white rounded hover:bg-teal-600">Sign in</Link>
+            </div>
+          </>
+        )}
+
+        {(status === 'invalid' || status === 'error') && (
+          <>
+            <h2 className="mt-0 mb-2 text-2xl font-semibold">{status === 'error' ? 'Could not verify right now' : 'Verification link not valid'}</h2>
+            <p className="mt-0 text-gray-600">
+              {status === 'error'
+                ? 'The server could not be reached. Open the link again in a moment.'
+                : 'This link has expired, was already used, or the address is already verified. Links work once, for 24 hours.'}
+            </p>
+            {resend === 'sent' ? (
+              <p className="mt-4 text-sm text-green-700">A new verification link is on its way to {email.trim()}.</p>
+            ) : (
+              <form onSubmit={sendAgain} className="mt-4">
+                <label htmlFor="verify-email" className="block text-sm">Send a new link to</label>
+                <input
+                  id="verify-email"
+                  type="email"
+                  value={email}
+                  onChange={e => setEmail(e.target.value)}
+                  autoComplete="email"
+                  className="w-full px-3 py-2 rounded border border-gray-300"
+                />
+                {resend && resend !== 'sending' && <div className="text-red-500 mt-2 text-sm">{resend}</div>}
+                <button type="submit" disabled={resend === 'sending'} className="mt-3 w-full px-3 py-2 bg-teal-500 text-white rounded hover:bg-teal-600 disabled:opacity-50">
+                  {resend === 'sending' ? 'Sending...' : 'Send a new link'}
+                </button>
+              </form>
+            )}
+            <div className="mt-3 text-sm text-center">
+              <Link to="/login" className="text-gray-600 underline">Back to sign in</Link>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
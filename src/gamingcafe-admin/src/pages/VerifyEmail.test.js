@@ -0,0 +1,49 @@
+import { fireEvent, render, screen } from '@testing-library/react';
+import { MemoryRouter, Route, Routes } from 'react-router-dom';
+import api from '../api';
+import { createMockApi } from '../mock/mockApi';
+import VerifyEmail from './VerifyEmail';
+
+let mock;
+
+function renderAt(url) {
+  render(
+    <MemoryRouter initialEntries={[url]}>
+      <Routes>
+        <Route path="/verify-email" element={<VerifyEmail />} />
+      </Routes>
+    </MemoryRouter>
+  );
+}
+
+beforeEach(() => {
+  mock = createMockApi();
+  api.setTransport(mock.fetch);
+});
+
+afterEach(() => {
+  api.setTransport(null);
+  jest.restoreAllMocks();
+});
+
+test('the emailed link marks the address verified', async () => {
+  const info = jest.spyOn(console, 'info').mockImplementation(() => { });
+  await api.post('/auth/send-verification-email', { email: 'jess@example.com' });
+  const link = info.mock.calls[0][0].match(/\/verify-email\?\S+/)[0];
+
+  renderAt(link);
+
+  expect(await screen.findByText('Email verified')).toBeInTheDocument();
+  expect(mock.db.users.find(u => u.email === 'jess@example.com').isEmailVerified).toBe(true);
+});
+
+test('a stale link offers to send a new one', async () => {
+  const info = jest.spyOn(console, 'info').mockImplementation(() => { });
+  renderAt('/verify-email?token=stale&email=jess%40example.com');
+
+  expect(await screen.findByText('Verification link not valid')).toBeInTheDocument();
+  fireEvent.click(screen.getByRole('button', { name: 'Send a new link' }));
+
+  expect(await screen.findByText(/A new verification link is on its way/)).toBeInTheDocument();
+  expect(info).toHaveBeenCalledWith(expect.stringContaining('/verify-email?token='));
+});
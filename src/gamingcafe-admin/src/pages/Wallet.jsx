@@ -1,11 +1,16 @@
-import React, { useState, useEffect, useCallback, useRef } from 'react';
+import React, { useState, useEffect, useMemo } from 'react';
 // FilterSearch removed - using native inputs
-import api from '../api';
+import api, { ForbiddenError } from '../api';
 import { useToast } from '../components/ToastProvider';
 import SimpleModal from '../components/SimpleModal';
 import ConfirmDialog from '../components/ConfirmDialog';
 import LoadingSpinner from '../components/LoadingSpinner';
-import { useHasRole } from '../utils/security';
+import { usePermission } from '../utils/security';
+import { useIdempotencyKey } from '../utils/idempotency';
+import { isQueued, submitOrQueue } from '../utils/offlineQueue';
+import { useFormErrors } from '../utils/formErrors';
+import { invalidate, useDebouncedValue, usePagedResource, useResource, withQuery } from '../utils/resources';
+import Forbidden from './Forbidden';
 
 function fmtDate(d) {
   if (!d) return '';
@@ -37,16 +42,9 @@ function getTransactionTypeColor(type) {
 
 export default function Wallet() {
   // Data state
-  const [users, setUsers] = useState([]);
   const [page, setPage] = useState(1);
   const [pageSize] = useState(20);
-  const [totalCount, setTotalCount] = useState(0);
-  const [loading, setLoading] = useState(false);
-  const [stats, setStats] = useState(null);
   const [selectedWallet, setSelectedWallet] = useState(null);
-  const [transactions, setTransactions] = useState([]);
-  const [transactionPage, setTransactionPage] = useState(1);
-  const [transactionTotal, setTransactionTotal] = useState(0);
 
   // Filter state
   const [filters, setFilters] = useState({
@@ -57,9 +55,8 @@ export default function Wallet() {
     maxBalance: ''
   });
 
-  // Debounced search state
-  const [debouncedSearch, setDebouncedSearch] = useState('');
-  const searchTimeoutRef = useRef(null);
+  // Filters are applied once typing settles
+  const appliedFilters = useDebouncedValue(filters, 300);
 
   // Modal state
   const [showModal, setShowModal] = useState(false);
@@ -79,119 +76,62 @@ export default function Wallet() {
   const [statusForm, setStatusForm] = useState({ userId: '', isActive: true });
 
   const toast = useToast();
-  const hasRole = useHasRole();
-
-  // Load users when page or filters change
-  useEffect(() => {
-    const fetchUsers = async () => {
-      setLoading(true);
-      try {
-        const params = new URLSearchParams({
-          page: page.toString(),
-          pageSize: pageSize.toString(),
-          sortBy: 'Username',
-          sortDirection: 'asc'
-        });
-
-        // Add filters - use debouncedSearch for search to prevent too many requests
-        if (debouncedSearch) params.append('searchTerm', debouncedSearch);
-        if (filters.role) params.append('role', filters.role);
-        if (filters.isActive !== '') params.append('isActive', filters.isActive);
-
-        const resp = await api.get(`/api/v1.0/users?${params}`);
-        
-        // Filter by balance range if specified
-        let filteredUsers = resp?.data || [];
-        if (filters.minBalance) {
-          const minBalance = parseFloat(filters.minBalance);
-          filteredUsers = filteredUsers.filter(u => (u.walletBalance || 0) >= minBalance);
-        }
-        if (filters.maxBalance) {
-          const maxBalance = parseFloat(filters.maxBalance);
-          filteredUsers = filteredUsers.filter(u => (u.walletBalance || 0) <= maxBalance);
-        }
-
-        setUsers(filteredUsers);
-        setTotalCount(resp?.totalCount || 0);
-      } catch (err) {
-        toast.push(err?.message || 'Failed to load wallet data', 'error');
-      } finally {
-        setLoading(false);
-      }
-    };
-
-    fetchUsers();
-  }, [page, pageSize, debouncedSearch, filters.role, filters.isActive, filters.minBalance, filters.maxBalance, toast]);
-
-  // Reset page when filters change (but not when page itself changes)
-  useEffect(() => {
-    if (page !== 1) {
-      setPage(1);
+  const can = usePermission();
+  // Shared by deposit/withdraw/transfer: only one money-moving modal is open at a time
+  const opKey = useIdempotencyKey();
+  const formErrors = useFormErrors();
+  const fieldErrors = formErrors.errors;
+
+  const usersQuery = usePagedResource(withQuery('/users', {
+    page,
+    pageSize,
+    sortBy: 'Username',
+    sortDirection: 'asc',
+    searchTerm: appliedFilters.search,
+    role: appliedFilters.role,
+    isActive: appliedFilters.isActive
+  }));
+  const totalCount = usersQuery.totalCount;
+  const loading = usersQuery.loading;
+
+  // The balance range is not an API filter, so it is applied to the current page
+  const users = useMemo(() => {
+    let list = usersQuery.items;
+    if (appliedFilters.minBalance) {
+      const minBalance = parseFloat(appliedFilters.minBalance);
+      list = list.filter(u => (u.walletBalance || 0) >= minBalance);
     }
-  }, [debouncedSearch, filters.role, filters.isActive, filters.minBalance, filters.maxBalance]);
-
-  // Fetch wallet statistics - memoized to prevent infinite loops
-  const fetchStats = useCallback(async () => {
-    try {
-      const resp = await api.get('/api/v1.0/wallet/statistics');
-      setStats(resp);
-    } catch (err) {
-      console.warn('Failed to load wallet statistics:', err);
+    if (appliedFilters.maxBalance) {
+      const maxBalance = parseFloat(appliedFilters.maxBalance);
+      list = list.filter(u => (u.walletBalance || 0) <= maxBalance);
     }
-  }, []);
+    return list;
+  }, [usersQuery.items, appliedFilters.minBalance, appliedFilters.maxBalance]);
 
-  // Fetch wallet transactions for selected user
-  const fetchTransactions = useCallback(async (userId, page = 1) => {
-    if (!userId) return;
-    
-    setLoading(true);
-    try {
-      const params = new URLSearchParams({
-        page: page.toString(),
-        pageSize: '10',
-        sortBy: 'Date',
-        sortDescending: 'true'
-      });
+  // Wallet statistics are manager-only on the API
+  const { data: stats } = useResource(can('view:financials') ? '/wallet/statistics' : null);
 
-      const resp = await api.get(`/api/v1.0/wallet/${userId}/transactions?${params}`);
-      setTransactions(resp?.data || []);
-      setTransactionPage(resp?.page || page);
-      setTransactionTotal(resp?.totalCount || 0);
-    } catch (err) {
-      toast.push(err?.message || 'Failed to load transactions', 'error');
-    } finally {
-      setLoading(false);
-    }
-  }, [toast]);
+  const walletTransactionsQuery = usePagedResource(modalType === 'view' && selectedWallet
+    ? withQuery(`/wallet/${selectedWallet.userId}/transactions`, { page: 1, pageSize: 10, sortBy: 'Date', sortDescending: 'true' })
+    : null, { keepPrevious: false });
+  const transactions = walletTransactionsQuery.items;
+  const transactionTotal = walletTransactionsQuery.totalCount;
 
-  // Load stats on component mount
   useEffect(() => {
-    fetchStats();
-  }, [fetchStats]);
+    if (usersQuery.error && !(usersQuery.error instanceof ForbiddenError)) toast.pushError(usersQuery.error, 'Failed to load wallet data');
+  }, [usersQuery.error, toast]);
 
-  // Debounce search input to prevent too many requests
   useEffect(() => {
-    if (searchTimeoutRef.current) {
-      clearTimeout(searchTimeoutRef.current);
-    }
-    
-    searchTimeoutRef.current = setTimeout(() => {
-      setDebouncedSearch(filters.search);
-    }, 300); // 300ms delay
-
-    return () => {
-      if (searchTimeoutRef.current) {
-        clearTimeout(searchTimeoutRef.current);
-      }
-    };
-  }, [filters.search]);
+    if (walletTransactionsQuery.error) toast.pushError(walletTransactionsQuery.error, 'Failed to load transactions');
+  }, [walletTransactionsQuery.error, toast]);
 
-  // Refresh data after transactions
-  const refreshData = useCallback(() => {
-    // Trigger a refresh by updating a dummy state
-    setUsers([]); // This will cause the main useEffect to re-run
-    fetchStats();
-  }, [fetchStats]);
+  // Reset page when filters change (but not when page itself changes)
+  useEffect(() => { setPage(1); }, [appliedFilters]);
+
+  // A money movement changes the wallets involved, the totals and the balances in the user list
+  function refreshWallets(...userIds) {
+    invalidate('/wallet/statistics', '/users', ...userIds.map(id => `/wallet/${id}`));
+  }
 
   // Handle filter changes
   function handleFilterChange(e) {
@@ -204,12 +144,13 @@ export default function Wallet() {
     setFilters({
       search: '', role: '', isActive: '', minBalance: '', maxBalance: ''
     });
-    setDebouncedSearch('');
     setPage(1);
   }
 
   // Modal handlers
   function openDepositModal(user) {
+    opKey.reset();
+    formErrors.clear();
     setModalType('deposit');
     setDepositForm({ 
       userId: user.userId, 
@@ -221,6 +162,8 @@ export default function Wallet() {
   }
 
   function openWithdrawModal(user) {
+    opKey.reset();
+    formErrors.clear();
     setModalType('withdraw');
     setWithdrawForm({ 
       userId: user.userId, 
@@ -232,6 +175,8 @@ export default function Wallet() {
   }
 
   function openTransferModal() {
+    opKey.reset();
+    formErrors.clear();
     setModalType('transfer');
     setTransferForm({ fromUserId: '', toUserId: '', amount: '', description: '' });
     setShowModal(true);
@@ -240,7 +185,6 @@ export default function Wallet() {
   function openWalletDetails(user) {
     setModalType('view');
     setSelectedWallet(user);
-    fetchTransactions(user.userId, 1);
     setShowModal(true);
   }
 
@@ -264,12 +208,24 @@ export default function Wallet() {
         paymentMethod: depositForm.paymentMethod
       };
 
-      await api.post(`/api/v1.0/wallet/${depositForm.userId}/deposit`, request);
-      toast.push('Deposit successful', 'success');
+      const customer = users.find(u => u.userId === depositForm.userId);
+      const res = await submitOrQueue({
+        path: `/wallet/${depositForm.userId}/deposit`,
+        body: request,
+        idempotencyKey: opKey.current(),
+        label: `Deposit $${request.amount.toFixed(2)} to ${customer?.username || `user #${depositForm.userId}`}`,
+        invalidates: ['/wallet/statistics', '/users', `/wallet/${depositForm.userId}`]
+      });
+      opKey.settle();
+      if (isQueued(res)) toast.push('Connection lost — the deposit was saved and will sync when it returns', 'warn', 8000);
+      else if (api.isReplayed(res)) toast.push('This deposit was already processed — the wallet was not credited twice', 'warn', 8000);
+      else toast.push('Deposit successful', 'success');
       setShowModal(false);
-      refreshData();
+      refreshWallets(depositForm.userId);
     } catch (err) {
-      toast.push(err?.message || 'Failed to process deposit', 'error');
+      opKey.settle(err);
+      if (formErrors.capture(err)) toast.push('Please fix the highlighted fields', 'error');
+      else toast.pushError(err, 'Failed to process deposit');
     }
   }
 
@@ -286,12 +242,16 @@ export default function Wallet() {
         paymentMethod: withdrawForm.paymentMethod
       };
 
-      await api.post(`/api/v1.0/wallet/${withdrawForm.userId}/withdraw`, request);
-      toast.push('Withdrawal successful', 'success');
+      const res = await api.post(`/wallet/${withdrawForm.userId}/withdraw`, request, { idempotencyKey: opKey.current() });
+      opKey.settle();
+      if (api.isReplayed(res)) toast.push('This withdrawal was already processed — the wallet was not debited twice', 'warn', 8000);
+      else toast.push('Withdrawal successful', 'success');
       setShowModal(false);
-      refreshData();
+      refreshWallets(withdrawForm.userId);
     } catch (err) {
-      toast.push(err?.message || 'Failed to process withdrawal', 'error');
+      opKey.settle(err);
+      if (formErrors.capture(err)) toast.push('Please fix the highlighted fields', 'error');
+      else toast.pushError(err, 'Failed to process withdrawal');
     }
   }
 
@@ -314,33 +274,39 @@ export default function Wallet() {
         description: transferForm.description || 'Admin transfer'
       };
 
-      await api.post('/api/v1.0/wallet/transfer', request);
-      toast.push('Transfer successful', 'success');
+      const res = await api.post('/wallet/transfer', request, { idempotencyKey: opKey.current() });
+      opKey.settle();
+      if (api.isReplayed(res)) toast.push('This transfer was already processed — no money moved twice', 'warn', 8000);
+      else toast.push('Transfer successful', 'success');
       setShowModal(false);
-      refreshData();
+      refreshWallets(request.fromUserId, request.toUserId);
     } catch (err) {
-      toast.push(err?.message || 'Failed to process transfer', 'error');
+      opKey.settle(err);
+      if (formErrors.capture(err)) toast.push('Please fix the highlighted fields', 'error');
+      else toast.pushError(err, 'Failed to process transfer');
     }
   }
 
   async function handleStatusUpdate() {
     try {
       const request = { isActive: statusForm.isActive };
-      await api.put(`/api/v1.0/wallet/${statusForm.userId}/status`, request);
+      await api.put(`/wallet/${statusForm.userId}/status`, request);
       toast.push('Wallet status updated successfully', 'success');
       setShowModal(false);
-      refreshData();
+      refreshWallets(statusForm.userId);
     } catch (err) {
-      toast.push(err?.message || 'Failed to update wallet status', 'error');
+      toast.pushError(err, 'Failed to update wallet status');
     }
   }
 
+  if (usersQuery.error instanceof ForbiddenError) return <Forbidden />;
+
   return (
     <div className="p-6 max-w-7xl mx-auto">
       <div className="flex justify-between items-center mb-6">
         <h1 className="text-2xl font-bold text-gray-900">Wallet Management</h1>
         
-        {hasRole(['Admin', 'Manager']) && (
+        {can('wallet:transfer') && (
           <div className="flex space-x-3">
             <button
               onClick={openTransferModal}
@@ -588,31 +554,31 @@ export default function Wallet() {
                           </svg>
                         </button>
 
-                        {hasRole(['Admin', 'Manager', 'Staff']) && (
-                          <>
-                            <button
-                              onClick={() => openDepositModal(user)}
-                              className="text-green-600 hover:text-green-900 px-2 py-1 rounded transition-colors"
-                              title="Deposit"
-                            >
-                              <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M12 6v6m0 0v6m0-6h6m-6 0H6" />
-                              </svg>
-                            </button>
-
-                            <button
-                              onClick={() => openWithdrawModal(user)}
-                              className="text-red-600 hover:text-red-900 px-2 py-1 rounded transition-colors"
-                              title="Withdraw"
-                            >
-                              <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M20 12H4" />
-                              </svg>
-                            </button>
-                          </>
+                        {can('wallet:deposit') && (
+                          <button
+                            onClick={() => openDepositModal(user)}
+                            className="text-green-600 hover:text-green-900 px-2 py-1 rounded transition-colors"
+                            title="Deposit"
+                          >
+                            <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M12 6v6m0 0v6m0-6h6m-6 0H6" />
+                            </svg>
+                          </button>
+                        )}
+
+                        {can('wallet:withdraw') && (
+                          <button
+                            onClick={() => openWithdrawModal(user)}
+                            className="text-red-600 hover:text-red-900 px-2 py-1 rounded transition-colors"
+                            title="Withdraw"
+                          >
+                            <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M20 12H4" />
+                            </svg>
+                          </button>
                         )}
 
-                        {hasRole(['Admin', 'Manager']) && (
+                        {can('wallet:status') && (
                           <button
                             onClick={() => openStatusModal(user)}
                             className="text-gray-600 hover:text-gray-900 px-2 py-1 rounded transition-colors"
@@ -711,6 +677,7 @@ export default function Wallet() {
                 className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
                 required
               />
+              {fieldErrors.amount && <p className="mt-1 text-sm text-red-600">{fieldErrors.amount.join(', ')}</p>}
             </div>
 
             <div>
@@ -725,6 +692,7 @@ export default function Wallet() {
                 <option value="Bank Transfer">Bank Transfer</option>
                 <option value="Other">Other</option>
               </select>
+              {fieldErrors.paymentMethod && <p className="mt-1 text-sm text-red-600">{fieldErrors.paymentMethod.join(', ')}</p>}
             </div>
 
             <div>
@@ -736,6 +704,7 @@ export default function Wallet() {
                 rows="3"
                 className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
               />
+              {fieldErrors.description && <p className="mt-1 text-sm text-red-600">{fieldErrors.description.join(', ')}</p>}
             </div>
           </div>
         </SimpleModal>
@@ -761,6 +730,7 @@ export default function Wallet() {
                 className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
                 required
               />
+              {fieldErrors.amount && <p className="mt-1 text-sm text-red-600">{fieldErrors.amount.join(', ')}</p>}
             </div>
 
             <div>
@@ -775,6 +745,7 @@ export default function Wallet() {
                 <option value="Bank Transfer">Bank Transfer</option>
                 <option value="Other">Other</option>
               </select>
+              {fieldErrors.paymentMethod && <p className="mt-1 text-sm text-red-600">{fieldErrors.paymentMethod.join(', ')}</p>}
             </div>
 
             <div>
@@ -786,6 +757,7 @@ export default function Wallet() {
                 rows="3"
                 className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
               />
+              {fieldErrors.description && <p className="mt-1 text-sm text-red-600">{fieldErrors.description.join(', ')}</p>}
             </div>
           </div>
         </SimpleModal>
@@ -814,6 +786,7 @@ export default function Wallet() {
                   </option>
                 ))}
               </select>
+              {fieldErrors.fromUserId && <p className="mt-1 text-sm text-red-600">{fieldErrors.fromUserId.join(', ')}</p>}
             </div>
 
             <div>
@@ -831,6 +804,7 @@ export default function Wallet() {
                   </option>
                 ))}
               </select>
+              {fieldErrors.toUserId && <p className="mt-1 text-sm text-red-600">{fieldErrors.toUserId.join(', ')}</p>}
             </div>
 
             <div>
@@ -845,6 +819,7 @@ export default function Wallet() {
                 className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
                 required
               />
+              {fieldErrors.amount && <p className="mt-1 text-sm text-red-600">{fieldErrors.amount.join(', ')}</p>}
             </div>
 
             <div>
@@ -857,6 +832,7 @@ export default function Wallet() {
                 className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
                 required
               />
+              {fieldErrors.description && <p className="mt-1 text-sm text-red-600">{fieldErrors.description.join(', ')}</p>}
             </div>
           </div>
         </SimpleModal>
@@ -3,3 +3,8 @@
 // expect(element).toHaveTextContent(/react/i)
 // learn more: https://github.com/testing-library/jest-dom
 import '@testing-library/jest-dom';
+
+// jsdom under Jest 27 lacks TextEncoder, which qrcode uses to encode byte-mode data
+import { TextEncoder } from 'util';
+
+if (typeof global.TextEncoder === 'undefined') global.TextEncoder = TextEncoder;
@@ -0,0 +1,82 @@
+// Floor map of the café. Stations keep their grid cell on the API (floorX/floorY, null until
+// placed), so every terminal shows the same layout; the map is edited as a draft of
+// stationId -> { x, y } or null and only the stations that moved are saved.
+
+// Smallest grid drawn; it grows to fit the furthest placed station
+export const MIN_COLUMNS = 12;
+export const MIN_ROWS = 8;
+// The API's [Range(0, 49)] on a cell
+export const MAX_CELL = 49;
+
+// A reservation starting this soon colours its station
+export const RESERVED_SOON_MINUTES = 60;
+
+export function layoutOf(stations) {
+  return Object.fromEntries(stations.map(s => [
+    s.stationId,
+    s.floorX == null || s.floorY == null ? null : { x: s.floorX, y: s.floorY }
+  ]));
+}
+
+export function gridSize(layout) {
+  const cells = Object.values(layout).filter(Boolean);
+  return {
+    columns: Math.max(MIN_COLUMNS, ...cells.map(c => c.x + 2)),
+    rows: Math.max(MIN_ROWS, ...cells.map(c => c.y + 2))
+  };
+}
+
+export function stationAt(layout, x, y) {
+  const found = Object.entries(layout).find(([, cell]) => cell && cell.x === x && cell.y === y);
+  return found ? Number(found[0]) : null;
+}
+
+// Puts a station on a cell (null takes it off the map). A station already on that cell
+// swaps places with it, or goes back to the tray when the moved one came from there.
+export function placeStation(layout, stationId, cell) {
+  if (cell && (cell.x < 0 || cell.y < 0 || cell.x > MAX_CELL || cell.y > MAX_CELL)) return layout;
+  const next = { ...layout, [stationId]: cell };
+  const other = cell ? stationAt(layout, cell.x, cell.y) : null;
+  if (other !== null && other !== Number(stationId)) next[other] = layout[stationId] ?? null;
+  return next;
+}
+
+// Body for PUT /stations/layout: the stations whose cell differs from `saved`
+export function layoutChanges(saved, draft) {
+  return Object.entries(draft)
+    .filter(([id, cell]) => (cell?.x ?? null) !== (saved[id]?.x ?? null) || (cell?.y ?? null) !== (saved[id]?.y ?? null))
+    .map(([id, cell]) => ({ stationId: Number(id), x: cell ? cell.x : null, y: cell ? cell.y : null }));
+}
+
+// The API sends StartTime as a date and time; the mock and older clients keep the day in
+// reservationDate and "HH:mm" in startTime
+export function reservationStart(reservation) {
+  const time = String(reservation.startTime ?? '');
+  if (/^\d{1,2}:\d{2}/.test(time)) {
+    return Date.parse(`${String(reservation.reservationDate).slice(0, 10)}T${time.padStart(5, '0')}`);
+  }
+  return Date.parse(time);
+}
+
+// stationId -> the next pending or confirmed reservation starting within `minutes`
+export function upcomingReservations(reservations, now = Date.now(), minutes = RESERVED_SOON_MINUTES) {
+  const soon = new Map();
+  reservations.forEach(r => {
+    if (r.status !== 'Pending' && r.status !== 'Confirmed') return;
+    const start = reservationStart(r);
+    // Still "soon" until the customer turns up, for the first minutes after the start
+    if (!(start > now - 15 * 60000 && start <= now + minutes * 60000)) return;
+    const current = soon.get(r.stationId);
+    if (!current || start < current.start) soon.set(r.stationId, { ...r, start });
+  });
+  return soon;
+}
+
+// 'session', 'paused', 'maintenance', 'reserved', 'available' or 'busy' (marked in use
+// without a session). A running session wins over maintenance: someone is still playing.
+export function stationState(station, session, reservation) {
+  if (session) return session.status === 'Paused' ? 'paused' : 'session';
+  if (station.isUnderMaintenance) return 'maintenance';
+  if (reservation) return 'reserved';
+  return station.isAvailable === false ? 'busy' : 'available';
+}
@@ -0,0 +1,33 @@
+import { useCallback, useState } from 'react';
+import { ValidationError } from '../api';
+
+// Holds the `{ field: [messages] }` map a form renders next to its inputs. `capture` takes
+// whatever a submit threw and returns true when it was a validation failure the form can
+// show; anything else is left for the caller to report (usually a toast).
+export function useFormErrors() {
+  const [errors, setErrors] = useState({});
+
+  const clear = useCallback(() => setErrors({}), []);
+
+  const capture = useCallback((err) => {
+    if (!(err instanceof ValidationError)) {
+      setErrors({});
+      return false;
+    }
+    setErrors(err.errors);
+    return true;
+  }, []);
+
+  return { errors, clear, capture };
+}
+
+// Messages for fields the form has no input for (and form-wide `_global` ones), so a rule
+// on a property the form does not render still reaches the user.
+export function unplacedErrors(errors, fields) {
+  if (!errors) return [];
+  return Object.entries(errors)
+    .filter(([key]) => !fields.includes(key))
+    .flatMap(([, messages]) => messages);
+}
+
+export default useFormErrors;
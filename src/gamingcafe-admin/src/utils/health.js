@@ -0,0 +1,168 @@
+import { useEffect, useMemo, useState, useSyncExternalStore } from 'react';
+import api from '../api';
+import { useLiveStatus } from './live';
+
+// Backend health for the Topbar indicator, from three signals: HealthController's ready and
+// detailed checks (polled), api.js traffic (any request that goes unanswered) and the
+// live-update hub connection.
+
+const READY_INTERVAL = 30000;
+const DETAILED_INTERVAL = 2 * 60 * 1000;
+// A failed request triggers an early ready check, but not more often than this
+const RECHECK_AFTER_FAILURE = 5000;
+const CHECK_OPTIONS = { retries: 0, timeout: 5000, skipAuthRefresh: true, background: true };
+
+// AddHealthChecks names, in the order the popover lists them
+const COMPONENT_LABELS = {
+  database: 'Database',
+  redis: 'Cache',
+  email: 'Email',
+  backup: 'Backup',
+  application: 'Application',
+  fileupload: 'File uploads'
+};
+
+// ready: { reachable, ok, reason, checkedAt }
+// detailed: { status, checkedAt, components: [{ name, label, status, description, duration, since }] }
+let state = { ready: null, detailed: null, checking: false, traffic: api.getTraffic() };
+const listeners = new Set();
+// name -> { status, since }: when each component's current status was first seen
+const componentSince = new Map();
+
+function setState(patch) {
+  state = { ...state, ...patch };
+  listeners.forEach(fn => fn());
+}
+
+function subscribe(fn) {
+  listeners.add(fn);
+  return () => listeners.delete(fn);
+}
+
+export function componentLabel(name) {
+  return COMPONENT_LABELS[name] || name.charAt(0).toUpperCase() + name.slice(1);
+}
+
+function toComponents(data, checkedAt) {
+  const order = Object.keys(COMPONENT_LABELS);
+  const rank = name => (order.includes(name) ? order.indexOf(name) : order.length);
+  return Object.entries(data?.components || {})
+    .sort(([a], [b]) => rank(a) - rank(b))
+    .map(([name, c]) => {
+      const seen = componentSince.get(name);
+      if (!seen || seen.status !== c.status) componentSince.set(name, { status: c.status, since: checkedAt });
+      return {
+        name,
+        label: componentLabel(name),
+        status: c.status,
+        description: c.exception || c.description,
+        duration: c.duration,
+        since: componentSince.get(name).since
+      };
+    });
+}
+
+export async function checkReady() {
+  try {
+    await api.get('/health/ready', CHECK_OPTIONS);
+    setState({ ready: { reachable: true, ok: true, reason: null, checkedAt: Date.now() } });
+  } catch (err) {
+    if (api.isAbortError(err)) return;
+    // 503 Not Ready answers with the overall status (Degraded or Unhealthy) as the reason
+    setState({ ready: { reachable: Boolean(err.status), ok: false, reason: err.data?.reason || err.message, checkedAt: Date.now() } });
+  }
+}
+
+export async function checkDetailed() {
+  setState({ checking: true });
+  try {
+    const data = await api.get('/health/detailed', CHECK_OPTIONS);
+    const checkedAt = Date.parse(data?.checkedAt) || Date.now();
+    setState({ detailed: { status: data?.status, checkedAt, components: toComponents(data, checkedAt) } });
+  } catch (err) {
+    // Unhealthy comes back as a 503 that still carries the report
+    if (err.data?.components) {
+      const checkedAt = Date.parse(err.data.checkedAt) || Date.now();
+      setState({ detailed: { status: err.data.status, checkedAt, components: toComponents(err.data, checkedAt) } });
+    } else if (!err.status) {
+      setState({ detailed: state.detailed && { ...state.detailed, stale: true } });
+    }
+  } finally {
+    setState({ checking: false });
+  }
+}
+
+export function checkHealthNow() {
+  return Promise.all([checkReady(), checkDetailed()]);
+}
+
+// Starts polling and returns the cleanup; several components may call it at once
+let users = 0;
+let timers = [];
+let stopTraffic = null;
+let lastRecheck = 0;
+
+export function startHealthChecks() {
+  users += 1;
+  if (users === 1) {
+    const now = Date.now();
+    if (!state.ready || now - state.ready.checkedAt >= READY_INTERVAL) checkReady();
+    if (!state.detailed || now - state.detailed.checkedAt >= DETAILED_INTERVAL) checkDetailed();
+    timers = [setInterval(checkReady, READY_INTERVAL), setInterval(checkDetailed, DETAILED_INTERVAL)];
+    stopTraffic = api.onTraffic(traffic => {
+      setState({ traffic: { ...traffic } });
+      const failing = traffic.lastFailureAt > (traffic.lastSuccessAt || 0);
+      if (failing && Date.now() - lastRecheck > RECHECK_AFTER_FAILURE) {
+        lastRecheck = Date.now();
+        checkReady();
+      }
+    });
+  }
+  return () => {
+    users -= 1;
+    if (users > 0) return;
+    timers.forEach(clearInterval);
+    stopTraffic?.();
+  };
+}
+
+function useBrowserOnline() {
+  const [online, setOnline] = useState(() => typeof navigator === 'undefined' || navigator.onLine !== false);
+  useEffect(() => {
+    const update = () => setOnline(navigator.onLine !== false);
+    window.addEventListener('online', update);
+    window.addEventListener('offline', update);
+    return () => {
+      window.removeEventListener('online', update);
+      window.removeEventListener('offline', update);
+    };
+  }, []);
+  return online;
+}
+
+// level is 'checking' (nothing heard yet), 'online', 'degraded' or 'offline'; reasons say why
+export function summarizeHealth({ ready, detailed, traffic }, { online = true, live = 'off' } = {}) {
+  const lastSuccess = traffic?.lastSuccessAt || 0;
+  if (!online) return { level: 'offline', reasons: ['This device has no network connection'] };
+  // Unreachable at the last check, and nothing has got through since
+  if (ready && !ready.reachable && lastSuccess <= ready.checkedAt) {
+    return { level: 'offline', reasons: ['The server cannot be reached'] };
+  }
+  if (!ready && !lastSuccess) return { level: 'checking', reasons: [] };
+
+  const reasons = (detailed?.components || [])
+    .filter(c => c.status !== 'Healthy')
+    .map(c => `${c.label}: ${c.status.toLowerCase()}`);
+  // The detailed report usually names the culprit; the ready check alone only says "not ready"
+  if (!reasons.length && ready && ready.reachable && !ready.ok) reasons.push(`The server reports it is ${String(ready.reason || 'not ready').toLowerCase()}`);
+  if (live === 'reconnecting' || live === 'disconnected') reasons.push('Live updates are disconnected; pages refresh every 30 seconds');
+  return { level: reasons.length ? 'degraded' : 'online', reasons };
+}
+
+export function useSystemHealth() {
+  const snapshot = useSyncExternalStore(subscribe, () => state);
+  const online = useBrowserOnline();
+  const live = useLiveStatus();
+  const summary = useMemo(() => summarizeHealth(snapshot, { online, live }), [snapshot, online, live]);
+  return { ...snapshot, ...summary, online, live };
+}
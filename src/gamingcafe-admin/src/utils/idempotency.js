@@ -0,0 +1,26 @@
+import { useMemo, useRef } from 'react';
+import api from '../api';
+
+// One Idempotency-Key per logical operation (a deposit, a refund, a session start).
+// The key survives double-clicks and resubmits after a dropped connection, so the
+// server replays the first result instead of moving money twice. It is dropped once
+// the server has given a definite answer, so a corrected resubmit is a new operation.
+export function useIdempotencyKey() {
+  const ref = useRef(null);
+  return useMemo(() => ({
+    current() {
+      if (!ref.current) ref.current = api.newIdempotencyKey();
+      return ref.current;
+    },
+    reset() { ref.current = null; },
+    settle(err) {
+      // No status means a network failure or timeout: the outcome is unknown, keep the key.
+      // So does the 409 for a request with this key still being processed: it may yet succeed,
+      // and a resubmit with the same key replays its result.
+      if (err?.data?.code === 'idempotency_in_progress') return;
+      if (!err || err.status) ref.current = null;
+    }
+  }), []);
+}
+
+export default useIdempotencyKey;
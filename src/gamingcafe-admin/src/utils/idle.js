@@ -0,0 +1,37 @@
+import { useEffect, useRef } from 'react';
+
+const ACTIVITY_EVENTS = ['pointerdown', 'pointermove', 'keydown', 'wheel', 'touchstart'];
+
+// Tracks keyboard and pointer input on the page. Calls onIdle once nothing has happened for
+// `timeout` ms (never when timeout is 0), and returns a ref holding the time of the last
+// input for callers that need to know whether someone is at the screen.
+export function useIdleTimer(timeout, onIdle) {
+  const lastActivity = useRef(Date.now());
+  const onIdleRef = useRef(onIdle);
+
+  useEffect(() => { onIdleRef.current = onIdle; }, [onIdle]);
+
+  useEffect(() => {
+    function onActivity() { lastActivity.current = Date.now(); }
+    ACTIVITY_EVENTS.forEach(name => window.addEventListener(name, onActivity, { passive: true }));
+    return () => ACTIVITY_EVENTS.forEach(name => window.removeEventListener(name, onActivity));
+  }, []);
+
+  useEffect(() => {
+    if (!timeout) return;
+    lastActivity.current = Date.now();
+    let timer;
+    // Listeners only stamp the time; the timer re-arms for whatever is left when it fires
+    function check() {
+      const idleFor = Date.now() - lastActivity.current;
+      if (idleFor >= timeout) onIdleRef.current?.();
+      else timer = setTimeout(check, timeout - idleFor);
+    }
+    timer = setTimeout(check, timeout);
+    return () => clearTimeout(timer);
+  }, [timeout]);
+
+  return lastActivity;
+}
+
+export default useIdleTimer;
@@ -0,0 +1,145 @@
+import { useSyncExternalStore } from 'react';
+import { HubConnectionBuilder, LogLevel } from '@microsoft/signalr';
+import api from '../api';
+import { getConfig } from '../config';
+import { invalidate } from './resources';
+
+// Live updates from the API's GameCafeHub. Every event marks the cached resources it affects
+// stale, so pages built on useResource refetch what is on screen straight away instead of on
+// their next poll. Polling stays on only while the hub is not connected (usePollingFallback).
+
+const HUB_PATH = '/gamecafehub';
+const MAX_RETRY_DELAY = 30000;
+
+const SESSION_PATHS = ['/gamesessions', '/stations', '/reservations', '/reports/dashboard'];
+
+// Hub event -> resource path prefixes to refresh
+const EVENT_PATHS = {
+  StationCreated: ['/stations'],
+  StationUpdated: ['/stations', '/reports/dashboard'],
+  StationDeleted: ['/stations', '/reports/dashboard'],
+  StationLayoutUpdated: ['/stations'],
+  SessionStarted: SESSION_PATHS,
+  SessionEnded: SESSION_PATHS,
+  SessionUpdated: SESSION_PATHS,
+  PaymentUpdated: ['/transactions', '/wallet', '/reports/dashboard']
+};
+
+export const LIVE_EVENTS = Object.keys(EVENT_PATHS);
+
+// 'off' (not started), 'connecting', 'connected', 'reconnecting' or 'disconnected'
+let status = 'off';
+const statusListeners = new Set();
+const eventListeners = new Set();
+
+let connection = null;
+let retryTimer = null;
+let attempt = 0;
+
+function setStatus(next) {
+  if (next === status) return;
+  status = next;
+  statusListeners.forEach(fn => fn());
+}
+
+// 1s, 2s, 4s ... up to 30s, with jitter so terminals that lost the server together do not
+// all come back in the same instant
+function retryDelay(n) {
+  return Math.min(MAX_RETRY_DELAY, 1000 * 2 ** n) + Math.floor(Math.random() * 1000);
+}
+
+function defaultFactory(url, accessTokenFactory) {
+  return new HubConnectionBuilder()
+    .withUrl(url, { accessTokenFactory })
+    .withAutomaticReconnect({ nextRetryDelayInMilliseconds: ({ previousRetryCount }) => retryDelay(previousRetryCount) })
+    .configureLogging(LogLevel.Warning)
+    .build();
+}
+
+let factory = defaultFactory;
+
+// Tests hand in a fake; null restores the SignalR client
+export function setHubConnectionFactory(fn) {
+  factory = fn || defaultFactory;
+}
+
+function dispatch(name, args) {
+  invalidate(...EVENT_PATHS[name]);
+  eventListeners.forEach(fn => { try { fn(name, ...args); } catch { } });
+}
+
+function scheduleStart(conn) {
+  clearTimeout(retryTimer);
+  retryTimer = setTimeout(() => start(conn), retryDelay(attempt++));
+}
+
+async function start(conn) {
+  if (conn !== connection) return;
+  setStatus('connecting');
+  try {
+    await conn.start();
+    if (conn !== connection) return;
+    attempt = 0;
+    setStatus('connected');
+  } catch {
+    if (conn !== connection) return;
+    setStatus('disconnected');
+    scheduleStart(conn);
+  }
+}
+
+// Connects with the signed-in user's token. The hub reads it from the query string on every
+// (re)connect, so a token renewed by api.js is picked up without restarting.
+export function startLive() {
+  if (connection) return;
+  const conn = factory(`${getConfig().apiOrigin}${HUB_PATH}`, () => api.getToken() || '');
+  connection = conn;
+  attempt = 0;
+  LIVE_EVENTS.forEach(name => conn.on(name, (...args) => dispatch(name, args)));
+  conn.onreconnecting(() => { if (conn === connection) setStatus('reconnecting'); });
+  // Whatever changed while the connection was down was missed, so refresh everything live
+  conn.onreconnected(() => {
+    if (conn !== connection) return;
+    setStatus('connected');
+    invalidate(...new Set(Object.values(EVENT_PATHS).flat()));
+  });
+  // Automatic reconnect gave up (or the server closed the connection): keep trying
+  conn.onclose(() => {
+    if (conn !== connection) return;
+    setStatus('disconnected');
+    scheduleStart(conn);
+  });
+  start(conn);
+}
+
+export function stopLive() {
+  const conn = connection;
+  connection = null;
+  clearTimeout(retryTimer);
+  setStatus('off');
+  if (conn) conn.stop().catch(() => { });
+}
+
+export function getLiveStatus() {
+  return status;
+}
+
+// Called with (eventName, ...args) for every hub event
+export function onLiveEvent(fn) {
+  eventListeners.add(fn);
+  return () => eventListeners.delete(fn);
+}
+
+function subscribeStatus(fn) {
+  statusListeners.add(fn);
+  return () => statusListeners.delete(fn);
+}
+
+export function useLiveStatus() {
+  return useSyncExternalStore(subscribeStatus, getLiveStatus);
+}
+
+// The polling interval to hand useResource: none while the hub pushes changes
+export function usePollingFallback(interval) {
+  return useLiveStatus() === 'connected' ? 0 : interval;
+}
@@ -0,0 +1,92 @@
+import { act, renderHook, waitFor } from '@testing-library/react';
+import api from '../api';
+import { clearResources, useResource } from './resources';
+import { getLiveStatus, setHubConnectionFactory, startLive, stopLive, usePollingFallback } from './live';
+
+function response(body) {
+  return {
+    ok: true,
+    status: 200,
+    headers: { get: () => null },
+    text: async () => JSON.stringify(body)
+  };
+}
+
+// Stands in for a SignalR HubConnection; `emit` plays a server-sent event
+function fakeConnection(start = jest.fn(async () => { })) {
+  const handlers = {};
+  const conn = {
+    start,
+    stop: jest.fn(async () => { }),
+    on: (name, fn) => { handlers[name] = fn; },
+    onreconnecting: fn => { conn.reconnecting = fn; },
+    onreconnected: fn => { conn.reconnected = fn; },
+    onclose: fn => { conn.closed = fn; },
+    emit: (name, ...args) => handlers[name](...args)
+  };
+  return conn;
+}
+
+let conn;
+let tokenFactory;
+
+beforeEach(() => {
+  clearResources();
+  global.fetch = jest.fn(async url => response({ url }));
+  api.saveSession({ token: 'token-1' });
+});
+
+afterEach(() => {
+  stopLive();
+  setHubConnectionFactory(null);
+  api.clearSession();
+  delete global.fetch;
+  jest.useRealTimers();
+});
+
+function useFake(connection) {
+  conn = connection;
+  setHubConnectionFactory((url, accessTokenFactory) => {
+    tokenFactory = accessTokenFactory;
+    return conn;
+  });
+}
+
+test('a session event refreshes the session lists on screen and connects with the current token', async () => {
+  useFake(fakeConnection());
+  const { result: sessions } = renderHook(() => useResource('/gamesessions/active'));
+  const { result: payments } = renderHook(() => useResource('/transactions?page=1'));
+  await waitFor(() => expect(sessions.current.data).toBeDefined());
+  await waitFor(() => expect(payments.current.data).toBeDefined());
+
+  await act(async () => { startLive(); });
+  expect(getLiveStatus()).toBe('connected');
+  api.saveSession({ token: 'token-2' });
+  expect(tokenFactory()).toBe('token-2');
+
+  global.fetch.mockClear();
+  await act(async () => { conn.emit('SessionUpdated', 7, 'Active'); });
+
+  expect(global.fetch).toHaveBeenCalledTimes(1);
+  expect(global.fetch.mock.calls[0][0]).toMatch(/\/gamesessions\/active$/);
+});
+
+test('polling runs only while the hub is down, and a failed connect is retried', async () => {
+  jest.useFakeTimers();
+  const start = jest.fn()
+    .mockRejectedValueOnce(new Error('Failed to complete negotiation'))
+    .mockResolvedValue(undefined);
+  useFake(fakeConnection(start));
+  const { result } = renderHook(() => usePollingFallback(30000));
+
+  await act(async () => { startLive(); });
+  expect(getLiveStatus()).toBe('disconnected');
+  expect(result.current).toBe(30000);
+
+  await act(async () => { jest.advanceTimersByTime(2000); });
+  expect(start).toHaveBeenCalledTimes(2);
+  expect(result.current).toBe(0);
+
+  act(() => conn.reconnecting());
+  expect(result.current).toBe(30000);
+});
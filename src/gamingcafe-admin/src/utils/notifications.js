@@ -0,0 +1,374 @@
+import { useSyncExternalStore } from 'react';
+import api from '../api';
+import { onLiveEvent } from './live';
+import { DEFAULT_SESSION_SETTINGS, sessionCountdown } from './sessionTime';
+
+// The Topbar notification inbox. Gathers the API's /alerts, low-stock products, sessions
+// whose booked time is about to run out and a few hub events into one list that is kept in localStorage, so what
+// was read, acknowledged or snoozed on this terminal survives a reload.
+//
+// Conditions that are polled (alerts, stock, sessions) are keyed, so the same condition stays
+// one notification while it lasts. When it clears the notification is marked resolved and
+// moves to history; if it comes back it opens as a new one.
+
+const STORAGE_KEY = 'gc_notifications';
+const HISTORY_LIMIT = 200;
+const POLL_INTERVAL = 60000;
+const EXPIRY_TICK = 30000;
+const POLL_OPTIONS = { background: true, retries: 0 };
+
+export const SEVERITIES = ['critical', 'warning', 'info'];
+
+export const SNOOZE_OPTIONS = [
+  { label: '15 minutes', ms: 15 * 60 * 1000 },
+  { label: '1 hour', ms: 60 * 60 * 1000 },
+  { label: '4 hours', ms: 4 * 60 * 60 * 1000 }
+];
+
+const DEFAULT_PREFS = { sound: false, desktop: false };
+
+function load() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    if (saved && Array.isArray(saved.items)) return { items: saved.items, prefs: { ...DEFAULT_PREFS, ...saved.prefs } };
+  } catch { }
+  return { items: [], prefs: DEFAULT_PREFS };
+}
+
+// items: newest first, each { id, key, source, severity, message, detail, link, createdAt,
+// readAt, acknowledgedAt, acknowledgedBy, snoozedUntil, resolvedAt }
+let state = load();
+const listeners = new Set();
+
+function emit() {
+  listeners.forEach(fn => fn());
+}
+
+function setItems(items) {
+  // Open notifications are never dropped; only the oldest closed ones fall off the end
+  const open = items.filter(n => !isClosed(n));
+  const closed = items.filter(isClosed).slice(0, Math.max(0, HISTORY_LIMIT - open.length));
+  const keep = new Set([...open, ...closed]);
+  state = { ...state, items: items.filter(n => keep.has(n)) };
+  save();
+  emit();
+}
+
+function save() {
+  try { localStorage.setItem(STORAGE_KEY, JSON.stringify(state)); } catch { }
+}
+
+function subscribe(fn) {
+  listeners.add(fn);
+  return () => listeners.delete(fn);
+}
+
+function updateItem(id, patch) {
+  setItems(state.items.map(n => (n.id === id ? { ...n, ...patch } : n)));
+}
+
+export function getNotifications() {
+  return state;
+}
+
+export function isClosed(n) {
+  return Boolean(n.acknowledgedAt || n.resolvedAt);
+}
+
+export function isSnoozed(n, now = Date.now()) {
+  return Boolean(n.snoozedUntil && n.snoozedUntil > now);
+}
+
+// view is 'inbox' (open and not snoozed), 'snoozed' or 'history' (acknowledged or resolved)
+export function selectNotifications(items, { view = 'inbox', severity = 'all' } = {}, now = Date.now()) {
+  return items.filter(n => {
+    if (severity !== 'all' && n.severity !== severity) return false;
+    if (view === 'history') return isClosed(n);
+    if (isClosed(n)) return false;
+    return view === 'snoozed' ? isSnoozed(n, now) : !isSnoozed(n, now);
+  });
+}
+
+export function unreadCount(items, now = Date.now()) {
+  return selectNotifications(items, {}, now).filter(n => !n.readAt).length;
+}
+
+const rank = severity => SEVERITIES.length - SEVERITIES.indexOf(severity);
+
+// Adds a notification, or refreshes the open one with the same key. A condition that gets
+// worse (warning -> critical) is brought back as unread.
+export function notify({ key, source, severity = 'info', message, detail = '', link = null }, now = Date.now()) {
+  const existing = state.items.find(n => n.key === key && !isClosed(n));
+  if (existing) {
+    const escalated = rank(severity) > rank(existing.severity);
+    if (!escalated && existing.message === message && existing.detail === detail && existing.severity === severity) return existing;
+    const next = { ...existing, severity, message, detail, link, ...(escalated ? { readAt: null, snoozedUntil: null } : {}) };
+    setItems(state.items.map(n => (n === existing ? next : n)));
+    if (escalated) announce(next);
+    return next;
+  }
+  const item = {
+    id: `${key}@${now}`,
+    key,
+    source,
+    severity,
+    message,
+    detail,
+    link,
+    createdAt: now,
+    readAt: null,
+    acknowledgedAt: null,
+    acknowledgedBy: null,
+    snoozedUntil: null,
+    resolvedAt: null
+  };
+  setItems([item, ...state.items]);
+  announce(item);
+  return item;
+}
+
+// Replaces everything a polled source currently reports; open notifications from that source
+// that are no longer reported are resolved
+function syncSource(source, entries, now = Date.now()) {
+  const keys = new Set(entries.map(e => e.key));
+  entries.forEach(e => notify({ ...e, source }, now));
+  const stale = state.items.filter(n => n.source === source && !isClosed(n) && !keys.has(n.key));
+  if (stale.length) setItems(state.items.map(n => (stale.includes(n) ? { ...n, resolvedAt: now } : n)));
+}
+
+export function markRead(id) {
+  updateItem(id, { readAt: Date.now() });
+}
+
+export function markAllRead() {
+  const now = Date.now();
+  setItems(state.items.map(n => (n.readAt || isClosed(n) ? n : { ...n, readAt: now })));
+}
+
+export function acknowledge(id, by = null) {
+  const now = Date.now();
+  const item = state.items.find(n => n.id === id);
+  updateItem(id, { acknowledgedAt: now, acknowledgedBy: by, readAt: item?.readAt || now, snoozedUntil: null });
+}
+
+export function snooze(id, ms) {
+  updateItem(id, { snoozedUntil: Date.now() + ms });
+}
+
+export function unsnooze(id) {
+  updateItem(id, { snoozedUntil: null });
+}
+
+export function clearHistory() {
+  setItems(state.items.filter(n => !isClosed(n)));
+}
+
+export function setNotificationPrefs(patch) {
+  state = { ...state, prefs: { ...state.prefs, ...patch } };
+  save();
+  emit();
+}
+
+export function desktopNotificationsSupported() {
+  return typeof window !== 'undefined' && 'Notification' in window;
+}
+
+// Asks the browser once; the preference is only switched on if it was granted
+export async function enableDesktopNotifications() {
+  if (!desktopNotificationsSupported()) return false;
+  const permission = window.Notification.permission === 'granted'
+    ? 'granted'
+    : await window.Notification.requestPermission();
+  setNotificationPrefs({ desktop: permission === 'granted' });
+  return permission === 'granted';
+}
+
+// A short two-tone chime; needs no audio file and fails silently where audio is blocked
+function playChime() {
+  const AudioContext = window.AudioContext || window.webkitAudioContext;
+  if (!AudioContext) return;
+  try {
+    const ctx = new AudioContext();
+    [880, 660].forEach((frequency, i) => {
+      const osc = ctx.createOscillator();
+      const gain = ctx.createGain();
+      osc.frequency.value = frequency;
+      gain.gain.setValueAtTime(0.15, ctx.currentTime + i * 0.2);
+      gain.gain.exponentialRampToValueAtTime(0.001, ctx.currentTime + i * 0.2 + 0.18);
+      osc.connect(gain).connect(ctx.destination);
+      osc.start(ctx.currentTime + i * 0.2);
+      osc.stop(ctx.currentTime + i * 0.2 + 0.2);
+    });
+    setTimeout(() => ctx.close(), 600);
+  } catch { }
+}
+
+// Critical notifications can also chime and raise a browser notification, if the operator
+// turned those on
+function announce(item) {
+  if (item.severity !== 'critical' || isSnoozed(item)) return;
+  const { sound, desktop } = state.prefs;
+  if (sound) playChime();
+  if (desktop && desktopNotificationsSupported() && window.Notification.permission === 'granted') {
+    try { new window.Notification('Gaming Café alert', { body: item.message, tag: item.key }); } catch { }
+  }
+}
+
+// Opens the Topbar panel from elsewhere, e.g. the dashboard's "View All Alerts"
+export const OPEN_EVENT = 'notifications-open';
+
+export function openNotificationPanel() {
+  window.dispatchEvent(new CustomEvent(OPEN_EVENT));
+}
+
+export function timeAgo(ms, now = Date.now()) {
+  const mins = Math.floor((now - ms) / 60000);
+  if (mins < 1) return 'just now';
+  if (mins < 60) return `${mins} min ago`;
+  if (mins < 24 * 60) return `${Math.floor(mins / 60)} h ago`;
+  return new Date(ms).toLocaleDateString();
+}
+
+// --- Sources ---
+
+const ALERT_SEVERITY = { critical: 'critical', error: 'critical', danger: 'critical', warning: 'warning' };
+
+export function alertEntries(alerts) {
+  return (Array.isArray(alerts) ? alerts : []).map(a => ({
+    key: `alert:${a.id}`,
+    severity: ALERT_SEVERITY[String(a.type || a.severity).toLowerCase()] || 'info',
+    message: a.message || a.title || 'System alert',
+    detail: a.description || ''
+  }));
+}
+
+// The API returns InventoryLowStockProductDto; the demo backend returns plain products
+export function lowStockEntries(products) {
+  return (Array.isArray(products) ? products : []).map(p => {
+    const name = p.productName || p.name;
+    const stock = p.currentStock ?? p.stockQuantity ?? 0;
+    const out = stock <= 0;
+    return {
+      key: `stock:${p.productId}:${out ? 'out' : 'low'}`,
+      severity: out ? 'warning' : 'info',
+      message: out ? `${name} is out of stock` : `${name} is running low`,
+      detail: out ? `Minimum stock level is ${p.minStockLevel}` : `${stock} left, minimum ${p.minStockLevel}`,
+      link: '/inventory'
+    };
+  });
+}
+
+const minutes = ms => Math.max(1, Math.round(ms / 60000));
+
+// Running sessions whose booked time is inside the warning threshold or already used up
+export function sessionEntries(sessions, settings = DEFAULT_SESSION_SETTINGS, now = Date.now()) {
+  return (Array.isArray(sessions) ? sessions : []).flatMap(s => {
+    const { state: clock, remainingMs } = sessionCountdown(s, settings, now);
+    if (clock !== 'warning' && clock !== 'expired') return [];
+    const who = `${s.stationName}: ${s.username}`;
+    return [{
+      key: `session:${s.sessionId}`,
+      severity: clock === 'expired' ? 'critical' : 'warning',
+      message: clock === 'expired' ? `${who} is out of time` : `${who} has ${minutes(remainingMs)} min left`,
+      detail: clock === 'expired' ? `Over by ${minutes(-remainingMs)} min` : '',
+      link: '/'
+    }];
+  });
+}
+
+const PROBLEM_STATIONS = ['Maintenance', 'Offline', 'Error'];
+
+// Hub events are one-off: they open a notification but are never resolved by a poll
+function handleLiveEvent(name, id, status) {
+  if (name === 'PaymentUpdated' && status === 'Failed') {
+    notify({ key: `payment:${id}:failed`, source: 'live', severity: 'warning', message: `Payment #${id} failed`, link: '/payments' });
+  } else if (name === 'PaymentUpdated' && status === 'Refunded') {
+    notify({ key: `payment:${id}:refunded`, source: 'live', message: `Payment #${id} was refunded`, link: '/payments' });
+  } else if (name === 'StationUpdated') {
+    const now = Date.now();
+    const previous = state.items.filter(n => n.key.startsWith(`station:${id}:`) && !isClosed(n));
+    if (previous.length) setItems(state.items.map(n => (previous.includes(n) ? { ...n, resolvedAt: now } : n)));
+    if (PROBLEM_STATIONS.includes(status)) {
+      notify({ key: `station:${id}:${status}`, source: 'live', severity: 'warning', message: `Station #${id} is ${status.toLowerCase()}`, link: '/stations' }, now);
+    }
+  }
+  if (name.startsWith('Session')) pollSessions();
+}
+
+let lastSessions = null;
+let sessionSettings = null;
+
+async function poll(source, path, toEntries) {
+  try {
+    const data = await api.get(path, POLL_OPTIONS);
+    syncSource(source, toEntries(data));
+    return data;
+  } catch {
+    // Unreachable or not permitted: keep what we have rather than resolving everything
+    return undefined;
+  }
+}
+
+async function pollSessions() {
+  if (!sessionSettings) {
+    sessionSettings = { ...DEFAULT_SESSION_SETTINGS, ...await api.get('/gamesessions/settings', POLL_OPTIONS).catch(() => null) };
+  }
+  return poll('session', '/gamesessions/active', data => {
+    lastSessions = data;
+    return sessionEntries(data, sessionSettings);
+  });
+}
+
+export function refreshNotifications() {
+  return Promise.all([
+    poll('alert', '/alerts', alertEntries),
+    poll('stock', '/inventory/low-stock', lowStockEntries),
+    pollSessions()
+  ]);
+}
+
+// Another tab of the app acknowledged or snoozed something
+function onStorage(e) {
+  if (e.key !== STORAGE_KEY) return;
+  state = load();
+  emit();
+}
+
+// Starts polling and returns the cleanup; several components may call it at once
+let users = 0;
+let timers = [];
+let stopEvents = null;
+
+export function startNotifications() {
+  users += 1;
+  if (users === 1) {
+    refreshNotifications();
+    timers = [
+      setInterval(refreshNotifications, POLL_INTERVAL),
+      // Counts sessions down between polls
+      setInterval(() => lastSessions && syncSource('session', sessionEntries(lastSessions, sessionSettings || DEFAULT_SESSION_SETTINGS)), EXPIRY_TICK)
+    ];
+    stopEvents = onLiveEvent(handleLiveEvent);
+    window.addEventListener('storage', onStorage);
+  }
+  return () => {
+    users -= 1;
+    if (users > 0) return;
+    timers.forEach(clearInterval);
+    stopEvents?.();
+    window.removeEventListener('storage', onStorage);
+  };
+}
+
+// Tests start from an empty inbox
+export function resetNotifications() {
+  state = { items: [], prefs: DEFAULT_PREFS };
+  lastSessions = null;
+  sessionSettings = null;
+  save();
+  emit();
+}
+
+export function useNotifications() {
+  return useSyncExternalStore(subscribe, () => state);
+}
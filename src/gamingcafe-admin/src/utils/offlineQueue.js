@@ -0,0 +1,226 @@
+import { useSyncExternalStore } from 'react';
+import api, { ConflictError } from '../api';
+import { invalidate } from './resources';
+
+// Front-desk writes (deposits, session start/end, reservations) that could not reach the
+// API are parked here instead of failing, persisted to IndexedDB so a reload does not lose
+// them, and replayed in the order they were made once the connection is back. Every item
+// carries its Idempotency-Key, so a write that did reach the server before the connection
+// dropped is replayed by the server rather than applied twice.
+//
+// Item statuses: 'pending' (waiting to sync), 'syncing', 'conflict' (409) and 'failed'
+// (any other rejection). Conflicts and rejections stay in the tray until staff retry or
+// discard them; they never block the items queued after them. A 401 is not a rejection:
+// the item waits, still pending, until its operator has signed in again.
+//
+// Items remember the operator who made them and are only replayed while that operator is
+// the one signed in at the screen, so a shared terminal never sends one person's writes
+// with another person's token.
+
+const DB_NAME = 'gc_offline';
+const STORE = 'mutations';
+const RETRY_INTERVAL = 30000;
+
+let items = [];
+let lastSeq = 0;
+let syncing = false;
+let loaded = null;
+let dbPromise = null;
+const listeners = new Set();
+const queued = new WeakSet();
+
+function setItems(next) {
+  items = next;
+  listeners.forEach(fn => fn());
+}
+
+function openDb() {
+  // No IndexedDB (tests, some private windows): the queue still works for this tab
+  if (typeof indexedDB === 'undefined') return Promise.resolve(null);
+  return new Promise(resolve => {
+    const req = indexedDB.open(DB_NAME, 1);
+    req.onupgradeneeded = () => req.result.createObjectStore(STORE, { keyPath: 'id' });
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => resolve(null);
+  });
+}
+
+function db() {
+  if (!dbPromise) dbPromise = openDb();
+  return dbPromise;
+}
+
+async function store(mode, fn) {
+  const conn = await db();
+  if (!conn) return undefined;
+  return new Promise((resolve, reject) => {
+    const tx = conn.transaction(STORE, mode);
+    const req = fn(tx.objectStore(STORE));
+    tx.oncomplete = () => resolve(req?.result);
+    tx.onerror = () => reject(tx.error);
+  });
+}
+
+function persist(item) {
+  return store('readwrite', s => s.put(item)).catch(() => { });
+}
+
+function forget(id) {
+  return store('readwrite', s => s.delete(id)).catch(() => { });
+}
+
+function load() {
+  if (!loaded) {
+    loaded = store('readonly', s => s.getAll())
+      .catch(() => [])
+      .then(saved => {
+        // A reload mid-sync leaves items marked 'syncing'; they never got an answer
+        const restored = (saved || []).map(item => (item.status === 'syncing' ? { ...item, status: 'pending' } : item));
+        const known = new Set(items.map(item => item.id));
+        setItems([...restored.filter(item => !known.has(item.id)), ...items].sort((a, b) => a.seq - b.seq));
+        lastSeq = Math.max(lastSeq, ...items.map(item => item.seq));
+      });
+  }
+  return loaded;
+}
+
+function patchItem(id, patch) {
+  let updated = null;
+  setItems(items.map(item => {
+    if (item.id !== id) return item;
+    updated = { ...item, ...patch };
+    return updated;
+  }));
+  if (updated) persist(updated);
+  return updated;
+}
+
+function currentOperator() {
+  const session = api.getSession();
+  return session?.email ? { email: session.email, name: session.username || session.email } : null;
+}
+
+function isOwnItem(item) {
+  return !item.operator || item.operator.email === api.getSession()?.email;
+}
+
+function send(item) {
+  const options = { idempotencyKey: item.idempotencyKey };
+  if (item.method === 'DELETE') return api.del(item.path, options);
+  return api[item.method.toLowerCase()](item.path, item.body, options);
+}
+
+function enqueue({ method, path, body, idempotencyKey, label, invalidates }) {
+  lastSeq = Math.max(Date.now(), lastSeq + 1);
+  const item = {
+    id: idempotencyKey,
+    seq: lastSeq,
+    method,
+    path,
+    body: body ?? null,
+    idempotencyKey,
+    label: label || `${method} ${path}`,
+    invalidates: invalidates || [],
+    queuedAt: new Date().toISOString(),
+    status: 'pending',
+    error: null,
+    correlationId: null,
+    operator: currentOperator()
+  };
+  setItems([...items, item]);
+  persist(item);
+  return item;
+}
+
+function hasPending() {
+  return items.some(item => (item.status === 'pending' || item.status === 'syncing') && isOwnItem(item));
+}
+
+// Sends the write now, or queues it when the API cannot be reached. Writes made while
+// older ones are still waiting are queued behind them so the server sees them in order.
+// Returns the API response, or a placeholder that isQueued() recognises.
+export async function submitOrQueue({ method = 'POST', path, body, idempotencyKey, label, invalidates } = {}) {
+  const mutation = { method, path, body, idempotencyKey: idempotencyKey || api.newIdempotencyKey(), label, invalidates };
+  await load();
+  const offline = typeof navigator !== 'undefined' && navigator.onLine === false;
+  if (!offline && !hasPending()) {
+    try {
+      return await send(mutation);
+    } catch (err) {
+      if (!api.isNetworkError(err)) throw err;
+    }
+  }
+  const placeholder = { queuedItem: enqueue(mutation) };
+  queued.add(placeholder);
+  return placeholder;
+}
+
+export function isQueued(result) {
+  return result !== null && typeof result === 'object' && queued.has(result);
+}
+
+// Replays pending items oldest first and stops at the first one that still cannot reach the server
+export async function replayQueue() {
+  await load();
+  if (syncing || !api.getToken()) return;
+  syncing = true;
+  try {
+    for (;;) {
+      const next = items.find(item => item.status === 'pending' && isOwnItem(item));
+      if (!next) break;
+      patchItem(next.id, { status: 'syncing' });
+      try {
+        await send(next);
+        setItems(items.filter(item => item.id !== next.id));
+        forget(next.id);
+        if (next.invalidates.length) invalidate(...next.invalidates);
+      } catch (err) {
+        // Unanswered, signed out, or the first attempt with this key is still being processed
+        if (api.isNetworkError(err) || err.status === 401 || err.data?.code === 'idempotency_in_progress') {
+          patchItem(next.id, { status: 'pending' });
+          break;
+        }
+        patchItem(next.id, {
+          status: err instanceof ConflictError ? 'conflict' : 'failed',
+          error: err.message || 'Rejected by the server',
+          correlationId: err.correlationId || null
+        });
+      }
+    }
+  } finally {
+    syncing = false;
+  }
+}
+
+// The server keeps its rejection under the item's Idempotency-Key and would replay it, so a
+// retry staff ask for after fixing the cause goes out as a new request
+export function retryItem(id) {
+  patchItem(id, { status: 'pending', error: null, correlationId: null, idempotencyKey: api.newIdempotencyKey() });
+  return replayQueue();
+}
+
+export function discardItem(id) {
+  setItems(items.filter(item => item.id !== id));
+  return forget(id);
+}
+
+// Replays on reconnect and on a timer while anything is waiting; returns the cleanup
+export function startOfflineSync() {
+  const tick = () => { if (hasPending()) replayQueue(); };
+  load().then(tick);
+  window.addEventListener('online', tick);
+  const timer = setInterval(tick, RETRY_INTERVAL);
+  return () => {
+    window.removeEventListener('online', tick);
+    clearInterval(timer);
+  };
+}
+
+function subscribe(fn) {
+  listeners.add(fn);
+  return () => listeners.delete(fn);
+}
+
+export function useOfflineQueue() {
+  return useSyncExternalStore(subscribe, () => items);
+}
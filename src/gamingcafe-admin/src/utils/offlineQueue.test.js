@@ -0,0 +1,72 @@
+import { renderHook } from '@testing-library/react';
+import { isQueued, replayQueue, retryItem, submitOrQueue, useOfflineQueue } from './offlineQueue';
+
+function response(status, body) {
+  return {
+    ok: status >= 200 && status < 300,
+    status,
+    statusText: String(status),
+    headers: { get: () => null },
+    text: async () => JSON.stringify(body)
+  };
+}
+
+beforeEach(() => {
+  localStorage.setItem('gc_user', JSON.stringify({ email: 'staff@cafe.local', token: 't', refreshToken: 'r' }));
+  global.fetch = jest.fn();
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  localStorage.clear();
+  delete global.fetch;
+});
+
+test('writes made offline are queued, replayed in order with their keys and rejections kept per item', async () => {
+  const online = jest.spyOn(navigator, 'onLine', 'get').mockReturnValue(false);
+
+  const deposit = await submitOrQueue({ path: '/wallet/1/deposit', body: { amount: 5 }, idempotencyKey: 'k1', label: 'Deposit $5.00' });
+  await submitOrQueue({ path: '/gamesessions/start', body: { stationId: 2, userId: 1 }, idempotencyKey: 'k2' });
+  await submitOrQueue({ path: '/reservations', body: { stationId: 3 }, idempotencyKey: 'k3' });
+
+  expect(isQueued(deposit)).toBe(true);
+  expect(global.fetch).not.toHaveBeenCalled();
+
+  online.mockReturnValue(true);
+  global.fetch
+    .mockResolvedValueOnce(response(200, { balance: 5 }))
+    .mockResolvedValueOnce(response(409, 'Station is already in use'))
+    .mockResolvedValueOnce(response(201, { reservationId: 9 }));
+
+  await replayQueue();
+
+  expect(global.fetch.mock.calls.map(([, init]) => init.headers['Idempotency-Key'])).toEqual(['k1', 'k2', 'k3']);
+  const { result } = renderHook(() => useOfflineQueue());
+  expect(result.current).toEqual([
+    expect.objectContaining({ id: 'k2', status: 'conflict', error: 'Station is already in use' })
+  ]);
+});
+
+test('a retried rejection goes out under a new Idempotency-Key', async () => {
+  global.fetch.mockResolvedValueOnce(response(201, { reservationId: 10 }));
+
+  await retryItem('k2');
+
+  const key = global.fetch.mock.calls[0][1].headers['Idempotency-Key'];
+  expect(key).toBeTruthy();
+  expect(key).not.toBe('k2');
+  const { result } = renderHook(() => useOfflineQueue());
+  expect(result.current).toEqual([]);
+});
+
+test('a write replayed after the session expired waits for the operator instead of being rejected', async () => {
+  const online = jest.spyOn(navigator, 'onLine', 'get').mockReturnValue(false);
+  await submitOrQueue({ path: '/wallet/1/deposit', body: { amount: 5 }, idempotencyKey: 'k4' });
+  online.mockReturnValue(true);
+  global.fetch.mockResolvedValue(response(401, 'Unauthorized'));
+
+  await replayQueue();
+
+  const { result } = renderHook(() => useOfflineQueue());
+  expect(result.current).toEqual([expect.objectContaining({ id: 'k4', status: 'pending', error: null })]);
+});
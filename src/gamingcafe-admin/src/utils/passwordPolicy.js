@@ -0,0 +1,49 @@
+// Client-side copy of the password rules in PasswordResetConfirmRequestValidator and
+// RegisterRequestValidator (AuthValidators.cs). Keep the two in step: the form blocks anything
+// these rules reject, so a looser copy here only shows up as a server error after submit.
+const SPECIAL = '@$!%*?&';
+
+export const PASSWORD_RULES = [
+  { id: 'length', label: 'At least 8 characters', test: pw => pw.length >= 8 },
+  { id: 'upper', label: 'An uppercase letter', test: pw => /[A-Z]/.test(pw) },
+  { id: 'lower', label: 'A lowercase letter', test: pw => /[a-z]/.test(pw) },
+  { id: 'digit', label: 'A number', test: pw => /\d/.test(pw) },
+  { id: 'special', label: `A special character (${SPECIAL.split('').join(' ')})`, test: pw => /[@$!%*?&]/.test(pw) }
+];
+
+export const PASSWORD_MAX_LENGTH = 100;
+
+// The validators' Matches() pattern. Besides the rules above it only checks the first
+// character, which has to be a letter, a digit or one of the special characters.
+const VALIDATOR_PATTERN = /^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)(?=.*[@$!%*?&])[A-Za-z\d@$!%*?&]/;
+
+const STRENGTH_LABELS = ['Too weak', 'Weak', 'Fair', 'Good', 'Strong'];
+
+// `{ rules: [{ id, label, met }], valid }` for the given password
+export function checkPassword(password = '') {
+  const rules = PASSWORD_RULES.map(rule => ({ id: rule.id, label: rule.label, met: rule.test(password) }));
+  const valid = rules.every(rule => rule.met) && password.length <= PASSWORD_MAX_LENGTH && VALIDATOR_PATTERN.test(password);
+  return { rules, valid };
+}
+
+// Rough 0–4 score for the meter: rules met, with extra credit for length. It is feedback,
+// not a gate — checkPassword decides what is accepted.
+export function passwordStrength(password = '') {
+  if (!password) return { score: 0, label: '' };
+  const met = PASSWORD_RULES.filter(rule => rule.test(password)).length;
+  let score = Math.min(3, Math.max(0, met - 1));
+  if (met === PASSWORD_RULES.length && password.length >= 12) score = 4;
+  if (/^(.)\1+$/.test(password)) score = 0;
+  return { score, label: STRENGTH_LABELS[score] };
+}
+
+// Messages for the rules a password misses, for toasts and form errors
+export function passwordProblems(password = '') {
+  const { rules } = checkPassword(password);
+  const problems = rules.filter(rule => !rule.met).map(rule => `Password needs: ${rule.label.toLowerCase()}`);
+  if (password.length > PASSWORD_MAX_LENGTH) problems.push(`Password must not exceed ${PASSWORD_MAX_LENGTH} characters`);
+  if (!problems.length && password && !VALIDATOR_PATTERN.test(password)) {
+    problems.push(`Password must start with a letter, a number or one of ${SPECIAL}`);
+  }
+  return problems;
+}
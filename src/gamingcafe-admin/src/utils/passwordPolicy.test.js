@@ -0,0 +1,20 @@
+import { checkPassword, passwordProblems } from './passwordPolicy';
+
+test('only the special characters and length the API validators accept pass', () => {
+  expect(checkPassword('N3w-password!').valid).toBe(true);
+  expect(checkPassword('Passw0rd&').valid).toBe(true);
+
+  // '#' is not one of @$!%*?&, so RegisterRequestValidator would reject it
+  const hash = checkPassword('Passw0rd#');
+  expect(hash.valid).toBe(false);
+  expect(hash.rules.find(rule => rule.id === 'special').met).toBe(false);
+
+  const long = `Passw0rd!${'a'.repeat(92)}`;
+  expect(long).toHaveLength(101);
+  expect(checkPassword(long).valid).toBe(false);
+  expect(passwordProblems(long)).toEqual(['Password must not exceed 100 characters']);
+  expect(checkPassword(long.slice(0, 100)).valid).toBe(true);
+
+  // The validators' pattern also checks the first character
+  expect(passwordProblems(' Passw0rd!')).toEqual(['Password must start with a letter, a number or one of @$!%*?&']);
+});
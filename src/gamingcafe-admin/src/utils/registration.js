@@ -0,0 +1,54 @@
+import { PASSWORD_MAX_LENGTH, checkPassword } from './passwordPolicy';
+
+// Client-side copy of RegisterRequestValidator (AuthValidators.cs), whose name and phone
+// limits follow CreateUserRequestValidator. Keys are the camelCase request properties, the
+// same map a ValidationError from the API carries, so one set of field messages serves both.
+const EMAIL = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+function isoDate(date) {
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+// Latest date of birth the date picker offers: yesterday
+export function latestBirthDate(now = new Date()) {
+  return isoDate(new Date(now.getFullYear(), now.getMonth(), now.getDate() - 1));
+}
+
+export function validateRegistration(form, now = new Date()) {
+  const errors = {};
+  const add = (field, message) => { (errors[field] = errors[field] || []).push(message); };
+  const username = form.username.trim();
+  const email = form.email.trim();
+  const phone = form.phoneNumber.trim();
+
+  if (!username) add('username', 'Username is required');
+  else if (username.length < 3) add('username', 'Username must be at least 3 characters long');
+  else if (username.length > 50) add('username', 'Username must not exceed 50 characters');
+
+  if (!email) add('email', 'Email is required');
+  else if (!EMAIL.test(email)) add('email', 'Invalid email format');
+  else if (email.length > 255) add('email', 'Email must not exceed 255 characters');
+
+  if (!form.firstName.trim()) add('firstName', 'First name is required');
+  else if (form.firstName.trim().length > 100) add('firstName', 'First name must not exceed 100 characters');
+  if (!form.lastName.trim()) add('lastName', 'Last name is required');
+  else if (form.lastName.trim().length > 100) add('lastName', 'Last name must not exceed 100 characters');
+
+  if (phone && (phone.length < 7 || phone.length > 20)) add('phoneNumber', 'Phone number must be 7 to 20 characters');
+
+  if (!form.dateOfBirth) add('dateOfBirth', 'Date of birth is required');
+  else if (form.dateOfBirth > latestBirthDate(now)) add('dateOfBirth', 'Date of birth must be in the past');
+  else if (form.dateOfBirth <= '1900-01-01') add('dateOfBirth', 'Date of birth is not valid');
+
+  // RegisterRequestValidator's own messages, on the rules ResetPassword shows as a checklist
+  if (!form.password) add('password', 'Password is required');
+  else if (form.password.length < 8) add('password', 'Password must be at least 8 characters long');
+  else if (form.password.length > PASSWORD_MAX_LENGTH) add('password', `Password must not exceed ${PASSWORD_MAX_LENGTH} characters`);
+  else if (!checkPassword(form.password).valid) {
+    add('password', 'Password must contain at least one uppercase letter, one lowercase letter, one digit, and one special character');
+  }
+  if (form.password && form.confirm !== form.password) add('confirm', 'The passwords do not match');
+
+  if (!form.acceptTerms) add('acceptTerms', 'You must accept the terms and conditions');
+  return errors;
+}
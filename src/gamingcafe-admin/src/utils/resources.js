@@ -0,0 +1,198 @@
+import { useCallback, useEffect, useMemo, useRef, useState, useSyncExternalStore } from 'react';
+import api from '../api';
+
+// Shared read layer for pages. A resource is identified by its API path (query string
+// included), so two components asking for the same path share one cache entry and one
+// request in flight. Cached data is served immediately and revalidated in the background
+// once it is older than `staleTime`. Mutations call `invalidate` with path prefixes:
+// '/wallet/5' refreshes '/wallet/5/transactions?page=2' but not '/wallet/50'. A request is
+// cancelled when the last component watching its path unmounts.
+
+const DEFAULT_STALE_TIME = 30000;
+const MAX_IDLE_ENTRIES = 100;
+
+// key -> { data, error, updatedAt, fetching }; entries are replaced, never mutated, so
+// useSyncExternalStore can compare snapshots by identity
+const cache = new Map();
+// key -> { promise, controller } for the request currently allowed to write the entry
+const inFlight = new Map();
+const listeners = new Map();
+
+function update(key, patch) {
+  cache.set(key, { ...cache.get(key), ...patch });
+  listeners.get(key)?.forEach(fn => fn());
+}
+
+function subscribeKey(key, fn) {
+  if (!listeners.has(key)) listeners.set(key, new Set());
+  listeners.get(key).add(fn);
+  return () => {
+    const set = listeners.get(key);
+    set?.delete(fn);
+    if (set && set.size === 0) {
+      listeners.delete(key);
+      // Nobody left to show the answer to (page closed, filter changed)
+      abortFetch(key);
+      evictIdle();
+    }
+  };
+}
+
+// Drop the oldest entries nobody is watching once the cache grows past its budget
+function evictIdle() {
+  const idle = [...cache.keys()].filter(key => !listeners.has(key) && !inFlight.has(key));
+  if (idle.length <= MAX_IDLE_ENTRIES) return;
+  idle
+    .sort((a, b) => (cache.get(a).updatedAt || 0) - (cache.get(b).updatedAt || 0))
+    .slice(0, idle.length - MAX_IDLE_ENTRIES)
+    .forEach(key => cache.delete(key));
+}
+
+function matches(key, prefix) {
+  if (key === prefix) return true;
+  return key.startsWith(prefix) && (key[prefix.length] === '/' || key[prefix.length] === '?');
+}
+
+function abortFetch(key) {
+  const running = inFlight.get(key);
+  if (!running) return;
+  inFlight.delete(key);
+  running.controller.abort();
+  update(key, { fetching: false });
+}
+
+// Joins the request already running for `key` unless `restart` is set. A restarted or aborted
+// request is cancelled and whatever it still returns is not written to the cache.
+export function fetchResource(key, { restart = false } = {}) {
+  const running = inFlight.get(key);
+  if (running && !restart) return running.promise;
+  running?.controller.abort();
+
+  const controller = new AbortController();
+  const current = () => inFlight.get(key)?.controller === controller;
+  const promise = api.get(key, { signal: controller.signal })
+    .then(data => {
+      if (current()) update(key, { data, error: null, updatedAt: Date.now(), fetching: false });
+      return data;
+    }, err => {
+      if (current()) update(key, { error: api.isAbortError(err) ? null : err, fetching: false });
+      throw err;
+    })
+    .finally(() => { if (current()) inFlight.delete(key); });
+  inFlight.set(key, { promise, controller });
+  update(key, { fetching: true, error: null });
+  return promise;
+}
+
+// Marks every cached path under the given prefixes stale and refetches the ones on screen.
+// A request already in flight may have been answered before the change, so it is replaced.
+export function invalidate(...prefixes) {
+  [...cache.keys()]
+    .filter(key => prefixes.some(prefix => matches(key, prefix)))
+    .forEach(key => {
+      update(key, { updatedAt: 0 });
+      if (listeners.has(key)) fetchResource(key, { restart: true }).catch(() => { });
+      else abortFetch(key);
+    });
+}
+
+// Optimistic local edit of a cached response; the next fetch or invalidate replaces it
+export function mutate(key, updater) {
+  const current = cache.get(key);
+  if (current?.data === undefined) return;
+  update(key, { data: updater(current.data) });
+}
+
+export function clearResources() {
+  [...inFlight.keys()].forEach(abortFetch);
+  cache.clear();
+}
+
+// A different user must never see the previous session's cached lists
+api.onAuthChange(type => { if (type === 'expired') clearResources(); });
+
+export function useResource(path, { staleTime = DEFAULT_STALE_TIME, keepPrevious = true, refreshInterval = 0 } = {}) {
+  const subscribe = useCallback(fn => (path ? subscribeKey(path, fn) : () => { }), [path]);
+  const getSnapshot = useCallback(() => (path ? cache.get(path) : undefined), [path]);
+  const entry = useSyncExternalStore(subscribe, getSnapshot);
+
+  useEffect(() => {
+    if (!path) return;
+    const current = cache.get(path);
+    const fresh = current?.updatedAt && Date.now() - current.updatedAt < staleTime;
+    if (!fresh) fetchResource(path).catch(() => { });
+  }, [path, staleTime]);
+
+  // Polling for screens that watch live state (active sessions, dashboard totals)
+  useEffect(() => {
+    if (!path || !refreshInterval) return;
+    const timer = setInterval(() => fetchResource(path).catch(() => { }), refreshInterval);
+    return () => clearInterval(timer);
+  }, [path, refreshInterval]);
+
+  // While a new page or filter loads, keep showing the previous result instead of flashing empty
+  const previous = useRef(undefined);
+  if (entry?.data !== undefined) previous.current = entry.data;
+  const data = entry?.data !== undefined ? entry.data : keepPrevious ? previous.current : undefined;
+
+  const refresh = useCallback(() => (path ? fetchResource(path) : Promise.resolve(undefined)), [path]);
+
+  return {
+    data,
+    error: entry?.error || null,
+    // Only true when there is nothing to show yet; `validating` covers background refreshes
+    loading: Boolean(path) && data === undefined && !entry?.error,
+    validating: Boolean(entry?.fetching),
+    // When `data` was fetched, for screens that count on from it (session timers)
+    updatedAt: entry?.updatedAt,
+    refresh
+  };
+}
+
+// List endpoints answer with a PagedResponse ({ data, totalCount, page }), an older
+// { items } shape or a bare array
+export function toPage(res) {
+  const items = Array.isArray(res) ? res : res?.data ?? res?.Data ?? res?.items ?? res?.Items ?? [];
+  const list = Array.isArray(items) ? items : [];
+  return {
+    items: list,
+    totalCount: res?.totalCount ?? res?.TotalCount ?? list.length,
+    page: res?.page ?? res?.Page
+  };
+}
+
+// Maps the rows of a list response without changing its shape, for use with `mutate`
+export function mapItems(res, fn) {
+  if (Array.isArray(res)) return res.map(fn);
+  for (const field of ['data', 'Data', 'items', 'Items']) {
+    if (Array.isArray(res?.[field])) return { ...res, [field]: res[field].map(fn) };
+  }
+  return res;
+}
+
+export function usePagedResource(path, options) {
+  const resource = useResource(path, options);
+  const page = useMemo(() => toPage(resource.data), [resource.data]);
+  return { ...resource, ...page };
+}
+
+// Appends the non-empty params to a path: withQuery('/users', { page: 1, searchTerm: '' })
+export function withQuery(path, params = {}) {
+  const qs = new URLSearchParams();
+  Object.entries(params).forEach(([name, value]) => {
+    if (value !== undefined && value !== null && value !== '') qs.append(name, String(value));
+  });
+  const query = qs.toString();
+  return query ? `${path}?${query}` : path;
+}
+
+export function useDebouncedValue(value, delay = 300) {
+  const [debounced, setDebounced] = useState(value);
+  useEffect(() => {
+    const timer = setTimeout(() => setDebounced(value), delay);
+    return () => clearTimeout(timer);
+  }, [value, delay]);
+  return debounced;
+}
+
+export default useResource;
@@ -0,0 +1,70 @@
+import { act, renderHook, waitFor } from '@testing-library/react';
+import { clearResources, invalidate, useResource } from './resources';
+
+function response(body) {
+  return {
+    ok: true,
+    status: 200,
+    headers: { get: () => null },
+    text: async () => JSON.stringify(body)
+  };
+}
+
+beforeEach(() => {
+  clearResources();
+  global.fetch = jest.fn(async url => response({ url }));
+});
+
+afterEach(() => {
+  delete global.fetch;
+});
+
+test('components asking for the same path share one request', async () => {
+  const { result: first } = renderHook(() => useResource('/stations'));
+  const { result: second } = renderHook(() => useResource('/stations'));
+
+  await waitFor(() => expect(second.current.data).toBeDefined());
+  expect(first.current.data).toBe(second.current.data);
+  expect(global.fetch).toHaveBeenCalledTimes(1);
+});
+
+test('invalidate refetches paths under the prefix only', async () => {
+  const { result: detail } = renderHook(() => useResource('/wallet/5/transactions?page=2'));
+  const { result: other } = renderHook(() => useResource('/wallet/50'));
+  await waitFor(() => expect(detail.current.data).toBeDefined());
+  await waitFor(() => expect(other.current.data).toBeDefined());
+  global.fetch.mockClear();
+
+  await act(async () => { invalidate('/wallet/5'); });
+
+  expect(global.fetch).toHaveBeenCalledTimes(1);
+  expect(global.fetch.mock.calls[0][0]).toMatch(/\/wallet\/5\/transactions\?page=2$/);
+});
+
+test('the request is cancelled once the last component watching the path goes away', async () => {
+  global.fetch = jest.fn(() => new Promise(() => { }));
+  const { unmount: closeList } = renderHook(() => useResource('/transactions?page=1'));
+  const { unmount: closeTotals } = renderHook(() => useResource('/transactions?page=1'));
+  await waitFor(() => expect(global.fetch).toHaveBeenCalledTimes(1));
+  const { signal } = global.fetch.mock.calls[0][1];
+
+  closeList();
+  expect(signal.aborted).toBe(false);
+  closeTotals();
+  expect(signal.aborted).toBe(true);
+});
+
+test('a response that was in flight when the path was invalidated is not kept', async () => {
+  const pending = [];
+  global.fetch = jest.fn(() => new Promise(resolve => pending.push(resolve)));
+  const { result } = renderHook(() => useResource('/wallet/5'));
+  await waitFor(() => expect(pending).toHaveLength(1));
+
+  await act(async () => { invalidate('/wallet/5'); });
+  expect(global.fetch).toHaveBeenCalledTimes(2);
+  expect(global.fetch.mock.calls[0][1].signal.aborted).toBe(true);
+
+  await act(async () => { pending[1](response({ balance: 20 })); });
+  await act(async () => { pending[0](response({ balance: 10 })); });
+  expect(result.current.data).toEqual({ balance: 20 });
+});
@@ -1,12 +1,104 @@
+import { useCallback } from 'react';
 import { useAuth } from '../auth/AuthContext';
 
+// UserRole enum values, for responses that serialize the role as a number
+const ROLE_NAMES = ['Customer', 'Staff', 'Manager', 'Admin'];
+const ROLE_CLAIM = 'http://schemas.microsoft.com/ws/2008/06/identity/claims/role';
+const STAFF = ['Manager', 'Staff'];
+
+// Who may do what, copied from the [Authorize(Roles = ...)] attributes on the API
+// controllers. The API stays the authority; this only keeps the UI from offering actions
+// that would come back 403. Admin passes every check, and `permission` claims in the
+// access token (UserService.GetPermissionsAsync) grant the permission of the same name.
+export const PERMISSIONS = {
+  'app:access': STAFF,
+  'users:view': STAFF,
+  'users:write': ['Staff'],
+  'users:delete': [],
+  'users:sessions': [],
+  'wallet:view': STAFF,
+  'wallet:deposit': STAFF,
+  'wallet:withdraw': STAFF,
+  'wallet:transfer': ['Manager'],
+  'wallet:status': ['Manager'],
+  'txn:create': STAFF,
+  'txn:status': STAFF,
+  'txn:refund': ['Manager'],
+  'view:financials': ['Manager'],
+  'reports:view': ['Manager'],
+  'stations:write': ['Manager'],
+  'stations:delete': [],
+  'products:write': ['Manager'],
+  'inventory:adjust': ['Manager'],
+  'loyalty:write': ['Manager'],
+  'loyalty:delete': []
+};
+
+export function tokenClaims(token) {
+  try {
+    const payload = token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/');
+    return JSON.parse(atob(payload));
+  } catch {
+    return {};
+  }
+}
+
+// When the access token runs out: the expiresAt the API sent with it, else the JWT's exp
+export function sessionExpiresAt(user) {
+  if (!user?.token) return null;
+  const at = user.expiresAt ? Date.parse(user.expiresAt) : NaN;
+  if (!Number.isNaN(at)) return at;
+  const { exp } = tokenClaims(user.token);
+  return exp ? exp * 1000 : null;
+}
+
+function asList(value) {
+  if (value === undefined || value === null) return [];
+  return Array.isArray(value) ? value : String(value).split(',').map(v => v.trim()).filter(Boolean);
+}
+
+function roleName(role) {
+  return typeof role === 'number' || /^\d+$/.test(role) ? ROLE_NAMES[Number(role)] : role;
+}
+
+export function userRoles(user) {
+  if (!user) return [];
+  const claims = user.token ? tokenClaims(user.token) : {};
+  const roles = asList(claims[ROLE_CLAIM] ?? claims.role ?? user.role ?? user.roles);
+  return roles.map(roleName).filter(Boolean);
+}
+
+// What the Topbar and the operator switcher call someone
+export function userDisplayName(user) {
+  if (!user) return '';
+  return `${user.firstName || ''} ${user.lastName || ''}`.trim() || user.username || user.email || '';
+}
+
+// `role` may be a list, meaning any one of them
+export function hasRole(user, role) {
+  const roles = userRoles(user);
+  return roles.includes('Admin') || asList(role).some(r => roles.includes(r));
+}
+
+export function hasPermission(user, permission) {
+  if (!user) return false;
+  if (!permission) return true;
+  const roles = userRoles(user);
+  if (roles.includes('Admin')) return true;
+  const granted = user.token ? asList(tokenClaims(user.token).permission) : [];
+  if (granted.includes('*') || granted.includes(permission)) return true;
+  return (PERMISSIONS[permission] || []).some(role => roles.includes(role));
+}
+
 export function useHasRole() {
   const { user } = useAuth();
-  return (role) => {
-    if (!user) return false;
-    const roles = (user.role || user.roles || '').toString().split(',').map(r => r.trim());
-    return roles.includes(role) || roles.includes('Admin');
-  };
+  return useCallback(role => hasRole(user, role), [user]);
+}
+
+// `const can = usePermission(); can('txn:refund')`
+export function usePermission() {
+  const { user } = useAuth();
+  return useCallback(permission => hasPermission(user, permission), [user]);
 }
 
 export default useHasRole;
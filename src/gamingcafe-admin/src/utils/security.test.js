@@ -0,0 +1,41 @@
+import api, { ForbiddenError } from '../api';
+import { createMockApi } from '../mock/mockApi';
+import { DEMO_PASSWORD } from '../mock/seed';
+import { hasPermission, hasRole } from './security';
+
+function jwt(claims) {
+  return `header.${btoa(JSON.stringify(claims))}.signature`;
+}
+
+test('the role map decides, and Admin passes every check', () => {
+  const staff = { role: 'Staff' };
+  expect(hasPermission(staff, 'wallet:withdraw')).toBe(true);
+  expect(hasPermission(staff, 'txn:refund')).toBe(false);
+  expect(hasPermission({ role: 'Manager' }, 'txn:refund')).toBe(true);
+  expect(hasPermission({ role: 'Manager' }, 'users:delete')).toBe(false);
+  expect(hasPermission({ role: 'Admin' }, 'users:delete')).toBe(true);
+  expect(hasPermission({ role: 'Customer' }, 'app:access')).toBe(false);
+  expect(hasPermission(null, 'app:access')).toBe(false);
+});
+
+test('roles serialized as the enum number and token claims are understood', () => {
+  expect(hasRole({ role: 2 }, 'Manager')).toBe(true);
+  expect(hasRole({ role: 'Staff' }, ['Admin', 'Manager'])).toBe(false);
+
+  // The token's role wins over a stale profile, and permission claims grant by name
+  const user = { role: 'Staff', token: jwt({ role: 'Manager', permission: ['view:financials'] }) };
+  expect(hasRole(user, 'Manager')).toBe(true);
+  expect(hasPermission({ role: 'Staff', token: jwt({ role: 'Staff', permission: 'reports:view' }) }, 'reports:view')).toBe(true);
+});
+
+test('an action the role may not take fails with a ForbiddenError', async () => {
+  api.setTransport(createMockApi().fetch);
+  api.setTokens(await api.post('/auth/login', { email: 'staff@demo.local', password: DEMO_PASSWORD }, { skipAuthRefresh: true }));
+
+  const err = await api.post('/transactions/1/refund', { refundAmount: 1, reason: 'Test' }).catch(e => e);
+  api.setTransport(null);
+  localStorage.clear();
+
+  expect(err).toBeInstanceOf(ForbiddenError);
+  expect(err.message).toBe('You do not have permission to do this');
+});
@@ -0,0 +1,84 @@
+import { useEffect, useState } from 'react';
+import { useResource } from './resources';
+
+// Booked session time. The API stores when a session's prepaid time runs out
+// (plannedEndTime, pushed back by time spent paused); everything here counts down from it on
+// the client, so timers tick every second without polling.
+
+// SessionSettings' defaults, used until /gamesessions/settings answers
+export const DEFAULT_SESSION_SETTINGS = {
+  defaultDurationMinutes: 120,
+  minDurationMinutes: 30,
+  maxDurationMinutes: 720,
+  extensionIncrementMinutes: 30,
+  warningThresholdMinutes: 10
+};
+
+export function useSessionSettings() {
+  const { data } = useResource('/gamesessions/settings', { staleTime: 10 * 60 * 1000 });
+  return { ...DEFAULT_SESSION_SETTINGS, ...data };
+}
+
+// Re-renders every `interval` ms
+export function useNow(interval = 1000) {
+  const [now, setNow] = useState(Date.now);
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), interval);
+    return () => clearInterval(timer);
+  }, [interval]);
+  return now;
+}
+
+// TimeSpan as the API serialises it: "hh:mm:ss", "d.hh:mm:ss", optionally with fractions
+export function parseDuration(value) {
+  const match = /^(?:(\d+)\.)?(\d+):(\d+):(\d+)/.exec(String(value || ''));
+  if (!match) return 0;
+  const [, days, h, m, s] = match.map(v => Number(v) || 0);
+  return (((days * 24 + h) * 60 + m) * 60 + s) * 1000;
+}
+
+// Time played. `duration` was measured when the list was fetched (`fetchedAt`); running
+// sessions have kept going since.
+export function elapsedMs(session, fetchedAt, now = Date.now()) {
+  const measured = parseDuration(session.duration);
+  return session.status === 'Active' && fetchedAt ? measured + Math.max(0, now - fetchedAt) : measured;
+}
+
+// state is 'open' (no time booked), 'running', 'warning' (inside the warning threshold),
+// 'paused' or 'expired'; remainingMs is negative once the time is up
+export function sessionCountdown(session, settings = DEFAULT_SESSION_SETTINGS, now = Date.now()) {
+  if (!session.plannedEndTime) return { state: 'open', remainingMs: null };
+  // A paused clock stands still; resuming moves the planned end on by the pause
+  const at = session.status === 'Paused' && session.pausedAt ? Date.parse(session.pausedAt) : now;
+  const remainingMs = Date.parse(session.plannedEndTime) - at;
+  if (remainingMs <= 0) return { state: 'expired', remainingMs };
+  if (session.status === 'Paused') return { state: 'paused', remainingMs };
+  if (remainingMs <= settings.warningThresholdMinutes * 60000) return { state: 'warning', remainingMs };
+  return { state: 'running', remainingMs };
+}
+
+// 1:05:09, or 5:09 under an hour
+export function formatClock(ms) {
+  const seconds = Math.floor(Math.abs(ms) / 1000);
+  const pad = n => String(n).padStart(2, '0');
+  const h = Math.floor(seconds / 3600);
+  const rest = `${pad(Math.floor(seconds / 60) % 60)}:${pad(seconds % 60)}`;
+  return h ? `${h}:${rest}` : rest.replace(/^0/, '');
+}
+
+export function formatMinutes(minutes) {
+  const h = Math.floor(minutes / 60);
+  const m = minutes % 60;
+  if (!h) return `${m} min`;
+  return m ? `${h} h ${m} min` : `${h} h`;
+}
+
+// Durations to offer when starting a session: every extension increment up to four hours,
+// then whole hours up to the maximum
+export function durationOptions(settings = DEFAULT_SESSION_SETTINGS) {
+  const { minDurationMinutes: min, maxDurationMinutes: max, extensionIncrementMinutes: step, defaultDurationMinutes } = settings;
+  const options = new Set([defaultDurationMinutes]);
+  for (let m = min; m <= Math.min(max, 240); m += step > 0 ? step : 30) options.add(m);
+  for (let m = 300; m <= max; m += 60) options.add(m);
+  return [...options].filter(m => m >= min && m <= max).sort((a, b) => a - b);
+}
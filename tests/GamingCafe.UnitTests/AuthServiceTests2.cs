@@ -1,10 +1,12 @@
 using System;
+using System.Linq;
 using System.Threading.Tasks;
 using Xunit;
 using Microsoft.Extensions.Configuration;
 using Microsoft.Extensions.Caching.Memory;
 using Microsoft.Extensions.DependencyInjection;
 using Microsoft.EntityFrameworkCore;
+using GamingCafe.Core.DTOs;
 using GamingCafe.Core.Models;
 using GamingCafe.API.Services;
 using GamingCafe.Data;
@@ -95,5 +97,97 @@ namespace GamingCafe.UnitTests
             Assert.IsType<string>(token);
             Assert.True(token.Length > 10);
         }
+
+        [Fact]
+        public async Task VerifyPasswordAsync_ChecksThePasswordOfActiveUsers()
+        {
+            var ctx = CreateInMemoryContext(Guid.NewGuid().ToString());
+            var config = CreateConfiguration();
+            var services = new ServiceCollection().BuildServiceProvider();
+            var cache = new MemoryCache(new MemoryCacheOptions());
+
+            var user = new User
+            {
+                Username = "frontdesk",
+                Email = "frontdesk@example.com",
+                Role = UserRole.Staff,
+                IsActive = true,
+                PasswordHash = BCrypt.Net.BCrypt.HashPassword("P@ssw0rd!")
+            };
+            ctx.Users.Add(user);
+            await ctx.SaveChangesAsync();
+
+            var authService = new AuthService(ctx, config, services, cache);
+
+            Assert.True(await authService.VerifyPasswordAsync(user.UserId, "P@ssw0rd!"));
+            Assert.False(await authService.VerifyPasswordAsync(user.UserId, "wrong"));
+
+            user.IsActive = false;
+            await ctx.SaveChangesAsync();
+            Assert.False(await authService.VerifyPasswordAsync(user.UserId, "P@ssw0rd!"));
+        }
+
+        [Fact]
+        public async Task RevokeAllRefreshTokensAsync_RevokesOnlyThatUsersActiveTokens()
+        {
+            var ctx = CreateInMemoryContext(Guid.NewGuid().ToString());
+            var config = CreateConfiguration();
+            var services = new ServiceCollection().BuildServiceProvider();
+            var cache = new MemoryCache(new MemoryCacheOptions());
+
+            ctx.RefreshTokens.AddRange(
+                new RefreshToken { UserId = 1, TokenHash = "a", ExpiresAt = DateTime.UtcNow.AddDays(7) },
+                new RefreshToken { UserId = 1, TokenHash = "b", ExpiresAt = DateTime.UtcNow.AddDays(7) },
+                new RefreshToken { UserId = 1, TokenHash = "c", ExpiresAt = DateTime.UtcNow.AddDays(7), RevokedAt = DateTime.UtcNow.AddDays(-1) },
+                new RefreshToken { UserId = 2, TokenHash = "d", ExpiresAt = DateTime.UtcNow.AddDays(7) });
+            await ctx.SaveChangesAsync();
+
+            var authService = new AuthService(ctx, config, services, cache);
+
+            var revoked = await authService.RevokeAllRefreshTokensAsync(1);
+
+            Assert.Equal(2, revoked);
+            Assert.All(await ctx.RefreshTokens.Where(t => t.UserId == 1).ToListAsync(), t => Assert.NotNull(t.RevokedAt));
+            Assert.Null((await ctx.RefreshTokens.SingleAsync(t => t.UserId == 2)).RevokedAt);
+        }
+
+        [Fact]
+        public async Task VerifyPinAsync_LocksOutAfterTooManyWrongPins()
+        {
+            var ctx = CreateInMemoryContext(Guid.NewGuid().ToString());
+            var config = CreateConfiguration();
+            var services = new ServiceCollection().BuildServiceProvider();
+            var cache = new MemoryCache(new MemoryCacheOptions());
+
+            var user = new User
+            {
+                Username = "frontdesk",
+                Email = "frontdesk@example.com",
+                Role = UserRole.Staff,
+                IsActive = true,
+                PasswordHash = BCrypt.Net.BCrypt.HashPassword("P@ssw0rd!")
+            };
+            ctx.Users.Add(user);
+            await ctx.SaveChangesAsync();
+
+            var authService = new AuthService(ctx, config, services, cache);
+
+            Assert.Equal(PinVerifyStatus.NotSet, (await authService.VerifyPinAsync(user.UserId, "1234")).Status);
+            Assert.False(await authService.SetPinAsync(user.UserId, "wrong", "1234"));
+            Assert.True(await authService.SetPinAsync(user.UserId, "P@ssw0rd!", "1234"));
+            Assert.Equal(PinVerifyStatus.Succeeded, (await authService.VerifyPinAsync(user.UserId, "1234")).Status);
+
+            for (var remaining = 4; remaining > 0; remaining--)
+            {
+                var wrong = await authService.VerifyPinAsync(user.UserId, "0000");
+                Assert.Equal(PinVerifyStatus.InvalidPin, wrong.Status);
+                Assert.Equal(remaining, wrong.RemainingAttempts);
+            }
+
+            Assert.Equal(PinVerifyStatus.LockedOut, (await authService.VerifyPinAsync(user.UserId, "0000")).Status);
+            var locked = await authService.VerifyPinAsync(user.UserId, "1234");
+            Assert.Equal(PinVerifyStatus.LockedOut, locked.Status);
+            Assert.NotNull(locked.LockedUntil);
+        }
     }
 }
@@ -0,0 +1,98 @@
+using System;
+using System.Collections.Generic;
+using System.Threading.Tasks;
+using Xunit;
+using Moq;
+using Microsoft.Extensions.Configuration;
+using Microsoft.Extensions.Caching.Memory;
+using Microsoft.Extensions.DependencyInjection;
+using Microsoft.EntityFrameworkCore;
+using GamingCafe.Core.DTOs;
+using GamingCafe.Core.Interfaces.Services;
+using GamingCafe.Core.Models;
+using GamingCafe.API.Services;
+using GamingCafe.Data;
+
+namespace GamingCafe.UnitTests
+{
+    public class AuthTwoFactorLoginTests
+    {
+        private const string Password = "P@ssw0rd!";
+
+        private static async Task<(AuthService Service, LoginResponse Challenge)> StartLoginAsync()
+        {
+            var options = new DbContextOptionsBuilder<GamingCafeContext>()
+                .UseInMemoryDatabase(Guid.NewGuid().ToString())
+                .Options;
+            var ctx = new GamingCafeContext(options);
+            ctx.Users.Add(new User
+            {
+                Username = "twofactor",
+                Email = "twofactor@example.com",
+                FirstName = "Two",
+                LastName = "Factor",
+                Role = UserRole.Staff,
+                IsActive = true,
+                IsTwoFactorEnabled = true,
+                PasswordHash = BCrypt.Net.BCrypt.HashPassword(Password)
+            });
+            await ctx.SaveChangesAsync();
+
+            var config = new ConfigurationBuilder().AddInMemoryCollection(new Dictionary<string, string?>
+            {
+                { "Jwt:Key", "test-jwt-key-which-is-long-enough-for-hmac" },
+                { "Jwt:Issuer", "test-issuer" },
+                { "Jwt:Audience", "test-audience" },
+                { "RefreshToken:HashKey", "refresh-key" },
+                { "Auth:TwoFactor:MaxAttempts", "3" }
+            }).Build();
+
+            var twoFactor = new Mock<ITwoFactorService>();
+            twoFactor.Setup(t => t.VerifyTwoFactorAsync(It.IsAny<int>(), "123456")).ReturnsAsync(true);
+            var services = new ServiceCollection().AddSingleton(twoFactor.Object).BuildServiceProvider();
+
+            var service = new AuthService(ctx, config, services, new MemoryCache(new MemoryCacheOptions()));
+            var challenge = await service.AuthenticateAsync(new LoginRequest { Email = "twofactor@example.com", Password = Password });
+            return (service, challenge!);
+        }
+
+        [Fact]
+        public async Task CompleteTwoFactorLogin_IssuesTokens_ForAValidCode()
+        {
+            var (service, challenge) = await StartLoginAsync();
+
+            Assert.True(challenge.RequiresTwoFactor);
+            Assert.NotNull(challenge.TwoFactorExpiresAt);
+
+            var result = await service.CompleteTwoFactorLoginAsync(new TwoFactorVerifyRequest { TwoFactorToken = challenge.TwoFactorToken, Code = "123456" });
+
+            Assert.Equal(TwoFactorLoginStatus.Succeeded, result.Status);
+            Assert.False(string.IsNullOrEmpty(result.Response!.AccessToken));
+
+            // The challenge is single use
+            var replay = await service.CompleteTwoFactorLoginAsync(new TwoFactorVerifyRequest { TwoFactorToken = challenge.TwoFactorToken, Code = "123456" });
+            Assert.Equal(TwoFactorLoginStatus.Expired, replay.Status);
+        }
+
+        [Fact]
+        public async Task CompleteTwoFactorLogin_LocksOut_AfterTooManyWrongCodes()
+        {
+            var (service, challenge) = await StartLoginAsync();
+            var wrong = new TwoFactorVerifyRequest { TwoFactorToken = challenge.TwoFactorToken, Code = "000000" };
+
+            var first = await service.CompleteTwoFactorLoginAsync(wrong);
+            await service.CompleteTwoFactorLoginAsync(wrong);
+            var third = await service.CompleteTwoFactorLoginAsync(wrong);
+
+            Assert.Equal(TwoFactorLoginStatus.InvalidCode, first.Status);
+            Assert.Equal(2, first.RemainingAttempts);
+            Assert.Equal(TwoFactorLoginStatus.LockedOut, third.Status);
+            Assert.True(third.LockedUntil > DateTime.UtcNow);
+
+            // A fresh challenge does not get around the lock, even with the right code
+            var again = await service.AuthenticateAsync(new LoginRequest { Email = "twofactor@example.com", Password = Password });
+            var retry = await service.CompleteTwoFactorLoginAsync(new TwoFactorVerifyRequest { TwoFactorToken = again!.TwoFactorToken, Code = "123456" });
+            Assert.Equal(TwoFactorLoginStatus.LockedOut, retry.Status);
+        }
+    }
+}
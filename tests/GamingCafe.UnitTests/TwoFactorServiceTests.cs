@@ -60,4 +60,22 @@ public class TwoFactorServiceTests
         var url = svc.GenerateQrCodeDataUrl("user@example.com", "SECRETKEY123");
         url.Should().StartWith("data:image/png;base64,");
     }
+
+    [Fact]
+    public async Task DisableTwoFactor_WithWrongPassword_Throws_AndKeepsTwoFactorOn()
+    {
+        using var ctx = CreateInMemoryContext();
+        var user = new GamingCafe.Core.Models.User { UserId = 1, Email = "test@example.com", Username = "testuser", PasswordHash = BCrypt.Net.BCrypt.HashPassword("correct-password"), IsTwoFactorEnabled = true };
+        ctx.Users.Add(user);
+        await ctx.SaveChangesAsync();
+
+        var provider = Microsoft.AspNetCore.DataProtection.DataProtectionProvider.Create("GamingCafe.Tests");
+        var svc = new TwoFactorService(ctx, new NullLogger<TwoFactorService>(), provider);
+
+        await Assert.ThrowsAsync<System.UnauthorizedAccessException>(() => svc.DisableTwoFactorAsync(1, "wrong-password"));
+        (await svc.IsTwoFactorEnabledAsync(1)).Should().BeTrue();
+
+        (await svc.DisableTwoFactorAsync(1, "correct-password")).Should().BeTrue();
+        (await svc.IsTwoFactorEnabledAsync(1)).Should().BeFalse();
+    }
 }